@@ -2,17 +2,24 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath, pathToFileURL } from 'node:url';
 
-import { loadAndNormalizeSpec } from './parser/index.js';
+import { loadAndNormalizeSpec, runCodeSampleGenerators } from './parser/index.js';
 import {
   generateOverviewPage,
   generateOperationPages,
   generateSchemaIndexPage,
   generateSchemaDetailPages,
+  generateWebhookPages,
 } from './pages/index.js';
+import { WEBHOOKS_SLUG } from './runtime/config.js';
 import {
   normalizeEndpointUI,
   resolveEndpointUIMode,
 } from './runtime/endpoint-ui.js';
+import {
+  buildDevProxyTable,
+  matchWildcardProxyRequest,
+  normalizeTryItEnvironments,
+} from './runtime/servers.js';
 
 const PACKAGE_ROOT = fileURLToPath(new URL('.', import.meta.url));
 const PACKAGE_COMPONENTS_DIR = path.join(PACKAGE_ROOT, 'components');
@@ -213,12 +220,17 @@ async function cleanupLegacyInstanceDir(instanceId) {
 /**
  * @typedef {object} StarlightOpenApiNavigatorOptions
  * @property {string} [specPath] Path to the OpenAPI specification. Defaults to `public/openapi.yaml`.
- * @property {boolean} [watchSpec] Whether to watch the spec file in dev and regenerate docs automatically. Defaults to `true`.
+ * @property {boolean} [watchSpec] Whether to watch the spec file (and any local files it `$ref`s) in dev and regenerate docs automatically. Defaults to `true`.
  * @property {string} [baseSlug] Base docs slug for generated pages. Defaults to `api`.
  * @property {string} [outputDir] Relative path (from project root) to emit generated Astro pages. Defaults to `src/pages/<baseSlug>`.
  * @property {'auto'|'menu'|'search'} [endpointUI] Controls the endpoint browsing UI. Defaults to `auto`.
  * @property {object|boolean} [tryIt] Controls the generated "Try it" playground. Set to `false` to disable the separate page and CTA.
  * @property {boolean} [tryIt.enabled] Whether to generate the separate dynamic playground page and CTA. Defaults to `true`.
+ * @property {Array<TryItEnvironment>} [tryIt.environments] Named base URLs offered in the Try it server selector next to the spec's `servers`.
+ * @property {object} [codeSamples] Code sample tab options.
+ * @property {Array<string>} [codeSamples.includeLanguages] Only keep samples whose language matches (case-insensitive).
+ * @property {Record<string, string>} [codeSamples.rename] Rename sample languages, keyed by the original language.
+ * @property {Array<CodeSampleGenerator>} [codeSamples.generators] Extra sample generators run for every operation at build time.
  * @property {object} [navigation] Sidebar auto-population options.
  * @property {boolean} [navigation.enabled] When true, injects generated tag/operation links into the Starlight sidebar.
  * @property {string} [navigation.groupLabel] Label for the generated sidebar group. Defaults to "API Explorer".
@@ -235,6 +247,33 @@ async function cleanupLegacyInstanceDir(instanceId) {
  * @property {Array<string|{slug?:string,path?:string,pathStartsWith?:string,method?:string,methods?:Array<string>}>} [operations.exclude]
  */
 
+/**
+ * @typedef {object} TryItEnvironment
+ * @property {string} name Label shown in the server selector. Must be unique across environments.
+ * @property {string} url Base URL. May contain `{variable}` placeholders like an OpenAPI server URL.
+ * @property {Record<string, string|{default?: string, enum?: Array<string>, description?: string}>} [variables] Values or OpenAPI server variable objects for the placeholders.
+ * @property {Record<string, string>} [headers] Headers sent with every request made against this environment.
+ */
+
+/**
+ * Build-time hook that turns a normalized operation into extra code samples. Return one sample,
+ * several, or nothing to skip the operation. Samples without a `label` join the "Example request"
+ * group next to the generated curl/fetch/… tabs; `syntax` overrides the highlighter language.
+ *
+ * @callback CodeSampleGenerator
+ * @param {import('./parser/index.js').NormalizedOperation} operation
+ * @param {{ exampleBody: import('./parser/code-samples.js').ExampleBody | undefined }} context
+ * @returns {CodeSampleGeneratorResult | CodeSampleGeneratorResult[] | null | undefined}
+ */
+
+/**
+ * @typedef {object} CodeSampleGeneratorResult
+ * @property {string} [label] Group heading. Defaults to "Example request".
+ * @property {string} language Tab label; matched by `includeLanguages` and `rename`.
+ * @property {string} source
+ * @property {string} [syntax] Highlighter language. Derived from `language` when omitted.
+ */
+
 /**
  * Local integration scaffold for the upcoming Starlight OpenAPI Navigator plugin.
  *
@@ -413,6 +452,9 @@ function resolveOptions(options = {}, extras = {}) {
         ? [...options.codeSamples.includeLanguages]
         : null,
       rename: options.codeSamples?.rename ? { ...options.codeSamples.rename } : {},
+      generators: Array.isArray(options.codeSamples?.generators)
+        ? options.codeSamples.generators.filter((generator) => typeof generator === 'function')
+        : [],
     },
     endpointUI,
     navigation,
@@ -453,6 +495,20 @@ function createIntegration(resolvedOptions) {
   let devProxyTable = [];
   let resolvedEndpointUI = resolveEndpointUIMode(resolvedOptions.endpointUI, 0);
   let componentsDirPath = PACKAGE_COMPONENTS_DIR;
+  let watchedSpecFiles = new Set(resolvedOptions.specFilePath ? [resolvedOptions.specFilePath] : []);
+  let specFileWatcher = null;
+
+  const updateWatchedSpecFiles = (files) => {
+    const next = new Set(resolvedOptions.specFilePath ? [resolvedOptions.specFilePath] : []);
+    (Array.isArray(files) ? files : []).forEach((file) => {
+      if (typeof file === 'string' && file) next.add(path.resolve(file));
+    });
+    const added = Array.from(next).filter((file) => !watchedSpecFiles.has(file));
+    watchedSpecFiles = next;
+    if (specFileWatcher && added.length) {
+      specFileWatcher.add(added);
+    }
+  };
 
   const resetGeneratedDocsDir = async () => {
     if (
@@ -885,13 +941,15 @@ function createIntegration(resolvedOptions) {
     );
     const moduleSource = `export const baseSlug = ${JSON.stringify(
       resolvedOptions.baseSlug
+    )};\nexport const instanceId = ${JSON.stringify(
+      resolvedOptions.instanceId
     )};\nexport const outputDir = ${JSON.stringify(
       resolvedOptions.outputDir
     )};\nexport const endpointUI = ${JSON.stringify(
       resolvedOptions.endpointUI
     )};\nexport const resolvedEndpointUI = ${JSON.stringify(
       resolvedEndpointUI
-    )};\nexport const devProxyTable = ${safeProxyTable};\nexport const tryIt = ${safeTryIt};\nexport default { baseSlug, outputDir, endpointUI, resolvedEndpointUI, devProxyTable, tryIt };\n`;
+    )};\nexport const devProxyTable = ${safeProxyTable};\nexport const tryIt = ${safeTryIt};\nexport default { baseSlug, instanceId, outputDir, endpointUI, resolvedEndpointUI, devProxyTable, tryIt };\n`;
     await fs.writeFile(configModulePath, moduleSource, 'utf8');
   };
 
@@ -901,12 +959,13 @@ function createIntegration(resolvedOptions) {
     regeneratePromise = (async () => {
       await resetGeneratedDocsDir();
       const rawSpec = await loadAndNormalizeSpec(resolvedOptions.specSource);
+      updateWatchedSpecFiles(rawSpec.sourceFiles);
       normalizedSpec = customizeSpec(rawSpec, resolvedOptions);
       resolvedEndpointUI = resolveEndpointUIMode(
       resolvedOptions.endpointUI,
       normalizedSpec?.stats?.operations ?? 0
     );
-    devProxyTable = buildDevProxyTable(normalizedSpec);
+    devProxyTable = buildDevProxyTable(normalizedSpec, resolvedOptions.tryIt.environments);
     await writeConfigModule();
     await writeSpecModule(normalizedSpec);
     pruneSchemaPayloads(normalizedSpec);
@@ -924,6 +983,12 @@ function createIntegration(resolvedOptions) {
         tryItEnabled: resolvedOptions.tryIt.enabled !== false,
         componentsDir: componentsDirPath,
       });
+      await generateWebhookPages(normalizedSpec, {
+        logger,
+        outputDir: resolvedOptions.generatedDocsDir,
+        baseSlug: resolvedOptions.baseSlug,
+        componentsDir: componentsDirPath,
+      });
       await generateSchemaIndexPage(normalizedSpec, {
         logger,
         outputDir: resolvedOptions.generatedDocsDir,
@@ -1005,6 +1070,9 @@ function createIntegration(resolvedOptions) {
         componentsDirPath = instanceComponentsDir;
 
         await regenerateArtifacts(logger);
+        watchedSpecFiles.forEach((file) => {
+          if (file !== resolvedOptions.specFilePath) addWatchFile(file);
+        });
 
     const aliasEntries = [
       {
@@ -1055,17 +1123,16 @@ function createIntegration(resolvedOptions) {
         }
       },
       'astro:server:setup': async ({ server, logger }) => {
-        if (
-          !resolvedOptions.watchSpec ||
-          resolvedOptions.specSource.type !== 'file' ||
-          !resolvedOptions.specFilePath
-        ) {
+        if (!resolvedOptions.watchSpec || !watchedSpecFiles.size) {
           return;
         }
+        specFileWatcher = server.watcher;
+        server.watcher.add(Array.from(watchedSpecFiles));
         const watcherHandler = (changedPath) => {
-          if (path.resolve(changedPath) === resolvedOptions.specFilePath) {
+          const resolvedPath = path.resolve(changedPath);
+          if (watchedSpecFiles.has(resolvedPath)) {
             logger.debug(
-              `starlight-openapi-navigator[${resolvedOptions.instanceId}]: detected change in ${resolvedOptions.specFilePath}, regenerating…`
+              `starlight-openapi-navigator[${resolvedOptions.instanceId}]: detected change in ${resolvedPath}, regenerating…`
             );
             regenerateArtifacts(logger);
           }
@@ -1176,17 +1243,18 @@ function normalizeNavigationOptions(rawOptions, baseSlug) {
 
 function normalizeTryItOptions(rawValue) {
   if (rawValue === false) {
-    return { enabled: false };
+    return { enabled: false, environments: [] };
   }
   if (rawValue === true || rawValue === undefined || rawValue === null) {
-    return { enabled: true };
+    return { enabled: true, environments: [] };
   }
   if (isPlainObject(rawValue)) {
     return {
       enabled: rawValue.enabled !== false,
+      environments: normalizeTryItEnvironments(rawValue.environments),
     };
   }
-  return { enabled: true };
+  return { enabled: true, environments: [] };
 }
 
 function normalizeNavigationItem(rawItem, defaults) {
@@ -1227,6 +1295,7 @@ function customizeSpec(spec, options) {
     servers: Array.isArray(spec?.servers) ? spec.servers : [],
     tags: Array.isArray(spec?.tags) ? spec.tags : [],
     operations: Array.isArray(spec?.operations) ? spec.operations : [],
+    webhooks: Array.isArray(spec?.webhooks) ? spec.webhooks : [],
     schemas: Array.isArray(spec?.schemas) ? spec.schemas : [],
     document: spec?.document ?? {},
   };
@@ -1237,6 +1306,9 @@ function customizeSpec(spec, options) {
   const orderMap = createOrderMap(options.tags?.order);
   const includeLanguagesSet = createNormalizedSet(options.codeSamples?.includeLanguages);
   const renameMap = createRenameMap(options.codeSamples?.rename);
+  const codeSampleGenerators = Array.isArray(options.codeSamples?.generators)
+    ? options.codeSamples.generators
+    : [];
   const operationFilters = options.operationFilters ?? { include: [], exclude: [] };
 
   cloned.tags = Array.isArray(cloned.tags)
@@ -1261,7 +1333,7 @@ function customizeSpec(spec, options) {
             ? operation.tags.filter((tagRef) => allowedTagSlugs.has(tagRef.slug))
             : [];
           operation.codeSampleGroups = filterCodeSampleGroups(
-            operation.codeSampleGroups,
+            runCodeSampleGenerators(operation, codeSampleGenerators, spec?.components),
             includeLanguagesSet,
             renameMap
           );
@@ -1270,6 +1342,21 @@ function customizeSpec(spec, options) {
         .filter((operation) => operation && operation.tags.length > 0)
     : [];
 
+  // Webhook names aren't request paths, so operation path filters don't apply to them.
+  cloned.webhooks = cloned.webhooks
+    .filter((webhook) => webhook && typeof webhook === 'object')
+    .map((webhook) => {
+      if ('raw' in webhook) {
+        delete webhook.raw;
+      }
+      webhook.codeSampleGroups = filterCodeSampleGroups(
+        webhook.codeSampleGroups,
+        includeLanguagesSet,
+        renameMap
+      );
+      return webhook;
+    });
+
   const tagMap = new Map();
   cloned.tags = cloned.tags.map((tag) => {
     const copy = { ...tag, operations: [] };
@@ -1306,6 +1393,7 @@ function customizeSpec(spec, options) {
   if (schemaByName.size) {
     const operationSchemaRefs = new Set();
     cloned.operations.forEach((operation) => collectSchemaRefs(operation, operationSchemaRefs));
+    cloned.webhooks.forEach((webhook) => collectSchemaRefs(webhook, operationSchemaRefs));
     const includedSchemaNames = resolveSchemaDependencies(operationSchemaRefs, schemaByName);
     if (includedSchemaNames.size) {
       cloned.schemas = cloned.schemas.filter((schema) => includedSchemaNames.has(schema.name));
@@ -1358,6 +1446,7 @@ function customizeSpec(spec, options) {
     operations: cloned.operations.length,
     untaggedOperations: cloned.operations.filter((operation) => operation.tags.length === 0).length,
     deprecatedOperations: cloned.operations.filter((operation) => operation.deprecated).length,
+    webhooks: cloned.webhooks.length,
   };
 
   if (isPlainObject(cloned.document) && Array.isArray(cloned.document.tags)) {
@@ -1460,6 +1549,28 @@ function buildNavigationGroup(spec, navigation, baseSlug, endpointUI = 'menu') {
         items: operationItems,
       });
     });
+
+    const webhookItems = (Array.isArray(spec.webhooks) ? spec.webhooks : [])
+      .filter((webhook) => webhook?.slug)
+      .map((webhook) => {
+        const item = {
+          label: getOperationLabel(webhook, navigation.operationLabel),
+          link: joinUrlSegments(baseSlug, WEBHOOKS_SLUG, webhook.slug),
+        };
+        if (webhook.deprecated) {
+          item.badge = { text: 'Deprecated', variant: 'caution' };
+        }
+        return item;
+      });
+    if (webhookItems.length) {
+      if (navigation.operationSort === 'alpha') {
+        webhookItems.sort((a, b) => a.label.localeCompare(b.label));
+      }
+      items.push({
+        label: 'Webhooks',
+        items: webhookItems,
+      });
+    }
   }
 
   if (navigation.schemasItem && Array.isArray(spec.schemas) && spec.schemas.length > 0) {
@@ -1798,36 +1909,6 @@ function isPlainObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
-function buildDevProxyTable(spec) {
-  const entries = [];
-  const seen = new Set();
-
-  const enqueue = (url) => {
-    const parsed = parseServerUrl(url);
-    if (!parsed || seen.has(parsed.normalizedUrl)) return;
-
-    const contextPath = buildContextPath(parsed, entries.length);
-    const rewritePath = parsed.pathname || '/';
-
-    entries.push({
-      id: entries.length,
-      originalUrl: parsed.originalUrl,
-      normalizedUrl: parsed.normalizedUrl,
-      target: parsed.origin,
-      contextPath,
-      rewritePath,
-    });
-    seen.add(parsed.normalizedUrl);
-  };
-
-  (spec.servers || []).forEach((server) => enqueue(server?.url));
-  (spec.operations || []).forEach((operation) => {
-    (operation.servers || []).forEach((server) => enqueue(server?.url));
-  });
-
-  return entries;
-}
-
 const OPERATIONS_PER_CHUNK = 50;
 
 function createRuntimeSpecArtifacts(spec) {
@@ -1836,7 +1917,8 @@ function createRuntimeSpecArtifacts(spec) {
       manifest: {
         info: {},
         servers: [],
-        stats: { operations: 0, tags: 0, deprecatedOperations: 0, untaggedOperations: 0 },
+        stats: { operations: 0, tags: 0, deprecatedOperations: 0, untaggedOperations: 0, webhooks: 0 },
+        webhooks: [],
         document: {},
       },
       tagsWithDigests: [],
@@ -1857,6 +1939,29 @@ function createRuntimeSpecArtifacts(spec) {
   const schemaDefinitions = [];
   const schemaSlugMap = {};
 
+  const pushChunks = (tagSlug, candidates) => {
+    for (let start = 0; start < candidates.length; start += OPERATIONS_PER_CHUNK) {
+      const slice = candidates.slice(start, start + OPERATIONS_PER_CHUNK);
+      if (!slice.length) continue;
+      const chunkIndex = Math.floor(start / OPERATIONS_PER_CHUNK);
+      const chunkId = createChunkId(tagSlug, chunkIndex);
+      const fileName = buildChunkFileName(chunkId);
+      const operationsMap = {};
+      slice.forEach((entry) => {
+        operationsMap[entry.slug] = entry;
+        if (!operationChunkLookup[entry.slug]) {
+          operationChunkLookup[entry.slug] = chunkId;
+        }
+      });
+      chunks.push({
+        id: chunkId,
+        tagSlug,
+        fileName,
+        operations: operationsMap,
+      });
+    }
+  };
+
   const sourceTags = Array.isArray(spec.tags) ? spec.tags : [];
   sourceTags.forEach((tag) => {
     if (!tag || typeof tag.slug !== 'string') return;
@@ -1897,27 +2002,28 @@ function createRuntimeSpecArtifacts(spec) {
       operations: digestOperations,
     });
 
-    for (let start = 0; start < chunkCandidates.length; start += OPERATIONS_PER_CHUNK) {
-      const slice = chunkCandidates.slice(start, start + OPERATIONS_PER_CHUNK);
-      if (!slice.length) continue;
-      const chunkIndex = Math.floor(start / OPERATIONS_PER_CHUNK);
-      const chunkId = createChunkId(tag.slug, chunkIndex);
-      const fileName = buildChunkFileName(chunkId);
-      const operationsMap = {};
-      slice.forEach((entry) => {
-        operationsMap[entry.slug] = entry;
-        if (!operationChunkLookup[entry.slug]) {
-          operationChunkLookup[entry.slug] = chunkId;
-        }
-      });
-      chunks.push({
-        id: chunkId,
-        tagSlug: tag.slug,
-        fileName,
-        operations: operationsMap,
+    pushChunks(tag.slug, chunkCandidates);
+  });
+
+  // Webhook pages live under their own route segment and reuse the tag chunk loader.
+  const webhookDigests = [];
+  const webhookCandidates = [];
+  (Array.isArray(spec.webhooks) ? spec.webhooks : []).forEach((webhook) => {
+    const digest = createOperationDigest(webhook);
+    if (digest) {
+      webhookDigests.push(digest);
+      allOperationDigests.push({
+        ...digest,
+        tagSlug: WEBHOOKS_SLUG,
+        tagName: 'Webhooks',
       });
     }
+    const stripped = stripOperationForChunk(webhook);
+    if (stripped && stripped.slug) {
+      webhookCandidates.push(stripped);
+    }
   });
+  pushChunks(WEBHOOKS_SLUG, webhookCandidates);
 
   if (Array.isArray(spec.schemas)) {
     spec.schemas.forEach((entry) => {
@@ -1962,6 +2068,7 @@ function createRuntimeSpecArtifacts(spec) {
     info: isPlainObject(spec.info) ? spec.info : {},
     servers: Array.isArray(spec.servers) ? spec.servers : [],
     stats: isPlainObject(spec.stats) ? spec.stats : {},
+    webhooks: webhookDigests,
     document: buildRuntimeDocument(spec.document),
   };
 
@@ -1980,6 +2087,7 @@ function createRuntimeSpecArtifacts(spec) {
 function stripOperationForChunk(operation) {
   if (!isPlainObject(operation)) return null;
   const {
+    kind,
     path,
     method,
     operationId,
@@ -1996,10 +2104,13 @@ function stripOperationForChunk(operation) {
     codeSampleGroups,
     requestBodyExamples,
     responseExamples,
+    callbacks,
+    links,
     extensions,
   } = operation;
 
   const normalized = {
+    kind,
     path,
     method,
     operationId,
@@ -2018,6 +2129,14 @@ function stripOperationForChunk(operation) {
     responseExamples,
   };
 
+  if (Array.isArray(callbacks) && callbacks.length) {
+    normalized.callbacks = callbacks;
+  }
+
+  if (Array.isArray(links) && links.length) {
+    normalized.links = links;
+  }
+
   if (extensions && Object.keys(extensions).length) {
     normalized.extensions = extensions;
   }
@@ -2085,48 +2204,28 @@ function buildRuntimeDocument(document) {
     result.security = document.security;
   }
 
-  if (isPlainObject(document.components) && isPlainObject(document.components.securitySchemes)) {
-    result.components = {
-      securitySchemes: document.components.securitySchemes,
-    };
+  if (isPlainObject(document.components)) {
+    const components = {};
+    if (isPlainObject(document.components.securitySchemes)) {
+      components.securitySchemes = document.components.securitySchemes;
+    }
+    // Shared responses let Try it check a reply against a `$ref`-ed response definition.
+    if (isPlainObject(document.components.responses)) {
+      components.responses = document.components.responses;
+    }
+    if (Object.keys(components).length) result.components = components;
   }
 
   return result;
 }
 
-function parseServerUrl(url) {
-  if (typeof url !== 'string') return null;
-  const trimmed = url.trim();
-  if (!trimmed) return null;
-  try {
-    const parsed = new URL(trimmed);
-    const origin = `${parsed.protocol}//${parsed.host}`;
-    const rawPath = parsed.pathname || '/';
-    const cleanPath = rawPath === '/' ? '' : rawPath.replace(/\/+$/g, '');
-    const normalizedUrl = `${origin}${cleanPath}`;
-    return {
-      originalUrl: trimmed,
-      origin,
-      pathname: cleanPath || '/',
-      normalizedUrl,
-      host: parsed.host,
-      pathSegments: rawPath.split('/').filter(Boolean),
-    };
-  } catch {
-    return null;
-  }
-}
-
-function buildContextPath(parsed, index) {
-  const hostSegment = parsed.host.replace(/[^a-zA-Z0-9]/g, '-');
-  const pathSegments = parsed.pathSegments.map((segment) => segment.replace(/[^a-zA-Z0-9]/g, '-'));
-  const segments = ['__openapi', hostSegment || `origin-${index}`, ...pathSegments];
-  return `/${segments.filter(Boolean).join('/')}`;
-}
-
 function buildViteProxyConfig(table) {
   const proxy = {};
   table.forEach((entry) => {
+    if (entry.wildcard) {
+      proxy[entry.contextPath] = buildWildcardProxyOptions(entry);
+      return;
+    }
     const pattern = new RegExp(`^${escapeRegex(entry.contextPath)}`);
     const rewriteBase = entry.rewritePath && entry.rewritePath !== '/' ? entry.rewritePath : '';
     proxy[entry.contextPath] = {
@@ -2147,6 +2246,29 @@ function buildViteProxyConfig(table) {
   return proxy;
 }
 
+function buildWildcardProxyOptions(entry) {
+  const targets = new WeakMap();
+  return {
+    target: entry.target,
+    changeOrigin: true,
+    ws: false,
+    // Vite rewrites the path before proxying, so resolve the origin first and refuse hosts the
+    // server template can't produce.
+    bypass: (req) => {
+      const match = matchWildcardProxyRequest(entry.contextPath, entry.originPattern, req.url);
+      if (!match) return false;
+      targets.set(req, match.target);
+      return undefined;
+    },
+    rewrite: (path) => matchWildcardProxyRequest(entry.contextPath, entry.originPattern, path)?.path ?? path,
+    configure: (proxy) => {
+      const web = proxy.web.bind(proxy);
+      proxy.web = (req, res, options = {}, ...rest) =>
+        web(req, res, { ...options, target: targets.get(req) || entry.target }, ...rest);
+    },
+  };
+}
+
 function escapeRegex(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
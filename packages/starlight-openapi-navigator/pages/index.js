@@ -2,7 +2,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { DEFAULT_BASE_SLUG } from '../runtime/config.js';
+import { DEFAULT_BASE_SLUG, WEBHOOKS_SLUG } from '../runtime/config.js';
 
 /**
  * @typedef {import('astro').AstroIntegrationLogger} AstroIntegrationLogger
@@ -88,8 +88,13 @@ export async function generateOperationPages(spec, ctx) {
   await fs.mkdir(outputDir, { recursive: true });
 
   const tags = Array.isArray(spec.tags) ? spec.tags : [];
+  const hasWebhooks = Array.isArray(spec.webhooks) && spec.webhooks.length > 0;
   for (const [tagIndex, tag] of tags.entries()) {
-    if (tag.slug === 'index' || tag.slug === SCHEMAS_DIRNAME) {
+    if (
+      tag.slug === 'index' ||
+      tag.slug === SCHEMAS_DIRNAME ||
+      (hasWebhooks && tag.slug === WEBHOOKS_SLUG)
+    ) {
       const message = `starlight-openapi-navigator: tag slug "${tag.slug}" collides with a generated route. Rename the tag or configure a different baseSlug.`;
       if (logger && typeof logger.error === 'function') {
         logger.error(message);
@@ -181,6 +186,67 @@ export async function generateOperationPages(spec, ctx) {
   }
 }
 
+/**
+ * Emit one page per OpenAPI 3.1 webhook under `<baseSlug>/webhooks/<slug>`.
+ *
+ * @param {NormalizedOpenApiSpec} spec
+ * @param {PageGenerationContext} ctx
+ */
+export async function generateWebhookPages(spec, ctx) {
+  if (!Array.isArray(spec.webhooks) || spec.webhooks.length === 0) return;
+  const { outputDir, baseSlug, logger, componentsDir = COMPONENTS_DIR } = ctx;
+  const resolvedSlug = baseSlug || DEFAULT_BASE_SLUG;
+  const webhooksDir = path.join(outputDir, WEBHOOKS_SLUG);
+  await fs.mkdir(webhooksDir, { recursive: true });
+
+  for (const [index, webhook] of spec.webhooks.entries()) {
+    if (!webhook?.slug) continue;
+
+    const webhookDir = path.join(webhooksDir, webhook.slug);
+    const filePath = path.join(webhookDir, PAGE_FILENAME);
+    const description = webhook.summary
+      ? truncate(stripMarkdown(webhook.summary), 220)
+      : truncate(stripMarkdown(webhook.description || ''), 220) ||
+        `Reference for the ${webhook.path} webhook.`;
+
+    const frontmatter = {
+      title: `${webhook.path} webhook`,
+      description,
+      slug: `${resolvedSlug}/${WEBHOOKS_SLUG}/${webhook.slug}`,
+      sidebar: {
+        hidden: true,
+        order: index,
+      },
+    };
+
+    const headings = buildOperationHeadings(webhook);
+    const source = buildStarlightPageSource({
+      componentName: 'OpenApiOperationPage',
+      componentFilename: OPERATION_COMPONENT,
+      filePath,
+      frontmatter,
+      headings,
+      componentProps: [
+        `tagSlug={${JSON.stringify(WEBHOOKS_SLUG)}}`,
+        `operationSlug={${JSON.stringify(webhook.slug)}}`,
+      ],
+      componentsDir,
+    });
+
+    try {
+      await fs.mkdir(webhookDir, { recursive: true });
+      await fs.writeFile(filePath, source, 'utf8');
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      if (logger && typeof logger.error === 'function') {
+        logger.error(
+          `starlight-openapi-navigator: failed to write webhook page at ${filePath} — ${message}`
+        );
+      }
+    }
+  }
+}
+
 export async function generateSchemaIndexPage(spec, ctx) {
   if (!Array.isArray(spec.schemas) || spec.schemas.length === 0) return;
   const {
@@ -400,6 +466,9 @@ function buildOverviewHeadings(spec, endpointUI = 'menu') {
   } else if (mode === 'search' && (spec?.stats?.operations || 0) > 0) {
     headings.push({ depth: 2, slug: 'search', text: 'Search endpoints' });
   }
+  if (Array.isArray(spec.webhooks) && spec.webhooks.length > 0) {
+    headings.push({ depth: 2, slug: 'webhooks', text: 'Webhooks' });
+  }
   if (Array.isArray(spec.schemas) && spec.schemas.length > 0) {
     headings.push({ depth: 2, slug: 'schemas', text: 'Component schemas' });
   }
@@ -428,11 +497,26 @@ function buildOperationHeadings(operation) {
     });
   };
 
+  const isWebhook = operation.kind === 'webhook';
   addHeading(Array.isArray(operation.parameters) && operation.parameters.length, 'parameters', 'Parameters');
-  addHeading(Boolean(operation.requestBody), 'request-body', 'Request body');
-  addHeading(operation.responses && Object.keys(operation.responses).length > 0, 'responses', 'Sample responses');
+  addHeading(Boolean(operation.requestBody), 'request-body', isWebhook ? 'Payload' : 'Request body');
+  addHeading(
+    operation.responses && Object.keys(operation.responses).length > 0,
+    'responses',
+    isWebhook ? 'Expected responses' : 'Sample responses'
+  );
+  const callbacks = Array.isArray(operation.callbacks) ? operation.callbacks : [];
+  addHeading(callbacks.length > 0, 'callbacks', 'Callbacks');
+  for (const callback of callbacks) {
+    if (!callback?.slug) continue;
+    headings.push({
+      depth: 4,
+      slug: callback.slug,
+      text: `${String(callback.method || '').toUpperCase()} ${callback.name}`.trim(),
+    });
+  }
   addHeading(Array.isArray(operation.codeSampleGroups) && operation.codeSampleGroups.length > 0, 'code-samples', 'Code samples');
-  addHeading(true, 'try-it', 'Try it live');
+  addHeading(!isWebhook, 'try-it', 'Try it live');
 
   return headings;
 }
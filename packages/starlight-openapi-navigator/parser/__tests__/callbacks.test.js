@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const SPEC = `
+openapi: 3.0.3
+info: { title: Subscriptions, version: 1.0.0 }
+paths:
+  /subscriptions:
+    post:
+      operationId: createSubscription
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                callbackUrl: { type: string }
+      responses:
+        '201': { description: Created }
+      callbacks:
+        onEvent:
+          '{$request.body#/callbackUrl}':
+            parameters:
+              - $ref: '#/components/parameters/Signature'
+            post:
+              summary: Event delivered
+              requestBody:
+                content:
+                  application/json:
+                    schema:
+                      $ref: '#/components/schemas/Event'
+                    example: { id: evt_1 }
+              responses:
+                '200': { description: Received }
+            put:
+              responses:
+                '204': { description: Replaced }
+        onExpired:
+          $ref: '#/components/callbacks/Expired'
+  /status:
+    get:
+      responses:
+        '200': { description: OK }
+components:
+  parameters:
+    Signature:
+      name: x-signature
+      in: header
+      schema: { type: string }
+  callbacks:
+    Expired:
+      '{$request.body#/callbackUrl}/expired':
+        post:
+          responses:
+            '200': { description: Received }
+  schemas:
+    Event:
+      type: object
+      properties:
+        id: { type: string }
+`;
+
+test('flattens callbacks into one entry per expression and method', async (t) => {
+  const [operation] = (await loadSpecFixture(t, SPEC)).operations;
+
+  assert.deepEqual(
+    operation.callbacks.map((callback) => [callback.name, callback.expression, callback.method, callback.slug]),
+    [
+      ['onEvent', '{$request.body#/callbackUrl}', 'post', 'createsubscription-callback-onevent-post'],
+      ['onEvent', '{$request.body#/callbackUrl}', 'put', 'createsubscription-callback-onevent-put'],
+      ['onExpired', '{$request.body#/callbackUrl}/expired', 'post', 'createsubscription-callback-onexpired-post'],
+    ]
+  );
+});
+
+test('keeps request body, responses and shared parameters on callbacks', async (t) => {
+  const [operation] = (await loadSpecFixture(t, SPEC)).operations;
+  const [delivered] = operation.callbacks;
+
+  assert.equal(delivered.summary, 'Event delivered');
+  assert.deepEqual(delivered.parameters.map((param) => param.name), ['x-signature']);
+  assert.equal(delivered.requestBody.content['application/json'].schema.$ref, '#/components/schemas/Event');
+  assert.equal(delivered.requestBodyExamples[0].examples[0].value, JSON.stringify({ id: 'evt_1' }, null, 2));
+  assert.deepEqual(Object.keys(delivered.responses), ['200']);
+});
+
+test('defaults to an empty list when an operation has no callbacks', async (t) => {
+  const spec = await loadSpecFixture(t, SPEC);
+  assert.deepEqual(spec.operations[1].callbacks, []);
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { appendCodeSamples, runCodeSampleGenerators } from '../index.js';
+import { generateCodeSamples, resolveExampleBody } from '../code-samples.js';
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const SPEC = `
+openapi: 3.0.3
+info: { title: Pets, version: 1.0.0 }
+servers:
+  - url: https://{region}.example.com/v1
+    variables:
+      region: { default: eu }
+security:
+  - apiKey: []
+paths:
+  /pets/{petId}:
+    put:
+      operationId: updatePet
+      parameters:
+        - { name: petId, in: path, required: true, schema: { type: string }, example: p 1 }
+        - { name: dryRun, in: query, schema: { type: boolean } }
+        - { name: fields, in: query, required: true, schema: { type: string } }
+        - { name: X-Trace, in: header, schema: { type: string, example: abc } }
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/Pet' }
+      responses:
+        '200': { description: OK }
+  /pets:
+    get:
+      operationId: listPets
+      security:
+        - bearer: []
+      responses:
+        '200': { description: OK }
+      x-codeSamples:
+        - { lang: Shell, label: CLI, source: pets list }
+  /pets/{petId}/photo:
+    post:
+      operationId: uploadPhoto
+      requestBody:
+        content:
+          multipart/form-data:
+            schema:
+              type: object
+              properties:
+                file: { type: string, format: binary }
+                caption: { type: string, example: Rex }
+      responses:
+        '204': { description: Uploaded }
+components:
+  securitySchemes:
+    apiKey: { type: apiKey, in: header, name: x-api-key }
+    bearer: { type: http, scheme: bearer }
+  schemas:
+    Pet:
+      type: object
+      properties:
+        id: { type: string, readOnly: true }
+        name: { type: string, example: Rex }
+        tags: { type: array, items: { type: string } }
+        owner: { $ref: '#/components/schemas/Owner' }
+    Owner:
+      type: object
+      properties:
+        email: { type: string, format: email }
+        pets: { type: array, items: { $ref: '#/components/schemas/Pet' } }
+`;
+
+async function loadFixture(t) {
+  const spec = await loadSpecFixture(t, SPEC);
+  return { spec, byId: new Map(spec.operations.map((operation) => [operation.operationId, operation])) };
+}
+
+test('generates samples only when x-codeSamples is absent', async (t) => {
+  const { byId } = await loadFixture(t);
+
+  const [generated] = byId.get('updatePet').codeSampleGroups;
+  assert.equal(byId.get('updatePet').codeSampleGroups.length, 1);
+  assert.equal(generated.label, 'Example request');
+  assert.deepEqual(
+    generated.samples.map((sample) => [sample.language, sample.syntax]),
+    [
+      ['curl', 'bash'],
+      ['JavaScript', 'javascript'],
+      ['Python', 'python'],
+      ['Go', 'go'],
+      ['Ruby', 'ruby'],
+    ]
+  );
+  assert.deepEqual(generated.samples[0].extensions, { 'x-generated': true });
+
+  assert.deepEqual(
+    byId.get('listPets').codeSampleGroups.map((group) => group.label),
+    ['CLI']
+  );
+});
+
+test('builds the request from servers, parameters, security and an example body', async (t) => {
+  const { spec, byId } = await loadFixture(t);
+  const curl = byId.get('updatePet').codeSampleGroups[0].samples[0].source;
+
+  assert.equal(
+    curl,
+    `curl -X PUT 'https://eu.example.com/v1/pets/p%201?fields=<fields>' \\
+  -H 'X-Trace: abc' \\
+  -H 'x-api-key: YOUR_API_KEY' \\
+  -H 'Content-Type: application/json' \\
+  --data-raw '{
+  "name": "Rex",
+  "tags": [
+    "string"
+  ],
+  "owner": {
+    "email": "user@example.com",
+    "pets": []
+  }
+}'`
+  );
+
+  const python = byId.get('updatePet').codeSampleGroups[0].samples[2].source;
+  assert.match(python, /requests\.request\(\n {4}"PUT",/);
+  assert.match(python, /data="\{\\n  \\"name\\": \\"Rex\\",/);
+
+  const ruby = byId.get('updatePet').codeSampleGroups[0].samples[4].source;
+  assert.match(ruby, /request\.body = <<~'BODY'\n {2}\{\n {4}"name": "Rex",/);
+
+  const listPets = generateCodeSamples(byId.get('listPets'), spec.components);
+  assert.match(listPets[0].source, /-H 'Authorization: Bearer YOUR_ACCESS_TOKEN'/);
+  assert.doesNotMatch(listPets[3].source, /strings/);
+});
+
+test('uses form fields for multipart bodies', async (t) => {
+  const { spec, byId } = await loadFixture(t);
+  const operation = byId.get('uploadPhoto');
+
+  assert.deepEqual(resolveExampleBody(operation, spec.components), {
+    contentType: 'multipart/form-data',
+    value: { file: '@file', caption: 'Rex' },
+  });
+  const [curl, fetchSample, , goSample] = operation.codeSampleGroups[0].samples.map((sample) => sample.source);
+  assert.match(curl, /-F file=@file \\\n {2}--form-string caption=Rex$/);
+  assert.doesNotMatch(curl, /Content-Type/);
+  assert.match(fetchSample, /body\.append\("file", file, "file"\);/);
+  assert.match(fetchSample, /body\.append\("caption", "Rex"\);/);
+  assert.match(goSample, /form\.FormDataContentType\(\)/);
+});
+
+test('appends custom samples to groups that share a label', async (t) => {
+  const { byId } = await loadFixture(t);
+  const groups = appendCodeSamples(
+    byId.get('updatePet').codeSampleGroups,
+    [
+      { language: 'TypeScript SDK', syntax: 'ts', source: 'await client.pets.update("p 1")' },
+      { label: 'CLI', language: 'Shell', source: 'pets update "p 1"' },
+      { language: 'curl', source: 'duplicate language is ignored' },
+      { language: 'Empty', source: '' },
+    ],
+    { defaultLabel: 'Example request', extensions: { 'x-generator': true } }
+  );
+
+  assert.deepEqual(
+    groups.map((group) => [group.label, group.samples.map((sample) => sample.language)]),
+    [
+      ['Example request', ['curl', 'JavaScript', 'Python', 'Go', 'Ruby', 'TypeScript SDK']],
+      ['CLI', ['Shell']],
+    ]
+  );
+  const sdkSample = groups[0].samples[5];
+  assert.equal(sdkSample.syntax, 'ts');
+  assert.equal(groups[1].samples[0].syntax, 'bash');
+  assert.deepEqual(sdkSample.extensions, { 'x-generator': true });
+  assert.equal(byId.get('updatePet').codeSampleGroups[0].samples.length, 5);
+});
+
+test('runs generators and rejects ones that return a Promise', async (t) => {
+  const { spec, byId } = await loadFixture(t);
+  const operation = byId.get('updatePet');
+  const groups = runCodeSampleGenerators(
+    operation,
+    [(op, { exampleBody }) => ({ language: 'SDK', source: `client.${op.operationId}(${JSON.stringify(exampleBody.value)})` })],
+    spec.components
+  );
+  assert.deepEqual(groups[0].samples.at(-1).language, 'SDK');
+  assert.match(groups[0].samples.at(-1).source, /^client\.updatePet\(/);
+
+  assert.throws(
+    () => runCodeSampleGenerators(operation, [async () => ({ language: 'SDK', source: 'later' })], spec.components),
+    /codeSamples generator failed for PUT \/pets\/\{petId\}\.\n→ Generators must return their samples synchronously/
+  );
+  assert.throws(
+    () => runCodeSampleGenerators(operation, [() => Promise.reject(new Error('boom'))], spec.components),
+    /must return their samples synchronously/
+  );
+});
@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+
+import { bundleExternalRefs } from '../external-refs.js';
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const ROOT_SPEC = `
+openapi: 3.0.3
+info:
+  title: Split spec
+  version: 1.0.0
+paths:
+  /users:
+    get:
+      operationId: listUsers
+      parameters:
+        - $ref: '../common/parameters.yaml#/Limit'
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema:
+                type: array
+                items:
+                  $ref: './schemas/user.yaml#/User'
+        default:
+          $ref: '../common/errors.yaml'
+  /users/{id}:
+    $ref: './paths/user-by-id.yaml'
+components:
+  schemas:
+    Local:
+      type: string
+`;
+
+const FIXTURE_FILES = {
+  'api/schemas/user.yaml': `
+User:
+  type: object
+  properties:
+    id:
+      type: string
+    address:
+      $ref: '#/Address'
+    tag:
+      $ref: '../openapi.yaml#/components/schemas/Local'
+Address:
+  type: object
+  properties:
+    city:
+      type: string
+`,
+  'common/parameters.yaml': `
+Limit:
+  name: limit
+  in: query
+  schema:
+    type: integer
+`,
+  'common/errors.yaml': `
+description: Unexpected error
+content:
+  application/json:
+    schema:
+      type: object
+      properties:
+        message:
+          type: string
+`,
+  'api/paths/user-by-id.yaml': `
+get:
+  operationId: getUser
+  parameters:
+    - name: id
+      in: path
+      required: true
+      schema:
+        type: string
+  responses:
+    '200':
+      description: ok
+      content:
+        application/json:
+          schema:
+            $ref: '../schemas/user.yaml#/User'
+`,
+};
+
+const loadSplitSpec = (t) => loadSpecFixture(t, ROOT_SPEC, { fileName: 'api/openapi.yaml', files: FIXTURE_FILES });
+
+test('hoists relative file refs into components and rewrites pointers', async (t) => {
+  const spec = await loadSplitSpec(t);
+
+  const { components } = spec.document;
+  assert.deepEqual(Object.keys(components.schemas).sort(), ['Address', 'Local', 'User']);
+  assert.equal(components.schemas.User.properties.address.$ref, '#/components/schemas/Address');
+  assert.equal(components.schemas.User.properties.tag.$ref, '#/components/schemas/Local');
+  assert.equal(components.parameters.Limit.name, 'limit');
+  assert.equal(components.responses.errors.description, 'Unexpected error');
+
+  const listUsers = spec.operations.find((operation) => operation.operationId === 'listUsers');
+  assert.deepEqual(listUsers.parameters.map((param) => param.name), ['limit']);
+  assert.equal(
+    listUsers.responses['200'].content['application/json'].schema.items.$ref,
+    '#/components/schemas/User'
+  );
+  assert.equal(listUsers.responses.default.$ref, '#/components/responses/errors');
+});
+
+test('inlines external path items and reuses hoisted components', async (t) => {
+  const spec = await loadSplitSpec(t);
+
+  const getUser = spec.operations.find((operation) => operation.operationId === 'getUser');
+  assert.ok(getUser, 'expected the referenced path item to produce an operation');
+  assert.equal(getUser.path, '/users/{id}');
+  assert.equal(
+    getUser.responses['200'].content['application/json'].schema.$ref,
+    '#/components/schemas/User'
+  );
+  assert.ok(spec.schemas.some((schema) => schema.name === 'User'));
+});
+
+test('reports every local file the spec was assembled from', async (t) => {
+  const spec = await loadSplitSpec(t);
+  const root = path.dirname(spec.sourcePath);
+
+  assert.ok(path.isAbsolute(spec.sourcePath));
+  assert.deepEqual(
+    spec.sourceFiles.map((file) => path.relative(root, file)).sort(),
+    [
+      'openapi.yaml',
+      path.join('paths', 'user-by-id.yaml'),
+      path.join('schemas', 'user.yaml'),
+      path.join('..', 'common', 'errors.yaml'),
+      path.join('..', 'common', 'parameters.yaml'),
+    ].sort()
+  );
+});
+
+test('fails with the unresolved location when a pointer is missing', async (t) => {
+  const spec = `
+openapi: 3.0.3
+info: { title: Broken, version: 1.0.0 }
+paths:
+  /things:
+    get:
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema:
+                $ref: './schemas.yaml#/Missing'
+`;
+
+  await assert.rejects(
+    loadSpecFixture(t, spec, { files: { 'schemas.yaml': 'Thing: { type: object }\n' } }),
+    /Unable to resolve \$ref ".*schemas\.yaml#\/Missing"/
+  );
+});
+
+test('resolves relative refs inside remote documents against their URL', async () => {
+  const remote = {
+    'https://specs.example.com/v1/pets.yaml': {
+      Pet: {
+        type: 'object',
+        properties: {
+          owner: { $ref: './people/owner.yaml#/Owner' },
+          tag: { $ref: '#/Tag' },
+        },
+      },
+      Tag: { type: 'string' },
+    },
+    'https://specs.example.com/v1/people/owner.yaml': {
+      Owner: { type: 'object', properties: { name: { type: 'string' } } },
+    },
+    'https://specs.example.com/errors.yaml': { description: 'Unexpected error' },
+  };
+  const loaded = [];
+  const loadDocument = async (location) => {
+    loaded.push(location);
+    return structuredClone(remote[location.url]);
+  };
+  const rootPath = path.join(os.tmpdir(), 'openapi.yaml');
+  const root = {
+    openapi: '3.0.3',
+    info: { title: 'Remote', version: '1.0.0' },
+    paths: {
+      '/pets': {
+        get: {
+          responses: {
+            200: {
+              description: 'ok',
+              content: {
+                'application/json': { schema: { $ref: 'https://specs.example.com/v1/pets.yaml#/Pet' } },
+              },
+            },
+            default: { $ref: 'https://specs.example.com/v1/../errors.yaml' },
+          },
+        },
+      },
+    },
+  };
+
+  const { document, sourceFiles } = await bundleExternalRefs(root, {
+    source: { type: 'file', path: rootPath },
+    loadDocument,
+  });
+
+  assert.deepEqual(
+    loaded.map((location) => location.url),
+    [
+      'https://specs.example.com/v1/pets.yaml',
+      'https://specs.example.com/errors.yaml',
+      'https://specs.example.com/v1/people/owner.yaml',
+    ]
+  );
+  assert.deepEqual(Object.keys(document.components.schemas), ['Pet', 'Owner', 'Tag']);
+  assert.equal(document.components.schemas.Pet.properties.owner.$ref, '#/components/schemas/Owner');
+  assert.equal(document.components.schemas.Pet.properties.tag.$ref, '#/components/schemas/Tag');
+  assert.equal(document.components.responses.errors.description, 'Unexpected error');
+  assert.equal(document.paths['/pets'].get.responses.default.$ref, '#/components/responses/errors');
+  assert.deepEqual(sourceFiles, [rootPath]);
+});
+
+test('refuses local file refs from remote documents', async () => {
+  const loaded = [];
+  const loadDocument = async (location) => {
+    loaded.push(location);
+    return { Pet: { $ref: 'file:///etc/passwd' } };
+  };
+  const bundle = (schema) =>
+    bundleExternalRefs(
+      { openapi: '3.0.3', info: { title: 'Remote', version: '1.0.0' }, paths: {}, components: { schemas: { Pet: schema } } },
+      { source: { type: 'url', url: 'https://specs.example.com/openapi.yaml' }, loadDocument }
+    );
+
+  await assert.rejects(bundle({ $ref: 'file:///etc/passwd' }), /Refusing \$ref "file:\/\/\/etc\/passwd"/);
+  await assert.rejects(
+    bundle({ $ref: './pets.yaml#/Pet' }),
+    /Refusing \$ref "file:\/\/\/etc\/passwd" in remote document https:\/\/specs\.example\.com\/pets\.yaml/
+  );
+  assert.deepEqual(loaded.map((location) => location.type), ['url']);
+});
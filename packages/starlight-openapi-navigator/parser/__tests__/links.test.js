@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const SPEC = `
+openapi: 3.0.3
+info: { title: Users, version: 1.0.0 }
+paths:
+  /users:
+    post:
+      operationId: createUser
+      responses:
+        '201':
+          description: Created
+          links:
+            GetUser:
+              operationId: getUser
+              description: Fetch the new user.
+              parameters:
+                path.userId: $response.body#/id
+            UpdateUser:
+              operationRef: '#/paths/~1users~1{userId}/patch'
+              parameters:
+                userId: $response.body#/id
+              requestBody: { name: $request.body#/name }
+        default:
+          $ref: '#/components/responses/Problem'
+  /users/{userId}:
+    get:
+      operationId: getUser
+      responses:
+        '200': { description: OK }
+    patch:
+      operationId: updateUser
+      responses:
+        '200': { description: OK }
+components:
+  responses:
+    Problem:
+      description: Error
+      links:
+        Missing:
+          $ref: '#/components/links/Missing'
+  links:
+    Missing:
+      operationId: deleteUser
+`;
+
+test('collects response links with their status and parameter expressions', async (t) => {
+  const [createUser] = (await loadSpecFixture(t, SPEC)).operations;
+
+  assert.deepEqual(
+    createUser.links.map((link) => [link.status, link.name]),
+    [
+      ['201', 'GetUser'],
+      ['201', 'UpdateUser'],
+      ['default', 'Missing'],
+    ]
+  );
+  assert.deepEqual(createUser.links[0].parameters, [
+    { name: 'path.userId', expression: '$response.body#/id' },
+  ]);
+  assert.equal(createUser.links[0].description, 'Fetch the new user.');
+  assert.deepEqual(createUser.links[1].requestBody, { name: '$request.body#/name' });
+});
+
+test('resolves operationId and operationRef to generated operation slugs', async (t) => {
+  const [createUser] = (await loadSpecFixture(t, SPEC)).operations;
+  const [getUser, updateUser, missing] = createUser.links;
+
+  assert.deepEqual(getUser.target, { slug: 'getuser', method: 'get', path: '/users/{userId}' });
+  assert.deepEqual(updateUser.target, { slug: 'updateuser', method: 'patch', path: '/users/{userId}' });
+  assert.equal(missing.target, undefined);
+  assert.equal(missing.operationId, 'deleteUser');
+});
+
+test('only resolves operationRefs into this document and tolerates bad escapes', async (t) => {
+  const spec = await loadSpecFixture(
+    t,
+    `
+openapi: 3.0.3
+info: { title: Refs, version: 1.0.0 }
+paths:
+  /users/{userId}:
+    get:
+      operationId: getUser
+      responses:
+        '200':
+          description: OK
+          links:
+            Malformed:
+              operationRef: '#/paths/%E0/get'
+            OtherDocument:
+              operationRef: './other.yaml#/paths/~1users~1{userId}/get'
+            Remote:
+              operationRef: 'https://example.com/openapi.yaml#/paths/~1users~1{userId}/get'
+            SameDocument:
+              operationRef: './openapi.yaml#/paths/~1users~1%7BuserId%7D/get'
+`
+  );
+
+  assert.deepEqual(
+    spec.operations[0].links.map((link) => [link.name, link.target?.slug]),
+    [
+      ['Malformed', undefined],
+      ['OtherDocument', undefined],
+      ['Remote', undefined],
+      ['SameDocument', 'getuser'],
+    ]
+  );
+});
@@ -0,0 +1,25 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadAndNormalizeSpec } from '../index.js';
+
+/**
+ * Write `spec` to a temporary directory and load it as the plugin would. The directory is removed
+ * when the test `t` finishes.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {string} spec Document text, YAML or JSON.
+ * @param {{ fileName?: string, files?: Record<string, string> }} [options] `files` are written next
+ *   to the spec, for documents that reference other files. Names may include subdirectories.
+ */
+export async function loadSpecFixture(t, spec, { fileName = 'openapi.yaml', files = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'openapi-fixture-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [name, contents] of Object.entries({ ...files, [fileName]: spec })) {
+    const filePath = path.join(dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, contents, 'utf8');
+  }
+  return loadAndNormalizeSpec({ type: 'file', path: path.join(dir, fileName) });
+}
@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertSwagger2Document, isSwagger2Document } from '../swagger2.js';
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const PETSTORE = {
+  swagger: '2.0',
+  info: { title: 'Petstore', version: '1.0.0' },
+  host: 'petstore.example.com',
+  basePath: '/v1/',
+  schemes: ['https', 'http'],
+  consumes: ['application/json'],
+  produces: ['application/json'],
+  securityDefinitions: {
+    basicAuth: { type: 'basic' },
+    apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' },
+    petstoreAuth: {
+      type: 'oauth2',
+      flow: 'accessCode',
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      scopes: { 'pets:read': 'Read pets' },
+    },
+  },
+  security: [{ apiKey: [] }],
+  parameters: {
+    limit: { name: 'limit', in: 'query', type: 'integer', maximum: 100 },
+    petBody: { name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } },
+  },
+  responses: {
+    NotFound: { description: 'Not found', schema: { $ref: '#/definitions/Error' } },
+  },
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        tags: ['pets'],
+        parameters: [
+          { $ref: '#/parameters/limit' },
+          { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+        ],
+        responses: {
+          200: {
+            description: 'A list of pets',
+            schema: { type: 'array', items: { $ref: '#/definitions/Pet' } },
+            headers: { 'X-Rate-Limit': { type: 'integer', description: 'Calls per hour' } },
+            examples: { 'application/json': [{ id: 1, name: 'Rex' }] },
+          },
+        },
+      },
+      post: {
+        operationId: 'createPet',
+        tags: ['pets'],
+        parameters: [{ $ref: '#/parameters/petBody' }],
+        responses: { 201: { description: 'Created' } },
+      },
+    },
+    '/pets/{petId}/photo': {
+      parameters: [{ name: 'petId', in: 'path', type: 'string' }],
+      post: {
+        operationId: 'uploadPhoto',
+        consumes: ['multipart/form-data'],
+        parameters: [
+          { name: 'file', in: 'formData', type: 'file', required: true },
+          { name: 'caption', in: 'formData', type: 'string' },
+        ],
+        responses: { 404: { $ref: '#/responses/NotFound' } },
+      },
+    },
+  },
+  definitions: {
+    Pet: {
+      type: 'object',
+      discriminator: 'kind',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string', 'x-nullable': true },
+        owner: { $ref: '#/definitions/Owner' },
+      },
+    },
+    Owner: { type: 'object', properties: { name: { type: 'string' } } },
+    Error: { type: 'object', properties: { message: { type: 'string' } } },
+  },
+};
+
+test('detects Swagger 2.0 documents', () => {
+  assert.equal(isSwagger2Document(PETSTORE), true);
+  assert.equal(isSwagger2Document({ openapi: '3.0.3' }), false);
+  assert.equal(isSwagger2Document(null), false);
+});
+
+test('maps host, basePath and schemes to servers', () => {
+  const converted = convertSwagger2Document(structuredClone(PETSTORE));
+  assert.equal(converted.openapi, '3.0.3');
+  assert.deepEqual(converted.servers, [
+    { url: 'https://petstore.example.com/v1' },
+    { url: 'http://petstore.example.com/v1' },
+  ]);
+  assert.deepEqual(
+    convertSwagger2Document({ swagger: '2.0', basePath: '/api', paths: {} }).servers,
+    [{ url: '/api' }]
+  );
+});
+
+test('moves definitions and security definitions into components', () => {
+  const { components } = convertSwagger2Document(structuredClone(PETSTORE));
+  assert.deepEqual(Object.keys(components.schemas), ['Pet', 'Owner', 'Error']);
+  assert.equal(components.schemas.Pet.properties.owner.$ref, '#/components/schemas/Owner');
+  assert.equal(components.schemas.Pet.properties.name.nullable, true);
+  assert.deepEqual(components.schemas.Pet.discriminator, { propertyName: 'kind' });
+
+  assert.deepEqual(components.securitySchemes.basicAuth, { type: 'http', scheme: 'basic' });
+  assert.equal(components.securitySchemes.apiKey.in, 'header');
+  assert.deepEqual(components.securitySchemes.petstoreAuth.flows, {
+    authorizationCode: {
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      scopes: { 'pets:read': 'Read pets' },
+    },
+  });
+});
+
+test('normalizes converted operations like native OpenAPI 3 documents', async (t) => {
+  const spec = await loadSpecFixture(t, JSON.stringify(PETSTORE), { fileName: 'swagger.json' });
+  const byId = new Map(spec.operations.map((operation) => [operation.operationId, operation]));
+
+  const listPets = byId.get('listPets');
+  assert.deepEqual(listPets.parameters.map((param) => param.name), ['limit', 'tags']);
+  assert.equal(listPets.parameters[0].schema.maximum, 100);
+  assert.deepEqual(
+    { style: listPets.parameters[1].style, explode: listPets.parameters[1].explode },
+    { style: 'form', explode: true }
+  );
+  const okResponse = listPets.responses['200'];
+  assert.equal(okResponse.content['application/json'].schema.items.$ref, '#/components/schemas/Pet');
+  assert.deepEqual(okResponse.headers['X-Rate-Limit'].schema, { type: 'integer' });
+  assert.equal(listPets.responseExamples.length, 1);
+  assert.deepEqual(listPets.security, [{ apiKey: [] }]);
+
+  const createPet = byId.get('createPet');
+  assert.equal(createPet.requestBody.required, true);
+  assert.equal(
+    createPet.requestBody.content['application/json'].schema.$ref,
+    '#/components/schemas/Pet'
+  );
+  assert.equal(createPet.parameters.length, 0);
+
+  const uploadPhoto = byId.get('uploadPhoto');
+  assert.deepEqual(uploadPhoto.parameters.map((param) => param.name), ['petId']);
+  assert.equal(uploadPhoto.parameters[0].required, true);
+  const multipart = uploadPhoto.requestBody.content['multipart/form-data'].schema;
+  assert.deepEqual(multipart.properties.file, { type: 'string', format: 'binary' });
+  assert.deepEqual(multipart.required, ['file']);
+  assert.equal(uploadPhoto.responses['404'].description, 'Not found');
+
+  assert.deepEqual(spec.schemas.map((schema) => schema.name), ['Pet', 'Owner', 'Error']);
+  assert.equal(spec.servers[0].url, 'https://petstore.example.com/v1');
+});
+
+test('converts fragments referenced from other files', async (t) => {
+  const root = `swagger: '2.0'
+info:
+  title: Split
+  version: 1.0.0
+paths:
+  /pets:
+    get:
+      operationId: listPets
+      parameters:
+        - $ref: './shared.yaml#/parameters/limit'
+      responses:
+        '404':
+          $ref: './shared.yaml#/responses/NotFound'
+    post:
+      operationId: createPet
+      parameters:
+        - $ref: './shared.yaml#/parameters/petBody'
+      responses:
+        '201':
+          description: Created
+`;
+  const shared = `parameters:
+  limit:
+    name: limit
+    in: query
+    type: integer
+    maximum: 100
+  petBody:
+    name: pet
+    in: body
+    required: true
+    schema:
+      $ref: '#/definitions/Pet'
+responses:
+  NotFound:
+    description: Not found
+    schema:
+      type: object
+definitions:
+  Pet:
+    type: object
+    properties:
+      name:
+        type: string
+`;
+
+  const spec = await loadSpecFixture(t, root, { fileName: 'swagger.yaml', files: { 'shared.yaml': shared } });
+  const byId = new Map(spec.operations.map((operation) => [operation.operationId, operation]));
+
+  const listPets = byId.get('listPets');
+  assert.equal(listPets.parameters[0].name, 'limit');
+  assert.deepEqual(listPets.parameters[0].schema, { type: 'integer', maximum: 100 });
+  assert.equal(listPets.parameters[0].type, undefined);
+  assert.equal(listPets.responses['404'].content['application/json'].schema.type, 'object');
+
+  const createPet = byId.get('createPet');
+  assert.equal(createPet.parameters.length, 0);
+  assert.equal(createPet.requestBody.required, true);
+  assert.equal(
+    createPet.requestBody.content['application/json'].schema.$ref,
+    '#/components/schemas/Pet'
+  );
+  assert.deepEqual(spec.schemas.map((schema) => schema.name), ['Pet']);
+});
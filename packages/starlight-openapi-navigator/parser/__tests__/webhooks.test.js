@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadSpecFixture } from './load-spec-fixture.js';
+
+const SPEC = `
+openapi: 3.1.0
+info: { title: Events, version: 1.0.0 }
+servers:
+  - url: https://api.example.com
+security:
+  - apiKey: []
+paths:
+  /subscriptions:
+    post:
+      operationId: createSubscription
+      responses:
+        '201': { description: Created }
+webhooks:
+  order.created:
+    parameters:
+      - name: x-signature
+        in: header
+        required: true
+        schema: { type: string }
+    post:
+      summary: Order created
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: '#/components/schemas/Order'
+            example: { id: ord_1 }
+      responses:
+        '200': { description: Acknowledged }
+  order.refunded:
+    post:
+      security:
+        - signature: []
+      responses:
+        '204': { description: Acknowledged }
+components:
+  securitySchemes:
+    apiKey: { type: apiKey, in: header, name: x-api-key }
+    signature: { type: apiKey, in: header, name: x-signature }
+  schemas:
+    Order:
+      type: object
+      properties:
+        id: { type: string }
+`;
+
+test('normalizes top-level webhooks separately from path operations', async (t) => {
+  const spec = await loadSpecFixture(t, SPEC);
+
+  assert.deepEqual(spec.operations.map((operation) => operation.operationId), ['createSubscription']);
+  assert.equal(spec.operations[0].kind, 'operation');
+  assert.equal(spec.stats.webhooks, 2);
+  assert.deepEqual(
+    spec.webhooks.map((webhook) => [webhook.kind, webhook.path, webhook.method, webhook.slug]),
+    [
+      ['webhook', 'order.created', 'post', 'order-created'],
+      ['webhook', 'order.refunded', 'post', 'order-refunded'],
+    ]
+  );
+});
+
+test('keeps payload, headers and examples on webhook operations', async (t) => {
+  const [created] = (await loadSpecFixture(t, SPEC)).webhooks;
+
+  assert.deepEqual(created.parameters.map((param) => `${param.in}:${param.name}`), ['header:x-signature']);
+  assert.equal(
+    created.requestBody.content['application/json'].schema.$ref,
+    '#/components/schemas/Order'
+  );
+  assert.equal(created.requestBodyExamples[0].examples[0].value, JSON.stringify({ id: 'ord_1' }, null, 2));
+  assert.deepEqual(Object.keys(created.responses), ['200']);
+});
+
+test('does not inherit API-wide security or servers for webhooks', async (t) => {
+  const [created, refunded] = (await loadSpecFixture(t, SPEC)).webhooks;
+
+  assert.equal(created.security, undefined);
+  assert.equal(created.servers, undefined);
+  assert.deepEqual(refunded.security, [{ signature: [] }]);
+});
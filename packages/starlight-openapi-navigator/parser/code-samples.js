@@ -0,0 +1,310 @@
+/**
+ * Build-time request snippets for operations that don't ship `x-codeSamples`.
+ *
+ * Everything here works on the normalized operation plus the document's `components`, so the
+ * snippets describe the same request the docs do: first server, example path/query/header values,
+ * the first security requirement and an example body. The snippets themselves are rendered by the
+ * same code as the Try it console's "Copy as…" menu.
+ */
+
+import { renderRequestSnippet } from '../runtime/snippets.js';
+
+export const GENERATED_SAMPLE_LABEL = 'Example request';
+
+const MAX_EXAMPLE_DEPTH = 8;
+
+const CREDENTIAL_PLACEHOLDERS = {
+  apiKey: 'YOUR_API_KEY',
+  bearer: 'YOUR_ACCESS_TOKEN',
+  basic: 'YOUR_BASE64_CREDENTIALS',
+};
+
+/**
+ * @typedef {object} GeneratedCodeSample
+ * @property {string} label
+ * @property {string} language
+ * @property {string} source
+ */
+
+/**
+ * @typedef {object} ExampleBody
+ * @property {string} contentType
+ * @property {unknown} value Parsed example (object for JSON/form bodies, string otherwise).
+ */
+
+// Language labels mapped to their snippet formats in runtime/snippets.js.
+const GENERATORS = [
+  { language: 'curl', format: 'curl' },
+  { language: 'JavaScript', format: 'fetch' },
+  { language: 'Python', format: 'python' },
+  { language: 'Go', format: 'go' },
+  { language: 'Ruby', format: 'ruby' },
+];
+
+// Placeholder for `format: binary` fields; multipart bodies send it as a file part.
+const BINARY_PLACEHOLDER = '@file';
+
+/**
+ * Generate one snippet per built-in language for an operation.
+ *
+ * @param {import('./index.js').NormalizedOperation} operation
+ * @param {Record<string, any>} [components]
+ * @returns {GeneratedCodeSample[]}
+ */
+export function generateCodeSamples(operation, components = {}) {
+  const request = buildSampleRequest(operation, components);
+  return GENERATORS.map(({ language, format }) => ({
+    label: GENERATED_SAMPLE_LABEL,
+    language,
+    source: renderRequestSnippet(format, request),
+  }));
+}
+
+/**
+ * Pick an example request body: the media type's own example first, then one synthesized from
+ * its schema with component `$ref`s resolved.
+ *
+ * @param {import('./index.js').NormalizedOperation} operation
+ * @param {Record<string, any>} [components]
+ * @returns {ExampleBody | undefined}
+ */
+export function resolveExampleBody(operation, components = {}) {
+  const requestBody = resolveComponentRef(operation?.requestBody, components, 'requestBodies');
+  if (!isPlainObject(requestBody) || !isPlainObject(requestBody.content)) return undefined;
+  const [contentType, media] = Object.entries(requestBody.content)[0] || [];
+  if (!contentType || !isPlainObject(media)) return undefined;
+
+  let value = media.example;
+  if (value === undefined && isPlainObject(media.examples)) {
+    for (const entry of Object.values(media.examples)) {
+      const example = resolveComponentRef(entry, components, 'examples');
+      if (isPlainObject(example) && example.value !== undefined) {
+        value = example.value;
+        break;
+      }
+    }
+  }
+  if (value === undefined) {
+    value = buildSchemaExample(media.schema, components.schemas || {});
+  }
+  if (value === undefined) return undefined;
+  return { contentType, value };
+}
+
+/**
+ * @param {import('./index.js').NormalizedOperation} operation
+ * @param {Record<string, any>} components
+ * @returns {import('../runtime/snippets.js').SnippetRequest}
+ */
+function buildSampleRequest(operation, components) {
+  const parameters = Array.isArray(operation.parameters) ? operation.parameters : [];
+  let path = operation.path || '/';
+  const query = [];
+  const headers = [];
+
+  parameters.forEach((param) => {
+    if (!isPlainObject(param) || typeof param.name !== 'string') return;
+    const example = getParameterExample(param);
+    if (param.in === 'path') {
+      if (example !== undefined) {
+        path = path.replace(`{${param.name}}`, encodeURIComponent(stringifyValue(example)));
+      }
+      return;
+    }
+    if (!param.required && example === undefined) return;
+    const value = example === undefined ? `<${param.name}>` : stringifyValue(example);
+    if (param.in === 'query') query.push([param.name, value]);
+    if (param.in === 'header') headers.push([param.name, value]);
+  });
+
+  applySecurity(operation.security, components.securitySchemes, { query, headers });
+
+  const body = resolveExampleBody(operation, components);
+  if (body && !/^multipart\//i.test(body.contentType)) {
+    headers.push(['Content-Type', body.contentType]);
+  }
+
+  const queryString = query
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeQueryValue(value)}`)
+    .join('&');
+
+  return {
+    method: String(operation.method || 'get').toUpperCase(),
+    url: `${resolveServerUrl(operation.servers)}${path}${queryString ? `?${queryString}` : ''}`,
+    headers,
+    body: body && toSnippetBody(body),
+  };
+}
+
+function toSnippetBody({ contentType, value }) {
+  const type = contentType.toLowerCase();
+  if (type.startsWith('multipart/') && isPlainObject(value)) {
+    return {
+      type: 'form-data',
+      parts: Object.entries(value).map(([name, entry]) =>
+        entry === BINARY_PLACEHOLDER ? { name, fileName: 'file' } : { name, value: stringifyValue(entry) }
+      ),
+    };
+  }
+  if (typeof value === 'string') return { type: 'text', text: value };
+  if (type === 'application/x-www-form-urlencoded' && isPlainObject(value)) {
+    const text = Object.entries(value)
+      .map(([name, entry]) => `${encodeURIComponent(name)}=${encodeURIComponent(stringifyValue(entry))}`)
+      .join('&');
+    return { type: 'text', text };
+  }
+  return { type: 'text', text: JSON.stringify(value, null, 2) };
+}
+
+function applySecurity(security, securitySchemes, { query, headers }) {
+  if (!Array.isArray(security) || !isPlainObject(securitySchemes)) return;
+  const requirement = security.find((entry) => isPlainObject(entry));
+  if (!requirement) return;
+
+  Object.keys(requirement).forEach((schemeName) => {
+    const scheme = securitySchemes[schemeName];
+    if (!isPlainObject(scheme)) return;
+    if (scheme.type === 'apiKey' && typeof scheme.name === 'string') {
+      if (scheme.in === 'query') query.push([scheme.name, CREDENTIAL_PLACEHOLDERS.apiKey]);
+      else if (scheme.in === 'cookie') headers.push(['Cookie', `${scheme.name}=${CREDENTIAL_PLACEHOLDERS.apiKey}`]);
+      else headers.push([scheme.name, CREDENTIAL_PLACEHOLDERS.apiKey]);
+      return;
+    }
+    if (scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'basic') {
+      headers.push(['Authorization', `Basic ${CREDENTIAL_PLACEHOLDERS.basic}`]);
+      return;
+    }
+    if (scheme.type === 'http' || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+      headers.push(['Authorization', `Bearer ${CREDENTIAL_PLACEHOLDERS.bearer}`]);
+    }
+  });
+}
+
+function resolveServerUrl(servers) {
+  const server = Array.isArray(servers) ? servers.find((entry) => isPlainObject(entry) && typeof entry.url === 'string') : undefined;
+  if (!server) return '';
+  const variables = isPlainObject(server.variables) ? server.variables : {};
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = variables[name];
+    return isPlainObject(variable) && variable.default !== undefined ? String(variable.default) : match;
+  });
+  return url.replace(/\/+$/, '');
+}
+
+function getParameterExample(param) {
+  if (param.example !== undefined) return param.example;
+  if (isPlainObject(param.examples)) {
+    for (const entry of Object.values(param.examples)) {
+      if (isPlainObject(entry) && entry.value !== undefined) return entry.value;
+    }
+  }
+  const schema = isPlainObject(param.schema) ? param.schema : {};
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  return undefined;
+}
+
+/**
+ * Synthesize a value that matches a schema closely enough to serve as a placeholder body.
+ */
+function buildSchemaExample(schema, schemas, seen = new Set(), depth = 0) {
+  if (!isPlainObject(schema) || depth > MAX_EXAMPLE_DEPTH) return undefined;
+
+  if (typeof schema.$ref === 'string') {
+    const match = schema.$ref.match(/^#\/components\/schemas\/(.+)$/);
+    if (!match || seen.has(schema.$ref)) return undefined;
+    const name = match[1].replace(/~1/g, '/').replace(/~0/g, '~');
+    return buildSchemaExample(schemas[name], schemas, new Set([...seen, schema.$ref]), depth + 1);
+  }
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, entry) => {
+      const part = buildSchemaExample(entry, schemas, seen, depth + 1);
+      return isPlainObject(part) ? { ...merged, ...part } : merged;
+    }, buildObjectExample(schema, schemas, seen, depth) || {});
+  }
+  const alternatives = Array.isArray(schema.oneOf) ? schema.oneOf : schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length) {
+    return buildSchemaExample(alternatives[0], schemas, seen, depth + 1);
+  }
+
+  const type = Array.isArray(schema.type)
+    ? schema.type.find((entry) => entry !== 'null')
+    : schema.type;
+
+  if (type === 'object' || (!type && isPlainObject(schema.properties))) {
+    return buildObjectExample(schema, schemas, seen, depth) || {};
+  }
+  if (type === 'array' || (!type && schema.items)) {
+    const item = buildSchemaExample(schema.items, schemas, seen, depth + 1);
+    return item === undefined ? [] : [item];
+  }
+  if (type === 'integer' || type === 'number') return 0;
+  if (type === 'boolean') return true;
+  if (type === 'string') return stringExampleForFormat(schema.format);
+  return undefined;
+}
+
+function buildObjectExample(schema, schemas, seen, depth) {
+  if (!isPlainObject(schema.properties)) return undefined;
+  /** @type {Record<string, unknown>} */
+  const value = {};
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (isPlainObject(property) && property.readOnly) return;
+    const example = buildSchemaExample(property, schemas, seen, depth + 1);
+    if (example !== undefined) value[name] = example;
+  });
+  return value;
+}
+
+function stringExampleForFormat(format) {
+  switch (format) {
+    case 'date-time':
+      return '2024-01-01T00:00:00Z';
+    case 'date':
+      return '2024-01-01';
+    case 'email':
+      return 'user@example.com';
+    case 'uuid':
+      return '00000000-0000-0000-0000-000000000000';
+    case 'uri':
+    case 'url':
+      return 'https://example.com';
+    case 'binary':
+      return BINARY_PLACEHOLDER;
+    default:
+      return 'string';
+  }
+}
+
+function resolveComponentRef(value, components, section) {
+  if (!isPlainObject(value) || typeof value.$ref !== 'string') return value;
+  const prefix = `#/components/${section}/`;
+  if (!value.$ref.startsWith(prefix)) return undefined;
+  const name = value.$ref.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~');
+  return isPlainObject(components[section]) ? components[section][name] : undefined;
+}
+
+function encodeQueryValue(value) {
+  // Keep `<name>` placeholders readable instead of percent-encoding them.
+  return /^<[^>]+>$/.test(value) ? value : encodeURIComponent(value);
+}
+
+function stringifyValue(value) {
+  if (typeof value === 'string') return value;
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,316 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { isSwagger2Document } from './swagger2.js';
+
+/**
+ * @typedef {{ type: 'url', url: string } | { type: 'file', path: string }} SpecDocumentSource
+ */
+
+/**
+ * @typedef {object} BundleExternalRefsOptions
+ * @property {SpecDocumentSource} source Location of the root document; relative refs resolve against it.
+ * @property {(source: SpecDocumentSource) => Promise<Record<string, unknown>>} loadDocument
+ */
+
+/**
+ * @typedef {object} BundleExternalRefsResult
+ * @property {Record<string, unknown>} document
+ * @property {string[]} sourceFiles Local files read while bundling, including the root document.
+ */
+
+const COMPONENT_SECTIONS = new Set([
+  'schemas',
+  'responses',
+  'parameters',
+  'examples',
+  'requestBodies',
+  'headers',
+  'securitySchemes',
+  'links',
+  'callbacks',
+]);
+
+// Keys whose value *is* a referenceable object of the given kind.
+const DIRECT_KINDS = new Map(
+  Object.entries({
+    schema: 'schemas',
+    requestBody: 'requestBodies',
+  })
+);
+
+// Keys whose value is a map/array of referenceable objects of the given kind.
+const COLLECTION_KINDS = new Map(
+  Object.entries({
+    schemas: 'schemas',
+    parameters: 'parameters',
+    responses: 'responses',
+    requestBodies: 'requestBodies',
+    headers: 'headers',
+    examples: 'examples',
+    links: 'links',
+    callbacks: 'callbacks',
+    securitySchemes: 'securitySchemes',
+    paths: 'pathItems',
+    webhooks: 'pathItems',
+    definitions: 'schemas',
+    securityDefinitions: 'securitySchemes',
+  })
+);
+
+// Where a Swagger 2.0 root keeps each kind of component. Kinds missing here have no shared section
+// in Swagger 2.0, so refs to them are inlined.
+const SWAGGER2_SECTIONS = new Map(
+  Object.entries({
+    schemas: 'definitions',
+    parameters: 'parameters',
+    responses: 'responses',
+    securitySchemes: 'securityDefinitions',
+  })
+);
+
+/**
+ * Follow relative file and remote URL `$ref`s, hoisting every referenced object into the root
+ * document's `components` so downstream resolvers only ever see `#/components/...` pointers.
+ * Path item refs are inlined because OpenAPI 3.0 has no `components.pathItems` section.
+ *
+ * A Swagger 2.0 root is bundled in its own shape (`definitions`, `parameters`, `responses`,
+ * `securityDefinitions`), so the result can be converted to OpenAPI 3 like a single-file document.
+ *
+ * @param {Record<string, unknown>} document Parsed root document. Mutated in place.
+ * @param {BundleExternalRefsOptions} options
+ * @returns {Promise<BundleExternalRefsResult>}
+ */
+export async function bundleExternalRefs(document, { source, loadDocument }) {
+  const rootKey = toLocationKey(source);
+  const swagger2 = isSwagger2Document(document);
+  const documents = new Map([[rootKey, Promise.resolve(document)]]);
+  const sourceFiles = new Set(source.type === 'file' ? [source.path] : []);
+  /** @type {Map<string, string>} */
+  const hoisted = new Map();
+  /** @type {Array<{ node: Record<string, unknown>, base: SpecDocumentSource, kind: string | null }>} */
+  const pending = [];
+
+  const load = (location) => {
+    const key = toLocationKey(location);
+    if (!documents.has(key)) {
+      if (location.type === 'file') sourceFiles.add(location.path);
+      documents.set(key, loadDocument(location));
+    }
+    return documents.get(key);
+  };
+
+  const collect = (node, base, kind, isRoot) => {
+    const seen = new WeakSet();
+    const walk = (value, currentKind, childKind) => {
+      if (!value || typeof value !== 'object' || seen.has(value)) return;
+      seen.add(value);
+      if (Array.isArray(value)) {
+        value.forEach((entry) => walk(entry, childKind ?? currentKind, null));
+        return;
+      }
+      if (typeof value.$ref === 'string' && !(isRoot && value.$ref.startsWith('#'))) {
+        pending.push({ node: value, base, kind: currentKind });
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (key === '$ref') continue;
+        if (childKind) {
+          walk(child, childKind, null);
+        } else if (currentKind === 'schemas') {
+          walk(child, 'schemas', null);
+        } else if (DIRECT_KINDS.has(key)) {
+          walk(child, DIRECT_KINDS.get(key), null);
+        } else if (COLLECTION_KINDS.has(key)) {
+          walk(child, null, COLLECTION_KINDS.get(key));
+        } else {
+          walk(child, null, null);
+        }
+      }
+    };
+    walk(node, kind, null);
+  };
+
+  const ensureSection = (section) => {
+    if (swagger2) {
+      const key = SWAGGER2_SECTIONS.get(section);
+      if (!isPlainObject(document[key])) document[key] = {};
+      return { components: document[key], prefix: `#/${key}/` };
+    }
+    if (!isPlainObject(document.components)) document.components = {};
+    if (!isPlainObject(document.components[section])) document.components[section] = {};
+    return { components: document.components[section], prefix: `#/components/${section}/` };
+  };
+
+  const isInlined = (pointer, kind) =>
+    kind === 'pathItems' || (swagger2 && !SWAGGER2_SECTIONS.has(deriveComponentSection(pointer, kind)));
+
+  const hoist = async (location, pointer, kind) => {
+    const key = `${toLocationKey(location)}#${pointer}`;
+    if (hoisted.has(key)) return hoisted.get(key);
+
+    const target = resolvePointer(await load(location), pointer);
+    if (target === undefined) {
+      throw new Error(
+        `starlight-openapi-navigator: Unable to resolve $ref "${formatLocation(location)}#${pointer}".`
+      );
+    }
+
+    const section = deriveComponentSection(pointer, kind);
+    const { components, prefix } = ensureSection(section);
+    const name = reserveName(components, deriveComponentName(location, pointer));
+    const ref = `${prefix}${escapePointerSegment(name)}`;
+    hoisted.set(key, ref);
+
+    const copy = cloneValue(target);
+    components[name] = copy;
+    collect(copy, location, section, false);
+    return ref;
+  };
+
+  collect(document, source, null, true);
+
+  while (pending.length) {
+    const { node, base, kind } = pending.shift();
+    const { location, pointer } = resolveRefTarget(node.$ref, base);
+
+    if (toLocationKey(location) === rootKey) {
+      node.$ref = `#${pointer}`;
+      continue;
+    }
+
+    if (isInlined(pointer, kind)) {
+      const target = resolvePointer(await load(location), pointer);
+      if (!isPlainObject(target)) {
+        const label = kind === 'pathItems' ? 'path item $ref' : '$ref';
+        throw new Error(`starlight-openapi-navigator: Unable to resolve ${label} "${node.$ref}".`);
+      }
+      const siblings = { ...node };
+      delete siblings.$ref;
+      delete node.$ref;
+      Object.assign(node, cloneValue(target), siblings);
+      collect(node, location, kind, false);
+      continue;
+    }
+
+    node.$ref = await hoist(location, pointer, kind);
+  }
+
+  return { document, sourceFiles: Array.from(sourceFiles) };
+}
+
+function resolveRefTarget(ref, base) {
+  const hashIndex = ref.indexOf('#');
+  const refPath = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+  const pointer = normalizePointer(fragment);
+
+  if (!refPath) return { location: base, pointer };
+
+  if (/^https?:\/\//i.test(refPath) || base.type === 'url') {
+    const baseUrl = base.type === 'url' ? base.url : undefined;
+    const resolved = new URL(refPath, baseUrl);
+    // A remote document must not make the build read local files (or anything but http(s)).
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+      throw new Error(
+        `starlight-openapi-navigator: Refusing $ref "${ref}" in remote document ${formatLocation(base)}; only http(s) refs are followed there.`
+      );
+    }
+    resolved.hash = '';
+    return { location: { type: 'url', url: resolved.href }, pointer };
+  }
+
+  if (/^file:\/\//i.test(refPath)) {
+    return { location: { type: 'file', path: fileURLToPath(refPath) }, pointer };
+  }
+
+  const decodedPath = safeDecode(refPath);
+  return {
+    location: { type: 'file', path: path.resolve(path.dirname(base.path), decodedPath) },
+    pointer,
+  };
+}
+
+function normalizePointer(fragment) {
+  const decoded = safeDecode(fragment);
+  if (!decoded || decoded === '/') return '';
+  return decoded.startsWith('/') ? decoded : `/${decoded}`;
+}
+
+function resolvePointer(document, pointer) {
+  if (!pointer) return document;
+  const segments = pointer
+    .slice(1)
+    .split('/')
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let cursor = document;
+  for (const segment of segments) {
+    if (!cursor || typeof cursor !== 'object') return undefined;
+    cursor = cursor[segment];
+  }
+  return cursor;
+}
+
+function deriveComponentSection(pointer, kind) {
+  const match = pointer.match(/^\/components\/([^/]+)\/[^/]+$/);
+  if (match && COMPONENT_SECTIONS.has(match[1])) return match[1];
+  const swagger2Match = pointer.match(/^\/(definitions|securityDefinitions)\/[^/]+$/);
+  if (swagger2Match) return COLLECTION_KINDS.get(swagger2Match[1]);
+  if (kind && COMPONENT_SECTIONS.has(kind)) return kind;
+  return 'schemas';
+}
+
+function deriveComponentName(location, pointer) {
+  const segments = pointer.split('/').filter(Boolean);
+  const lastSegment = segments.length
+    ? segments[segments.length - 1].replace(/~1/g, '/').replace(/~0/g, '~')
+    : '';
+  const fallback = location.type === 'url'
+    ? path.posix.basename(new URL(location.url).pathname)
+    : path.basename(location.path);
+  const raw = lastSegment || fallback.replace(/\.(ya?ml|json)$/i, '');
+  const sanitized = raw.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '');
+  return sanitized || 'External';
+}
+
+function reserveName(section, name) {
+  if (!Object.prototype.hasOwnProperty.call(section, name)) return name;
+  let suffix = 2;
+  while (Object.prototype.hasOwnProperty.call(section, `${name}_${suffix}`)) {
+    suffix += 1;
+  }
+  return `${name}_${suffix}`;
+}
+
+function escapePointerSegment(value) {
+  return value.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function toLocationKey(location) {
+  if (location.type === 'url') {
+    const url = new URL(location.url);
+    url.hash = '';
+    return url.href;
+  }
+  return path.resolve(location.path);
+}
+
+function formatLocation(location) {
+  return location.type === 'url' ? location.url : location.path;
+}
+
+function cloneValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  return globalThis.structuredClone(value);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
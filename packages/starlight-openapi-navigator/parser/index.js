@@ -3,6 +3,9 @@ import path from 'node:path';
 import { parse } from 'yaml';
 
 import { toSlug } from '../runtime/slug.js';
+import { GENERATED_SAMPLE_LABEL, generateCodeSamples, resolveExampleBody } from './code-samples.js';
+import { bundleExternalRefs } from './external-refs.js';
+import { convertSwagger2Document, isSwagger2Document } from './swagger2.js';
 
 const HTTP_METHODS = new Set([
   'get',
@@ -42,7 +45,8 @@ const DEFAULT_UNTAGGED_NAME = 'Untagged';
 
 /**
  * @typedef {object} NormalizedOperation
- * @property {string} path
+ * @property {'operation' | 'webhook'} kind Webhooks come from the OpenAPI 3.1 top-level `webhooks` map.
+ * @property {string} path Request path, or the webhook name for webhooks.
  * @property {string} method
  * @property {string} operationId
  * @property {string} slug
@@ -58,10 +62,44 @@ const DEFAULT_UNTAGGED_NAME = 'Untagged';
  * @property {NormalizedCodeSampleGroup[]} codeSampleGroups
  * @property {NormalizedRequestExampleGroup[]} requestBodyExamples
  * @property {NormalizedResponseExampleGroup[]} responseExamples
+ * @property {NormalizedCallback[]} callbacks
+ * @property {NormalizedResponseLink[]} links
   * @property {Record<string, unknown>} extensions
   * @property {Record<string, unknown>} raw
  */
 
+/**
+ * One request described by an operation's `callbacks` map (callback name → URL expression → method).
+ *
+ * @typedef {object} NormalizedCallback
+ * @property {string} name Key of the callback in `operation.callbacks`.
+ * @property {string} expression Runtime expression that yields the callback URL, e.g. `{$request.body#/callbackUrl}`.
+ * @property {string} method
+ * @property {string} slug Anchor id, unique within the parent operation page.
+ * @property {string | undefined} summary
+ * @property {string | undefined} description
+ * @property {Array<Record<string, unknown>>} parameters
+ * @property {Record<string, unknown> | undefined} requestBody
+ * @property {Record<string, unknown>} responses
+ * @property {NormalizedRequestExampleGroup[]} requestBodyExamples
+ * @property {NormalizedResponseExampleGroup[]} responseExamples
+ */
+
+/**
+ * A response `links` entry. `target` is filled once every operation is known and stays
+ * undefined when `operationId`/`operationRef` doesn't point at an operation in this document.
+ *
+ * @typedef {object} NormalizedResponseLink
+ * @property {string} status Response status the link belongs to (`200`, `2XX`, `default`, …).
+ * @property {string} name
+ * @property {string | undefined} description
+ * @property {string | undefined} operationId
+ * @property {string | undefined} operationRef
+ * @property {Array<{ name: string, expression: unknown }>} parameters
+ * @property {unknown} requestBody
+ * @property {{ slug: string, method: string, path: string } | undefined} target
+ */
+
 /**
  * @typedef {object} NormalizedTagStats
  * @property {number} operations
@@ -95,13 +133,15 @@ const DEFAULT_UNTAGGED_NAME = 'Untagged';
 /**
  * @typedef {object} NormalizedOpenApiSpec
  * @property {string} sourcePath
+ * @property {string[]} sourceFiles Local files the spec was assembled from (root document plus external `$ref` targets).
  * @property {Record<string, unknown>} document
  * @property {Record<string, unknown>} info
  * @property {Array<Record<string, unknown>>} servers
  * @property {Record<string, unknown>} components
  * @property {NormalizedTag[]} tags
  * @property {NormalizedOperation[]} operations
- * @property {{ tags: number; operations: number; untaggedOperations: number; deprecatedOperations: number }} stats
+ * @property {NormalizedOperation[]} webhooks Operations declared under the top-level `webhooks` map.
+ * @property {{ tags: number; operations: number; untaggedOperations: number; deprecatedOperations: number; webhooks: number }} stats
  * @property {NormalizedSchema[]} schemas
  */
 
@@ -134,6 +174,7 @@ const DEFAULT_UNTAGGED_NAME = 'Untagged';
 
 /**
  * Load and normalize an OpenAPI specification for downstream page generation.
+ * Swagger 2.0 documents are up-converted to the OpenAPI 3 shape first.
  *
  * @param {string | { type: 'url', url: string } | { type: 'file', path: string }} specPath
  * @returns {Promise<NormalizedOpenApiSpec>}
@@ -142,49 +183,16 @@ export async function loadAndNormalizeSpec(specPath) {
   const specSource = normalizeSpecSource(specPath);
   const sourceLabel = specSource.type === 'url' ? specSource.url : specSource.path;
 
-  let rawContents;
-  if (specSource.type === 'url') {
-    try {
-      const response = await fetch(specSource.url);
-      if (!response.ok) {
-        throw new Error(
-          `Received ${response.status} ${response.statusText || ''}`.trim()
-        );
-      }
-      rawContents = await response.text();
-    } catch (error) {
-      const reason = error instanceof Error ? error.message : String(error);
-      throw new Error(
-        `starlight-openapi-navigator: Unable to fetch OpenAPI spec from ${specSource.url}.` +
-          `\n→ ${reason}`
-      );
-    }
-  } else {
-    try {
-      rawContents = await fs.readFile(specSource.path, 'utf8');
-    } catch (error) {
-      throw new Error(
-        `starlight-openapi-navigator: Unable to read OpenAPI spec at ${specSource.path}.` +
-          `\n→ ${error?.message || error}`
-      );
-    }
-  }
-
-  let document;
-  try {
-    document = parse(rawContents);
-  } catch (error) {
-    throw new Error(
-      `starlight-openapi-navigator: Failed to parse OpenAPI spec at ${sourceLabel}.` +
-        `\n→ ${error?.message || error}`
-    );
-  }
-
-  if (!isPlainObject(document)) {
-    throw new Error(
-      `starlight-openapi-navigator: Expected OpenAPI document at ${sourceLabel} to be an object.`
-    );
-  }
+  const loadedDocument = await loadSpecDocument(specSource);
+  // Bundle first so fragments in other files are converted along with the root.
+  const bundled = await bundleExternalRefs(loadedDocument, {
+    source: specSource,
+    loadDocument: loadSpecDocument,
+  });
+  const { sourceFiles } = bundled;
+  const document = isSwagger2Document(bundled.document)
+    ? convertSwagger2Document(bundled.document)
+    : bundled.document;
 
   const defaultSecurity = Array.isArray(document.security)
     ? document.security
@@ -261,10 +269,66 @@ export async function loadAndNormalizeSpec(specPath) {
 
   const parameterDefinitions = buildParameterDefinitionMap(document.components?.parameters);
 
+  const buildOperation = ({ pathKey, pathItem, method, operation, slug, operationId, tagRefs, kind }) => {
+    const pathLevelParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+    const combinedParameters = mergeParameters(
+      parameterDefinitions,
+      pathLevelParameters,
+      Array.isArray(operation.parameters) ? operation.parameters : []
+    );
+
+    // Webhooks are requests the API sends to consumers, so top-level security and servers don't apply.
+    const isWebhook = kind === 'webhook';
+
+    /** @type {NormalizedOperation} */
+    const normalizedOperation = {
+      kind,
+      path: pathKey,
+      method,
+      operationId,
+      slug,
+      summary: typeof operation.summary === 'string' ? operation.summary : undefined,
+      description: typeof operation.description === 'string' ? operation.description : undefined,
+      deprecated: Boolean(operation.deprecated),
+      tags: tagRefs.map((tag) => ({
+        name: tag.name,
+        slug: tag.slug,
+        isFallback: tag.isFallback,
+      })),
+      parameters: combinedParameters,
+      requestBody: isPlainObject(operation.requestBody) ? operation.requestBody : undefined,
+      responses: isPlainObject(operation.responses) ? operation.responses : {},
+      security: isWebhook
+        ? resolveSecurity(operation.security, pathItem.security, undefined)
+        : resolveSecurity(operation.security, pathItem.security, defaultSecurity),
+      servers: isWebhook
+        ? undefined
+        : resolveServers(operation.servers, pathItem.servers, topLevelServers),
+      codeSampleGroups: normalizeCodeSamples(operation['x-codeSamples']),
+      requestBodyExamples: normalizeRequestBodyExamples(operation.requestBody),
+      responseExamples: normalizeResponseExamples(operation.responses),
+      callbacks: normalizeCallbacks(operation.callbacks, {
+        document,
+        parameterDefinitions,
+        operationSlug: slug,
+      }),
+      links: normalizeResponseLinks(operation.responses, document),
+      extensions: pickExtensions(operation),
+      raw: operation,
+    };
+    if (!isWebhook && normalizedOperation.codeSampleGroups.length === 0) {
+      normalizedOperation.codeSampleGroups = appendCodeSamples(
+        [],
+        generateCodeSamples(normalizedOperation, document.components),
+        { extensions: { 'x-generated': true } }
+      );
+    }
+    return normalizedOperation;
+  };
+
   const pathEntries = Object.entries(document.paths || {});
   for (const [pathKey, pathItem] of pathEntries) {
     if (!isPlainObject(pathItem)) continue;
-    const pathLevelParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
 
     for (const [maybeMethod, operation] of Object.entries(pathItem)) {
       const method = maybeMethod.toLowerCase();
@@ -280,47 +344,53 @@ export async function loadAndNormalizeSpec(specPath) {
 
       const tagRefs = operationTags.map((tagName) => registerTag(tagName));
 
-      const combinedParameters = mergeParameters(
-        parameterDefinitions,
-        pathLevelParameters,
-        Array.isArray(operation.parameters) ? operation.parameters : []
-      );
-
-      /** @type {NormalizedOperation} */
-      const normalizedOperation = {
-        path: pathKey,
+      const normalizedOperation = buildOperation({
+        pathKey,
+        pathItem,
         method,
-        operationId,
+        operation,
         slug: operationSlug,
-        summary: typeof operation.summary === 'string' ? operation.summary : undefined,
-        description: typeof operation.description === 'string' ? operation.description : undefined,
-        deprecated: Boolean(operation.deprecated),
-        tags: tagRefs.map((tag) => ({
-          name: tag.name,
-          slug: tag.slug,
-          isFallback: tag.isFallback,
-        })),
-        parameters: combinedParameters,
-        requestBody: isPlainObject(operation.requestBody) ? operation.requestBody : undefined,
-        responses: isPlainObject(operation.responses) ? operation.responses : {},
-        security: resolveSecurity(operation.security, pathItem.security, defaultSecurity),
-        servers: resolveServers(operation.servers, pathItem.servers, topLevelServers),
-        codeSampleGroups: normalizeCodeSamples(operation['x-codeSamples']),
-        requestBodyExamples: [],
-        responseExamples: [],
-        extensions: pickExtensions(operation),
-        raw: operation,
-      };
+        operationId,
+        tagRefs,
+        kind: 'operation',
+      });
 
       operations.push(normalizedOperation);
       tagRefs.forEach((tag) => {
         tag.operations.push(normalizedOperation);
       });
-      normalizedOperation.requestBodyExamples = normalizeRequestBodyExamples(operation.requestBody);
-      normalizedOperation.responseExamples = normalizeResponseExamples(operation.responses);
     }
   }
 
+  const webhookSlugFactory = createSlugFactory('webhook');
+  /** @type {NormalizedOperation[]} */
+  const webhooks = [];
+  const webhookEntries = isPlainObject(document.webhooks) ? Object.entries(document.webhooks) : [];
+  for (const [webhookName, pathItem] of webhookEntries) {
+    if (!isPlainObject(pathItem)) continue;
+
+    for (const [maybeMethod, operation] of Object.entries(pathItem)) {
+      const method = maybeMethod.toLowerCase();
+      if (!HTTP_METHODS.has(method)) continue;
+      if (!isPlainObject(operation)) continue;
+
+      webhooks.push(
+        buildOperation({
+          pathKey: webhookName,
+          pathItem,
+          method,
+          operation,
+          slug: webhookSlugFactory(webhookName, 'webhook'),
+          operationId: extractOperationId(operation, method, webhookName),
+          tagRefs: [],
+          kind: 'webhook',
+        })
+      );
+    }
+  }
+
+  resolveLinkTargets([...operations, ...webhooks], operations, specSource);
+
   const orderedTags = Array.from(tagsByName.values()).sort((a, b) => {
     const orderA = tagOrder.has(a.name) ? tagOrder.get(a.name) : Number.POSITIVE_INFINITY;
     const orderB = tagOrder.has(b.name) ? tagOrder.get(b.name) : Number.POSITIVE_INFINITY;
@@ -349,18 +419,21 @@ export async function loadAndNormalizeSpec(specPath) {
     operations: operations.length,
     untaggedOperations: operations.filter((op) => op.tags.every((tag) => tag.isFallback)).length,
     deprecatedOperations: operations.filter((op) => op.deprecated).length,
+    webhooks: webhooks.length,
   };
 
   const schemas = normalizeSchemas(document.components?.schemas);
 
   return {
     sourcePath: sourceLabel,
+    sourceFiles,
     document,
     info: isPlainObject(document.info) ? document.info : {},
     servers: Array.isArray(document.servers) ? document.servers : [],
     components: isPlainObject(document.components) ? document.components : {},
     tags: orderedTags,
     operations,
+    webhooks,
     stats,
     schemas,
   };
@@ -396,6 +469,62 @@ function normalizeSpecSource(input) {
   return { type: 'file', path: fallbackPath };
 }
 
+/**
+ * Fetch or read a single OpenAPI (or referenced) document and parse it as YAML/JSON.
+ *
+ * @param {{ type: 'url', url: string } | { type: 'file', path: string }} specSource
+ * @returns {Promise<Record<string, unknown>>}
+ */
+async function loadSpecDocument(specSource) {
+  const sourceLabel = specSource.type === 'url' ? specSource.url : specSource.path;
+
+  let rawContents;
+  if (specSource.type === 'url') {
+    try {
+      const response = await fetch(specSource.url);
+      if (!response.ok) {
+        throw new Error(
+          `Received ${response.status} ${response.statusText || ''}`.trim()
+        );
+      }
+      rawContents = await response.text();
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      throw new Error(
+        `starlight-openapi-navigator: Unable to fetch OpenAPI spec from ${specSource.url}.` +
+          `\n→ ${reason}`
+      );
+    }
+  } else {
+    try {
+      rawContents = await fs.readFile(specSource.path, 'utf8');
+    } catch (error) {
+      throw new Error(
+        `starlight-openapi-navigator: Unable to read OpenAPI spec at ${specSource.path}.` +
+          `\n→ ${error?.message || error}`
+      );
+    }
+  }
+
+  let document;
+  try {
+    document = parse(rawContents);
+  } catch (error) {
+    throw new Error(
+      `starlight-openapi-navigator: Failed to parse OpenAPI spec at ${sourceLabel}.` +
+        `\n→ ${error?.message || error}`
+    );
+  }
+
+  if (!isPlainObject(document)) {
+    throw new Error(
+      `starlight-openapi-navigator: Expected OpenAPI document at ${sourceLabel} to be an object.`
+    );
+  }
+
+  return document;
+}
+
 function isRemoteSpecPath(value) {
   if (typeof value !== 'string') return false;
   return /^https?:\/\//i.test(value.trim());
@@ -491,6 +620,153 @@ function decodeRefName(pointer) {
   return match[1]?.replace(/~1/g, '/').replace(/~0/g, '~');
 }
 
+function normalizeCallbacks(rawCallbacks, { document, parameterDefinitions, operationSlug }) {
+  if (!isPlainObject(rawCallbacks)) return [];
+  const slugFactory = createSlugFactory('callback');
+  /** @type {NormalizedCallback[]} */
+  const callbacks = [];
+
+  for (const [name, rawCallback] of Object.entries(rawCallbacks)) {
+    const callback = resolveLocalRef(document, rawCallback);
+    if (!isPlainObject(callback)) continue;
+
+    for (const [expression, rawPathItem] of Object.entries(callback)) {
+      if (expression.startsWith('x-')) continue;
+      const pathItem = resolveLocalRef(document, rawPathItem);
+      if (!isPlainObject(pathItem)) continue;
+      const pathLevelParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+
+      for (const [maybeMethod, operation] of Object.entries(pathItem)) {
+        const method = maybeMethod.toLowerCase();
+        if (!HTTP_METHODS.has(method)) continue;
+        if (!isPlainObject(operation)) continue;
+
+        callbacks.push({
+          name,
+          expression,
+          method,
+          slug: `${operationSlug}-callback-${slugFactory(`${name}-${method}`, 'callback')}`,
+          summary: typeof operation.summary === 'string' ? operation.summary : undefined,
+          description: typeof operation.description === 'string' ? operation.description : undefined,
+          parameters: mergeParameters(
+            parameterDefinitions,
+            pathLevelParameters,
+            Array.isArray(operation.parameters) ? operation.parameters : []
+          ),
+          requestBody: isPlainObject(operation.requestBody) ? operation.requestBody : undefined,
+          responses: isPlainObject(operation.responses) ? operation.responses : {},
+          requestBodyExamples: normalizeRequestBodyExamples(operation.requestBody),
+          responseExamples: normalizeResponseExamples(operation.responses),
+        });
+      }
+    }
+  }
+
+  return callbacks;
+}
+
+function normalizeResponseLinks(responses, document) {
+  if (!isPlainObject(responses)) return [];
+  /** @type {NormalizedResponseLink[]} */
+  const links = [];
+
+  for (const [status, rawResponse] of Object.entries(responses)) {
+    const response = resolveLocalRef(document, rawResponse);
+    if (!isPlainObject(response) || !isPlainObject(response.links)) continue;
+
+    for (const [name, rawLink] of Object.entries(response.links)) {
+      const link = resolveLocalRef(document, rawLink);
+      if (!isPlainObject(link)) continue;
+      links.push({
+        status,
+        name,
+        description: typeof link.description === 'string' ? link.description : undefined,
+        operationId: typeof link.operationId === 'string' ? link.operationId : undefined,
+        operationRef: typeof link.operationRef === 'string' ? link.operationRef : undefined,
+        parameters: isPlainObject(link.parameters)
+          ? Object.entries(link.parameters).map(([paramName, expression]) => ({ name: paramName, expression }))
+          : [],
+        requestBody: link.requestBody,
+        target: undefined,
+      });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Point every link at the operation it references. Links can only target path operations of
+ * this spec; an `operationRef` into another document is left without a target.
+ */
+function resolveLinkTargets(sources, operations, specSource) {
+  const byOperationId = new Map();
+  const byPathAndMethod = new Map();
+  operations.forEach((operation) => {
+    byOperationId.set(operation.operationId, operation);
+    byPathAndMethod.set(`${operation.path} ${operation.method}`, operation);
+  });
+
+  sources.forEach((source) => {
+    source.links.forEach((link) => {
+      let target;
+      if (link.operationId) {
+        target = byOperationId.get(link.operationId);
+      } else if (link.operationRef) {
+        const pointer = parseOperationRef(link.operationRef, specSource);
+        target = pointer ? byPathAndMethod.get(`${pointer.path} ${pointer.method}`) : undefined;
+      }
+      if (target) {
+        link.target = { slug: target.slug, method: target.method, path: target.path };
+      }
+    });
+  });
+}
+
+function parseOperationRef(operationRef, specSource) {
+  const hashIndex = operationRef.indexOf('#');
+  if (hashIndex === -1 || !isSameDocument(operationRef.slice(0, hashIndex), specSource)) return undefined;
+  const segments = operationRef
+    .slice(hashIndex + 1)
+    .split('/')
+    .map((segment) => safeDecode(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (segments.length !== 4 || segments[0] !== '' || segments[1] !== 'paths') return undefined;
+  return { path: segments[2], method: segments[3].toLowerCase() };
+}
+
+function isSameDocument(reference, specSource) {
+  if (!reference) return true;
+  try {
+    if (specSource.type === 'url') return new URL(reference, specSource.url).href === new URL(specSource.url).href;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(reference)) return false;
+    return path.resolve(path.dirname(specSource.path), safeDecode(reference)) === path.resolve(specSource.path);
+  } catch {
+    return false;
+  }
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Follow a same-document `$ref` (e.g. `#/components/callbacks/Foo`); other values pass through.
+ */
+function resolveLocalRef(document, value, depth = 0) {
+  if (!isPlainObject(value) || typeof value.$ref !== 'string') return value;
+  if (!value.$ref.startsWith('#/') || depth > 16) return undefined;
+  let cursor = document;
+  for (const segment of value.$ref.slice(2).split('/')) {
+    if (!isPlainObject(cursor)) return undefined;
+    cursor = cursor[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return resolveLocalRef(document, cursor, depth + 1);
+}
+
 function resolveSecurity(operationSecurity, pathSecurity, defaultSecurity) {
   if (Array.isArray(operationSecurity) && operationSecurity.length) return operationSecurity;
   if (Array.isArray(pathSecurity) && pathSecurity.length) return pathSecurity;
@@ -600,6 +876,89 @@ function normalizeCodeSamples(rawSamples) {
   });
 }
 
+/**
+ * Add `{ label, language, source }` samples to already-normalized groups. Samples join the group
+ * with the same label; a sample repeating a language within a group is dropped.
+ *
+ * @param {NormalizedCodeSampleGroup[] | undefined} groups
+ * @param {Array<{ label?: string, language?: string, source?: string, syntax?: string }>} samples
+ * @param {{ defaultLabel?: string, extensions?: Record<string, unknown> }} [options]
+ * @returns {NormalizedCodeSampleGroup[]}
+ */
+export function appendCodeSamples(groups, samples, { defaultLabel = 'Example', extensions = {} } = {}) {
+  /** @type {Map<string, NormalizedCodeSampleGroup>} */
+  const groupsByLabel = new Map();
+  const sampleSlugFactory = createSlugFactory('sample');
+  (Array.isArray(groups) ? groups : []).forEach((group) => {
+    groupsByLabel.set(group.label, { ...group, samples: [...group.samples] });
+    group.samples.forEach((sample) => sampleSlugFactory(sample.slug, 'sample'));
+  });
+
+  samples.forEach((entry) => {
+    if (!isPlainObject(entry) || typeof entry.source !== 'string' || !entry.source) return;
+    const label = typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : defaultLabel;
+    const language = typeof entry.language === 'string' && entry.language.trim()
+      ? entry.language.trim()
+      : 'Example';
+    getOrCreateGroup(groupsByLabel, label).samples.push({
+      slug: sampleSlugFactory(`${language}-${label}`, language),
+      label,
+      language,
+      syntax: typeof entry.syntax === 'string' && entry.syntax.trim()
+        ? entry.syntax.trim()
+        : deriveSyntax(language),
+      source: entry.source,
+      extensions: { ...extensions },
+    });
+  });
+
+  return Array.from(groupsByLabel.values()).map((group) => {
+    group.samples = dedupeSamples(group.samples);
+    return group;
+  });
+}
+
+/**
+ * Run the `codeSamples.generators` of the integration options for one operation and append what
+ * they return to its code sample groups. Generators are synchronous; one that throws, or returns a
+ * Promise, fails with the operation it was handling.
+ *
+ * @param {any} operation Normalized operation.
+ * @param {Array<(operation: any, context: { exampleBody: any }) => unknown>} generators
+ * @param {Record<string, any>} [components]
+ * @returns {NormalizedCodeSampleGroup[]}
+ */
+export function runCodeSampleGenerators(operation, generators, components) {
+  if (!generators.length) return operation.codeSampleGroups;
+  const exampleBody = resolveExampleBody(operation, components);
+  const samples = [];
+  const fail = (message) =>
+    new Error(
+      `starlight-openapi-navigator: codeSamples generator failed for ${String(operation.method).toUpperCase()} ${operation.path}.` +
+        `\n→ ${message}`
+    );
+  generators.forEach((generator) => {
+    let result;
+    try {
+      result = generator(operation, { exampleBody });
+    } catch (error) {
+      throw fail(error instanceof Error ? error.message : String(error));
+    }
+    if (typeof result?.then === 'function') {
+      // Nothing awaits it, so keep a rejection from surfacing as an unhandled one.
+      Promise.resolve(result).catch(() => {});
+      throw fail('Generators must return their samples synchronously, not a Promise.');
+    }
+    (Array.isArray(result) ? result : [result]).forEach((sample) => {
+      if (isPlainObject(sample)) samples.push(sample);
+    });
+  });
+  return appendCodeSamples(operation.codeSampleGroups, samples, {
+    defaultLabel: GENERATED_SAMPLE_LABEL,
+    extensions: { 'x-generator': true },
+  });
+}
+
 function getOrCreateGroup(groupsByLabel, label) {
   if (groupsByLabel.has(label)) return groupsByLabel.get(label);
   const group = { label, samples: [] };
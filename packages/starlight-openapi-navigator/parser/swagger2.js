@@ -0,0 +1,497 @@
+const HTTP_METHODS = new Set(['get', 'put', 'post', 'delete', 'options', 'head', 'patch']);
+
+const DEFAULT_MEDIA_TYPE = 'application/json';
+
+const REF_PREFIXES = [
+  ['#/definitions/', '#/components/schemas/'],
+  ['#/parameters/', '#/components/parameters/'],
+  ['#/responses/', '#/components/responses/'],
+];
+
+const OAUTH_FLOW_NAMES = new Map(
+  Object.entries({
+    implicit: 'implicit',
+    password: 'password',
+    application: 'clientCredentials',
+    accessCode: 'authorizationCode',
+  })
+);
+
+// Swagger `collectionFormat` → OpenAPI 3 `style`/`explode` (query style; path/header fall back to `simple`).
+const COLLECTION_FORMATS = new Map(
+  Object.entries({
+    csv: { style: 'form', explode: false },
+    ssv: { style: 'spaceDelimited', explode: false },
+    pipes: { style: 'pipeDelimited', explode: false },
+    multi: { style: 'form', explode: true },
+  })
+);
+
+const SCHEMA_KEYWORDS = [
+  'format',
+  'items',
+  'enum',
+  'default',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'multipleOf',
+];
+
+/**
+ * Detect a Swagger 2.0 document (`swagger: "2.0"`).
+ *
+ * @param {unknown} document
+ * @returns {boolean}
+ */
+export function isSwagger2Document(document) {
+  if (!isPlainObject(document)) return false;
+  const version = document.swagger;
+  return (typeof version === 'string' && version.trim().startsWith('2')) || version === 2;
+}
+
+/**
+ * Up-convert a Swagger 2.0 document into the OpenAPI 3.0 shape the rest of the parser expects:
+ * `definitions` → `components.schemas`, body/formData parameters → `requestBody`,
+ * `host`/`basePath`/`schemes` → `servers`, `securityDefinitions` → `components.securitySchemes`,
+ * and `produces`-keyed response schemas → `content` maps. Shared body parameters and responses are
+ * inlined into operations so downstream renderers never see unresolved Swagger pointers.
+ *
+ * @param {Record<string, unknown>} document
+ * @returns {Record<string, unknown>}
+ */
+export function convertSwagger2Document(document) {
+  const globalConsumes = toMediaTypes(document.consumes);
+  const globalProduces = toMediaTypes(document.produces);
+  const sharedParameters = isPlainObject(document.parameters) ? document.parameters : {};
+  const sharedResponses = isPlainObject(document.responses) ? document.responses : {};
+
+  const context = {
+    sharedParameters,
+    sharedResponses,
+    globalConsumes,
+    globalProduces,
+  };
+
+  /** @type {Record<string, unknown>} */
+  const components = {};
+
+  if (isPlainObject(document.definitions)) {
+    components.schemas = mapValues(document.definitions, convertSchema);
+  }
+
+  const componentParameters = {};
+  const componentBodies = {};
+  Object.entries(sharedParameters).forEach(([name, parameter]) => {
+    if (!isPlainObject(parameter)) return;
+    if (parameter.in === 'body') {
+      componentBodies[name] = convertBodyParameter(parameter, globalConsumes);
+    } else if (parameter.in !== 'formData') {
+      componentParameters[name] = convertParameter(parameter);
+    }
+  });
+  if (Object.keys(componentParameters).length) components.parameters = componentParameters;
+  if (Object.keys(componentBodies).length) components.requestBodies = componentBodies;
+
+  if (Object.keys(sharedResponses).length) {
+    components.responses = mapValues(sharedResponses, (response) =>
+      convertResponse(response, globalProduces, context)
+    );
+  }
+
+  if (isPlainObject(document.securityDefinitions)) {
+    components.securitySchemes = mapValues(document.securityDefinitions, convertSecurityScheme);
+  }
+
+  /** @type {Record<string, unknown>} */
+  const converted = {
+    openapi: '3.0.3',
+    info: isPlainObject(document.info) ? document.info : { title: 'API', version: '1.0.0' },
+  };
+
+  const servers = buildServers(document);
+  if (servers.length) converted.servers = servers;
+  if (Array.isArray(document.tags)) converted.tags = document.tags;
+  if (Array.isArray(document.security)) converted.security = document.security;
+  if (isPlainObject(document.externalDocs)) converted.externalDocs = document.externalDocs;
+
+  converted.paths = {};
+  if (isPlainObject(document.paths)) {
+    for (const [pathKey, pathItem] of Object.entries(document.paths)) {
+      if (!isPlainObject(pathItem)) continue;
+      converted.paths[pathKey] = convertPathItem(pathItem, context);
+    }
+  }
+
+  converted.components = components;
+  Object.assign(converted, pickExtensions(document));
+  return converted;
+}
+
+function convertPathItem(pathItem, context) {
+  const pathParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+  /** @type {Record<string, unknown>} */
+  const result = {};
+
+  const sharedPathParameters = pathParameters
+    .map((parameter) => resolveSharedParameter(parameter, context))
+    .filter((entry) => entry && !isBodyLike(entry.parameter));
+  if (sharedPathParameters.length) {
+    result.parameters = sharedPathParameters.map(({ ref, parameter }) =>
+      ref ? { $ref: rewriteRef(ref) } : convertParameter(parameter)
+    );
+  }
+
+  for (const [key, value] of Object.entries(pathItem)) {
+    if (key === 'parameters') continue;
+    if (HTTP_METHODS.has(key.toLowerCase()) && isPlainObject(value)) {
+      result[key] = convertOperation(value, pathParameters, context);
+    } else if (key.startsWith('x-')) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function convertOperation(operation, pathParameters, context) {
+  const consumes = toMediaTypes(operation.consumes) || context.globalConsumes;
+  const produces = toMediaTypes(operation.produces) || context.globalProduces;
+
+  /** @type {Record<string, unknown>} */
+  const result = {};
+  for (const [key, value] of Object.entries(operation)) {
+    if (['parameters', 'responses', 'consumes', 'produces', 'schemes'].includes(key)) continue;
+    result[key] = value;
+  }
+
+  const operationParameters = Array.isArray(operation.parameters) ? operation.parameters : [];
+  const resolvedOperationParameters = operationParameters
+    .map((parameter) => resolveSharedParameter(parameter, context))
+    .filter(Boolean);
+
+  // Body and formData parameters declared at path level still belong to the request body.
+  const bodyLike = [];
+  const overridden = new Set(
+    resolvedOperationParameters.map(({ parameter }) => `${parameter.name}:${parameter.in}`)
+  );
+  pathParameters
+    .map((parameter) => resolveSharedParameter(parameter, context))
+    .filter((entry) => entry && isBodyLike(entry.parameter))
+    .filter(({ parameter }) => !overridden.has(`${parameter.name}:${parameter.in}`))
+    .forEach((entry) => bodyLike.push(entry.parameter));
+
+  const parameters = [];
+  resolvedOperationParameters.forEach(({ ref, parameter }) => {
+    if (isBodyLike(parameter)) {
+      bodyLike.push(parameter);
+    } else {
+      parameters.push(ref ? { $ref: rewriteRef(ref) } : convertParameter(parameter));
+    }
+  });
+  if (parameters.length) result.parameters = parameters;
+
+  const bodyParameter = bodyLike.find((parameter) => parameter.in === 'body');
+  const formParameters = bodyLike.filter((parameter) => parameter.in === 'formData');
+  if (bodyParameter) {
+    result.requestBody = convertBodyParameter(bodyParameter, consumes);
+  } else if (formParameters.length) {
+    result.requestBody = convertFormParameters(formParameters, consumes);
+  }
+
+  if (isPlainObject(operation.responses)) {
+    result.responses = mapValues(operation.responses, (response) =>
+      convertResponse(response, produces, context)
+    );
+  }
+
+  return result;
+}
+
+function resolveSharedParameter(parameter, context) {
+  if (!isPlainObject(parameter)) return undefined;
+  if (typeof parameter.$ref !== 'string') return { ref: undefined, parameter };
+  const name = matchRefName(parameter.$ref, '#/parameters/');
+  const shared = name ? context.sharedParameters[name] : undefined;
+  if (!isPlainObject(shared)) {
+    // External or unknown refs are left for the bundler/resolver to deal with.
+    return { ref: parameter.$ref, parameter: { ...parameter } };
+  }
+  return { ref: isBodyLike(shared) ? undefined : parameter.$ref, parameter: shared };
+}
+
+function isBodyLike(parameter) {
+  return parameter?.in === 'body' || parameter?.in === 'formData';
+}
+
+function convertParameter(parameter) {
+  if (typeof parameter.$ref === 'string') return { $ref: rewriteRef(parameter.$ref) };
+
+  /** @type {Record<string, unknown>} */
+  const result = { name: parameter.name, in: parameter.in };
+  if (typeof parameter.description === 'string') result.description = parameter.description;
+  if (parameter.required || parameter.in === 'path') result.required = true;
+  if (parameter.allowEmptyValue) result.allowEmptyValue = true;
+  if (parameter.deprecated) result.deprecated = true;
+  if (parameter['x-example'] !== undefined) result.example = parameter['x-example'];
+
+  result.schema = buildPrimitiveSchema(parameter);
+
+  const serialization = COLLECTION_FORMATS.get(parameter.collectionFormat);
+  if (parameter.type === 'array' && serialization) {
+    if (parameter.in === 'query' || parameter.in === 'cookie') {
+      result.style = serialization.style;
+      result.explode = serialization.explode;
+    } else {
+      result.style = 'simple';
+      result.explode = false;
+    }
+  } else if (parameter.type === 'array' && parameter.in === 'query') {
+    // Swagger's default collectionFormat is csv, which differs from OpenAPI 3's exploded default.
+    result.style = 'form';
+    result.explode = false;
+  }
+
+  Object.assign(result, pickExtensions(parameter));
+  delete result['x-example'];
+  return result;
+}
+
+function convertBodyParameter(parameter, consumes) {
+  const mediaTypes = consumes || [DEFAULT_MEDIA_TYPE];
+  const schema = isPlainObject(parameter.schema) ? convertSchema(parameter.schema) : {};
+  const examples = isPlainObject(parameter['x-examples']) ? parameter['x-examples'] : {};
+
+  /** @type {Record<string, unknown>} */
+  const content = {};
+  mediaTypes.forEach((mediaType) => {
+    const media = { schema };
+    if (examples[mediaType] !== undefined) media.example = examples[mediaType];
+    content[mediaType] = media;
+  });
+
+  /** @type {Record<string, unknown>} */
+  const requestBody = { content };
+  if (typeof parameter.description === 'string') requestBody.description = parameter.description;
+  if (parameter.required) requestBody.required = true;
+  return requestBody;
+}
+
+function convertFormParameters(parameters, consumes) {
+  const hasFile = parameters.some((parameter) => parameter.type === 'file');
+  const declared = (consumes || []).filter(
+    (mediaType) =>
+      mediaType === 'multipart/form-data' || mediaType === 'application/x-www-form-urlencoded'
+  );
+  const mediaTypes = declared.length
+    ? declared
+    : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+  /** @type {Record<string, unknown>} */
+  const properties = {};
+  const required = [];
+  parameters.forEach((parameter) => {
+    if (typeof parameter.name !== 'string') return;
+    const property = buildPrimitiveSchema(parameter);
+    if (typeof parameter.description === 'string') property.description = parameter.description;
+    properties[parameter.name] = property;
+    if (parameter.required) required.push(parameter.name);
+  });
+
+  const schema = { type: 'object', properties };
+  if (required.length) schema.required = required;
+
+  /** @type {Record<string, unknown>} */
+  const content = {};
+  mediaTypes.forEach((mediaType) => {
+    content[mediaType] = { schema };
+  });
+
+  const requestBody = { content };
+  if (required.length) requestBody.required = true;
+  return requestBody;
+}
+
+function convertResponse(response, produces, context) {
+  if (!isPlainObject(response)) return response;
+
+  if (typeof response.$ref === 'string') {
+    const name = matchRefName(response.$ref, '#/responses/');
+    const shared = name ? context.sharedResponses[name] : undefined;
+    if (isPlainObject(shared)) {
+      return convertResponse(shared, produces, context);
+    }
+    return { $ref: rewriteRef(response.$ref) };
+  }
+
+  /** @type {Record<string, unknown>} */
+  const result = {
+    description: typeof response.description === 'string' ? response.description : '',
+  };
+
+  const examples = isPlainObject(response.examples) ? response.examples : {};
+  const mediaTypes = produces || [DEFAULT_MEDIA_TYPE];
+
+  if (isPlainObject(response.schema)) {
+    const schema = convertSchema(response.schema);
+    result.content = {};
+    mediaTypes.forEach((mediaType) => {
+      const media = { schema };
+      if (examples[mediaType] !== undefined) media.example = examples[mediaType];
+      result.content[mediaType] = media;
+    });
+  } else if (Object.keys(examples).length) {
+    result.content = mapValues(examples, (example) => ({ example }));
+  }
+
+  if (isPlainObject(response.headers)) {
+    result.headers = mapValues(response.headers, (header) => {
+      if (!isPlainObject(header)) return header;
+      /** @type {Record<string, unknown>} */
+      const converted = { schema: buildPrimitiveSchema(header) };
+      if (typeof header.description === 'string') converted.description = header.description;
+      return converted;
+    });
+  }
+
+  Object.assign(result, pickExtensions(response));
+  return result;
+}
+
+function buildPrimitiveSchema(source) {
+  /** @type {Record<string, unknown>} */
+  const schema = {};
+  if (source.type === 'file') {
+    schema.type = 'string';
+    schema.format = 'binary';
+    return schema;
+  }
+  if (typeof source.type === 'string') schema.type = source.type;
+  SCHEMA_KEYWORDS.forEach((keyword) => {
+    if (source[keyword] === undefined) return;
+    schema[keyword] = keyword === 'items' ? convertSchema(source[keyword]) : source[keyword];
+  });
+  return schema;
+}
+
+function convertSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(convertSchema);
+  if (!isPlainObject(schema)) return schema;
+
+  /** @type {Record<string, unknown>} */
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$ref' && typeof value === 'string') {
+      result.$ref = rewriteRef(value);
+    } else if (key === 'x-nullable') {
+      if (value === true) result.nullable = true;
+    } else if (key === 'discriminator' && typeof value === 'string') {
+      result.discriminator = { propertyName: value };
+    } else if (key === 'type' && value === 'file') {
+      result.type = 'string';
+      result.format = 'binary';
+    } else if (key === 'properties' || key === 'patternProperties' || key === 'definitions') {
+      result[key] = isPlainObject(value) ? mapValues(value, convertSchema) : value;
+    } else if (
+      key === 'items' ||
+      key === 'additionalProperties' ||
+      key === 'not' ||
+      key === 'allOf' ||
+      key === 'anyOf' ||
+      key === 'oneOf'
+    ) {
+      result[key] = convertSchema(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function convertSecurityScheme(scheme) {
+  if (!isPlainObject(scheme)) return scheme;
+  const extensions = pickExtensions(scheme);
+  const description = typeof scheme.description === 'string' ? { description: scheme.description } : {};
+
+  if (scheme.type === 'basic') {
+    return { type: 'http', scheme: 'basic', ...description, ...extensions };
+  }
+
+  if (scheme.type === 'oauth2') {
+    const flowName = OAUTH_FLOW_NAMES.get(scheme.flow) || 'implicit';
+    /** @type {Record<string, unknown>} */
+    const flow = { scopes: isPlainObject(scheme.scopes) ? scheme.scopes : {} };
+    if (typeof scheme.authorizationUrl === 'string') flow.authorizationUrl = scheme.authorizationUrl;
+    if (typeof scheme.tokenUrl === 'string') flow.tokenUrl = scheme.tokenUrl;
+    return { type: 'oauth2', ...description, flows: { [flowName]: flow }, ...extensions };
+  }
+
+  return { ...scheme };
+}
+
+function buildServers(document) {
+  const basePath = typeof document.basePath === 'string' && document.basePath.trim()
+    ? `/${document.basePath.trim().replace(/^\/+/, '')}`.replace(/\/+$/, '')
+    : '';
+  const host = typeof document.host === 'string' ? document.host.trim().replace(/\/+$/, '') : '';
+
+  if (!host) {
+    return basePath ? [{ url: basePath }] : [];
+  }
+
+  const schemes = Array.isArray(document.schemes)
+    ? document.schemes.filter((scheme) => scheme === 'https' || scheme === 'http')
+    : [];
+  const resolvedSchemes = schemes.length ? schemes : ['https'];
+  return resolvedSchemes.map((scheme) => ({ url: `${scheme}://${host}${basePath}` }));
+}
+
+function toMediaTypes(value) {
+  if (!Array.isArray(value)) return undefined;
+  const mediaTypes = value.filter((entry) => typeof entry === 'string' && entry.trim());
+  return mediaTypes.length ? mediaTypes : undefined;
+}
+
+function rewriteRef(ref) {
+  for (const [from, to] of REF_PREFIXES) {
+    if (ref.startsWith(from)) return `${to}${ref.slice(from.length)}`;
+  }
+  return ref;
+}
+
+function matchRefName(ref, prefix) {
+  if (!ref.startsWith(prefix)) return undefined;
+  return ref.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function mapValues(record, mapper) {
+  /** @type {Record<string, unknown>} */
+  const result = {};
+  for (const [key, value] of Object.entries(record)) {
+    result[key] = mapper(value);
+  }
+  return result;
+}
+
+function pickExtensions(value) {
+  if (!isPlainObject(value)) return {};
+  /** @type {Record<string, unknown>} */
+  const extensions = {};
+  for (const [key, val] of Object.entries(value)) {
+    if (key.startsWith('x-')) {
+      extensions[key] = val;
+    }
+  }
+  return extensions;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
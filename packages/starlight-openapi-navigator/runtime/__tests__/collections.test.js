@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  COLLECTIONS_FILE_FORMAT,
+  exportCollections,
+  mergeCollections,
+  parseCollectionsFile,
+  readCollections,
+  removeFromCollections,
+  saveRequestToCollection,
+  storeCollections,
+} from '../collections.js';
+import { createStorageNamespace } from '../storage.js';
+import { MemoryStorage } from './memory-storage.js';
+
+const createCustomer = {
+  name: 'Create test customer',
+  operation: 'create-customer',
+  method: 'POST',
+  path: '/customers',
+  server: 'spec:https://api.example.com',
+  serverVariables: {},
+  parameters: [{ location: 'query', name: 'dryRun', value: 'true' }],
+  body: { contentType: 'application/json', text: '{"name":"Test"}' },
+};
+
+const refund = {
+  name: 'Refund last charge',
+  operation: 'create-refund',
+  method: 'POST',
+  path: '/charges/{id}/refunds',
+  serverVariables: { region: 'eu' },
+  parameters: [{ location: 'path', name: 'id', value: 'ch_1' }],
+};
+
+test('saves requests into named collections, replacing same-named requests', () => {
+  let collections = saveRequestToCollection([], ' Support ', createCustomer);
+  collections = saveRequestToCollection(collections, 'Support', refund);
+  collections = saveRequestToCollection(collections, 'Support', { ...refund, parameters: [] });
+  assert.equal(collections.length, 1);
+  assert.equal(collections[0].name, 'Support');
+  assert.deepEqual(collections[0].requests.map((request) => request.name), ['Create test customer', 'Refund last charge']);
+  assert.deepEqual(collections[0].requests[1].parameters, []);
+
+  const [{ id, requests }] = collections;
+  assert.deepEqual(removeFromCollections(collections, id, requests[0].id)[0].requests.length, 1);
+  assert.deepEqual(removeFromCollections(collections, id), []);
+});
+
+test('round-trips through the export format', () => {
+  const collections = saveRequestToCollection(saveRequestToCollection([], 'Support', createCustomer), 'Billing', refund);
+  const text = exportCollections(collections, new Date('2025-01-31T12:00:00Z'));
+  const file = JSON.parse(text);
+  assert.equal(file.format, COLLECTIONS_FILE_FORMAT);
+  assert.equal(file.version, 1);
+  assert.equal(file.exportedAt, '2025-01-31T12:00:00.000Z');
+  assert.deepEqual(file.collections[0], { name: 'Support', requests: [createCustomer] });
+
+  const imported = parseCollectionsFile(text);
+  assert.equal(imported.skipped, 0);
+  const strip = (list) => list.map(({ name, requests }) => ({ name, requests: requests.map(({ id, ...rest }) => rest) }));
+  assert.deepEqual(strip(imported.collections), strip(collections));
+});
+
+test('rejects foreign files and skips malformed requests', () => {
+  assert.throws(() => parseCollectionsFile('nope'), /not valid JSON/);
+  assert.throws(() => parseCollectionsFile('{"collections":[]}'), /not a Try it collections file/);
+  assert.throws(
+    () => parseCollectionsFile(JSON.stringify({ format: COLLECTIONS_FILE_FORMAT, version: 2 })),
+    /Unsupported collections file version 2/
+  );
+
+  const { collections, skipped } = parseCollectionsFile(
+    JSON.stringify({
+      format: COLLECTIONS_FILE_FORMAT,
+      version: 1,
+      collections: [
+        { name: 'Support', requests: [createCustomer, { name: 'No operation' }, 'junk'] },
+        { requests: [refund] },
+      ],
+    })
+  );
+  assert.equal(skipped, 3);
+  assert.equal(collections.length, 1);
+  assert.equal(collections[0].requests[0].name, 'Create test customer');
+});
+
+test('merges imports by collection and request name', () => {
+  const existing = saveRequestToCollection([], 'Support', { ...createCustomer, parameters: [] });
+  const { collections: imported } = parseCollectionsFile(
+    exportCollections(saveRequestToCollection(saveRequestToCollection([], 'Support', createCustomer), 'Billing', refund))
+  );
+  const merged = mergeCollections(existing, imported);
+  assert.deepEqual(merged.map((collection) => collection.name), ['Support', 'Billing']);
+  assert.equal(merged[0].id, existing[0].id);
+  assert.equal(merged[0].requests.length, 1);
+  assert.deepEqual(merged[0].requests[0].parameters, createCustomer.parameters);
+});
+
+test('stores collections per instance', () => {
+  const storage = new MemoryStorage();
+  const store = createStorageNamespace({ baseSlug: 'api' }, storage);
+  const collections = saveRequestToCollection([], 'Support', createCustomer);
+  assert.equal(storeCollections(store, collections), true);
+  assert.deepEqual(readCollections(store), collections);
+  assert.deepEqual(readCollections(createStorageNamespace({ baseSlug: 'api', instanceId: 'other' }, storage)), []);
+  storeCollections(store, []);
+  assert.equal(storage.length, 0);
+});
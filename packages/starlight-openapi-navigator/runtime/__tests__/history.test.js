@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  HISTORY_LIMIT,
+  addHistoryEntry,
+  clearHistory,
+  readHistory,
+  removeHistoryEntry,
+  truncateText,
+} from '../history.js';
+import { createStorageNamespace } from '../storage.js';
+import { MemoryStorage } from './memory-storage.js';
+
+function entry(operation, extra = {}) {
+  return {
+    operation,
+    request: { method: 'GET', url: `https://api.example.com/${operation}`, headers: [] },
+    form: { parameters: [] },
+    response: { status: 200, statusText: 'OK', elapsed: 12, body: '{}', truncated: false },
+    ...extra,
+  };
+}
+
+let storage;
+let store;
+
+beforeEach(() => {
+  storage = new MemoryStorage();
+  store = createStorageNamespace({ baseSlug: 'api' }, storage);
+});
+
+test('keeps entries per instance, newest first', () => {
+  const other = createStorageNamespace({ baseSlug: 'other' }, storage);
+  const first = addHistoryEntry(store, entry('get-todos', { timestamp: 1 }));
+  const second = addHistoryEntry(store, entry('create-todo', { timestamp: 2 }));
+  addHistoryEntry(other, entry('get-pets'));
+
+  assert.deepEqual(readHistory(store).map((item) => item.id), [second.id, first.id]);
+  assert.equal(readHistory(store)[1].timestamp, 1);
+  assert.equal(readHistory(other).length, 1);
+
+  removeHistoryEntry(store, second.id);
+  assert.deepEqual(readHistory(store).map((item) => item.operation), ['get-todos']);
+  clearHistory(store);
+  assert.deepEqual(readHistory(store), []);
+  assert.equal(storage.getItem('starlight-openapi-navigator:v1:api:default:history'), null);
+});
+
+test('caps the list and drops old entries when storage is full', () => {
+  for (let index = 0; index < HISTORY_LIMIT + 5; index += 1) {
+    addHistoryEntry(store, entry(`op-${index}`));
+  }
+  const history = readHistory(store);
+  assert.equal(history.length, HISTORY_LIMIT);
+  assert.equal(history[0].operation, `op-${HISTORY_LIMIT + 4}`);
+
+  store = createStorageNamespace({ baseSlug: 'api' }, new MemoryStorage({}, { quota: 2000 }));
+  for (let index = 0; index < 20; index += 1) {
+    addHistoryEntry(store, entry(`op-${index}`));
+  }
+  const trimmed = readHistory(store);
+  assert.ok(trimmed.length > 0 && trimmed.length < 20);
+  assert.equal(trimmed[0].operation, 'op-19');
+});
+
+test('ignores malformed stored data and truncates text', () => {
+  store.set('history', '{not json');
+  assert.deepEqual(readHistory(store), []);
+  store.set('history', JSON.stringify([{ id: 1 }, null]));
+  assert.deepEqual(readHistory(store), []);
+
+  assert.deepEqual(truncateText('abcdef', 4), { text: 'abcd', truncated: true });
+  assert.deepEqual(truncateText('abc', 4), { text: 'abc', truncated: false });
+  assert.deepEqual(truncateText(undefined, 4), { text: '', truncated: false });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JSON_TREE_PREVIEW_LIMIT, buildJsonTreeRows, expandToDepth, filterJsonTree } from '../json-tree.js';
+
+const BODY = {
+  data: [
+    { id: 'td_001', title: 'Buy milk', tags: [] },
+    { id: 'td_002', title: 'Walk the dog', 'a/b~c': null },
+  ],
+  next: null,
+};
+
+test('lists only the expanded part of the tree, with pointers and paths', () => {
+  const rows = buildJsonTreeRows(BODY, { expanded: expandToDepth(BODY, 1) });
+  assert.deepEqual(
+    rows.map(({ pointer, path, depth, preview, expanded }) => [pointer, path, depth, preview, expanded]),
+    [
+      ['', '$', 0, '{2 keys}', true],
+      ['/data', '$.data', 1, '[2 items]', true],
+      ['/data/0', '$.data[0]', 2, '{3 keys}', false],
+      ['/data/1', '$.data[1]', 2, '{3 keys}', false],
+      ['/next', '$.next', 1, 'null', false],
+    ]
+  );
+
+  const all = buildJsonTreeRows(BODY, { expanded: expandToDepth(BODY, Infinity) });
+  const odd = all.find((row) => row.key === 'a/b~c');
+  assert.equal(odd.pointer, '/data/1/a~1b~0c');
+  assert.equal(odd.path, '$.data[1]["a/b~c"]');
+  // Empty containers have nothing to expand.
+  assert.equal(all.find((row) => row.pointer === '/data/0/tags').expandable, false);
+  assert.equal(all.length, 11);
+});
+
+test('filters by key or value and keeps the matches in context', () => {
+  const filter = filterJsonTree(BODY, 'DOG');
+  assert.deepEqual([...filter.matches], ['/data/1/title']);
+  assert.deepEqual([...filter.ancestors].sort(), ['', '/data', '/data/1']);
+
+  const rows = buildJsonTreeRows(BODY, { filter });
+  assert.deepEqual(
+    rows.map((row) => [row.pointer, row.match]),
+    [
+      ['', false],
+      ['/data', false],
+      ['/data/1', false],
+      ['/data/1/title', true],
+    ]
+  );
+
+  // A matching container can still be opened to show what it holds.
+  const byKey = filterJsonTree(BODY, 'data');
+  const opened = buildJsonTreeRows(BODY, { filter: byKey, expanded: new Set(['/data']) });
+  assert.deepEqual(opened.map((row) => row.pointer), ['', '/data', '/data/0', '/data/1']);
+  assert.equal(filterJsonTree(BODY, '  '), null);
+});
+
+test('shortens long strings and handles large arrays', () => {
+  const long = 'x'.repeat(JSON_TREE_PREVIEW_LIMIT + 50);
+  const [root] = buildJsonTreeRows(long);
+  assert.equal(root.preview, `"${'x'.repeat(JSON_TREE_PREVIEW_LIMIT)}…"`);
+
+  const items = Array.from({ length: 100_000 }, (_, index) => ({ index }));
+  const rows = buildJsonTreeRows(items, { expanded: new Set(['']) });
+  assert.equal(rows.length, 100_001);
+  assert.equal(rows.at(-1).path, '$[99999]');
+});
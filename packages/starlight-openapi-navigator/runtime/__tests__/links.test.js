@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildLinkPrefillEntries,
+  evaluateRuntimeExpression,
+  lookupLinkPrefill,
+  readLinkPrefill,
+  selectLinksForStatus,
+} from '../links.js';
+
+const EXCHANGE = {
+  url: 'https://api.example.com/users?expand=roles',
+  method: 'POST',
+  statusCode: 201,
+  request: {
+    path: {},
+    query: { expand: 'roles' },
+    header: { 'X-Request-Id': 'req_1' },
+    body: { name: 'Ada' },
+  },
+  response: {
+    header: { location: '/users/u_1' },
+    body: { id: 'u_1', roles: [{ name: 'admin' }], 'a/b': 1 },
+  },
+};
+
+test('evaluates request and response runtime expressions', () => {
+  assert.equal(evaluateRuntimeExpression('$url', EXCHANGE), EXCHANGE.url);
+  assert.equal(evaluateRuntimeExpression('$method', EXCHANGE), 'POST');
+  assert.equal(evaluateRuntimeExpression('$statusCode', EXCHANGE), 201);
+  assert.equal(evaluateRuntimeExpression('$request.query.expand', EXCHANGE), 'roles');
+  assert.equal(evaluateRuntimeExpression('$request.header.x-request-id', EXCHANGE), 'req_1');
+  assert.equal(evaluateRuntimeExpression('$request.body#/name', EXCHANGE), 'Ada');
+  assert.equal(evaluateRuntimeExpression('$response.header.Location', EXCHANGE), '/users/u_1');
+  assert.equal(evaluateRuntimeExpression('$response.body#/roles/0/name', EXCHANGE), 'admin');
+  assert.equal(evaluateRuntimeExpression('$response.body#/a~1b', EXCHANGE), 1);
+  assert.deepEqual(evaluateRuntimeExpression('$response.body', EXCHANGE), EXCHANGE.response.body);
+  assert.equal(evaluateRuntimeExpression('$response.body#/missing', EXCHANGE), undefined);
+});
+
+test('treats embedded expressions as templates and other values as constants', () => {
+  assert.equal(evaluateRuntimeExpression('users/{$response.body#/id}/roles', EXCHANGE), 'users/u_1/roles');
+  assert.equal(evaluateRuntimeExpression('plain', EXCHANGE), 'plain');
+  assert.equal(evaluateRuntimeExpression(true, EXCHANGE), true);
+});
+
+test('prefers exact status links over ranges and defaults', () => {
+  const links = [
+    { status: 'default', name: 'fallback' },
+    { status: '2XX', name: 'range' },
+    { status: '201', name: 'exact' },
+  ];
+  assert.deepEqual(selectLinksForStatus(links, 201).map((link) => link.name), ['exact']);
+  assert.deepEqual(selectLinksForStatus(links, 204).map((link) => link.name), ['range']);
+  assert.deepEqual(selectLinksForStatus(links, 500).map((link) => link.name), ['fallback']);
+  assert.deepEqual(selectLinksForStatus(undefined, 200), []);
+});
+
+test('round-trips link parameters through the query string', () => {
+  const entries = buildLinkPrefillEntries(
+    {
+      parameters: [
+        { name: 'path.userId', expression: '$response.body#/id' },
+        { name: 'verbose', expression: true },
+        { name: 'skipped', expression: '$response.body#/missing' },
+      ],
+    },
+    EXCHANGE
+  );
+  assert.deepEqual(entries, [
+    ['p:path.userId', 'u_1'],
+    ['p:verbose', 'true'],
+  ]);
+
+  const prefill = readLinkPrefill(`?operation=getuser&${new URLSearchParams(entries)}`);
+  assert.equal(lookupLinkPrefill(prefill, 'path', 'userId'), 'u_1');
+  assert.equal(lookupLinkPrefill(prefill, 'query', 'userId'), undefined);
+  assert.equal(lookupLinkPrefill(prefill, 'query', 'verbose'), 'true');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatByteSize,
+  formatHexDump,
+  getResponseFileName,
+  getResponsePreviewKind,
+  parseCsv,
+} from '../media.js';
+
+test('picks a preview by content type', () => {
+  assert.equal(getResponsePreviewKind('image/png'), 'image');
+  assert.equal(getResponsePreviewKind('text/csv; charset=utf-8'), 'csv');
+  assert.equal(getResponsePreviewKind('application/pdf'), 'binary');
+  assert.equal(getResponsePreviewKind('application/zip'), 'binary');
+  assert.equal(getResponsePreviewKind('application/octet-stream'), 'binary');
+  assert.equal(getResponsePreviewKind('application/problem+json'), 'text');
+  assert.equal(getResponsePreviewKind('application/atom+xml'), 'text');
+  assert.equal(getResponsePreviewKind('text/html'), 'text');
+  assert.equal(getResponsePreviewKind(null), 'text');
+});
+
+test('parses quoted CSV fields and TSV', () => {
+  assert.deepEqual(parseCsv('id,name,notes\r\n1,"Doe, Jane","said ""hi""\nthen left"\n2,Bob,\n'), [
+    ['id', 'name', 'notes'],
+    ['1', 'Doe, Jane', 'said "hi"\nthen left'],
+    ['2', 'Bob', ''],
+  ]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2', { delimiter: '\t' }), [
+    ['a', 'b'],
+    ['1', '2'],
+  ]);
+});
+
+test('dumps leading bytes as hex and ASCII and formats sizes', () => {
+  const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, ...new Uint8Array(12)]);
+  assert.equal(
+    formatHexDump(bytes),
+    [
+      '00000000  89 50 4e 47 0d 0a 1a 0a 00 00 00 00 00 00 00 00  |.PNG............|',
+      '00000010  00 00 00 00                                      |....|',
+    ].join('\n')
+  );
+  assert.equal(formatHexDump(bytes, 4), '00000000  89 50 4e 47                                      |.PNG|');
+  assert.equal(formatByteSize(512), '512 B');
+  assert.equal(formatByteSize(1536), '1.5 KB');
+  assert.equal(formatByteSize(25 * 1024 * 1024), '25 MB');
+});
+
+test('names downloads after Content-Disposition or the content type', () => {
+  assert.equal(getResponseFileName('attachment; filename="report 2024.pdf"', 'application/pdf'), 'report 2024.pdf');
+  assert.equal(
+    getResponseFileName(`attachment; filename="fallback.csv"; filename*=UTF-8''r%C3%A9sum%C3%A9.csv`, 'text/csv'),
+    'résumé.csv'
+  );
+  assert.equal(getResponseFileName('attachment; filename=../../etc/passwd', null), 'passwd');
+  assert.equal(getResponseFileName(null, 'image/png'), 'response.png');
+  assert.equal(getResponseFileName('inline', 'application/x-unknown'), 'response.bin');
+  assert.equal(getResponseFileName(undefined, 'text/markdown'), 'response.txt');
+});
@@ -0,0 +1,29 @@
+/**
+ * In-memory stand-in for `localStorage`, for tests of the modules that persist Try it state.
+ */
+export class MemoryStorage {
+  /**
+   * @param {Record<string, string>} [entries] Initial contents.
+   * @param {{ quota?: number }} [options] Longest value accepted; longer writes throw like a full store.
+   */
+  constructor(entries = {}, { quota = Infinity } = {}) {
+    this.items = new Map(Object.entries(entries));
+    this.quota = quota;
+  }
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    if (String(value).length > this.quota) throw new Error('QuotaExceededError');
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+  get length() {
+    return this.items.size;
+  }
+}
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildAuthorizationUrl,
+  buildOpenIdConnectFlows,
+  createCodeChallenge,
+  discoverOpenIdConnectFlows,
+  generateCodeVerifier,
+  getOAuthFlows,
+  getValidAccessToken,
+  isTokenExpired,
+  normalizeTokenResponse,
+  readStoredToken,
+} from '../oauth.js';
+import { createStorageNamespace } from '../storage.js';
+import { MemoryStorage } from './memory-storage.js';
+
+test('derives the S256 code challenge from the RFC 7636 example verifier', async () => {
+  const challenge = await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+  assert.equal(challenge, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+});
+
+test('generates base64url code verifiers', () => {
+  const verifier = generateCodeVerifier();
+  assert.match(verifier, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(verifier, generateCodeVerifier());
+});
+
+test('builds the authorization URL with PKCE parameters', () => {
+  const url = new URL(
+    buildAuthorizationUrl({
+      authorizationUrl: 'https://auth.example.com/authorize?audience=api',
+      clientId: 'docs',
+      redirectUri: 'https://docs.example.com/api/try/',
+      scopes: ['todos:read', 'todos:write'],
+      state: 'xyz',
+      codeChallenge: 'challenge',
+    })
+  );
+
+  assert.equal(url.origin + url.pathname, 'https://auth.example.com/authorize');
+  assert.deepEqual(Object.fromEntries(url.searchParams), {
+    audience: 'api',
+    response_type: 'code',
+    client_id: 'docs',
+    redirect_uri: 'https://docs.example.com/api/try/',
+    scope: 'todos:read todos:write',
+    state: 'xyz',
+    code_challenge: 'challenge',
+    code_challenge_method: 'S256',
+  });
+});
+
+test('keeps only supported, well-formed flows', () => {
+  const flows = getOAuthFlows({
+    flows: {
+      implicit: { authorizationUrl: 'https://auth.example.com/authorize', scopes: {} },
+      authorizationCode: {
+        authorizationUrl: 'https://auth.example.com/authorize',
+        tokenUrl: 'https://auth.example.com/token',
+        scopes: { 'todos:read': 'Read todos' },
+      },
+      clientCredentials: { scopes: {} },
+    },
+  });
+
+  assert.deepEqual(flows, [
+    {
+      type: 'authorizationCode',
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      refreshUrl: '',
+      scopes: { 'todos:read': 'Read todos' },
+    },
+  ]);
+  assert.deepEqual(getOAuthFlows(undefined), []);
+});
+
+test('normalizes token responses and tracks expiry', () => {
+  const token = normalizeTokenResponse(
+    { access_token: 'abc', expires_in: 3600, refresh_token: 'r1', scope: 'todos:read' },
+    { scopes: ['todos:read', 'todos:write'], tokenUrl: 'https://auth.example.com/token', clientId: 'docs' },
+    1_000
+  );
+
+  assert.deepEqual(token, {
+    accessToken: 'abc',
+    tokenType: 'Bearer',
+    expiresAt: 3_601_000,
+    refreshToken: 'r1',
+    scopes: ['todos:read'],
+    tokenUrl: 'https://auth.example.com/token',
+    clientId: 'docs',
+  });
+  assert.equal(isTokenExpired(token, 1_000), false);
+  assert.equal(isTokenExpired(token, 3_580_000), true);
+  assert.equal(isTokenExpired({ ...token, expiresAt: null }, Number.MAX_SAFE_INTEGER), false);
+  assert.throws(() => normalizeTokenResponse({ token_type: 'Bearer' }, { tokenUrl: '', clientId: '' }), /access_token/);
+});
+
+test('maps an OpenID Connect discovery document onto OAuth flows', () => {
+  const flows = buildOpenIdConnectFlows({
+    issuer: 'https://id.example.com',
+    authorization_endpoint: 'https://id.example.com/authorize',
+    token_endpoint: 'https://id.example.com/token',
+    grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+    scopes_supported: ['openid', 'profile', 'todos'],
+  });
+
+  assert.deepEqual(getOAuthFlows({ flows }), [
+    {
+      type: 'authorizationCode',
+      authorizationUrl: 'https://id.example.com/authorize',
+      tokenUrl: 'https://id.example.com/token',
+      refreshUrl: '',
+      scopes: { openid: '', profile: '', todos: '' },
+    },
+    {
+      type: 'clientCredentials',
+      authorizationUrl: '',
+      tokenUrl: 'https://id.example.com/token',
+      refreshUrl: '',
+      scopes: { openid: '', profile: '', todos: '' },
+    },
+  ]);
+});
+
+test('defaults OpenID Connect providers to the authorization code grant', () => {
+  const flows = buildOpenIdConnectFlows({
+    authorization_endpoint: 'https://id.example.com/authorize',
+    token_endpoint: 'https://id.example.com/token',
+  });
+
+  assert.deepEqual(Object.keys(flows), ['authorizationCode']);
+  assert.deepEqual(flows.authorizationCode.scopes, { openid: '' });
+  assert.throws(() => buildOpenIdConnectFlows({ issuer: 'https://id.example.com' }), /token_endpoint/);
+});
+
+test('fetches each discovery document once and retries after failures', async (t) => {
+  const calls = [];
+  let fail = true;
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    calls.push(url);
+    if (fail) return new Response('nope', { status: 503, statusText: 'Service Unavailable' });
+    return Response.json({
+      authorization_endpoint: 'https://id.example.com/authorize',
+      token_endpoint: 'https://id.example.com/token',
+    });
+  });
+  const url = 'https://id.example.com/.well-known/openid-configuration';
+
+  await assert.rejects(discoverOpenIdConnectFlows(url), /Discovery request failed \(503\)/);
+  fail = false;
+  const [first, second] = await Promise.all([discoverOpenIdConnectFlows(url), discoverOpenIdConnectFlows(url)]);
+
+  assert.equal(first, second);
+  assert.equal(first.authorizationCode.tokenUrl, 'https://id.example.com/token');
+  assert.equal(calls.length, 2);
+});
+
+test('refreshes expired tokens and reports refresh failures', async (t) => {
+  const store = createStorageNamespace({ baseSlug: 'api' }, new MemoryStorage());
+  const expired = {
+    accessToken: 'old',
+    tokenType: 'Bearer',
+    expiresAt: 1_000,
+    refreshToken: 'r1',
+    scopes: [],
+    tokenUrl: 'https://auth.example.com/token',
+    clientId: 'docs',
+  };
+  let response = Response.json({ access_token: 'new', expires_in: 60 });
+  t.mock.method(globalThis, 'fetch', async () => response);
+
+  store.setJson('oauth-token:auth', expired);
+  assert.equal(await getValidAccessToken(store, 'auth', 2_000), 'new');
+  assert.equal(readStoredToken(store, 'auth').refreshToken, 'r1');
+
+  store.setJson('oauth-token:auth', expired);
+  response = Response.json({ error: 'invalid_grant' }, { status: 400 });
+  await assert.rejects(
+    getValidAccessToken(store, 'auth', 2_000),
+    /^Error: Could not refresh the token: Token request failed \(400\): invalid_grant\. Authorize again\.$/
+  );
+  assert.equal(readStoredToken(store, 'auth'), null);
+});
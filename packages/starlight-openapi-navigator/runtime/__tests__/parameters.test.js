@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getParameterStyle,
+  serializeFormBody,
+  serializeHeaderParameter,
+  serializePathParameter,
+  serializeQueryParameter,
+} from '../parameters.js';
+
+// Values and expectations follow the style examples table of the OpenAPI specification.
+const EMPTY = '';
+const STRING = 'blue';
+const ARRAY = ['blue', 'black', 'brown'];
+const OBJECT = { R: 100, G: 200, B: 150 };
+
+function path(style, explode, value) {
+  return serializePathParameter({ name: 'color', in: 'path', style, explode }, value);
+}
+
+function query(style, explode, value, extra = {}) {
+  return serializeQueryParameter({ name: 'color', in: 'query', style, explode, ...extra }, value);
+}
+
+test('applies the default style and explode per location', () => {
+  assert.deepEqual(getParameterStyle({ in: 'path' }), { style: 'simple', explode: false });
+  assert.deepEqual(getParameterStyle({ in: 'header' }), { style: 'simple', explode: false });
+  assert.deepEqual(getParameterStyle({ in: 'query' }), { style: 'form', explode: true });
+  assert.deepEqual(getParameterStyle({ in: 'cookie' }), { style: 'form', explode: true });
+  assert.deepEqual(getParameterStyle({ in: 'query', style: 'pipeDelimited' }), { style: 'pipeDelimited', explode: false });
+  assert.deepEqual(getParameterStyle({ in: 'query', explode: false }), { style: 'form', explode: false });
+});
+
+test('serializes path parameters with style simple', () => {
+  assert.equal(path('simple', false, STRING), 'blue');
+  assert.equal(path('simple', false, ARRAY), 'blue,black,brown');
+  assert.equal(path('simple', false, OBJECT), 'R,100,G,200,B,150');
+  assert.equal(path('simple', true, STRING), 'blue');
+  assert.equal(path('simple', true, ARRAY), 'blue,black,brown');
+  assert.equal(path('simple', true, OBJECT), 'R=100,G=200,B=150');
+  assert.equal(path(undefined, undefined, ARRAY), 'blue,black,brown');
+});
+
+test('serializes path parameters with style label', () => {
+  assert.equal(path('label', false, EMPTY), '.');
+  assert.equal(path('label', false, STRING), '.blue');
+  assert.equal(path('label', false, ARRAY), '.blue,black,brown');
+  assert.equal(path('label', false, OBJECT), '.R,100,G,200,B,150');
+  assert.equal(path('label', true, EMPTY), '.');
+  assert.equal(path('label', true, STRING), '.blue');
+  assert.equal(path('label', true, ARRAY), '.blue.black.brown');
+  assert.equal(path('label', true, OBJECT), '.R=100.G=200.B=150');
+});
+
+test('serializes path parameters with style matrix', () => {
+  assert.equal(path('matrix', false, EMPTY), ';color');
+  assert.equal(path('matrix', false, STRING), ';color=blue');
+  assert.equal(path('matrix', false, ARRAY), ';color=blue,black,brown');
+  assert.equal(path('matrix', false, OBJECT), ';color=R,100,G,200,B,150');
+  assert.equal(path('matrix', true, EMPTY), ';color');
+  assert.equal(path('matrix', true, STRING), ';color=blue');
+  assert.equal(path('matrix', true, ARRAY), ';color=blue;color=black;color=brown');
+  assert.equal(path('matrix', true, OBJECT), ';R=100;G=200;B=150');
+});
+
+test('percent-encodes path values but keeps style delimiters', () => {
+  assert.equal(path('simple', false, ['a/b', 'c d']), 'a%2Fb,c%20d');
+  assert.equal(path('matrix', true, ['x;y']), ';color=x%3By');
+  assert.equal(path('simple', false, undefined), '');
+});
+
+test('serializes query parameters with style form', () => {
+  assert.equal(query('form', false, EMPTY), 'color=');
+  assert.equal(query('form', false, STRING), 'color=blue');
+  assert.equal(query('form', false, ARRAY), 'color=blue,black,brown');
+  assert.equal(query('form', false, OBJECT), 'color=R,100,G,200,B,150');
+  assert.equal(query('form', true, EMPTY), 'color=');
+  assert.equal(query('form', true, STRING), 'color=blue');
+  assert.equal(query('form', true, ARRAY), 'color=blue&color=black&color=brown');
+  assert.equal(query('form', true, OBJECT), 'R=100&G=200&B=150');
+  assert.equal(query(undefined, undefined, ARRAY), 'color=blue&color=black&color=brown');
+});
+
+test('serializes query parameters with style spaceDelimited', () => {
+  assert.equal(query('spaceDelimited', false, ARRAY), 'color=blue%20black%20brown');
+  assert.equal(query('spaceDelimited', false, OBJECT), 'color=R%20100%20G%20200%20B%20150');
+  assert.equal(query('spaceDelimited', true, ARRAY), 'color=blue&color=black&color=brown');
+});
+
+test('serializes query parameters with style pipeDelimited', () => {
+  assert.equal(query('pipeDelimited', false, ARRAY), 'color=blue|black|brown');
+  assert.equal(query('pipeDelimited', false, OBJECT), 'color=R|100|G|200|B|150');
+  assert.equal(query('pipeDelimited', true, ARRAY), 'color=blue&color=black&color=brown');
+});
+
+test('serializes query parameters with style deepObject', () => {
+  assert.equal(query('deepObject', true, OBJECT), 'color[R]=100&color[G]=200&color[B]=150');
+  assert.equal(
+    query('deepObject', true, { filter: { status: 'open', tags: ['a', 'b'] } }),
+    'color[filter][status]=open&color[filter][tags]=a&color[filter][tags]=b'
+  );
+});
+
+test('encodes query values unless reserved characters are allowed', () => {
+  assert.equal(query('form', true, 'a&b=c/d'), 'color=a%26b%3Dc%2Fd');
+  assert.equal(query('form', true, 'a/b?c', { allowReserved: true }), 'color=a/b?c');
+  assert.equal(query('form', true, 'a b', { allowReserved: true }), 'color=a%20b');
+  assert.equal(query('form', true, []), '');
+  assert.equal(query('form', true, undefined), '');
+});
+
+test('serializes header parameters with style simple', () => {
+  const header = (explode, value) => serializeHeaderParameter({ name: 'X-Color', explode }, value);
+  assert.equal(header(false, STRING), 'blue');
+  assert.equal(header(false, ARRAY), 'blue,black,brown');
+  assert.equal(header(false, OBJECT), 'R,100,G,200,B,150');
+  assert.equal(header(true, ARRAY), 'blue,black,brown');
+  assert.equal(header(true, OBJECT), 'R=100,G=200,B=150');
+  assert.equal(header(false, 'a b/c'), 'a b/c');
+});
+
+test('serializes url-encoded form bodies with per-property encoding', () => {
+  assert.equal(serializeFormBody({ name: 'Ada Lovelace', tags: ['a', 'b'] }), 'name=Ada%20Lovelace&tags=a&tags=b');
+  assert.equal(
+    serializeFormBody({ tags: ['a', 'b'], color: OBJECT }, { tags: { explode: false }, color: { style: 'deepObject', explode: true } }),
+    'tags=a,b&color[R]=100&color[G]=200&color[B]=150'
+  );
+  assert.equal(serializeFormBody({ meta: { a: 1 } }), 'meta=%7B%22a%22%3A1%7D');
+  assert.equal(serializeFormBody({ path: '/x?y' }, { path: { allowReserved: true } }), 'path=/x?y');
+  assert.equal(serializeFormBody('nope'), '');
+});
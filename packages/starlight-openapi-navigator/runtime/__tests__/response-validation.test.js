@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSchemaFormUtils } from '../schema-forms.js';
+import { selectResponseStatus, validateResponse } from '../response-validation.js';
+
+const spec = {
+  document: {
+    components: {
+      schemas: {
+        Todo: {
+          type: 'object',
+          required: ['id', 'title'],
+          properties: { id: { type: 'string' }, title: { type: 'string' }, done: { type: 'boolean' } },
+        },
+        Error: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } },
+      },
+      responses: {
+        NotFound: { description: 'Missing', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      },
+    },
+  },
+};
+
+const responses = {
+  200: {
+    description: 'OK',
+    content: {
+      'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Todo' } } },
+    },
+  },
+  '4XX': { $ref: '#/components/responses/NotFound' },
+  default: { description: 'Unexpected', content: { 'text/*': { schema: { type: 'string' } } } },
+};
+
+const { resolveSchemaObject } = createSchemaFormUtils(spec);
+const check = (statusCode, contentType, bodyText) =>
+  validateResponse(responses, { statusCode, contentType, bodyText }, {
+    resolve: resolveSchemaObject,
+    components: spec.document.components,
+  });
+
+test('picks the documented response for a status', () => {
+  assert.equal(selectResponseStatus(responses, 200), '200');
+  assert.equal(selectResponseStatus(responses, 404), '4XX');
+  assert.equal(selectResponseStatus(responses, 503), 'default');
+  assert.equal(selectResponseStatus({ 201: {} }, 200), null);
+  assert.equal(selectResponseStatus(undefined, 200), null);
+});
+
+test('validates JSON bodies against the response schema with pointers', () => {
+  const valid = check(200, 'application/json; charset=utf-8', '[{"id":"td_1","title":"Docs"}]');
+  assert.equal(valid.matchedStatus, '200');
+  assert.equal(valid.mediaType, 'application/json');
+  assert.equal(valid.body, 'valid');
+  assert.deepEqual(valid.errors, []);
+
+  const invalid = check(200, 'application/json', '[{"id":"td_1","title":"Docs"},{"id":2,"done":"no"}]');
+  assert.equal(invalid.body, 'invalid');
+  assert.deepEqual(invalid.errors, [
+    { pointer: '/1/title', message: 'is required' },
+    { pointer: '/1/id', message: 'must be a string' },
+    { pointer: '/1/done', message: 'must be a boolean' },
+  ]);
+
+  assert.deepEqual(check(200, 'application/json', '{oops').errors, [{ pointer: '', message: 'is not valid JSON' }]);
+});
+
+test('follows response references and media type ranges', () => {
+  assert.deepEqual(check(404, 'application/problem+json', '{}'), {
+    declaredStatuses: ['200', '4XX', 'default'],
+    matchedStatus: '4XX',
+    mediaType: null,
+    body: 'undocumented',
+    errors: [],
+  });
+  assert.deepEqual(check(404, 'application/json', '{}').errors, [{ pointer: '/message', message: 'is required' }]);
+  // Non-JSON bodies are matched to their media type but not parsed.
+  const text = check(500, 'text/plain', 'boom');
+  assert.equal(text.mediaType, 'text/*');
+  assert.equal(text.body, 'skipped');
+});
+
+test('reports undocumented statuses', () => {
+  const result = check(201, 'application/json', '{}');
+  assert.equal(result.matchedStatus, 'default');
+  const strict = validateResponse({ 200: { description: 'OK' } }, { statusCode: 302, contentType: null, bodyText: '' });
+  assert.equal(strict.matchedStatus, null);
+  assert.deepEqual(strict.declaredStatuses, ['200']);
+  assert.equal(strict.body, 'skipped');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSchemaFormUtils, getRequestBodyKind, isBinarySchema } from '../schema-forms.js';
+
+const spec = {
+  document: {
+    components: {
+      schemas: {
+        Upload: {
+          type: 'object',
+          required: ['file'],
+          properties: {
+            file: { type: 'string', format: 'binary' },
+            attachments: { type: 'array', items: { type: 'string', contentMediaType: 'image/png' } },
+            metadata: { type: 'object', properties: { title: { type: 'string' } } },
+            note: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+};
+
+test('detects binary schemas in OpenAPI 3.0 and 3.1 form', () => {
+  assert.equal(isBinarySchema({ type: 'string', format: 'binary' }), true);
+  assert.equal(isBinarySchema({ contentMediaType: 'image/png' }), true);
+  assert.equal(isBinarySchema({ type: 'string', contentMediaType: 'image/png', contentEncoding: 'base64' }), false);
+  assert.equal(isBinarySchema({ type: 'string', format: 'byte' }), false);
+  assert.equal(isBinarySchema({ type: 'integer', format: 'binary' }), false);
+});
+
+test('classifies request body media types', () => {
+  assert.equal(getRequestBodyKind('multipart/form-data', {}), 'multipart');
+  assert.equal(getRequestBodyKind('application/octet-stream', undefined), 'binary');
+  assert.equal(getRequestBodyKind('image/png', { type: 'string', format: 'binary' }), 'binary');
+  assert.equal(getRequestBodyKind('image/png', undefined), 'binary');
+  assert.equal(getRequestBodyKind('application/json; charset=utf-8', { type: 'object' }), 'text');
+  assert.equal(getRequestBodyKind('multipart/mixed', {}), 'text');
+  assert.equal(getRequestBodyKind('application/x-www-form-urlencoded', {}), 'urlencoded');
+  assert.equal(getRequestBodyKind('application/xml', {}), 'xml');
+  assert.equal(getRequestBodyKind('application/atom+xml', {}), 'xml');
+});
+
+test('builds multipart form fields with file pickers and part encodings', () => {
+  const utils = createSchemaFormUtils(spec);
+  const [option] = utils.buildRequestBodyFormOptions({
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: { $ref: '#/components/schemas/Upload' },
+          encoding: { attachments: { contentType: 'image/png, image/jpeg' }, note: { headers: {} } },
+        },
+      },
+    },
+  });
+
+  assert.equal(option.bodyKind, 'multipart');
+  assert.deepEqual(option.encoding, { attachments: { contentType: 'image/png, image/jpeg' }, note: {} });
+  assert.equal(option.supportsForm, true);
+
+  const fields = Object.fromEntries(option.formFields.map((field) => [field.name, field]));
+  assert.equal(fields.file.kind, 'primitive');
+  assert.equal(fields.file.file, true);
+  assert.equal(fields.file.required, true);
+  assert.equal(fields.attachments.kind, 'array');
+  assert.equal(fields.attachments.itemFile, true);
+  assert.equal(fields.attachments.contentType, 'image/png, image/jpeg');
+  assert.equal(fields.metadata.kind, 'object');
+  assert.equal(fields.note.file, false);
+});
+
+test('skips the form for binary bodies', () => {
+  const utils = createSchemaFormUtils(spec);
+  const [option] = utils.buildRequestBodyFormOptions({
+    requestBody: { content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+  });
+  assert.equal(option.bodyKind, 'binary');
+  assert.equal(option.supportsForm, false);
+  assert.deepEqual(option.formFields, []);
+});
+
+test('serializes url-encoded examples and keeps the schema form', () => {
+  const utils = createSchemaFormUtils(spec);
+  const [option] = utils.buildRequestBodyFormOptions({
+    requestBody: {
+      content: {
+        'application/x-www-form-urlencoded': {
+          schema: { type: 'object', properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } } },
+          encoding: { tags: { explode: false } },
+          example: { title: 'Write docs', tags: ['a', 'b'] },
+        },
+      },
+    },
+  });
+  assert.equal(option.bodyKind, 'urlencoded');
+  assert.equal(option.supportsForm, true);
+  assert.deepEqual(option.encoding, { tags: { explode: false } });
+  assert.equal(option.example, 'title=Write%20docs&tags=a,b');
+});
+
+test('generates an XML skeleton named after the referenced component', () => {
+  const utils = createSchemaFormUtils(spec);
+  const [generated, provided] = utils.buildRequestBodyFormOptions({
+    requestBody: {
+      content: {
+        'application/xml': { schema: { $ref: '#/components/schemas/Upload' } },
+        'text/xml': { schema: { type: 'string' }, example: '<note>hi</note>' },
+      },
+    },
+  });
+  assert.equal(generated.bodyKind, 'xml');
+  assert.equal(generated.supportsForm, false);
+  assert.match(generated.example, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<Upload>\n  <file>string<\/file>/);
+  assert.equal(provided.example, '<note>hi</note>');
+});
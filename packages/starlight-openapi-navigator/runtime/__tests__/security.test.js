@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applySecurityRequirement,
+  buildSecurityRequirements,
+  createSecretScrubber,
+  getCredentialKind,
+  maskSecret,
+  redactRequestSecrets,
+} from '../security.js';
+
+const SCHEMES = {
+  ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+  ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+  SessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' },
+  Basic: { type: 'http', scheme: 'basic' },
+  Bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  OAuth: { type: 'oauth2', flows: {} },
+};
+
+function send(requirementSets, credentials, oauthTokens) {
+  const { schemes, requirements } = buildSecurityRequirements(requirementSets, SCHEMES);
+  const headers = new Headers();
+  const url = new URL('https://api.example.com/todos');
+  applySecurityRequirement({ requirement: requirements[0], schemes, credentials, oauthTokens, headers, url });
+  return { headers: Object.fromEntries(headers), query: Object.fromEntries(url.searchParams) };
+}
+
+test('keeps each requirement object as one alternative', () => {
+  const { schemes, requirements } = buildSecurityRequirements(
+    [{ ApiKeyHeader: [] }, { Basic: [], ApiKeyQuery: [] }, { OAuth: ['todos:read'] }, { OAuth: ['todos:write'] }, {}],
+    SCHEMES
+  );
+
+  assert.deepEqual(
+    requirements.map((requirement) => [requirement.id, requirement.label]),
+    [
+      ['ApiKeyHeader', 'ApiKeyHeader'],
+      ['Basic+ApiKeyQuery', 'Basic + ApiKeyQuery'],
+      ['OAuth', 'OAuth (todos:read)'],
+      ['none', 'No authentication'],
+    ]
+  );
+  assert.deepEqual(
+    schemes.map((scheme) => scheme.key),
+    ['ApiKeyHeader', 'Basic', 'ApiKeyQuery', 'OAuth']
+  );
+  assert.deepEqual(schemes[3].scopes, ['todos:read', 'todos:write']);
+});
+
+test('drops requirements that reference undeclared schemes', () => {
+  const { schemes, requirements } = buildSecurityRequirements([{ Missing: [], Bearer: [] }, { Bearer: [] }], SCHEMES);
+  assert.deepEqual(requirements.map((requirement) => requirement.id), ['Bearer']);
+  assert.deepEqual(schemes.map((scheme) => scheme.key), ['Bearer']);
+});
+
+test('classifies schemes by the credential they need', () => {
+  assert.deepEqual(
+    Object.values(SCHEMES).map((scheme) => getCredentialKind(scheme)),
+    ['apiKey', 'apiKey', 'apiKey', 'basic', 'http', 'oauth']
+  );
+  assert.equal(getCredentialKind({ type: 'openIdConnect' }), 'oauth');
+  assert.equal(getCredentialKind({ type: 'mutualTLS' }), 'unsupported');
+});
+
+test('applies every scheme of an AND requirement with its own credential', () => {
+  const result = send(
+    [{ ApiKeyHeader: [], ApiKeyQuery: [], SessionCookie: [], Basic: [] }],
+    {
+      ApiKeyHeader: { value: 'header-key' },
+      ApiKeyQuery: { value: 'query-key' },
+      SessionCookie: { value: 's 1' },
+      Basic: { username: 'ada', password: 'pässword' },
+    }
+  );
+
+  assert.deepEqual(result.query, { api_key: 'query-key' });
+  assert.equal(result.headers['x-api-key'], 'header-key');
+  assert.equal(result.headers.cookie, 'session=s%201');
+  assert.equal(result.headers.authorization, `Basic ${Buffer.from('ada:pässword').toString('base64')}`);
+});
+
+test('only applies the chosen alternative', () => {
+  const result = send([{ Bearer: [] }, { ApiKeyHeader: [] }], {
+    Bearer: { token: 'jwt' },
+    ApiKeyHeader: { value: 'ignored' },
+  });
+  assert.deepEqual(result.headers, { authorization: 'Bearer jwt' });
+});
+
+test('sends OAuth tokens as bearer credentials and skips empty ones', () => {
+  assert.deepEqual(send([{ OAuth: [] }], {}, { OAuth: 'access' }).headers, { authorization: 'Bearer access' });
+  assert.deepEqual(send([{ ApiKeyHeader: [], Basic: [] }], { ApiKeyHeader: { value: '  ' } }).headers, {});
+  assert.deepEqual(send([{}], { ApiKeyHeader: { value: 'unused' } }).headers, {});
+});
+
+test('redacts credentials from stored requests', () => {
+  const schemes = [
+    { key: 'header', type: 'apiKey', in: 'header', name: 'X-API-Key', scopes: [] },
+    { key: 'query', type: 'apiKey', in: 'query', name: 'api_key', scopes: [] },
+    { key: 'bearer', type: 'http', scheme: 'bearer', scopes: [] },
+  ];
+  const redacted = redactRequestSecrets(schemes, {
+    url: 'https://api.example.com/todos?tags=a|b&api_key=s3cret&limit=5#top',
+    headers: [
+      ['Accept', 'application/json'],
+      ['x-api-key', 'abc'],
+      ['Authorization', 'Bearer token'],
+    ],
+  });
+  assert.equal(redacted.url, 'https://api.example.com/todos?tags=a|b&api_key=***&limit=5#top');
+  assert.deepEqual(redacted.headers, [
+    ['Accept', 'application/json'],
+    ['x-api-key', '***'],
+    ['Authorization', '***'],
+  ]);
+});
+
+test('reports the credentials it applies and where', () => {
+  const { schemes, requirements } = buildSecurityRequirements([{ ApiKeyQuery: [], Bearer: [], SessionCookie: [] }], SCHEMES);
+  const applied = applySecurityRequirement({
+    requirement: requirements[0],
+    schemes,
+    credentials: { ApiKeyQuery: { value: 'k/1 2' }, Bearer: { token: 'Bearer jwt-token' }, SessionCookie: {} },
+    headers: new Headers(),
+    url: new URL('https://api.example.com/todos'),
+  });
+  assert.deepEqual(applied, [
+    { scheme: 'ApiKeyQuery', location: 'query', name: 'api_key', secrets: ['k/1 2', 'k%2F1%202', 'k%2F1+2'] },
+    { scheme: 'Bearer', location: 'header', name: 'Authorization', secrets: ['jwt-token'] },
+  ]);
+});
+
+test('masks credentials partially for display', () => {
+  const schemes = [{ key: 'query', type: 'apiKey', in: 'query', name: 'api_key', scopes: [] }];
+  const shown = redactRequestSecrets(
+    schemes,
+    {
+      url: 'https://api.example.com/todos?api_key=sk_live_0123456789abcdef',
+      headers: [
+        ['Authorization', 'Bearer sk_live_51Hx9Zq4f2a'],
+        ['Cookie', 'session=abcdefghijklmnopqrstuvwxyz; theme=dark'],
+      ],
+    },
+    { mask: maskSecret }
+  );
+  assert.equal(shown.url, 'https://api.example.com/todos?api_key=sk_…cdef');
+  assert.deepEqual(shown.headers, [
+    ['Authorization', 'Bearer sk_…4f2a'],
+    ['Cookie', 'session=abc…wxyz; theme=***'],
+  ]);
+  assert.equal(maskSecret('sk_test_1234567894f2a'), 'sk_…4f2a');
+});
+
+test('scrubs known credential values from echoed text', () => {
+  const scrub = createSecretScrubber(['sk_test_1234567894f2a', 'sk_test_1234567894f2a'.slice(0, 3), 'abcd']);
+  assert.equal(
+    scrub('{"token":"sk_test_1234567894f2a","other":"abcd","short":"sk_"}'),
+    '{"token":"sk_…4f2a","other":"***","short":"sk_"}'
+  );
+  assert.equal(createSecretScrubber([])('unchanged'), 'unchanged');
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildDevProxyTable,
+  buildServerOriginPattern,
+  buildWildcardProxyPath,
+  expandServerUrl,
+  hasFreeFormServerVariables,
+  listServerVariableCombinations,
+  matchWildcardProxyRequest,
+  normalizeServerVariables,
+  normalizeTryItEnvironments,
+} from '../servers.js';
+
+const URL_TEMPLATE = 'https://{region}.api.example.com/{version}';
+const VARIABLES = {
+  region: { enum: ['eu', 'us'], default: 'eu' },
+  version: { default: 'v1', description: 'API version' },
+};
+
+test('normalizes variable definitions', () => {
+  assert.deepEqual(normalizeServerVariables({ port: { enum: [8080, 8443] }, broken: null }), {
+    port: { default: '8080', enum: ['8080', '8443'], description: '' },
+  });
+  assert.deepEqual(normalizeServerVariables(undefined), {});
+});
+
+test('substitutes values and falls back to defaults', () => {
+  assert.equal(expandServerUrl(URL_TEMPLATE, VARIABLES), 'https://eu.api.example.com/v1');
+  assert.equal(expandServerUrl(URL_TEMPLATE, VARIABLES, { region: 'us', version: 'v2' }), 'https://us.api.example.com/v2');
+  assert.equal(expandServerUrl(URL_TEMPLATE, {}, { region: 'us' }), 'https://us.api.example.com/{version}');
+});
+
+test('lists enum combinations and gives up above the limit', () => {
+  const variables = { ...VARIABLES, version: { enum: ['v1', 'v2'] } };
+  assert.deepEqual(listServerVariableCombinations(URL_TEMPLATE, variables), [
+    { region: 'eu', version: 'v1' },
+    { region: 'eu', version: 'v2' },
+    { region: 'us', version: 'v1' },
+    { region: 'us', version: 'v2' },
+  ]);
+  assert.deepEqual(listServerVariableCombinations(URL_TEMPLATE, VARIABLES), [
+    { region: 'eu', version: 'v1' },
+    { region: 'us', version: 'v1' },
+  ]);
+  assert.equal(listServerVariableCombinations(URL_TEMPLATE, variables, 3), null);
+  assert.equal(hasFreeFormServerVariables(URL_TEMPLATE, VARIABLES), true);
+  assert.equal(hasFreeFormServerVariables(URL_TEMPLATE, variables), false);
+});
+
+test('builds origin patterns from the template host', () => {
+  const pattern = new RegExp(buildServerOriginPattern(URL_TEMPLATE, VARIABLES));
+  assert.ok(pattern.test('https://eu.api.example.com'));
+  assert.ok(!pattern.test('https://ap.api.example.com'));
+  assert.ok(!pattern.test('https://eu.api.example.com.evil.test'));
+
+  const freeForm = new RegExp(buildServerOriginPattern('https://{tenant}.example.com:{port}', {}));
+  assert.ok(freeForm.test('https://acme.example.com:8443'));
+  assert.ok(!freeForm.test('https://acme.example.com:8443/x'));
+  assert.equal(buildServerOriginPattern('/{version}', {}), null);
+});
+
+test('routes wildcard proxy requests to allowed origins only', () => {
+  const contextPath = '/__openapi/_any/region-api-example-com';
+  const originPattern = buildServerOriginPattern(URL_TEMPLATE, VARIABLES);
+  const proxyPath = buildWildcardProxyPath(contextPath, 'https://us.api.example.com/v3/');
+
+  assert.equal(proxyPath, '/__openapi/_any/region-api-example-com/https/us.api.example.com/v3');
+  assert.deepEqual(matchWildcardProxyRequest(contextPath, originPattern, `${proxyPath}/todos?limit=5`), {
+    target: 'https://us.api.example.com',
+    path: '/v3/todos?limit=5',
+  });
+  assert.equal(matchWildcardProxyRequest(contextPath, originPattern, `${contextPath}/https/evil.test/v1`), null);
+  assert.equal(matchWildcardProxyRequest(contextPath, originPattern, '/__openapi/other/https/eu.api.example.com'), null);
+});
+
+test('normalizes environment variables and keeps only string or number headers', () => {
+  const [staging] = normalizeTryItEnvironments([
+    {
+      name: ' Staging ',
+      url: 'https://{tenant}.staging.example.com/{version}',
+      variables: { tenant: 'acme', version: { default: 'v2', enum: ['v1', 'v2'] }, port: 8443, broken: null },
+      headers: { 'X-Env': 'staging', 'X-Shard': 3, 'X-Flags': ['a'], 'X-Debug': true, 'X-Nothing': null },
+    },
+  ]);
+
+  assert.equal(staging.name, 'Staging');
+  assert.deepEqual(staging.variables, {
+    tenant: { default: 'acme' },
+    version: { default: 'v2', enum: ['v1', 'v2'] },
+    port: { default: '8443' },
+  });
+  assert.deepEqual(staging.headers, { 'X-Env': 'staging', 'X-Shard': '3' });
+});
+
+test('skips incomplete environments and rejects duplicate names', () => {
+  assert.deepEqual(normalizeTryItEnvironments(undefined), []);
+  assert.deepEqual(
+    normalizeTryItEnvironments([null, { name: 'No URL' }, { url: 'https://example.com' }, { name: ' ', url: 'https://example.com' }]),
+    []
+  );
+  assert.throws(
+    () =>
+      normalizeTryItEnvironments([
+        { name: 'Local', url: 'http://localhost:3000' },
+        { name: 'Local', url: 'http://localhost:4000' },
+      ]),
+    /more than one entry named "Local"/
+  );
+});
+
+test('adds proxy entries for environments after spec servers', () => {
+  const environments = normalizeTryItEnvironments([
+    { name: 'Local', url: 'http://localhost:4010/api/' },
+    { name: 'Same as spec', url: 'https://api.example.com/v1/' },
+    { name: 'Tenant', url: 'https://{tenant}.example.com', variables: { tenant: 'acme' } },
+  ]);
+  const table = buildDevProxyTable({ servers: [{ url: 'https://api.example.com/v1' }] }, environments);
+
+  assert.deepEqual(
+    table.map(({ originalUrl, target, contextPath, rewritePath }) => ({ originalUrl, target, contextPath, rewritePath })),
+    [
+      { originalUrl: 'https://api.example.com/v1', target: 'https://api.example.com', contextPath: '/__openapi/api-example-com/v1', rewritePath: '/v1' },
+      { originalUrl: 'http://localhost:4010/api/', target: 'http://localhost:4010', contextPath: '/__openapi/localhost-4010/api', rewritePath: '/api' },
+      { originalUrl: 'https://acme.example.com', target: 'https://acme.example.com', contextPath: '/__openapi/acme-example-com', rewritePath: '/' },
+      { originalUrl: 'https://{tenant}.example.com', target: 'https://acme.example.com', contextPath: '/__openapi/_any/tenant-example-com', rewritePath: '/' },
+    ]
+  );
+  const wildcard = table[3];
+  assert.equal(wildcard.wildcard, true);
+  assert.equal(
+    matchWildcardProxyRequest(wildcard.contextPath, wildcard.originPattern, `${wildcard.contextPath}/https/globex.example.com/x`)?.target,
+    'https://globex.example.com'
+  );
+});
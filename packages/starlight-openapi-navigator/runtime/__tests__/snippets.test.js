@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderRequestSnippet, SNIPPET_FORMATS } from '../snippets.js';
+
+const JSON_POST = {
+  method: 'post',
+  url: 'https://api.example.com/todos?dryRun=true&tag=a b',
+  headers: [
+    ['Accept', 'application/json'],
+    ['Content-Type', 'application/json'],
+    ['Authorization', 'Bearer ***'],
+  ],
+  body: { type: 'text', text: `{"title":"Don't panic"}` },
+};
+
+const UPLOAD = {
+  method: 'PUT',
+  url: 'https://api.example.com/todos/1/attachments',
+  headers: [['Accept', 'application/json']],
+  body: {
+    type: 'form-data',
+    parts: [
+      { name: 'note', value: '@home' },
+      { name: 'meta', value: '{"pinned":true}', contentType: 'application/json' },
+      { name: 'file', fileName: 'report.pdf', contentType: 'application/pdf' },
+    ],
+  },
+};
+
+test('renders curl with shell quoting and only the flags curl needs', () => {
+  assert.equal(
+    renderRequestSnippet('curl', JSON_POST),
+    [
+      `curl 'https://api.example.com/todos?dryRun=true&tag=a b' \\`,
+      `  -H 'Accept: application/json' \\`,
+      `  -H 'Content-Type: application/json' \\`,
+      `  -H 'Authorization: Bearer ***' \\`,
+      `  --data-raw '{"title":"Don'\\''t panic"}'`,
+    ].join('\n')
+  );
+  assert.equal(
+    renderRequestSnippet('curl', UPLOAD),
+    [
+      'curl -X PUT https://api.example.com/todos/1/attachments \\',
+      `  -H 'Accept: application/json' \\`,
+      `  --form-string note=@home \\`,
+      `  -F 'meta={"pinned":true};type=application/json' \\`,
+      `  -F 'file=@report.pdf;type=application/pdf'`,
+    ].join('\n')
+  );
+  assert.equal(
+    renderRequestSnippet('curl', { method: 'HEAD', url: 'https://api.example.com/', headers: [] }),
+    'curl --head https://api.example.com/'
+  );
+});
+
+test('renders fetch, HTTPie and Python requests', () => {
+  assert.equal(
+    renderRequestSnippet('fetch', JSON_POST),
+    [
+      'const response = await fetch("https://api.example.com/todos?dryRun=true&tag=a b", {',
+      '  method: "POST",',
+      '  headers: {',
+      '    "Accept": "application/json",',
+      '    "Content-Type": "application/json",',
+      '    "Authorization": "Bearer ***",',
+      '  },',
+      `  body: "{\\"title\\":\\"Don't panic\\"}",`,
+      '});',
+      'console.log(response.status, await response.text());',
+    ].join('\n')
+  );
+  assert.equal(
+    renderRequestSnippet('httpie', UPLOAD),
+    [
+      'http --multipart PUT https://api.example.com/todos/1/attachments \\',
+      '  Accept:application/json \\',
+      '  note=@home \\',
+      `  'meta={"pinned":true}' \\`,
+      `  'file@report.pdf;type=application/pdf'`,
+    ].join('\n')
+  );
+  assert.equal(
+    renderRequestSnippet('python', UPLOAD),
+    [
+      'import requests',
+      '',
+      'response = requests.request(',
+      '    "PUT",',
+      '    "https://api.example.com/todos/1/attachments",',
+      '    headers={',
+      '        "Accept": "application/json",',
+      '    },',
+      '    files=[',
+      '        ("note", (None, "@home")),',
+      '        ("meta", (None, "{\\"pinned\\":true}", "application/json")),',
+      '        ("file", ("report.pdf", open("report.pdf", "rb"), "application/pdf")),',
+      '    ],',
+      ')',
+      'print(response.status_code, response.text)',
+    ].join('\n')
+  );
+});
+
+test('renders PowerShell with the content type as -ContentType', () => {
+  assert.equal(
+    renderRequestSnippet('powershell', JSON_POST),
+    [
+      '$headers = @{',
+      `    'Accept' = 'application/json'`,
+      `    'Authorization' = 'Bearer ***'`,
+      '}',
+      `Invoke-RestMethod -Method POST -Uri 'https://api.example.com/todos?dryRun=true&tag=a b' \``,
+      '    -Headers $headers `',
+      `    -ContentType 'application/json' \``,
+      `    -Body '{"title":"Don''t panic"}'`,
+    ].join('\n')
+  );
+  assert.match(
+    renderRequestSnippet('powershell', { method: 'PUT', url: 'https://x', headers: [], body: { type: 'file', fileName: 'a.bin' } }),
+    /-InFile 'a\.bin'$/
+  );
+});
+
+test('renders Go and Ruby requests, streaming files from disk', () => {
+  const go = renderRequestSnippet('go', UPLOAD);
+  assert.match(go, /\t"net\/textproto"\n\t"os"\n\)/);
+  assert.match(go, /\tform\.WriteField\("note", `@home`\)\n/);
+  assert.match(go, /header\.Set\("Content-Disposition", `form-data; name="file"; filename="report\.pdf"`\)/);
+  assert.match(go, /file, err := os\.Open\("report\.pdf"\)/);
+  assert.match(go, /req\.Header\.Set\("Content-Type", form\.FormDataContentType\(\)\)/);
+  assert.match(renderRequestSnippet('go', JSON_POST), /payload := strings\.NewReader\(`\{"title":"Don't panic"\}`\)/);
+
+  assert.equal(
+    renderRequestSnippet('ruby', UPLOAD).split('\n').slice(5, 10).join('\n'),
+    [
+      'request.set_form([',
+      '  ["note", "@home"],',
+      '  ["meta", "{\\"pinned\\":true}", { content_type: "application/json" }],',
+      '  ["file", File.open("report.pdf"), { filename: "report.pdf", content_type: "application/pdf" }],',
+      '], "multipart/form-data")',
+    ].join('\n')
+  );
+  assert.match(
+    renderRequestSnippet('ruby', { method: 'QUERY', url: 'https://x/#{id}', headers: [], body: { type: 'file', fileName: 'a.bin' } }),
+    /uri = URI\("https:\/\/x\/\\#\{id\}"\)\nrequest = Net::HTTPGenericRequest\.new\("QUERY", true, true, uri\)\nrequest\.body = File\.binread\("a\.bin"\)/
+  );
+});
+
+test('offers a renderer for every listed format and rejects unknown ones', () => {
+  SNIPPET_FORMATS.forEach(({ id }) => {
+    assert.equal(typeof renderRequestSnippet(id, JSON_POST), 'string');
+  });
+  assert.throws(() => renderRequestSnippet('wget', JSON_POST), /Unknown snippet format "wget"/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildStoragePrefix, createStorageNamespace, migrateLegacyStorage } from '../storage.js';
+import { MemoryStorage } from './memory-storage.js';
+
+test('keeps each instance in its own namespace and clears only that one', () => {
+  const storage = new MemoryStorage({ unrelated: 'keep' });
+  const petstore = createStorageNamespace({ baseSlug: 'api', instanceId: 'petstore' }, storage);
+  const billing = createStorageNamespace({ baseSlug: 'api', instanceId: 'billing' }, storage);
+
+  assert.equal(petstore.prefix, 'starlight-openapi-navigator:v1:api:petstore:');
+  assert.equal(buildStoragePrefix(undefined, ' '), 'starlight-openapi-navigator:v1:api:default:');
+
+  petstore.set('server', 'spec:https://petstore.example.com');
+  petstore.setJson('credentials:apiKey', { value: 'secret' });
+  billing.set('server', 'spec:https://billing.example.com');
+
+  assert.equal(petstore.get('server'), 'spec:https://petstore.example.com');
+  assert.equal(billing.get('server'), 'spec:https://billing.example.com');
+  assert.deepEqual(petstore.getJson('credentials:apiKey'), { value: 'secret' });
+  assert.deepEqual(petstore.names().sort(), ['credentials:apiKey', 'server']);
+
+  storage.setItem(`${petstore.prefix}broken`, '{not json');
+  assert.equal(petstore.getJson('broken'), null);
+  petstore.setJson('broken', null);
+  assert.equal(petstore.get('broken'), null);
+
+  assert.equal(petstore.clear(), 2);
+  assert.deepEqual(petstore.names(), []);
+  assert.equal(billing.get('server'), 'spec:https://billing.example.com');
+  assert.equal(storage.getItem('unrelated'), 'keep');
+});
+
+test('moves the global keys of earlier versions into the namespace', () => {
+  const storage = new MemoryStorage({
+    'starlight-openapi-navigator-server': 'custom:https://staging.example.com',
+    'starlight-openapi-navigator-history:api': '[]',
+    'starlight-openapi-navigator-history:other': '[]',
+    'starlight-openapi-navigator-credentials:basicAuth': '{"username":"ada"}',
+    'starlight-openapi-navigator-oauth:oauth': '{"accessToken":"t"}',
+    'starlight-openapi-navigator-api-key': 'legacy-key',
+    'starlight-openapi-panel:get-pets-request': 'closed',
+    'starlight-preferred-lang': 'Python',
+  });
+  const store = createStorageNamespace({ baseSlug: 'api' }, storage);
+  store.set('language', 'curl');
+
+  const moved = migrateLegacyStorage(store, {
+    baseSlug: 'api',
+    schemes: [
+      { key: 'basicAuth', type: 'http', scheme: 'basic' },
+      { key: 'apiKey', type: 'apiKey' },
+      { key: 'oauth', type: 'oauth2' },
+    ],
+  });
+
+  assert.equal(moved, 6);
+  assert.equal(store.get('server'), 'custom:https://staging.example.com');
+  assert.equal(store.get('history'), '[]');
+  assert.deepEqual(store.getJson('credentials:basicAuth'), { username: 'ada' });
+  assert.deepEqual(store.getJson('credentials:apiKey'), { value: 'legacy-key' });
+  assert.deepEqual(store.getJson('oauth-token:oauth'), { accessToken: 't' });
+  assert.equal(store.get('panel:get-pets-request'), 'closed');
+  // A value already in the namespace wins, but the global key still goes.
+  assert.equal(store.get('language'), 'curl');
+
+  assert.deepEqual(
+    Array.from(storage.items.keys()).filter((key) => !key.startsWith(store.prefix)),
+    ['starlight-openapi-navigator-history:other']
+  );
+  assert.equal(migrateLegacyStorage(store, { baseSlug: 'api' }), 0);
+});
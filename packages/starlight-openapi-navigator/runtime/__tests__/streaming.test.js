@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createNdjsonParser, createSseParser, getStreamKind, readResponseBody } from '../streaming.js';
+
+test('recognises event streams and NDJSON by content type', () => {
+  assert.equal(getStreamKind('text/event-stream; charset=utf-8'), 'sse');
+  assert.equal(getStreamKind('application/x-ndjson'), 'ndjson');
+  assert.equal(getStreamKind('Application/JSONL'), 'ndjson');
+  assert.equal(getStreamKind('application/json'), null);
+  assert.equal(getStreamKind(null), null);
+});
+
+test('parses server-sent events split across chunks', () => {
+  const events = [];
+  const parser = createSseParser((event) => events.push(event));
+  parser.push('\uFEFF: keep-alive\r\nevent: delta\r\nid: 1\r\ndata: {"text":');
+  assert.deepEqual(events, []);
+  parser.push('"Hel"}\r');
+  parser.push('\n\r\ndata: first line\ndata:second line\nretry: 3000\n\n');
+  parser.push('id\ndata: [DONE]\n\nevent: ignored\n');
+  parser.end();
+
+  assert.deepEqual(events, [
+    { event: 'delta', id: '1', data: '{"text":"Hel"}', json: { text: 'Hel' } },
+    { event: 'message', id: '1', data: 'first line\nsecond line', retry: 3000 },
+    { event: 'message', id: '', data: '[DONE]' },
+  ]);
+});
+
+test('parses NDJSON line by line and reports lines that are not JSON', () => {
+  const lines = [];
+  const parser = createNdjsonParser((line) => lines.push(line));
+  parser.push('{"id":1}\r\n\n{"id":');
+  parser.push('2}\nnot json\n{"id":3}');
+  assert.equal(lines.length, 3);
+  parser.end();
+
+  assert.deepEqual(lines.map(({ line, json }) => [line, json]), [
+    [1, { id: 1 }],
+    [3, { id: 2 }],
+    [4, undefined],
+    [5, { id: 3 }],
+  ]);
+  assert.equal(lines[2].text, 'not json');
+  assert.ok(lines[2].error);
+});
+
+test('reads bodies chunk by chunk and keeps what arrived before a stop', async () => {
+  const euro = new TextEncoder().encode('€');
+  // One chunk per read, then the end of the stream or `error`.
+  const streamOf = (chunks, error) => {
+    const pending = [...chunks];
+    return new Response(
+      new ReadableStream({
+        pull(controller) {
+          if (pending.length) controller.enqueue(pending.shift());
+          else if (error) controller.error(error);
+          else controller.close();
+        },
+      })
+    );
+  };
+
+  const pieces = [];
+  const read = await readResponseBody(streamOf([euro.subarray(0, 2), euro.subarray(2)]), (piece) => pieces.push(piece));
+  assert.deepEqual(pieces, ['€']);
+  assert.equal(read.text, '€');
+  assert.equal(read.chunks.length, 2);
+  assert.equal(read.stopped, false);
+
+  const stopped = await readResponseBody(
+    streamOf([new TextEncoder().encode('{"partial"')], new DOMException('Stopped', 'AbortError')),
+    () => {}
+  );
+  assert.deepEqual([stopped.text, stopped.stopped], ['{"partial"', true]);
+
+  const raw = await readResponseBody(new Response(euro), () => assert.fail('decode is off'), { decode: false });
+  assert.deepEqual([raw.text, raw.chunks.length], ['', 1]);
+  await assert.rejects(readResponseBody(streamOf([], new TypeError('network down')), () => {}), /network down/);
+});
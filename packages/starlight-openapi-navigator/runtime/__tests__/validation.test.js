@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatValidationError, validateSchemaValue } from '../validation.js';
+
+const messages = (schema, value, options) =>
+  validateSchemaValue(schema, value, options).map(formatValidationError);
+
+test('checks types and enums', () => {
+  assert.deepEqual(messages({ type: 'integer' }, 3), []);
+  assert.deepEqual(messages({ type: 'integer' }, 3.5), ['must be an integer']);
+  assert.deepEqual(messages({ type: ['string', 'null'] }, null), []);
+  assert.deepEqual(messages({ type: 'string', nullable: true }, null), []);
+  assert.deepEqual(messages({ type: 'boolean' }, 'true'), ['must be a boolean']);
+  assert.deepEqual(messages({ type: 'string', enum: ['open', 'done'] }, 'later'), ['must be one of: "open", "done"']);
+  assert.deepEqual(messages({}, { anything: true }), []);
+});
+
+test('checks string lengths, patterns and formats', () => {
+  const schema = { type: 'string', minLength: 4, maxLength: 8, pattern: '^td_[A-Za-z0-9]+$' };
+  assert.deepEqual(messages(schema, 'td_001'), []);
+  assert.deepEqual(messages(schema, 'td_'), [
+    'must be at least 4 characters long',
+    'must match the pattern ^td_[A-Za-z0-9]+$',
+  ]);
+  assert.deepEqual(messages(schema, 'td_0000000'), ['must be at most 8 characters long']);
+  assert.deepEqual(messages(schema, 'ab_12'), ['must match the pattern ^td_[A-Za-z0-9]+$']);
+  assert.deepEqual(messages({ type: 'string', pattern: '(?<broken' }, 'x'), []);
+
+  assert.deepEqual(messages({ type: 'string', format: 'date' }, '2024-02-29'), []);
+  assert.deepEqual(messages({ type: 'string', format: 'date' }, '2024-13-01'), ['must be a valid date']);
+  assert.deepEqual(messages({ type: 'string', format: 'date-time' }, '2024-01-01T10:00:00Z'), []);
+  assert.deepEqual(messages({ type: 'string', format: 'date-time' }, '2024-01-01'), ['must be a valid date-time']);
+  assert.deepEqual(messages({ type: 'string', format: 'uuid' }, 'nope'), ['must be a valid uuid']);
+});
+
+test('checks numeric bounds in both OpenAPI 3.0 and 3.1 forms', () => {
+  assert.deepEqual(messages({ type: 'integer', minimum: 1, maximum: 100 }, 0), ['must be at least 1']);
+  assert.deepEqual(messages({ type: 'integer', minimum: 1, maximum: 100 }, 101), ['must be at most 100']);
+  assert.deepEqual(messages({ type: 'number', minimum: 0, exclusiveMinimum: true }, 0), ['must be greater than 0']);
+  assert.deepEqual(messages({ type: 'number', exclusiveMaximum: 10 }, 10), ['must be less than 10']);
+  assert.deepEqual(messages({ type: 'number', multipleOf: 0.5 }, 1.5), []);
+  assert.deepEqual(messages({ type: 'number', multipleOf: 0.5 }, 1.2), ['must be a multiple of 0.5']);
+});
+
+test('checks arrays and objects with pointers to the offending value', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'tags'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      tags: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', maxLength: 3 } },
+    },
+  };
+  assert.deepEqual(messages(schema, { id: 'a', tags: ['x'] }), []);
+  assert.deepEqual(messages(schema, { tags: ['x', 'x', 'long'], 'a/b': 1 }), [
+    '/id: is required',
+    '/tags: must not contain duplicate items',
+    '/tags/2: must be at most 3 characters long',
+    '/a~1b: is not allowed',
+  ]);
+  assert.deepEqual(messages(schema, { id: 'a', tags: [] }), ['/tags: must have at least 1 item']);
+});
+
+test('resolves referenced schemas through the resolve option', () => {
+  const definitions = { '#/components/schemas/Id': { type: 'string', minLength: 2 } };
+  const resolve = (schema) => (schema?.$ref ? definitions[schema.$ref] : schema);
+  const schema = { type: 'array', items: { $ref: '#/components/schemas/Id' } };
+  assert.deepEqual(messages(schema, ['ok', 'x'], { resolve }), ['/1: must be at least 2 characters long']);
+});
+
+test('checks oneOf, anyOf, not and const', () => {
+  const pet = {
+    oneOf: [
+      { type: 'object', required: ['bark'], properties: { kind: { const: 'dog' }, bark: { type: 'boolean' } } },
+      { type: 'object', required: ['meow'], properties: { kind: { const: 'cat' }, meow: { type: 'boolean' } } },
+    ],
+  };
+  assert.deepEqual(messages(pet, { kind: 'dog', bark: true }), []);
+  assert.deepEqual(messages(pet, { kind: 'bird' }), ['must match exactly one schema in oneOf']);
+  assert.deepEqual(messages(pet, { bark: true, meow: true }), ['must match exactly one schema in oneOf, but matches 2']);
+  assert.deepEqual(messages({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, 1), []);
+  assert.deepEqual(messages({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, true), ['must match at least one schema in anyOf']);
+  assert.deepEqual(messages({ anyOf: [{ type: 'string', minLength: 2 }] }, 'a'), ['must be at least 2 characters long']);
+  assert.deepEqual(messages({ not: { type: 'null' } }, null), ['must not match the schema in not']);
+  assert.deepEqual(messages({ allOf: [{ required: ['a'] }, { required: ['b'] }] }, {}), ['/a: is required', '/b: is required']);
+});
+
+test('follows a discriminator to the branch it names', () => {
+  const definitions = {
+    Dog: { type: 'object', required: ['bark'], properties: { bark: { type: 'boolean' } } },
+    Cat: { type: 'object', required: ['meow'], properties: { meow: { type: 'boolean' } } },
+  };
+  const resolve = (schema) => (schema?.$ref ? definitions[schema.$ref.split('/').pop()] : schema);
+  const schema = {
+    oneOf: [{ $ref: '#/components/schemas/Dog' }, { $ref: '#/components/schemas/Cat' }],
+    discriminator: { propertyName: 'kind', mapping: { dog: '#/components/schemas/Dog' } },
+  };
+  assert.deepEqual(messages(schema, { kind: 'dog', bark: 'yes' }, { resolve }), ['/bark: must be a boolean']);
+  assert.deepEqual(messages(schema, { kind: 'Cat' }, { resolve }), ['/meow: is required']);
+  assert.deepEqual(messages(schema, { kind: 'bird' }, { resolve }), ['must match exactly one schema in oneOf']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildXmlDocument } from '../xml.js';
+
+const PROLOG = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const TODO = {
+  type: 'object',
+  xml: { name: 'todo' },
+  properties: {
+    id: { type: 'string', xml: { attribute: true } },
+    title: { type: 'string', example: 'Write docs' },
+    done: { type: 'boolean' },
+    tags: { type: 'array', xml: { wrapped: true }, items: { type: 'string', xml: { name: 'tag' } } },
+  },
+};
+
+test('builds a skeleton from schema examples and type placeholders', () => {
+  assert.equal(
+    buildXmlDocument(TODO),
+    [
+      PROLOG,
+      '<todo id="string">',
+      '  <title>Write docs</title>',
+      '  <done>false</done>',
+      '  <tags>',
+      '    <tag>string</tag>',
+      '  </tags>',
+      '</todo>',
+    ].join('\n')
+  );
+});
+
+test('fills the skeleton from an example value and escapes it', () => {
+  assert.equal(
+    buildXmlDocument(TODO, { id: 'td_1', title: 'Fish & <chips>', done: true, tags: ['a', 'b'] }),
+    [
+      PROLOG,
+      '<todo id="td_1">',
+      '  <title>Fish &amp; &lt;chips&gt;</title>',
+      '  <done>true</done>',
+      '  <tags>',
+      '    <tag>a</tag>',
+      '    <tag>b</tag>',
+      '  </tags>',
+      '</todo>',
+    ].join('\n')
+  );
+});
+
+test('repeats unwrapped array items under the property name', () => {
+  const schema = {
+    type: 'object',
+    properties: { tags: { type: 'array', items: { type: 'string' } } },
+  };
+  assert.equal(
+    buildXmlDocument(schema, { tags: ['a', 'b'] }, { name: 'Todo' }),
+    [PROLOG, '<Todo>', '  <tags>a</tags>', '  <tags>b</tags>', '</Todo>'].join('\n')
+  );
+});
+
+test('applies namespaces and prefixes', () => {
+  const schema = {
+    type: 'object',
+    xml: { name: 'item', namespace: 'https://example.com/schema', prefix: 'ex' },
+    properties: {
+      code: { type: 'integer', xml: { attribute: true, prefix: 'ex' } },
+      note: { type: 'string', xml: { namespace: 'https://example.com/notes' } },
+    },
+  };
+  assert.equal(
+    buildXmlDocument(schema),
+    [
+      PROLOG,
+      '<ex:item xmlns:ex="https://example.com/schema" ex:code="0">',
+      '  <note xmlns="https://example.com/notes">string</note>',
+      '</ex:item>',
+    ].join('\n')
+  );
+});
+
+test('falls back to a root element for primitive and nameless schemas', () => {
+  assert.equal(buildXmlDocument({ type: 'integer', example: 5 }), `${PROLOG}\n<root>5</root>`);
+  assert.equal(buildXmlDocument(undefined, undefined, { name: 'Empty' }), `${PROLOG}\n<Empty>string</Empty>`);
+});
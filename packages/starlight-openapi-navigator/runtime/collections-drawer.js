@@ -0,0 +1,184 @@
+/**
+ * DOM side of the Try it collections drawer; storage, import and export live in `collections.js`.
+ */
+
+import { escapeHtml } from './text.js';
+import {
+  exportCollections,
+  mergeCollections,
+  parseCollectionsFile,
+  readCollections,
+  removeFromCollections,
+  saveRequestToCollection,
+  storeCollections,
+} from './collections.js';
+import { downloadBlob } from './media-preview-view.js';
+
+/**
+ * The `[data-tryit-collections]` drawer: every saved request of this API, grouped by collection,
+ * with import and export.
+ *
+ * @param {Element | null | undefined} drawer
+ * @param {{
+ *   storage: import('./storage.js').StorageNamespace,
+ *   operationSlug: string,
+ *   suggestions: Element | null | undefined,
+ *   exportFileName: string,
+ *   hrefForRequest: (request: import('./collections.js').SavedRequest) => string,
+ *   onLoad: (request: import('./collections.js').SavedRequest) => void,
+ * }} options `suggestions` is the save panel's datalist of collection names; `hrefForRequest` links
+ *   to saved requests of other operations, and `onLoad` puts one of this operation's into the form.
+ * @returns {{
+ *   save: (collectionName: string, request: Omit<import('./collections.js').SavedRequest, 'id'>) => boolean,
+ *   render: () => void,
+ * }} `save` opens the drawer on the saved request and returns `false` when it could not be stored.
+ */
+export function createCollectionsDrawer(drawer, { storage, operationSlug, suggestions, exportFileName, hrefForRequest, onLoad }) {
+  const list = drawer?.querySelector('[data-tryit-collections-list]');
+  const status = drawer?.querySelector('[data-tryit-collections-status]');
+  const importInput = drawer?.querySelector('[data-tryit-collections-import-input]');
+
+  const showStatus = (message, isError = false) => {
+    if (!(status instanceof HTMLElement)) return;
+    status.textContent = message;
+    status.classList.toggle('api-tryit__hint--warning', isError);
+    status.hidden = !message;
+  };
+
+  const render = () => {
+    if (!(drawer instanceof HTMLElement) || !(list instanceof HTMLElement)) return;
+    const collections = readCollections(storage);
+    const requestCount = collections.reduce((total, collection) => total + collection.requests.length, 0);
+    list.innerHTML = collections
+      .map((collection) => renderCollection(collection, operationSlug, hrefForRequest))
+      .join('');
+    const count = drawer.querySelector('[data-tryit-collections-count]');
+    if (count) count.textContent = requestCount ? `(${requestCount})` : '';
+    const empty = drawer.querySelector('[data-tryit-collections-empty]');
+    if (empty instanceof HTMLElement) empty.hidden = collections.length > 0;
+    const exportButton = drawer.querySelector('[data-tryit-collections-export]');
+    if (exportButton instanceof HTMLElement) exportButton.hidden = !collections.length;
+    if (suggestions) {
+      suggestions.innerHTML = collections
+        .map((collection) => `<option value="${escapeHtml(collection.name)}"></option>`)
+        .join('');
+    }
+  };
+
+  const update = (collections) => {
+    if (!storeCollections(storage, collections)) {
+      showStatus('The browser refused to store the collections (storage full or disabled).', true);
+      return false;
+    }
+    render();
+    return true;
+  };
+
+  const save = (collectionName, request) => {
+    if (!update(saveRequestToCollection(readCollections(storage), collectionName, request))) return false;
+    if (drawer instanceof HTMLDetailsElement) drawer.open = true;
+    showStatus(`Saved “${request.name}” to “${collectionName}”.`);
+    return true;
+  };
+
+  if (list instanceof HTMLElement) {
+    list.addEventListener('click', (event) => {
+      const button = event.target instanceof Element ? event.target.closest('[data-collection-action]') : null;
+      if (!(button instanceof HTMLButtonElement)) return;
+      const collections = readCollections(storage);
+      const collection = collections.find((entry) => entry.id === button.closest('[data-collection-id]')?.dataset.collectionId);
+      const request = collection?.requests.find((entry) => entry.id === button.closest('[data-request-id]')?.dataset.requestId);
+      switch (button.dataset.collectionAction) {
+        case 'load':
+          if (!request) break;
+          onLoad(request);
+          return;
+        case 'remove-request':
+          if (!collection || !request) break;
+          update(removeFromCollections(collections, collection.id, request.id));
+          return;
+        case 'remove-collection':
+          if (!collection) break;
+          update(removeFromCollections(collections, collection.id));
+          return;
+        case 'export-collection':
+          if (!collection) break;
+          downloadTextFile(`${slugifyFileName(collection.name)}.json`, exportCollections([collection]));
+          return;
+      }
+      render();
+    });
+  }
+
+  drawer?.querySelector('[data-tryit-collections-export]')?.addEventListener('click', () => {
+    downloadTextFile(`${slugifyFileName(exportFileName)}-collections.json`, exportCollections(readCollections(storage)));
+  });
+  drawer?.querySelector('[data-tryit-collections-import]')?.addEventListener('click', () => {
+    if (importInput instanceof HTMLInputElement) importInput.click();
+  });
+  if (importInput instanceof HTMLInputElement) {
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files?.[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        const { collections, skipped } = parseCollectionsFile(await file.text());
+        const imported = collections.reduce((total, collection) => total + collection.requests.length, 0);
+        if (!update(mergeCollections(readCollections(storage), collections))) return;
+        showStatus(
+          `Imported ${imported} request${imported === 1 ? '' : 's'}${skipped ? `; skipped ${skipped} that could not be read` : ''}.`
+        );
+      } catch (error) {
+        showStatus(error instanceof Error ? error.message : String(error), true);
+      }
+    });
+  }
+
+  return { save, render };
+}
+
+function renderCollection(collection, operationSlug, hrefForRequest) {
+  const requests = collection.requests
+    .map((request) => {
+      const open = request.operation === operationSlug
+        ? '<button type="button" class="api-tryit__clear" data-collection-action="load">Load into form</button>'
+        : (() => {
+            const href = hrefForRequest(request);
+            return href ? `<a class="api-tryit__clear" href="${escapeHtml(href)}">Open</a>` : '';
+          })();
+      return `
+        <li class="api-tryit__history-item" data-request-id="${escapeHtml(request.id)}">
+          <div class="api-tryit__history-summary">
+            <strong>${escapeHtml(request.name)}</strong>
+            <code class="api-tryit__history-url">${escapeHtml(request.method)} ${escapeHtml(request.path)}</code>
+          </div>
+          <div class="api-tryit__history-actions">
+            ${open}
+            <button type="button" class="api-tryit__clear" data-collection-action="remove-request">Remove</button>
+          </div>
+        </li>
+      `;
+    })
+    .join('');
+  return `
+    <li class="api-tryit__collection" data-collection-id="${escapeHtml(collection.id)}">
+      <div class="api-tryit__history-summary">
+        <strong>${escapeHtml(collection.name)}</strong>
+        <span class="api-tryit__history-count">${collection.requests.length} request${collection.requests.length === 1 ? '' : 's'}</span>
+      </div>
+      <ol class="api-tryit__history-list">${requests}</ol>
+      <div class="api-tryit__history-actions">
+        <button type="button" class="api-tryit__clear" data-collection-action="export-collection">Export</button>
+        <button type="button" class="api-tryit__clear" data-collection-action="remove-collection">Delete collection</button>
+      </div>
+    </li>
+  `;
+}
+
+function downloadTextFile(fileName, text) {
+  downloadBlob(fileName, new Blob([text], { type: 'application/json' }));
+}
+
+function slugifyFileName(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'collection';
+}
@@ -0,0 +1,254 @@
+/**
+ * Saved request collections for the Try it console. Collections are named groups of requests kept
+ * in the instance's storage namespace, and can be exported to (and imported from) a JSON
+ * file so they move between machines.
+ *
+ * File format (`version` 1):
+ *
+ * ```json
+ * {
+ *   "format": "starlight-openapi-navigator/collections",
+ *   "version": 1,
+ *   "exportedAt": "2025-01-31T12:00:00.000Z",
+ *   "collections": [
+ *     {
+ *       "name": "Support",
+ *       "requests": [
+ *         {
+ *           "name": "Create test customer",
+ *           "operation": "create-customer",
+ *           "method": "POST",
+ *           "path": "/customers",
+ *           "server": "spec:https://api.example.com",
+ *           "serverVariables": {},
+ *           "parameters": [{ "location": "query", "name": "dryRun", "value": "true" }],
+ *           "body": { "contentType": "application/json", "text": "{\"name\":\"Test\"}" }
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * `operation` is the operation slug the request is loaded into; `method` and `path` are informative.
+ * Parameter values are written as they appear in the form: arrays and objects as JSON. Credentials
+ * are never part of a saved request.
+ */
+
+import { HISTORY_REQUEST_BODY_LIMIT } from './history.js';
+
+const COLLECTIONS_STORAGE_NAME = 'collections';
+
+/** `format` marker of exported collection files. */
+export const COLLECTIONS_FILE_FORMAT = 'starlight-openapi-navigator/collections';
+/** Current version of the collection file format. */
+export const COLLECTIONS_FILE_VERSION = 1;
+
+/**
+ * @typedef {import('./history.js').HistoryParameter} SavedParameter
+ */
+
+/**
+ * @typedef {object} SavedRequest
+ * @property {string} id
+ * @property {string} name
+ * @property {string} operation Operation slug.
+ * @property {string} method
+ * @property {string} path
+ * @property {string} [server] Key of the selected server (`spec:<url>`, `environment:<name>`, `custom:<url>`).
+ * @property {Record<string, string>} serverVariables
+ * @property {SavedParameter[]} parameters
+ * @property {{ contentType: string, text: string }} [body]
+ */
+
+/**
+ * @typedef {object} Collection
+ * @property {string} id
+ * @property {string} name
+ * @property {SavedRequest[]} requests
+ */
+
+/**
+ * @param {import('./storage.js').StorageNamespace} store
+ * @returns {Collection[]}
+ */
+export function readCollections(store) {
+  return normalizeCollections(store.getJson(COLLECTIONS_STORAGE_NAME), { keepIds: true }).collections;
+}
+
+/**
+ * @param {import('./storage.js').StorageNamespace} store
+ * @param {Collection[]} collections
+ * @returns {boolean} Whether the browser accepted the write.
+ */
+export function storeCollections(store, collections) {
+  return store.setJson(COLLECTIONS_STORAGE_NAME, collections.length ? collections : null);
+}
+
+/**
+ * Add a request to the collection called `collectionName`, creating the collection when needed. A
+ * request with the same name in that collection is replaced.
+ *
+ * @param {Collection[]} collections
+ * @param {string} collectionName
+ * @param {Omit<SavedRequest, 'id'>} request
+ * @returns {Collection[]}
+ */
+export function saveRequestToCollection(collections, collectionName, request) {
+  const name = collectionName.trim();
+  const saved = { ...request, id: createId() };
+  const existing = collections.find((collection) => collection.name === name);
+  if (!existing) {
+    return [...collections, { id: createId(), name, requests: [saved] }];
+  }
+  return collections.map((collection) =>
+    collection === existing
+      ? { ...collection, requests: [...collection.requests.filter((entry) => entry.name !== saved.name), saved] }
+      : collection
+  );
+}
+
+/**
+ * @param {Collection[]} collections
+ * @param {string} collectionId
+ * @param {string} [requestId] Remove only this request; without it the whole collection goes.
+ * @returns {Collection[]}
+ */
+export function removeFromCollections(collections, collectionId, requestId) {
+  if (!requestId) return collections.filter((collection) => collection.id !== collectionId);
+  return collections.map((collection) =>
+    collection.id === collectionId
+      ? { ...collection, requests: collection.requests.filter((request) => request.id !== requestId) }
+      : collection
+  );
+}
+
+/**
+ * Serialise collections to the documented file format.
+ *
+ * @param {Collection[]} collections
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function exportCollections(collections, now = new Date()) {
+  const file = {
+    format: COLLECTIONS_FILE_FORMAT,
+    version: COLLECTIONS_FILE_VERSION,
+    exportedAt: now.toISOString(),
+    collections: collections.map((collection) => ({
+      name: collection.name,
+      requests: collection.requests.map(({ id, ...request }) => request),
+    })),
+  };
+  return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+/**
+ * Read an exported file. Malformed requests are skipped and counted rather than failing the import.
+ *
+ * @param {string} text
+ * @returns {{ collections: Collection[], skipped: number }}
+ * @throws {Error} When the text isn't a collections file this version understands.
+ */
+export function parseCollectionsFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The collections file is not valid JSON.');
+  }
+  if (!isPlainObject(parsed) || parsed.format !== COLLECTIONS_FILE_FORMAT) {
+    throw new Error('This is not a Try it collections file.');
+  }
+  if (parsed.version !== COLLECTIONS_FILE_VERSION) {
+    throw new Error(`Unsupported collections file version ${JSON.stringify(parsed.version)}.`);
+  }
+  return normalizeCollections(parsed.collections, { keepIds: false });
+}
+
+/**
+ * Merge imported collections into the stored ones. Collections are matched by name, and requests
+ * by name within a collection; imported requests win.
+ *
+ * @param {Collection[]} collections
+ * @param {Collection[]} imported
+ * @returns {Collection[]}
+ */
+export function mergeCollections(collections, imported) {
+  let merged = collections;
+  imported.forEach((collection) => {
+    if (!merged.some((entry) => entry.name === collection.name)) {
+      merged = [...merged, { id: createId(), name: collection.name, requests: [] }];
+    }
+    collection.requests.forEach(({ id, ...request }) => {
+      merged = saveRequestToCollection(merged, collection.name, request);
+    });
+  });
+  return merged;
+}
+
+function normalizeCollections(value, { keepIds }) {
+  let skipped = 0;
+  /** @type {Collection[]} */
+  const collections = [];
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      skipped += Array.isArray(entry?.requests) ? entry.requests.length : 0;
+      return;
+    }
+    const requests = [];
+    (Array.isArray(entry.requests) ? entry.requests : []).forEach((raw) => {
+      const request = normalizeRequest(raw, keepIds);
+      if (request) requests.push(request);
+      else skipped += 1;
+    });
+    collections.push({ id: keepIds && typeof entry.id === 'string' ? entry.id : createId(), name, requests });
+  });
+  return { collections, skipped };
+}
+
+function normalizeRequest(raw, keepIds) {
+  if (!isPlainObject(raw)) return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  const operation = typeof raw.operation === 'string' ? raw.operation : '';
+  if (!name || !operation) return null;
+  /** @type {SavedRequest} */
+  const request = {
+    id: keepIds && typeof raw.id === 'string' ? raw.id : createId(),
+    name,
+    operation,
+    method: typeof raw.method === 'string' ? raw.method.toUpperCase() : '',
+    path: typeof raw.path === 'string' ? raw.path : '',
+    serverVariables: isPlainObject(raw.serverVariables)
+      ? Object.fromEntries(Object.entries(raw.serverVariables).filter(([, value]) => typeof value === 'string'))
+      : {},
+    parameters: (Array.isArray(raw.parameters) ? raw.parameters : [])
+      .filter(
+        (param) =>
+          isPlainObject(param) &&
+          ['path', 'query', 'header'].includes(param.location) &&
+          typeof param.name === 'string' &&
+          typeof param.value === 'string'
+      )
+      .map(({ location, name: paramName, value }) => ({ location, name: paramName, value })),
+  };
+  if (typeof raw.server === 'string' && raw.server) request.server = raw.server;
+  if (
+    isPlainObject(raw.body) &&
+    typeof raw.body.contentType === 'string' &&
+    typeof raw.body.text === 'string' &&
+    raw.body.text.length <= HISTORY_REQUEST_BODY_LIMIT
+  ) {
+    request.body = { contentType: raw.body.contentType, text: raw.body.text };
+  }
+  return request;
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
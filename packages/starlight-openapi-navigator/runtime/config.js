@@ -1,4 +1,5 @@
 export const DEFAULT_BASE_SLUG = 'api';
+export const WEBHOOKS_SLUG = 'webhooks';
 
 const RAW_BASE_URL =
   (typeof import.meta !== 'undefined' &&
@@ -0,0 +1,108 @@
+/**
+ * DOM side of the Try it history drawer; storage and the entry format live in `history.js`.
+ */
+
+import { escapeHtml } from './text.js';
+import { addHistoryEntry, readHistory, removeHistoryEntry } from './history.js';
+
+/**
+ * The `[data-tryit-history]` drawer, listing this operation's past requests newest first.
+ *
+ * @param {Element | null | undefined} drawer
+ * @param {{
+ *   storage: import('./storage.js').StorageNamespace,
+ *   operationSlug: string,
+ *   onLoad: (entry: import('./history.js').HistoryEntry, options: { replay: boolean }) => void,
+ * }} options `onLoad` puts an entry back into the form, and sends it again when `replay` is set.
+ * @returns {{ record: (entry: Omit<import('./history.js').HistoryEntry, 'id' | 'timestamp' | 'operation'>) => void, render: () => void }}
+ *   `record` stores an entry for this operation, credentials already redacted.
+ */
+export function createHistoryDrawer(drawer, { storage, operationSlug, onLoad }) {
+  const list = drawer?.querySelector('[data-tryit-history-list]');
+  const readOperationHistory = () => readHistory(storage).filter((entry) => entry.operation === operationSlug);
+
+  const render = () => {
+    if (!(drawer instanceof HTMLElement) || !(list instanceof HTMLElement)) return;
+    const entries = readOperationHistory();
+    list.innerHTML = entries.map(renderHistoryItem).join('');
+    const count = drawer.querySelector('[data-tryit-history-count]');
+    if (count) count.textContent = entries.length ? `(${entries.length})` : '';
+    const empty = drawer.querySelector('[data-tryit-history-empty]');
+    if (empty instanceof HTMLElement) empty.hidden = entries.length > 0;
+    const clear = drawer.querySelector('[data-tryit-history-clear]');
+    if (clear instanceof HTMLElement) clear.hidden = !entries.length;
+  };
+
+  if (list instanceof HTMLElement) {
+    list.addEventListener('click', (event) => {
+      const button = event.target instanceof Element ? event.target.closest('[data-history-action]') : null;
+      const item = button?.closest('[data-history-id]');
+      if (!(button instanceof HTMLButtonElement) || !(item instanceof HTMLElement)) return;
+      const entry = readOperationHistory().find((candidate) => candidate.id === item.dataset.historyId);
+      if (!entry) {
+        render();
+        return;
+      }
+      const action = button.dataset.historyAction;
+      if (action === 'remove') {
+        removeHistoryEntry(storage, entry.id);
+        render();
+        return;
+      }
+      onLoad(entry, { replay: action === 'replay' });
+    });
+  }
+
+  drawer?.querySelector('[data-tryit-history-clear]')?.addEventListener('click', () => {
+    readOperationHistory().forEach((entry) => removeHistoryEntry(storage, entry.id));
+    render();
+  });
+
+  const record = (entry) => {
+    addHistoryEntry(storage, { operation: operationSlug, ...entry });
+    render();
+  };
+
+  return { record, render };
+}
+
+function renderHistoryItem(entry) {
+  const { request, response } = entry;
+  const failed = !response.status;
+  const state = !failed && response.status >= 200 && response.status < 300 ? 'success' : 'error';
+  const requestLines = [`${request.method} ${request.url}`, ...request.headers.map(([name, value]) => `${name}: ${value}`)];
+  if (typeof request.body === 'string') requestLines.push('', request.body);
+  else if (request.bodyOmitted) requestLines.push('', '(body not stored)');
+  const responseText = failed
+    ? response.error || 'Request failed'
+    : `${response.body}${response.truncated ? '\n… (truncated)' : ''}`;
+  const date = new Date(entry.timestamp);
+  return `
+    <li class="api-tryit__history-item" data-history-id="${escapeHtml(entry.id)}">
+      <div class="api-tryit__history-summary">
+        <span class="api-tryit__history-status" data-state="${state}">${failed ? 'Failed' : escapeHtml(String(response.status))}</span>
+        <code class="api-tryit__history-url">${escapeHtml(request.method)} ${escapeHtml(request.url)}</code>
+      </div>
+      <p class="api-tryit__hint">
+        <time datetime="${escapeHtml(date.toISOString())}">${escapeHtml(date.toLocaleString())}</time> · ${escapeHtml(String(response.elapsed))} ms
+      </p>
+      <details class="api-tryit__history-details">
+        <summary>Request and response</summary>
+        <pre>${escapeHtml(requestLines.join('\n'))}</pre>
+        <pre>${escapeHtml(responseText)}</pre>
+      </details>
+      <div class="api-tryit__history-actions">
+        <button type="button" class="api-tryit__clear" data-history-action="load">Load into form</button>
+        <button
+          type="button"
+          class="api-tryit__clear"
+          data-history-action="replay"
+          ${request.bodyOmitted ? 'disabled title="The body was not stored; load the request and attach it again."' : ''}
+        >
+          Replay
+        </button>
+        <button type="button" class="api-tryit__clear" data-history-action="remove">Remove</button>
+      </div>
+    </li>
+  `;
+}
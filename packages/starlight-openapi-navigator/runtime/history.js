@@ -0,0 +1,108 @@
+/**
+ * Request history for the Try it console. Entries live in the instance's storage namespace,
+ * newest first. Responses are truncated and the list is capped so the
+ * store stays well under the browser's quota; credentials must be redacted before an entry is added.
+ */
+
+const HISTORY_STORAGE_NAME = 'history';
+
+/** Entries kept per instance. */
+export const HISTORY_LIMIT = 50;
+/** Characters of a response body kept with an entry. */
+export const HISTORY_RESPONSE_LIMIT = 4000;
+/** Request bodies longer than this are not kept, so the entry can't be loaded back with its body. */
+export const HISTORY_REQUEST_BODY_LIMIT = 64000;
+
+/**
+ * @typedef {object} HistoryParameter
+ * @property {string} location `path`, `query` or `header`.
+ * @property {string} name
+ * @property {string} value As written back into the form: JSON for arrays and objects.
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {number} timestamp
+ * @property {string} operation Operation slug.
+ * @property {{ method: string, url: string, headers: Array<[string, string]>, contentType?: string, body?: string, bodyOmitted?: boolean }} request
+ * @property {{ server?: string, serverVariables?: Record<string, string>, parameters: HistoryParameter[] }} form
+ * @property {{ status: number, statusText: string, elapsed: number, body: string, truncated: boolean, error?: string }} response
+ */
+
+/**
+ * @typedef {import('./storage.js').StorageNamespace} StorageNamespace
+ */
+
+/**
+ * @param {StorageNamespace} store
+ * @returns {HistoryEntry[]}
+ */
+export function readHistory(store) {
+  const parsed = store.getJson(HISTORY_STORAGE_NAME);
+  return Array.isArray(parsed) ? parsed.filter(isHistoryEntry) : [];
+}
+
+/**
+ * Record a request. The oldest entries are dropped past {@link HISTORY_LIMIT}, or when the
+ * browser refuses to store the list.
+ *
+ * @param {StorageNamespace} store
+ * @param {Omit<HistoryEntry, 'id' | 'timestamp'> & { timestamp?: number }} entry
+ * @returns {HistoryEntry}
+ */
+export function addHistoryEntry(store, entry) {
+  const timestamp = entry.timestamp ?? Date.now();
+  /** @type {HistoryEntry} */
+  const stored = {
+    ...entry,
+    id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+  };
+  writeHistory(store, [stored, ...readHistory(store)].slice(0, HISTORY_LIMIT));
+  return stored;
+}
+
+/**
+ * @param {StorageNamespace} store
+ * @param {string} id
+ */
+export function removeHistoryEntry(store, id) {
+  writeHistory(store, readHistory(store).filter((entry) => entry.id !== id));
+}
+
+/**
+ * @param {StorageNamespace} store
+ */
+export function clearHistory(store) {
+  writeHistory(store, []);
+}
+
+/**
+ * @param {string} text
+ * @param {number} limit
+ * @returns {{ text: string, truncated: boolean }}
+ */
+export function truncateText(text, limit) {
+  const value = typeof text === 'string' ? text : '';
+  return value.length > limit ? { text: value.slice(0, limit), truncated: true } : { text: value, truncated: false };
+}
+
+function writeHistory(store, entries) {
+  let remaining = entries;
+  while (!store.setJson(HISTORY_STORAGE_NAME, remaining.length ? remaining : null)) {
+    // Most likely over quota: keep the newer half and try again.
+    if (remaining.length <= 1) return;
+    remaining = remaining.slice(0, Math.ceil(remaining.length / 2));
+  }
+}
+
+function isHistoryEntry(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.id === 'string' &&
+    typeof value.operation === 'string' &&
+    typeof value.request?.url === 'string'
+  );
+}
@@ -0,0 +1,199 @@
+/**
+ * DOM side of the Try it JSON viewer; the row model lives in `json-tree.js`.
+ */
+
+import { escapeHtml } from './text.js';
+import { buildJsonTreeRows, expandToDepth, filterJsonTree } from './json-tree.js';
+
+// Rows have a fixed height, and only those in view plus a margin are rendered.
+const JSON_ROW_HEIGHT = 22;
+const JSON_ROW_OVERSCAN = 20;
+
+/**
+ * Collapsible tree view of a JSON response, drawn into the `[data-tryit-response-json]` block.
+ * Only the rows in view are in the DOM, so list responses with thousands of entries stay
+ * responsive. "Raw" swaps the tree for `rawBody`, the response as received.
+ *
+ * @param {Element | null | undefined} container
+ * @param {Element | null | undefined} rawBody
+ * @param {{ scrub: (text: string) => string }} options `scrub` masks secrets in displayed text.
+ * @returns {{ show: (value: unknown, options?: { expandAll?: boolean, canExpandAll?: boolean }) => void, hide: () => void } | null}
+ *   `null` when the container lacks the viewer markup.
+ */
+export function createJsonViewer(container, rawBody, { scrub }) {
+  if (!(container instanceof HTMLElement)) return null;
+  const filterInput = container.querySelector('[data-tryit-json-filter]');
+  const status = container.querySelector('[data-tryit-json-status]');
+  const viewport = container.querySelector('[data-tryit-json-viewport]');
+  const spacer = container.querySelector('[data-tryit-json-spacer]');
+  const rowsElement = container.querySelector('[data-tryit-json-rows]');
+  const selection = container.querySelector('[data-tryit-json-selection]');
+  const selectedLabel = selection?.querySelector('[data-tryit-json-selected]');
+  const expandAllButton = container.querySelector('[data-tryit-json-action="expand"]');
+  const rawButton = container.querySelector('[data-tryit-json-action="raw"]');
+  if (!(viewport instanceof HTMLElement) || !(spacer instanceof HTMLElement) || !(rowsElement instanceof HTMLElement)) {
+    return null;
+  }
+
+  let value;
+  let expanded = new Set();
+  let filter = null;
+  let rows = [];
+  let selected = null;
+  let raw = false;
+  let frame = 0;
+
+  const setStatus = (message) => {
+    if (!(status instanceof HTMLElement)) return;
+    status.textContent = message;
+    status.hidden = !message;
+  };
+
+  const render = () => {
+    frame = 0;
+    spacer.style.height = `${rows.length * JSON_ROW_HEIGHT}px`;
+    const height = viewport.clientHeight || JSON_ROW_HEIGHT * 40;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / JSON_ROW_HEIGHT) - JSON_ROW_OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + height) / JSON_ROW_HEIGHT) + JSON_ROW_OVERSCAN);
+    rowsElement.style.transform = `translateY(${first * JSON_ROW_HEIGHT}px)`;
+    rowsElement.innerHTML = rows
+      .slice(first, last)
+      .map((row, offset) => renderJsonTreeRow(row, first + offset, row.pointer === selected?.pointer, scrub))
+      .join('');
+  };
+
+  const rebuild = () => {
+    rows = buildJsonTreeRows(value, { expanded, filter });
+    render();
+  };
+
+  const select = (row) => {
+    selected = row;
+    if (selectedLabel) selectedLabel.textContent = row ? scrub(row.path) : '';
+    if (selection instanceof HTMLElement) selection.hidden = !row;
+  };
+
+  const setRaw = (state) => {
+    raw = state;
+    if (rawButton instanceof HTMLElement) {
+      rawButton.textContent = raw ? 'Tree' : 'Raw';
+      rawButton.setAttribute('aria-pressed', String(raw));
+    }
+    viewport.hidden = raw;
+    if (filterInput instanceof HTMLElement) filterInput.hidden = raw;
+    if (expandAllButton instanceof HTMLElement) expandAllButton.hidden = raw;
+    container.querySelector('[data-tryit-json-action="collapse"]')?.toggleAttribute('hidden', raw);
+    if (raw) {
+      setStatus('');
+      select(null);
+    }
+    if (rawBody instanceof HTMLElement) rawBody.hidden = !raw;
+    if (!raw) render();
+  };
+
+  viewport.addEventListener('scroll', () => {
+    if (!frame) frame = requestAnimationFrame(render);
+  });
+
+  rowsElement.addEventListener('click', (event) => {
+    const target = event.target instanceof Element ? event.target : null;
+    const rowElement = target?.closest('[data-json-index]');
+    const row = rowElement ? rows[Number(rowElement.getAttribute('data-json-index'))] : null;
+    if (!row) return;
+    if (target?.closest('[data-json-toggle]')) {
+      if (expanded.has(row.pointer)) expanded.delete(row.pointer);
+      else expanded.add(row.pointer);
+      rebuild();
+      return;
+    }
+    select(row);
+    render();
+  });
+
+  let filterTimer = 0;
+  filterInput?.addEventListener('input', () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      filter = filterJsonTree(value, filterInput instanceof HTMLInputElement ? filterInput.value : '');
+      const count = filter?.matches.size ?? 0;
+      setStatus(filter ? (count ? `${count} match${count === 1 ? '' : 'es'}.` : 'No matches.') : '');
+      viewport.scrollTop = 0;
+      rebuild();
+    }, 200);
+  });
+
+  container.addEventListener('click', async (event) => {
+    const target = event.target instanceof Element ? event.target : null;
+    const action = target?.closest('[data-tryit-json-action]')?.getAttribute('data-tryit-json-action');
+    if (action === 'expand') {
+      expanded = expandToDepth(value, Infinity);
+      rebuild();
+    } else if (action === 'collapse') {
+      expanded = new Set();
+      viewport.scrollTop = 0;
+      rebuild();
+    } else if (action === 'raw') {
+      setRaw(!raw);
+    }
+    const copy = target?.closest('[data-tryit-json-copy]')?.getAttribute('data-tryit-json-copy');
+    if (copy && selected) {
+      const text = copy === 'pointer' ? selected.pointer || '/' : selected.path;
+      try {
+        await navigator.clipboard.writeText(text);
+        setStatus(`Copied ${text}`);
+      } catch {
+        setStatus(`Copy ${text} by hand; the browser blocked clipboard access.`);
+      }
+    }
+  });
+
+  return {
+    show(nextValue, { expandAll = false, canExpandAll = true } = {}) {
+      value = nextValue;
+      expanded = expandToDepth(value, expandAll ? Infinity : 1);
+      filter = null;
+      if (filterInput instanceof HTMLInputElement) filterInput.value = '';
+      if (expandAllButton instanceof HTMLButtonElement) {
+        expandAllButton.disabled = !canExpandAll;
+        expandAllButton.title = canExpandAll ? '' : 'The response is too large to expand at once.';
+      }
+      setStatus('');
+      select(null);
+      container.hidden = false;
+      viewport.scrollTop = 0;
+      rows = buildJsonTreeRows(value, { expanded });
+      setRaw(false);
+    },
+    hide() {
+      clearTimeout(filterTimer);
+      cancelAnimationFrame(frame);
+      frame = 0;
+      container.hidden = true;
+      value = undefined;
+      rows = [];
+      rowsElement.innerHTML = '';
+      select(null);
+    },
+  };
+}
+
+function renderJsonTreeRow(row, index, isSelected, scrub) {
+  const toggle = row.expandable
+    ? `<button type="button" class="api-tryit__json-toggle" data-json-toggle aria-label="${row.expanded ? 'Collapse' : 'Expand'}">${row.expanded ? '▾' : '▸'}</button>`
+    : '<span class="api-tryit__json-toggle" aria-hidden="true"></span>';
+  let key = '';
+  if (typeof row.key === 'number') key = `<span class="api-tryit__json-index">${row.key}</span>: `;
+  else if (row.key !== null) key = `<span class="api-tryit__json-key">${escapeHtml(scrub(JSON.stringify(row.key)))}</span>: `;
+  const state = [row.match ? 'match' : '', isSelected ? 'selected' : ''].filter(Boolean).join(' ');
+  return `
+    <div
+      class="api-tryit__json-row"
+      role="treeitem"
+      aria-level="${row.depth + 1}"
+      ${row.expandable ? `aria-expanded="${row.expanded}"` : ''}
+      ${state ? `data-state="${state}"` : ''}
+      data-json-index="${index}"
+      style="padding-left: ${row.depth}rem"
+    >${toggle}${key}<span class="api-tryit__json-value" data-type="${row.type}">${escapeHtml(scrub(row.preview))}</span></div>
+  `;
+}
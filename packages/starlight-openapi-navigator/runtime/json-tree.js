@@ -0,0 +1,163 @@
+/**
+ * Row model for the Try it JSON viewer. A response is flattened into the rows that are visible
+ * given the expanded nodes and an optional filter, so the viewer only has to render the handful of
+ * rows in view, however large the body.
+ */
+
+/** Longest string value shown in a row before it is shortened. */
+export const JSON_TREE_PREVIEW_LIMIT = 200;
+
+/**
+ * @typedef {'object' | 'array' | 'string' | 'number' | 'boolean' | 'null'} JsonType
+ */
+
+/**
+ * @typedef {object} JsonTreeRow
+ * @property {string} pointer JSON pointer of the node (`''` for the root).
+ * @property {string} path The same location as a JavaScript-style path (`$.items[0].name`).
+ * @property {number} depth
+ * @property {string | number | null} key Property name or array index; `null` for the root.
+ * @property {JsonType} type
+ * @property {string} preview Primitives as JSON (long strings shortened); containers as `{3 keys}` or `[120 items]`.
+ * @property {boolean} expandable Non-empty objects and arrays.
+ * @property {boolean} expanded
+ * @property {boolean} match Whether the key or value matches the filter.
+ */
+
+/**
+ * @typedef {object} JsonTreeFilter
+ * @property {Set<string>} matches Pointers of nodes whose key or primitive value contains the query.
+ * @property {Set<string>} ancestors Pointers of containers with a match somewhere below them.
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {JsonType}
+ */
+export function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return typeof value;
+  return 'null';
+}
+
+/**
+ * Pointers of the containers at most `depth` levels deep, the default expansion of a tree.
+ *
+ * @param {unknown} value
+ * @param {number} depth `0` expands only the root; `Infinity` expands everything.
+ * @returns {Set<string>}
+ */
+export function expandToDepth(value, depth) {
+  const expanded = new Set();
+  const visit = (node, pointer, level) => {
+    if (level > depth || !isContainer(node)) return;
+    expanded.add(pointer);
+    forEachChild(node, (child, key) => visit(child, `${pointer}/${escapePointer(key)}`, level + 1));
+  };
+  visit(value, '', 0);
+  return expanded;
+}
+
+/**
+ * Find the nodes whose key or primitive value contains `query`, ignoring case.
+ *
+ * @param {unknown} value
+ * @param {string} query
+ * @returns {JsonTreeFilter | null} `null` for a blank query.
+ */
+export function filterJsonTree(value, query) {
+  const needle = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  if (!needle) return null;
+  /** @type {JsonTreeFilter} */
+  const filter = { matches: new Set(), ancestors: new Set() };
+  const visit = (node, pointer, key) => {
+    let found = key !== null && String(key).toLowerCase().includes(needle);
+    if (!isContainer(node) && String(node).toLowerCase().includes(needle)) found = true;
+    if (found) filter.matches.add(pointer);
+    let below = false;
+    if (isContainer(node)) {
+      forEachChild(node, (child, childKey) => {
+        if (visit(child, `${pointer}/${escapePointer(childKey)}`, childKey)) below = true;
+      });
+    }
+    if (below) filter.ancestors.add(pointer);
+    return found || below;
+  };
+  visit(value, '', null);
+  return filter;
+}
+
+/**
+ * Flatten the visible part of a tree into rows, in document order. With a filter, only matches,
+ * their ancestors (expanded) and whatever is expanded under a match are listed.
+ *
+ * @param {unknown} value
+ * @param {{ expanded?: Set<string>, filter?: JsonTreeFilter | null }} [options]
+ * @returns {JsonTreeRow[]}
+ */
+export function buildJsonTreeRows(value, { expanded = new Set(), filter = null } = {}) {
+  /** @type {JsonTreeRow[]} */
+  const rows = [];
+  const visit = (node, pointer, path, key, depth, underMatch) => {
+    const match = Boolean(filter?.matches.has(pointer));
+    const onMatchPath = Boolean(filter?.ancestors.has(pointer));
+    if (filter && !underMatch && !match && !onMatchPath) return;
+    const type = getJsonType(node);
+    const expandable = isContainer(node) && countChildren(node) > 0;
+    const isExpanded = expandable && (expanded.has(pointer) || onMatchPath);
+    rows.push({ pointer, path, depth, key, type, preview: previewValue(node, type), expandable, expanded: isExpanded, match });
+    if (!isExpanded) return;
+    forEachChild(node, (child, childKey) => {
+      visit(
+        child,
+        `${pointer}/${escapePointer(childKey)}`,
+        `${path}${formatPathSegment(childKey)}`,
+        childKey,
+        depth + 1,
+        underMatch || match
+      );
+    });
+  };
+  visit(value, '', '$', null, 0, false);
+  return rows;
+}
+
+function previewValue(node, type) {
+  if (type === 'array') return `[${node.length} item${node.length === 1 ? '' : 's'}]`;
+  if (type === 'object') {
+    const count = Object.keys(node).length;
+    return `{${count} key${count === 1 ? '' : 's'}}`;
+  }
+  if (type === 'string' && node.length > JSON_TREE_PREVIEW_LIMIT) {
+    return `${JSON.stringify(node.slice(0, JSON_TREE_PREVIEW_LIMIT)).slice(0, -1)}…"`;
+  }
+  return JSON.stringify(node) ?? 'null';
+}
+
+function formatPathSegment(key) {
+  if (typeof key === 'number') return `[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function countChildren(node) {
+  return Array.isArray(node) ? node.length : Object.keys(node).length;
+}
+
+// Plain loops: arrays in list responses can hold hundreds of thousands of entries.
+function forEachChild(node, callback) {
+  if (Array.isArray(node)) {
+    for (let index = 0; index < node.length; index += 1) callback(node[index], index);
+    return;
+  }
+  for (const key of Object.keys(node)) callback(node[key], key);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
@@ -0,0 +1,157 @@
+/**
+ * Helpers for OpenAPI response `links`: evaluate their runtime expressions against a finished
+ * Try it exchange and carry the resulting values over to the target operation's form.
+ */
+
+/** Query-string prefix for values handed from one Try it form to the next. */
+export const LINK_PREFILL_PREFIX = 'p:';
+
+/**
+ * @typedef {object} LinkExchange
+ * @property {string} url
+ * @property {string} method
+ * @property {number} statusCode
+ * @property {{ path?: Record<string, string>, query?: Record<string, string>, header?: Record<string, string>, body?: unknown }} request
+ * @property {{ header?: Record<string, string>, body?: unknown }} response
+ */
+
+/**
+ * Evaluate a link parameter value. Strings starting with `$` are runtime expressions, strings with
+ * `{$…}` segments are templates, and anything else is a constant.
+ *
+ * @param {unknown} expression
+ * @param {LinkExchange} exchange
+ * @returns {unknown}
+ */
+export function evaluateRuntimeExpression(expression, exchange) {
+  if (typeof expression !== 'string') return expression;
+  if (expression.startsWith('$')) return resolveExpression(expression, exchange);
+  if (!expression.includes('{$')) return expression;
+  return expression.replace(/\{(\$[^}]+)\}/g, (_, inner) => stringifyValue(resolveExpression(inner, exchange)) ?? '');
+}
+
+/**
+ * Pick the links that apply to a response status, preferring an exact code over a `2XX`-style
+ * range and a range over `default` — the same precedence OpenAPI uses for responses.
+ *
+ * @template {{ status: string }} T
+ * @param {T[] | undefined} links
+ * @param {number} statusCode
+ * @returns {T[]}
+ */
+export function selectLinksForStatus(links, statusCode) {
+  if (!Array.isArray(links) || !links.length) return [];
+  const code = String(statusCode);
+  const range = `${code.charAt(0)}XX`;
+  const statuses = new Set(links.map((link) => String(link.status).toUpperCase()));
+  const match = [code, range, 'DEFAULT'].find((candidate) => statuses.has(candidate));
+  if (!match) return [];
+  return links.filter((link) => String(link.status).toUpperCase() === match);
+}
+
+/**
+ * Resolve every parameter of a link into query-string entries for the target Try it form.
+ * Parameters whose expression resolves to nothing are left out.
+ *
+ * @param {{ parameters?: Array<{ name: string, expression: unknown }> }} link
+ * @param {LinkExchange} exchange
+ * @returns {Array<[string, string]>}
+ */
+export function buildLinkPrefillEntries(link, exchange) {
+  const parameters = Array.isArray(link?.parameters) ? link.parameters : [];
+  /** @type {Array<[string, string]>} */
+  const entries = [];
+  parameters.forEach(({ name, expression }) => {
+    if (typeof name !== 'string' || !name) return;
+    const value = stringifyValue(evaluateRuntimeExpression(expression, exchange));
+    if (value === undefined) return;
+    entries.push([`${LINK_PREFILL_PREFIX}${name}`, value]);
+  });
+  return entries;
+}
+
+/**
+ * Read prefilled parameter values from a query string. Keys are either `location.name`
+ * (as written in the link, e.g. `path.id`) or a bare parameter name.
+ *
+ * @param {string} search
+ * @returns {Map<string, string>}
+ */
+export function readLinkPrefill(search) {
+  /** @type {Map<string, string>} */
+  const values = new Map();
+  new URLSearchParams(search || '').forEach((value, key) => {
+    if (key.startsWith(LINK_PREFILL_PREFIX)) {
+      values.set(key.slice(LINK_PREFILL_PREFIX.length), value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Find the prefilled value for a parameter, honouring `location.name` qualifiers first.
+ *
+ * @param {Map<string, string>} prefill
+ * @param {string} location
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+export function lookupLinkPrefill(prefill, location, name) {
+  if (!prefill.size) return undefined;
+  const qualified = prefill.get(`${location}.${name}`);
+  return qualified !== undefined ? qualified : prefill.get(name);
+}
+
+function resolveExpression(expression, exchange) {
+  if (expression === '$url') return exchange?.url;
+  if (expression === '$method') return exchange?.method;
+  if (expression === '$statusCode') return exchange?.statusCode;
+
+  const match = expression.match(/^\$(request|response)\.(header|query|path|body)(.*)$/);
+  if (!match) return undefined;
+  const [, side, source, rest] = match;
+  const message = side === 'request' ? exchange?.request : exchange?.response;
+  if (!message) return undefined;
+
+  if (source === 'body') {
+    if (!rest) return message.body;
+    if (!rest.startsWith('#')) return undefined;
+    return resolveJsonPointer(message.body, rest.slice(1));
+  }
+
+  if (!rest.startsWith('.')) return undefined;
+  const name = rest.slice(1);
+  const values = message[source];
+  if (!values || typeof values !== 'object') return undefined;
+  if (source === 'header') {
+    const lowered = name.toLowerCase();
+    const key = Object.keys(values).find((candidate) => candidate.toLowerCase() === lowered);
+    return key === undefined ? undefined : values[key];
+  }
+  return values[name];
+}
+
+function resolveJsonPointer(value, pointer) {
+  if (!pointer) return value;
+  if (!pointer.startsWith('/')) return undefined;
+  let cursor = value;
+  for (const rawSegment of pointer.slice(1).split('/')) {
+    const segment = rawSegment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (Array.isArray(cursor)) {
+      cursor = /^\d+$/.test(segment) ? cursor[Number(segment)] : undefined;
+    } else if (cursor && typeof cursor === 'object') {
+      cursor = Object.prototype.hasOwnProperty.call(cursor, segment) ? cursor[segment] : undefined;
+    } else {
+      return undefined;
+    }
+    if (cursor === undefined) return undefined;
+  }
+  return cursor;
+}
+
+function stringifyValue(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(value);
+}
@@ -0,0 +1,130 @@
+/**
+ * DOM side of the Try it media preview and "Download response"; content sniffing, CSV parsing and
+ * hex dumps live in `media.js`.
+ */
+
+import { escapeHtml } from './text.js';
+import { HEX_DUMP_LIMIT, formatByteSize, formatHexDump, parseCsv } from './media.js';
+
+const CSV_PREVIEW_ROW_LIMIT = 200;
+
+/**
+ * Preview of a non-text response, drawn into the `[data-tryit-response-media]` block: images
+ * inline, CSV as a table, anything else opaque as its size and a hex dump. The preview replaces
+ * `rawBody`, and `downloadButton` saves the body as received.
+ *
+ * @param {Element | null | undefined} container
+ * @param {Element | null | undefined} rawBody
+ * @param {{ downloadButton: Element | null | undefined, scrub: (text: string) => string }} options
+ *   `scrub` masks secrets in displayed text.
+ * @returns {{
+ *   show: (kind: string, blob: Blob, chunks: Uint8Array[], text: string, contentType: string) => void,
+ *   offerDownload: (blob: Blob, fileName: string) => void,
+ *   hide: () => void,
+ * }} `kind` is a `getResponsePreviewKind` result other than `text`.
+ */
+export function createMediaPreview(container, rawBody, { downloadButton, scrub }) {
+  // The last response body, for "Download response", and the object URL an image preview uses.
+  let downloadable = null;
+  let objectUrl = '';
+
+  downloadButton?.addEventListener('click', () => {
+    if (downloadable) downloadBlob(downloadable.fileName, downloadable.blob);
+  });
+
+  const show = (kind, blob, chunks, text, contentType) => {
+    if (!(container instanceof HTMLElement) || !blob.size) return;
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    const summary = `<p class="api-tryit__hint">${escapeHtml(mediaType)} · ${escapeHtml(formatByteSize(blob.size))}</p>`;
+    if (kind === 'image') {
+      objectUrl = URL.createObjectURL(blob);
+      container.innerHTML = `
+        ${summary}
+        <img class="api-tryit__media-image" src="${escapeHtml(objectUrl)}" alt="Image returned by the request" />
+      `;
+    } else if (kind === 'csv') {
+      const rows = parseCsv(scrub(text), { delimiter: mediaType === 'text/tab-separated-values' ? '\t' : ',' });
+      container.innerHTML = `${summary}${renderCsvTable(rows)}`;
+    } else {
+      const more = blob.size > HEX_DUMP_LIMIT
+        ? `<p class="api-tryit__hint">First ${HEX_DUMP_LIMIT} bytes; “Download response” saves the whole body.</p>`
+        : '';
+      container.innerHTML = `
+        ${summary}
+        <pre class="api-tryit__media-hex">${escapeHtml(formatHexDump(leadingBytes(chunks, HEX_DUMP_LIMIT)))}</pre>
+        ${more}
+      `;
+    }
+    if (rawBody instanceof HTMLElement) rawBody.hidden = true;
+    container.hidden = false;
+  };
+
+  const offerDownload = (blob, fileName) => {
+    if (!blob.size || !(downloadButton instanceof HTMLElement)) return;
+    downloadable = { blob, fileName };
+    downloadButton.hidden = false;
+  };
+
+  const hide = () => {
+    if (container instanceof HTMLElement) {
+      container.innerHTML = '';
+      container.hidden = true;
+    }
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+      objectUrl = '';
+    }
+    downloadable = null;
+    if (downloadButton instanceof HTMLElement) downloadButton.hidden = true;
+  };
+
+  return { show, offerDownload, hide };
+}
+
+/**
+ * Save `blob` through a temporary download link.
+ *
+ * @param {string} fileName
+ * @param {Blob} blob
+ */
+export function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function leadingBytes(chunks, limit) {
+  const bytes = new Uint8Array(Math.min(limit, chunks.reduce((total, chunk) => total + chunk.length, 0)));
+  let offset = 0;
+  for (const chunk of chunks) {
+    if (offset >= bytes.length) break;
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+function renderCsvTable(rows) {
+  if (!rows.length) return '';
+  const [header, ...body] = rows;
+  const shown = body.slice(0, CSV_PREVIEW_ROW_LIMIT);
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+  const more = body.length > shown.length
+    ? `<p class="api-tryit__hint">Showing the first ${shown.length} of ${body.length} rows.</p>`
+    : '';
+  return `
+    <div class="api-tryit__media-table">
+      <table>
+        <thead><tr>${cells(header, 'th')}</tr></thead>
+        <tbody>${shown.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody>
+      </table>
+    </div>
+    ${more}
+  `;
+}
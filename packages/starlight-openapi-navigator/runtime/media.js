@@ -0,0 +1,179 @@
+/**
+ * Previews for Try it responses that aren't text: which preview a content type gets, CSV parsing,
+ * hex dumps of opaque bodies, and the file name a download is saved under.
+ */
+
+// Non-`text/*` types whose bodies still read as text.
+const TEXT_MEDIA_TYPES = [
+  'application/javascript',
+  'application/ecmascript',
+  'application/graphql',
+  'application/sql',
+  'application/x-www-form-urlencoded',
+  'application/yaml',
+  'application/x-yaml',
+];
+
+const FILE_EXTENSIONS = {
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/gzip': '.gz',
+  'application/xml': '.xml',
+  'application/x-ndjson': '.ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'text/csv': '.csv',
+  'text/tab-separated-values': '.tsv',
+  'text/plain': '.txt',
+  'text/html': '.html',
+};
+
+/** Bytes shown in a hex dump. */
+export const HEX_DUMP_LIMIT = 256;
+
+/**
+ * @param {string | null | undefined} contentType
+ * @returns {'image' | 'csv' | 'binary' | 'text'} `text` also covers responses without a content type.
+ */
+export function getResponsePreviewKind(contentType) {
+  const mediaType = normalizeMediaType(contentType);
+  if (!mediaType) return 'text';
+  if (mediaType.startsWith('image/')) return 'image';
+  if (mediaType === 'text/csv' || mediaType === 'text/tab-separated-values') return 'csv';
+  if (
+    mediaType.startsWith('text/') ||
+    mediaType.endsWith('json') ||
+    mediaType.endsWith('+xml') ||
+    mediaType.endsWith('/xml') ||
+    TEXT_MEDIA_TYPES.includes(mediaType)
+  ) {
+    return 'text';
+  }
+  return 'binary';
+}
+
+/**
+ * Split CSV (or, with `delimiter: '\t'`, TSV) text into rows as RFC 4180 describes: quoted fields
+ * may contain delimiters, newlines and doubled quotes.
+ *
+ * @param {string} text
+ * @param {{ delimiter?: string }} [options]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  /** @type {string[][]} */
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Classic hex dump: offset, sixteen bytes in hex, and their printable ASCII.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} [limit] Bytes to show from the start.
+ * @returns {string}
+ */
+export function formatHexDump(bytes, limit = HEX_DUMP_LIMIT) {
+  const lines = [];
+  const end = Math.min(bytes.length, limit);
+  for (let offset = 0; offset < end; offset += 16) {
+    const slice = Array.from(bytes.subarray(offset, Math.min(offset + 16, end)));
+    const hex = slice.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = slice.map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {number} size In bytes.
+ * @returns {string}
+ */
+export function formatByteSize(size) {
+  if (size < 1024) return `${size} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = size;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit += 1;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * The file name a downloaded response is saved under: the `Content-Disposition` `filename*` or
+ * `filename`, otherwise `response` with an extension for the content type. Directory parts are
+ * dropped.
+ *
+ * @param {string | null | undefined} contentDisposition
+ * @param {string | null | undefined} contentType
+ * @returns {string}
+ */
+export function getResponseFileName(contentDisposition, contentType) {
+  const fileName = parseContentDispositionFileName(contentDisposition).split(/[\\/]/).pop()?.trim();
+  if (fileName) return fileName;
+  const extension =
+    FILE_EXTENSIONS[normalizeMediaType(contentType)] || (getResponsePreviewKind(contentType) === 'text' ? '.txt' : '.bin');
+  return `response${extension}`;
+}
+
+function parseContentDispositionFileName(header) {
+  if (typeof header !== 'string') return '';
+  // filename* (RFC 5987) wins over the plain parameter.
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+    } catch {
+      /* fall back to filename */
+    }
+  }
+  const quoted = /filename\s*=\s*"((?:[^"\\]|\\.)*)"/i.exec(header);
+  if (quoted) return quoted[1].replace(/\\(.)/g, '$1');
+  const token = /filename\s*=\s*([^;\s]+)/i.exec(header);
+  return token ? token[1] : '';
+}
+
+function normalizeMediaType(value) {
+  return typeof value === 'string' ? value.split(';')[0].trim().toLowerCase() : '';
+}
@@ -0,0 +1,437 @@
+/**
+ * OAuth 2.0 support for the Try it console: authorization code with PKCE, client credentials,
+ * token storage and refresh. Tokens live in the instance's storage namespace per security scheme;
+ * the in-flight authorization request lives in `sessionStorage` until the provider redirects back.
+ * `openIdConnect` schemes reuse the same flows once their discovery document is loaded.
+ */
+
+const PENDING_STORAGE_KEY = 'starlight-openapi-navigator-oauth-pending';
+// Treat tokens as expired slightly early so a request doesn't race the expiry.
+const EXPIRY_SKEW_MS = 30_000;
+
+/** @type {Map<string, Promise<Record<string, any>>>} */
+const discoveryCache = new Map();
+
+/** Flows the console can run, in the order they are offered. */
+export const SUPPORTED_OAUTH_FLOWS = ['authorizationCode', 'clientCredentials'];
+
+/**
+ * @typedef {object} OAuthFlow
+ * @property {'authorizationCode' | 'clientCredentials'} type
+ * @property {string} authorizationUrl Empty for client credentials.
+ * @property {string} tokenUrl
+ * @property {string} refreshUrl
+ * @property {Record<string, string>} scopes
+ */
+
+/**
+ * @typedef {object} StoredToken
+ * @property {string} accessToken
+ * @property {string} tokenType
+ * @property {number | null} expiresAt Epoch milliseconds, or `null` when the provider sent no `expires_in`.
+ * @property {string} refreshToken
+ * @property {string[]} scopes
+ * @property {string} tokenUrl Where refresh requests go.
+ * @property {string} clientId
+ */
+
+/**
+ * List the flows of an `oauth2` scheme that the console supports.
+ *
+ * @param {{ flows?: Record<string, any> } | undefined} scheme
+ * @returns {OAuthFlow[]}
+ */
+export function getOAuthFlows(scheme) {
+  const flows = scheme && typeof scheme.flows === 'object' && scheme.flows ? scheme.flows : {};
+  return SUPPORTED_OAUTH_FLOWS.flatMap((type) => {
+    const flow = flows[type];
+    if (!flow || typeof flow.tokenUrl !== 'string' || !flow.tokenUrl) return [];
+    if (type === 'authorizationCode' && typeof flow.authorizationUrl !== 'string') return [];
+    return [
+      {
+        type,
+        authorizationUrl: type === 'authorizationCode' ? flow.authorizationUrl : '',
+        tokenUrl: flow.tokenUrl,
+        refreshUrl: typeof flow.refreshUrl === 'string' ? flow.refreshUrl : '',
+        scopes: flow.scopes && typeof flow.scopes === 'object' ? { ...flow.scopes } : {},
+      },
+    ];
+  });
+}
+
+/**
+ * Fetch an OpenID Connect discovery document and translate it into OpenAPI-style `flows`, so an
+ * `openIdConnect` scheme can go through {@link getOAuthFlows} like an `oauth2` one. Documents are
+ * fetched once per URL and page load.
+ *
+ * @param {string} openIdConnectUrl
+ * @returns {Promise<Record<string, any>>}
+ */
+export function discoverOpenIdConnectFlows(openIdConnectUrl) {
+  if (!discoveryCache.has(openIdConnectUrl)) {
+    const pending = fetch(openIdConnectUrl, { headers: { Accept: 'application/json' } })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Discovery request failed (${response.status}): ${response.statusText || openIdConnectUrl}`);
+        }
+        return buildOpenIdConnectFlows(await response.json());
+      })
+      .catch((error) => {
+        // Let the next mount retry instead of caching the failure.
+        discoveryCache.delete(openIdConnectUrl);
+        throw error;
+      });
+    discoveryCache.set(openIdConnectUrl, pending);
+  }
+  return discoveryCache.get(openIdConnectUrl);
+}
+
+/**
+ * Map the endpoints and grant types of an OpenID Connect discovery document onto OpenAPI
+ * `flows`. `grant_types_supported` defaults to the authorization code grant, as the
+ * OpenID Connect Discovery spec prescribes; `scopes_supported` always includes `openid`.
+ *
+ * @param {Record<string, any>} discovery
+ * @returns {Record<string, any>}
+ */
+export function buildOpenIdConnectFlows(discovery) {
+  if (!discovery || typeof discovery.token_endpoint !== 'string' || !discovery.token_endpoint) {
+    throw new Error('The OpenID Connect discovery document does not declare a token_endpoint.');
+  }
+  const grantTypes = Array.isArray(discovery.grant_types_supported)
+    ? discovery.grant_types_supported
+    : ['authorization_code', 'implicit'];
+  const scopes = { openid: '' };
+  (Array.isArray(discovery.scopes_supported) ? discovery.scopes_supported : []).forEach((scope) => {
+    if (typeof scope === 'string' && scope) scopes[scope] = '';
+  });
+
+  const flows = {};
+  if (grantTypes.includes('authorization_code') && typeof discovery.authorization_endpoint === 'string') {
+    flows.authorizationCode = {
+      authorizationUrl: discovery.authorization_endpoint,
+      tokenUrl: discovery.token_endpoint,
+      scopes: { ...scopes },
+    };
+  }
+  if (grantTypes.includes('client_credentials')) {
+    flows.clientCredentials = { tokenUrl: discovery.token_endpoint, scopes: { ...scopes } };
+  }
+  return flows;
+}
+
+/**
+ * Random PKCE code verifier (43 characters of base64url).
+ *
+ * @returns {string}
+ */
+export function generateCodeVerifier() {
+  const bytes = new Uint8Array(32);
+  globalThis.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * S256 code challenge for a verifier.
+ *
+ * @param {string} verifier
+ * @returns {Promise<string>}
+ */
+export async function createCodeChallenge(verifier) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+/**
+ * @param {{ authorizationUrl: string, clientId: string, redirectUri: string, scopes: string[], state: string, codeChallenge: string }} options
+ * @returns {string}
+ */
+export function buildAuthorizationUrl({ authorizationUrl, clientId, redirectUri, scopes, state, codeChallenge }) {
+  const url = new URL(authorizationUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  if (scopes.length) url.searchParams.set('scope', scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * @typedef {import('./storage.js').StorageNamespace} StorageNamespace
+ */
+
+/**
+ * Remember the authorization request and return the provider URL to navigate to.
+ *
+ * @param {{ store: StorageNamespace, schemeKey: string, flow: OAuthFlow, clientId: string, scopes: string[], redirectUri: string, returnUrl: string }} options
+ *   `store` is the namespace the token will be kept in.
+ * @returns {Promise<string>}
+ */
+export async function startAuthorizationCodeFlow({ store, schemeKey, flow, clientId, scopes, redirectUri, returnUrl }) {
+  const codeVerifier = generateCodeVerifier();
+  const state = generateCodeVerifier();
+  writeStorage(sessionStorageOrNull(), PENDING_STORAGE_KEY, {
+    namespace: store.prefix,
+    schemeKey,
+    state,
+    codeVerifier,
+    clientId,
+    scopes,
+    redirectUri,
+    returnUrl,
+    tokenUrl: flow.tokenUrl,
+    refreshUrl: flow.refreshUrl,
+  });
+  return buildAuthorizationUrl({
+    authorizationUrl: flow.authorizationUrl,
+    clientId,
+    redirectUri,
+    scopes,
+    state,
+    codeChallenge: await createCodeChallenge(codeVerifier),
+  });
+}
+
+/**
+ * Finish an authorization code flow when the provider redirected back to this page. Resolves to
+ * `null` when the URL isn't an OAuth callback for a request this browser started from `store`'s
+ * instance.
+ *
+ * @param {StorageNamespace} store
+ * @param {string} href
+ * @returns {Promise<{ schemeKey: string, returnUrl: string, error?: string } | null>}
+ */
+export async function completeAuthorizationCodeFlow(store, href) {
+  const url = new URL(href);
+  const state = url.searchParams.get('state');
+  if (!state || (!url.searchParams.has('code') && !url.searchParams.has('error'))) return null;
+
+  const storage = sessionStorageOrNull();
+  const pending = readStorage(storage, PENDING_STORAGE_KEY);
+  if (!pending || pending.state !== state || pending.namespace !== store.prefix) return null;
+  storage?.removeItem(PENDING_STORAGE_KEY);
+
+  const result = { schemeKey: pending.schemeKey, returnUrl: pending.returnUrl };
+  const providerError = url.searchParams.get('error');
+  if (providerError) {
+    const description = url.searchParams.get('error_description');
+    return { ...result, error: description ? `${providerError}: ${description}` : providerError };
+  }
+
+  try {
+    const payload = await requestToken(pending.tokenUrl, {
+      grant_type: 'authorization_code',
+      code: url.searchParams.get('code') || '',
+      redirect_uri: pending.redirectUri,
+      client_id: pending.clientId,
+      code_verifier: pending.codeVerifier,
+    });
+    storeToken(
+      store,
+      pending.schemeKey,
+      normalizeTokenResponse(payload, {
+        scopes: pending.scopes,
+        tokenUrl: pending.refreshUrl || pending.tokenUrl,
+        clientId: pending.clientId,
+      })
+    );
+    return result;
+  } catch (error) {
+    return { ...result, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Fetch a token with the client credentials grant. Meant for local development: the secret is
+ * sent straight from the browser and is never stored.
+ *
+ * @param {{ store: StorageNamespace, schemeKey: string, flow: OAuthFlow, clientId: string, clientSecret: string, scopes: string[] }} options
+ * @returns {Promise<StoredToken>}
+ */
+export async function requestClientCredentialsToken({ store, schemeKey, flow, clientId, clientSecret, scopes }) {
+  const params = { grant_type: 'client_credentials' };
+  if (scopes.length) params.scope = scopes.join(' ');
+  const payload = await requestToken(flow.tokenUrl, params, {
+    Authorization: `Basic ${btoa(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`)}`,
+  });
+  const token = normalizeTokenResponse(payload, {
+    scopes,
+    tokenUrl: flow.refreshUrl || flow.tokenUrl,
+    clientId,
+  });
+  storeToken(store, schemeKey, token);
+  return token;
+}
+
+/**
+ * Return a usable access token for a scheme, refreshing it first when it has expired.
+ * Resolves to an empty string when there is no token or it expired without a refresh token.
+ *
+ * @param {StorageNamespace} store
+ * @param {string} schemeKey
+ * @param {number} [now]
+ * @returns {Promise<string>}
+ * @throws {Error} When the refresh fails. The stored token is cleared first.
+ */
+export async function getValidAccessToken(store, schemeKey, now = Date.now()) {
+  const token = readStoredToken(store, schemeKey);
+  if (!token) return '';
+  if (!isTokenExpired(token, now)) return token.accessToken;
+  if (!token.refreshToken) {
+    clearStoredToken(store, schemeKey);
+    return '';
+  }
+  try {
+    const payload = await requestToken(token.tokenUrl, {
+      grant_type: 'refresh_token',
+      refresh_token: token.refreshToken,
+      client_id: token.clientId,
+    });
+    const refreshed = normalizeTokenResponse(payload, token, now);
+    // Providers may omit the refresh token when it doesn't rotate.
+    if (!refreshed.refreshToken) refreshed.refreshToken = token.refreshToken;
+    storeToken(store, schemeKey, refreshed);
+    return refreshed.accessToken;
+  } catch (error) {
+    clearStoredToken(store, schemeKey);
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new Error(`Could not refresh the token: ${reason}. Authorize again.`);
+  }
+}
+
+/**
+ * @param {Record<string, any>} payload Token endpoint JSON response.
+ * @param {{ scopes?: string[], tokenUrl: string, clientId: string }} context
+ * @param {number} [now]
+ * @returns {StoredToken}
+ */
+export function normalizeTokenResponse(payload, context, now = Date.now()) {
+  if (!payload || typeof payload.access_token !== 'string' || !payload.access_token) {
+    throw new Error('Token response did not include an access_token.');
+  }
+  const expiresIn = Number(payload.expires_in);
+  return {
+    accessToken: payload.access_token,
+    tokenType: typeof payload.token_type === 'string' ? payload.token_type : 'Bearer',
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? now + expiresIn * 1000 : null,
+    refreshToken: typeof payload.refresh_token === 'string' ? payload.refresh_token : '',
+    scopes: typeof payload.scope === 'string'
+      ? payload.scope.split(/\s+/).filter(Boolean)
+      : [...(context.scopes || [])],
+    tokenUrl: context.tokenUrl,
+    clientId: context.clientId,
+  };
+}
+
+/**
+ * @param {StoredToken} token
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isTokenExpired(token, now = Date.now()) {
+  return typeof token.expiresAt === 'number' && now >= token.expiresAt - EXPIRY_SKEW_MS;
+}
+
+/**
+ * @param {StorageNamespace} store
+ * @param {string} schemeKey
+ * @returns {StoredToken | null}
+ */
+export function readStoredToken(store, schemeKey) {
+  const token = store.getJson(`oauth-token:${schemeKey}`);
+  return token && typeof token.accessToken === 'string' ? token : null;
+}
+
+/**
+ * @param {StorageNamespace} store
+ * @param {string} schemeKey
+ */
+export function clearStoredToken(store, schemeKey) {
+  store.remove(`oauth-token:${schemeKey}`);
+}
+
+/**
+ * @param {StorageNamespace} store
+ * @param {string} schemeKey
+ * @returns {string}
+ */
+export function readClientId(store, schemeKey) {
+  const value = store.getJson(`oauth-client:${schemeKey}`);
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * @param {StorageNamespace} store
+ * @param {string} schemeKey
+ * @param {string} clientId
+ */
+export function storeClientId(store, schemeKey, clientId) {
+  store.setJson(`oauth-client:${schemeKey}`, clientId.trim() || null);
+}
+
+function storeToken(store, schemeKey, token) {
+  store.setJson(`oauth-token:${schemeKey}`, token);
+}
+
+async function requestToken(tokenUrl, params, extraHeaders = {}) {
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+      ...extraHeaders,
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch {
+    payload = null;
+  }
+  if (!response.ok) {
+    const detail = payload?.error_description || payload?.error || text || response.statusText;
+    throw new Error(`Token request failed (${response.status}): ${detail}`);
+  }
+  return payload;
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sessionStorageOrNull() {
+  try {
+    return globalThis.sessionStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function readStorage(storage, key) {
+  try {
+    const raw = storage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    if (value === undefined) {
+      storage?.removeItem(key);
+    } else {
+      storage?.setItem(key, JSON.stringify(value));
+    }
+  } catch {
+    /* ignore */
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * OpenAPI parameter serialization (`style` / `explode`) for the Try it console. Path values come
+ * back percent-encoded and ready to splice into the path, query values (and url-encoded form
+ * bodies) as `name=value` fragments joined with `&`, and header values as plain strings.
+ */
+
+const DEFAULT_STYLES = {
+  path: 'simple',
+  query: 'form',
+  header: 'simple',
+  cookie: 'form',
+};
+
+// RFC 3986 reserved characters that `allowReserved: true` keeps as-is.
+const RESERVED_CHARACTERS = /%(3A|2F|3F|23|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi;
+
+/**
+ * @typedef {string | number | boolean | null | undefined | Array<unknown> | Record<string, unknown>} ParameterValue
+ */
+
+/**
+ * Resolve the effective `style` and `explode` of a parameter, applying the OpenAPI defaults
+ * (`simple` for path and header, `form` for query and cookie; `explode` only for `form`).
+ *
+ * @param {{ in?: string, style?: string, explode?: boolean }} param
+ * @returns {{ style: string, explode: boolean }}
+ */
+export function getParameterStyle(param) {
+  const style = typeof param?.style === 'string' && param.style ? param.style : DEFAULT_STYLES[param?.in] || 'form';
+  const explode = typeof param?.explode === 'boolean' ? param.explode : style === 'form';
+  return { style, explode };
+}
+
+/**
+ * Serialize a path parameter (`simple`, `label` or `matrix`).
+ *
+ * @param {{ name: string, in?: string, style?: string, explode?: boolean }} param
+ * @param {ParameterValue} value
+ * @returns {string}
+ */
+export function serializePathParameter(param, value) {
+  if (value === undefined) return '';
+  const { style, explode } = getParameterStyle({ ...param, in: 'path' });
+  const name = encodeURIComponent(param.name);
+  const encode = (entry) => encodeURIComponent(stringifyValue(entry));
+
+  if (style === 'label') {
+    if (Array.isArray(value)) return `.${value.map(encode).join(explode ? '.' : ',')}`;
+    if (isPlainObject(value)) return `.${serializeObjectPairs(value, encode, explode ? '=' : ',').join(explode ? '.' : ',')}`;
+    return `.${encode(value)}`;
+  }
+
+  if (style === 'matrix') {
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((entry) => `;${name}=${encode(entry)}`).join('')
+        : `;${name}=${value.map(encode).join(',')}`;
+    }
+    if (isPlainObject(value)) {
+      return explode
+        ? serializeObjectPairs(value, encode, '=').map((pair) => `;${pair}`).join('')
+        : `;${name}=${serializeObjectPairs(value, encode, ',').join(',')}`;
+    }
+    const encoded = encode(value);
+    return encoded ? `;${name}=${encoded}` : `;${name}`;
+  }
+
+  return serializeSimple(value, encode, explode);
+}
+
+/**
+ * Serialize a query parameter (`form`, `spaceDelimited`, `pipeDelimited` or `deepObject`) into
+ * `&`-joined `name=value` fragments. Returns an empty string when there is nothing to send.
+ *
+ * @param {{ name: string, in?: string, style?: string, explode?: boolean, allowReserved?: boolean }} param
+ * @param {ParameterValue} value
+ * @returns {string}
+ */
+export function serializeQueryParameter(param, value) {
+  if (value === undefined) return '';
+  const { style, explode } = getParameterStyle({ ...param, in: 'query' });
+  const encode = (entry) => {
+    const encoded = encodeURIComponent(stringifyValue(entry));
+    return param.allowReserved ? encoded.replace(RESERVED_CHARACTERS, (match) => decodeURIComponent(match)) : encoded;
+  };
+  const name = encodeURIComponent(param.name);
+
+  if (style === 'deepObject' && isPlainObject(value)) {
+    return Object.entries(value)
+      .flatMap(([key, entry]) => serializeDeepObjectEntry(`${name}[${encodeURIComponent(key)}]`, entry, encode))
+      .join('&');
+  }
+
+  if (Array.isArray(value)) {
+    if (!value.length) return '';
+    if (explode) return value.map((entry) => `${name}=${encode(entry)}`).join('&');
+    return `${name}=${value.map(encode).join(getDelimiter(style))}`;
+  }
+
+  if (isPlainObject(value)) {
+    if (explode) return serializeObjectPairs(value, encode, '=').join('&');
+    return `${name}=${serializeObjectPairs(value, encode, getDelimiter(style)).join(getDelimiter(style))}`;
+  }
+
+  return `${name}=${encode(value)}`;
+}
+
+/**
+ * Serialize a header parameter (`simple`). Header values are not percent-encoded.
+ *
+ * @param {{ name: string, style?: string, explode?: boolean }} param
+ * @param {ParameterValue} value
+ * @returns {string}
+ */
+export function serializeHeaderParameter(param, value) {
+  if (value === undefined) return '';
+  const { explode } = getParameterStyle({ ...param, in: 'header' });
+  return serializeSimple(value, stringifyValue, explode);
+}
+
+/**
+ * Serialize an `application/x-www-form-urlencoded` body. Each top-level property is encoded like a
+ * query parameter using the `style`, `explode` and `allowReserved` of its `encoding` entry. Objects
+ * without an explicit style are sent as JSON, the default content type for object properties.
+ *
+ * @param {unknown} value
+ * @param {Record<string, { style?: string, explode?: boolean, allowReserved?: boolean }>} [encoding]
+ * @returns {string}
+ */
+export function serializeFormBody(value, encoding = {}) {
+  if (!isPlainObject(value)) return '';
+  return Object.entries(value)
+    .map(([name, entry]) => {
+      const { style, explode, allowReserved } = isPlainObject(encoding[name]) ? encoding[name] : {};
+      const hasStyle = style !== undefined || explode !== undefined;
+      const isStructured = isPlainObject(entry) || (Array.isArray(entry) && entry.some((item) => item !== null && typeof item === 'object'));
+      const param = { name, in: 'query', style, explode, allowReserved };
+      return serializeQueryParameter(param, isStructured && !hasStyle ? JSON.stringify(entry) : entry);
+    })
+    .filter(Boolean)
+    .join('&');
+}
+
+function serializeSimple(value, encode, explode) {
+  if (Array.isArray(value)) return value.map(encode).join(',');
+  if (isPlainObject(value)) return serializeObjectPairs(value, encode, explode ? '=' : ',').join(',');
+  return encode(value);
+}
+
+function serializeObjectPairs(value, encode, separator) {
+  return Object.entries(value).map(([key, entry]) => `${encode(key)}${separator}${encode(entry)}`);
+}
+
+function serializeDeepObjectEntry(prefix, value, encode) {
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, entry]) =>
+      serializeDeepObjectEntry(`${prefix}[${encodeURIComponent(key)}]`, entry, encode)
+    );
+  }
+  if (Array.isArray(value)) return value.map((entry) => `${prefix}=${encode(entry)}`);
+  return [`${prefix}=${encode(value)}`];
+}
+
+function getDelimiter(style) {
+  if (style === 'spaceDelimited') return '%20';
+  if (style === 'pipeDelimited') return '|';
+  return ',';
+}
+
+function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,137 @@
+/**
+ * Contract checks for Try it responses: is the status documented, and does a JSON body match the
+ * schema the operation declares for it?
+ */
+
+import { validateSchemaValue } from './validation.js';
+
+const RESPONSE_REF_PREFIX = '#/components/responses/';
+const MAX_REF_DEPTH = 8;
+
+/**
+ * @typedef {import('./validation.js').ValidationError} ValidationError
+ */
+
+/**
+ * @typedef {object} ResponseValidation
+ * @property {string[]} declaredStatuses Status keys the operation documents, as written in the spec.
+ * @property {string | null} matchedStatus The key that applies to the status (`'200'`, `'2XX'` or `'default'`), if any.
+ * @property {string | null} mediaType The documented media type the body was checked against.
+ * @property {'valid' | 'invalid' | 'undocumented' | 'skipped'} body `undocumented` when the response
+ *   declares content but not for the received media type; `skipped` when there was nothing to check.
+ * @property {ValidationError[]} errors Body violations, with JSON pointers into the body.
+ */
+
+/**
+ * Pick the documented response for a status, preferring an exact code over a `2XX`-style range and
+ * a range over `default`.
+ *
+ * @param {Record<string, unknown> | undefined} responses
+ * @param {number} statusCode
+ * @returns {string | null} The matching key of `responses`.
+ */
+export function selectResponseStatus(responses, statusCode) {
+  if (!isPlainObject(responses)) return null;
+  const code = String(statusCode);
+  const keys = Object.keys(responses);
+  const byUpperCase = new Map(keys.map((key) => [key.toUpperCase(), key]));
+  const match = [code, `${code.charAt(0)}XX`, 'DEFAULT'].find((candidate) => byUpperCase.has(candidate));
+  return match ? byUpperCase.get(match) : null;
+}
+
+/**
+ * Check a response against an operation's `responses`.
+ *
+ * @param {Record<string, unknown> | undefined} responses
+ * @param {{ statusCode: number, contentType?: string | null, bodyText?: string }} response
+ * @param {{ resolve?: (schema: any) => any, components?: { responses?: Record<string, unknown> } }} [options]
+ *   `resolve` dereferences schema `$ref`s; `components` resolves `#/components/responses/…` references.
+ * @returns {ResponseValidation}
+ */
+export function validateResponse(responses, response, options = {}) {
+  const declaredStatuses = isPlainObject(responses) ? Object.keys(responses) : [];
+  const matchedStatus = selectResponseStatus(responses, response.statusCode);
+  /** @type {ResponseValidation} */
+  const result = { declaredStatuses, matchedStatus, mediaType: null, body: 'skipped', errors: [] };
+  if (!matchedStatus) return result;
+
+  const declared = resolveResponseRef(responses[matchedStatus], options.components);
+  const content = isPlainObject(declared?.content) ? declared.content : {};
+  if (!Object.keys(content).length) return result;
+
+  const received = normalizeMediaType(response.contentType);
+  const bodyText = typeof response.bodyText === 'string' ? response.bodyText : '';
+  if (!received && !bodyText.trim()) return result;
+
+  const mediaType = selectMediaType(content, received);
+  if (!mediaType) {
+    result.body = 'undocumented';
+    return result;
+  }
+  result.mediaType = mediaType;
+  const schema = content[mediaType]?.schema;
+  if (!isPlainObject(schema) || !isJsonMediaType(received || mediaType)) return result;
+
+  if (!bodyText.trim()) {
+    result.body = 'invalid';
+    result.errors.push({ pointer: '', message: 'is empty, but a body is documented' });
+    return result;
+  }
+  let value;
+  try {
+    value = JSON.parse(bodyText);
+  } catch {
+    result.body = 'invalid';
+    result.errors.push({ pointer: '', message: 'is not valid JSON' });
+    return result;
+  }
+
+  result.errors = validateSchemaValue(schema, value, { resolve: memoize(options.resolve) });
+  result.body = result.errors.length ? 'invalid' : 'valid';
+  return result;
+}
+
+// Prefer the exact media type, then a `type/*` range, then `*/*`. Without a Content-Type header a
+// lone documented media type is assumed.
+function selectMediaType(content, received) {
+  const keys = Object.keys(content);
+  if (!received) return keys.length === 1 ? keys[0] : null;
+  const normalized = new Map(keys.map((key) => [normalizeMediaType(key), key]));
+  const candidates = [received, `${received.split('/')[0]}/*`, '*/*'];
+  const match = candidates.find((candidate) => normalized.has(candidate));
+  return match ? normalized.get(match) : null;
+}
+
+function resolveResponseRef(response, components) {
+  let current = response;
+  for (let depth = 0; depth < MAX_REF_DEPTH && typeof current?.$ref === 'string'; depth += 1) {
+    if (!current.$ref.startsWith(RESPONSE_REF_PREFIX)) return null;
+    const name = current.$ref.slice(RESPONSE_REF_PREFIX.length).replace(/~1/g, '/').replace(/~0/g, '~');
+    current = components?.responses?.[name];
+  }
+  return isPlainObject(current) && typeof current.$ref !== 'string' ? current : null;
+}
+
+// Schema resolution clones as it goes, so cache it: array items share one schema object.
+function memoize(resolve) {
+  if (typeof resolve !== 'function') return undefined;
+  const cache = new WeakMap();
+  return (schema) => {
+    if (!schema || typeof schema !== 'object') return resolve(schema);
+    if (!cache.has(schema)) cache.set(schema, resolve(schema));
+    return cache.get(schema);
+  };
+}
+
+function normalizeMediaType(value) {
+  return typeof value === 'string' ? value.split(';')[0].trim().toLowerCase() : '';
+}
+
+function isJsonMediaType(mediaType) {
+  const normalized = normalizeMediaType(mediaType);
+  return normalized === 'application/json' || normalized.endsWith('+json');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
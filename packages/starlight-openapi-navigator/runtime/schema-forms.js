@@ -1,3 +1,6 @@
+import { serializeFormBody } from './parameters.js';
+import { buildXmlDocument } from './xml.js';
+
 const SUPPORTABLE_PRIMITIVE_TYPES = new Set(['string', 'number', 'integer', 'boolean']);
 
 export function createSchemaFormUtils(currentSpec) {
@@ -127,10 +130,19 @@ export function createSchemaFormUtils(currentSpec) {
     });
   }
 
+  function buildSchemaField(schema, { name, required = false }) {
+    return createSchemaNode({
+      name,
+      schema: resolveSchemaObject(schema),
+      path: [name],
+      required,
+    });
+  }
+
   function createSchemaNode({ name, schema, path, required }) {
     if (!schema || typeof schema !== 'object') return null;
 
-    const type = inferSchemaType(schema);
+    const type = isBinarySchema(schema) ? 'string' : inferSchemaType(schema);
 
     if (schema.oneOf || schema.anyOf || schema.not) {
       return {
@@ -178,7 +190,8 @@ export function createSchemaFormUtils(currentSpec) {
 
     if (type === 'array') {
       const itemSchema = schema.items ? resolveSchemaObject(schema.items) : undefined;
-      const itemType = inferSchemaType(itemSchema);
+      const itemFile = isBinarySchema(itemSchema);
+      const itemType = itemFile ? 'string' : inferSchemaType(itemSchema);
       if (SUPPORTABLE_PRIMITIVE_TYPES.has(itemType)) {
         return {
           kind: 'array',
@@ -187,6 +200,7 @@ export function createSchemaFormUtils(currentSpec) {
           required,
           description: typeof schema.description === 'string' ? schema.description : undefined,
           itemType,
+          itemFile,
           enum: Array.isArray(itemSchema?.enum) ? itemSchema.enum : undefined,
           example: itemSchema?.example ?? schema.example,
         };
@@ -210,6 +224,7 @@ export function createSchemaFormUtils(currentSpec) {
         required,
         description: typeof schema.description === 'string' ? schema.description : undefined,
         format: typeof schema.format === 'string' ? schema.format : undefined,
+        file: isBinarySchema(schema),
         enum: Array.isArray(schema.enum) ? schema.enum : undefined,
         default: schema.default,
         example: schema.example,
@@ -284,8 +299,18 @@ export function createSchemaFormUtils(currentSpec) {
     return entries.map(([contentType, media]) => {
       const resolvedSchema = media?.schema ? resolveSchemaObject(media.schema) : undefined;
       const schemaType = inferSchemaType(resolvedSchema) || media?.schema?.type || '';
-      const formTree = resolvedSchema ? buildSchemaFormTree(resolvedSchema) : null;
-      const formFields = formTree?.kind === 'object' ? formTree.children || [] : [];
+      const bodyKind = getRequestBodyKind(contentType, resolvedSchema);
+      const encoding = normalizeEncoding(media?.encoding);
+      // XML is edited as text only; the schema just shapes the generated skeleton.
+      const formTree = resolvedSchema && bodyKind !== 'binary' && bodyKind !== 'xml'
+        ? buildSchemaFormTree(resolvedSchema)
+        : null;
+      // Multipart parts take their content type from `encoding`; file pickers use it as `accept`.
+      const formFields = (formTree?.kind === 'object' ? formTree.children || [] : []).map((field) =>
+        bodyKind === 'multipart' && encoding[field.name]?.contentType
+          ? { ...field, contentType: encoding[field.name].contentType }
+          : field
+      );
       const supportsForm = Boolean(formFields.find((field) => field?.kind !== 'unsupported'));
       const schemaWarnings = formTree ? collectUnsupportedMessages(formTree) : [];
 
@@ -294,14 +319,21 @@ export function createSchemaFormUtils(currentSpec) {
         media?.example ??
         media?.examples?.default?.value;
       const parsedExample = tryParseJsonExample(rawExample);
-      const exampleText =
+      let exampleText =
         parsedExample !== undefined
           ? JSON.stringify(parsedExample, null, 2)
           : formatExampleValue(rawExample);
+      if (bodyKind === 'urlencoded' && isPlainObject(parsedExample)) {
+        exampleText = serializeFormBody(parsedExample, encoding);
+      } else if (bodyKind === 'xml' && !(typeof rawExample === 'string' && rawExample.trim().startsWith('<'))) {
+        exampleText = buildXmlDocument(resolvedSchema, parsedExample, { name: decodeRefName(media?.schema?.$ref) });
+      }
 
       return {
         contentType,
         schemaType,
+        bodyKind,
+        encoding,
         supportsForm,
         formTree,
         formFields,
@@ -317,6 +349,7 @@ export function createSchemaFormUtils(currentSpec) {
     resolveSchemaObject,
     inferSchemaType,
     buildSchemaFormTree,
+    buildSchemaField,
     collectUnsupportedMessages,
     tryParseJsonExample,
     formatExampleValue,
@@ -326,6 +359,55 @@ export function createSchemaFormUtils(currentSpec) {
 
 export { SUPPORTABLE_PRIMITIVE_TYPES };
 
+/**
+ * Whether a schema describes raw file content: `format: binary` (OpenAPI 3.0) or a
+ * `contentMediaType` without `contentEncoding` (OpenAPI 3.1).
+ *
+ * @param {any} schema
+ * @returns {boolean}
+ */
+export function isBinarySchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  if (schema.type !== undefined && schema.type !== 'string') return false;
+  if (schema.format === 'binary') return true;
+  return typeof schema.contentMediaType === 'string' && !schema.contentEncoding;
+}
+
+/**
+ * How the Try it console builds a request body for a media type: `multipart/form-data` bodies
+ * become `FormData`, `binary` bodies a single file, `urlencoded` bodies `name=value` pairs, `xml`
+ * bodies an XML document; everything else is edited as text.
+ *
+ * @param {string} contentType
+ * @param {any} schema Resolved media type schema.
+ * @returns {'multipart' | 'binary' | 'urlencoded' | 'xml' | 'text'}
+ */
+export function getRequestBodyKind(contentType, schema) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (mediaType === 'multipart/form-data') return 'multipart';
+  if (mediaType === 'application/x-www-form-urlencoded') return 'urlencoded';
+  if (mediaType === 'application/xml' || mediaType === 'text/xml' || mediaType.endsWith('+xml')) return 'xml';
+  if (mediaType === 'application/octet-stream' || isBinarySchema(schema)) return 'binary';
+  if (!schema && /^(image|audio|video)\//.test(mediaType)) return 'binary';
+  return 'text';
+}
+
+function normalizeEncoding(encoding) {
+  /** @type {Record<string, { contentType?: string, style?: string, explode?: boolean, allowReserved?: boolean }>} */
+  const result = {};
+  if (!encoding || typeof encoding !== 'object' || Array.isArray(encoding)) return result;
+  Object.entries(encoding).forEach(([name, entry]) => {
+    if (!entry || typeof entry !== 'object') return;
+    const normalized = {};
+    if (typeof entry.contentType === 'string' && entry.contentType.trim()) normalized.contentType = entry.contentType.trim();
+    if (typeof entry.style === 'string' && entry.style) normalized.style = entry.style;
+    if (typeof entry.explode === 'boolean') normalized.explode = entry.explode;
+    if (typeof entry.allowReserved === 'boolean') normalized.allowReserved = entry.allowReserved;
+    result[name] = normalized;
+  });
+  return result;
+}
+
 function buildSchemaDefinitionMap(currentSpec) {
   const map = new Map();
   const candidateSources = [
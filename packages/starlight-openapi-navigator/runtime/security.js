@@ -0,0 +1,350 @@
+/**
+ * Security requirements for the Try it console: which alternatives an operation accepts, the
+ * credential each scheme needs, and how those credentials end up on the outgoing request.
+ */
+
+/**
+ * @typedef {object} SecuritySchemeEntry
+ * @property {string} key Name of the scheme under `components.securitySchemes`.
+ * @property {string} type
+ * @property {string} [name]
+ * @property {string} [in]
+ * @property {string} [scheme]
+ * @property {string} [bearerFormat]
+ * @property {Record<string, any>} [flows]
+ * @property {string} [openIdConnectUrl]
+ * @property {string} [description]
+ * @property {string[]} scopes Scopes requested by any requirement that uses the scheme.
+ */
+
+/**
+ * One alternative of an operation's `security` array. Every scheme in it must be satisfied;
+ * an empty `schemes` list means the operation can be called anonymously.
+ *
+ * @typedef {object} SecurityRequirement
+ * @property {string} id
+ * @property {string} label
+ * @property {Array<{ key: string, scopes: string[] }>} schemes
+ */
+
+/**
+ * @typedef {'apiKey' | 'basic' | 'http' | 'oauth' | 'unsupported'} CredentialKind
+ */
+
+/**
+ * A credential put on a request by {@link applySecurityRequirement}.
+ *
+ * @typedef {object} AppliedCredential
+ * @property {string} scheme Key of the scheme it satisfies.
+ * @property {'header' | 'query' | 'cookie'} location
+ * @property {string} name Header, query parameter or cookie name.
+ * @property {string[]} secrets The secret values as they appear on the request, raw and encoded.
+ */
+
+/**
+ * Turn OpenAPI security requirement objects into the schemes to render and the alternatives to
+ * choose from. Requirements naming a scheme that isn't declared can't be satisfied and are dropped.
+ *
+ * @param {unknown[]} requirementSets
+ * @param {Record<string, any>} schemeDefinitions `components.securitySchemes`
+ * @returns {{ schemes: SecuritySchemeEntry[], requirements: SecurityRequirement[] }}
+ */
+export function buildSecurityRequirements(requirementSets, schemeDefinitions) {
+  const definitions = schemeDefinitions && typeof schemeDefinitions === 'object' ? schemeDefinitions : {};
+  /** @type {Map<string, SecuritySchemeEntry>} */
+  const schemes = new Map();
+  /** @type {SecurityRequirement[]} */
+  const requirements = [];
+  const seenRequirements = new Set();
+
+  (Array.isArray(requirementSets) ? requirementSets : []).forEach((set) => {
+    if (!set || typeof set !== 'object' || Array.isArray(set)) return;
+    const entries = Object.entries(set);
+    if (entries.some(([key]) => !definitions[key] || typeof definitions[key] !== 'object')) return;
+
+    const requirementSchemes = entries.map(([key, value]) => ({
+      key,
+      scopes: Array.isArray(value) ? value.filter((scope) => typeof scope === 'string') : [],
+    }));
+    requirementSchemes.forEach(({ key, scopes }) => {
+      const existing = schemes.get(key);
+      if (existing) {
+        scopes.forEach((scope) => {
+          if (!existing.scopes.includes(scope)) existing.scopes.push(scope);
+        });
+        return;
+      }
+      const definition = definitions[key];
+      schemes.set(key, {
+        key,
+        type: definition.type,
+        name: definition.name,
+        in: definition.in,
+        scheme: definition.scheme,
+        bearerFormat: definition.bearerFormat,
+        flows: definition.flows,
+        openIdConnectUrl: definition.openIdConnectUrl,
+        description: definition.description,
+        scopes: [...scopes],
+      });
+    });
+
+    // Alternatives that differ only in scopes collapse into one; the scopes were merged above.
+    const id = requirementSchemes.map(({ key }) => key).join('+') || 'none';
+    if (seenRequirements.has(id)) return;
+    seenRequirements.add(id);
+    requirements.push({
+      id,
+      label: requirementSchemes.length
+        ? requirementSchemes
+            .map(({ key, scopes }) => (scopes.length ? `${key} (${scopes.join(', ')})` : key))
+            .join(' + ')
+        : 'No authentication',
+      schemes: requirementSchemes,
+    });
+  });
+
+  return { schemes: Array.from(schemes.values()), requirements };
+}
+
+/**
+ * @param {Pick<SecuritySchemeEntry, 'type' | 'scheme'> | undefined} scheme
+ * @returns {CredentialKind}
+ */
+export function getCredentialKind(scheme) {
+  if (scheme?.type === 'apiKey') return 'apiKey';
+  if (scheme?.type === 'http') {
+    return String(scheme.scheme || '').toLowerCase() === 'basic' ? 'basic' : 'http';
+  }
+  if (scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') return 'oauth';
+  return 'unsupported';
+}
+
+/**
+ * Put the credentials of one requirement on the request. Schemes outside the requirement are
+ * ignored, as are schemes whose credential is empty.
+ *
+ * @param {{
+ *   requirement: SecurityRequirement | undefined,
+ *   schemes: SecuritySchemeEntry[],
+ *   credentials: Record<string, Record<string, string>>,
+ *   oauthTokens?: Record<string, string>,
+ *   headers: Headers,
+ *   url: URL,
+ * }} options
+ * @returns {AppliedCredential[]}
+ */
+export function applySecurityRequirement({ requirement, schemes, credentials, oauthTokens = {}, headers, url }) {
+  /** @type {AppliedCredential[]} */
+  const applied = [];
+  if (!requirement) return applied;
+  const record = (key, location, name, secrets) => {
+    applied.push({ scheme: key, location, name, secrets: [...new Set(secrets.filter(Boolean))] });
+  };
+  requirement.schemes.forEach(({ key }) => {
+    const scheme = schemes.find((entry) => entry.key === key);
+    const values = credentials[key] || {};
+    switch (getCredentialKind(scheme)) {
+      case 'apiKey': {
+        const value = (values.value || '').trim();
+        if (!value || !scheme.name) return;
+        const encoded = [encodeURIComponent(value), new URLSearchParams({ value }).toString().slice('value='.length)];
+        if (scheme.in === 'query') {
+          url.searchParams.set(scheme.name, value);
+          record(key, 'query', scheme.name, [value, ...encoded]);
+        } else if (scheme.in === 'cookie') {
+          const cookie = `${scheme.name}=${encodeURIComponent(value)}`;
+          const existing = headers.get('Cookie');
+          headers.set('Cookie', existing ? `${existing}; ${cookie}` : cookie);
+          record(key, 'cookie', scheme.name, [value, ...encoded]);
+        } else {
+          headers.set(scheme.name, value);
+          record(key, 'header', scheme.name, [value]);
+        }
+        return;
+      }
+      case 'basic': {
+        const username = values.username || '';
+        const password = values.password || '';
+        if (!username && !password) return;
+        const encoded = encodeBase64(`${username}:${password}`);
+        headers.set('Authorization', `Basic ${encoded}`);
+        record(key, 'header', 'Authorization', [encoded, password]);
+        return;
+      }
+      case 'http': {
+        const headerValue = buildHttpAuthorizationHeader((values.token || '').trim(), scheme.scheme || 'Bearer');
+        if (!headerValue) return;
+        headers.set('Authorization', headerValue);
+        record(key, 'header', 'Authorization', [headerValue.slice(headerValue.indexOf(' ') + 1)]);
+        return;
+      }
+      case 'oauth': {
+        const token = oauthTokens[key];
+        if (!token) return;
+        headers.set('Authorization', `Bearer ${token}`);
+        record(key, 'header', 'Authorization', [token]);
+        return;
+      }
+    }
+  });
+  return applied;
+}
+
+/**
+ * Read the saved credential fields of a scheme.
+ *
+ * @param {import('./storage.js').StorageNamespace} store
+ * @param {string} schemeKey
+ * @returns {Record<string, string>}
+ */
+export function readCredentials(store, schemeKey) {
+  const parsed = store.getJson(`credentials:${schemeKey}`);
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+/**
+ * Save (or, when every field is empty, forget) the credential fields of a scheme.
+ *
+ * @param {import('./storage.js').StorageNamespace} store
+ * @param {string} schemeKey
+ * @param {Record<string, string>} values
+ */
+export function storeCredentials(store, schemeKey, values) {
+  const filled = Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+  store.setJson(`credentials:${schemeKey}`, Object.keys(filled).length ? filled : null);
+}
+
+/** Placeholder that replaces a credential when a request is stored or shown. */
+export const REDACTED_VALUE = '***';
+
+// Credentials shorter than this are masked whole; shorter still, they aren't scrubbed from text.
+const PARTIAL_MASK_MIN_LENGTH = 16;
+const SCRUB_MIN_LENGTH = 4;
+
+// Headers that carry credentials whatever the operation's security says.
+const ALWAYS_SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+/**
+ * Hide the credentials on a request before it is kept or displayed: authorization and cookie
+ * headers, and every header or query parameter an `apiKey` scheme names.
+ *
+ * @param {SecuritySchemeEntry[]} schemes
+ * @param {{ url: string, headers: Array<[string, string]> }} request
+ * @param {{ mask?: (value: string) => string }} [options] `mask` shows part of each credential (see
+ *   {@link maskSecret}) and keeps authorization schemes and cookie names; without it every
+ *   credential becomes {@link REDACTED_VALUE}.
+ * @returns {{ url: string, headers: Array<[string, string]> }}
+ */
+export function redactRequestSecrets(schemes, request, options = {}) {
+  const mask = typeof options.mask === 'function' ? options.mask : null;
+  const secretHeaders = new Set(ALWAYS_SECRET_HEADERS);
+  const secretQuery = new Set();
+  (Array.isArray(schemes) ? schemes : []).forEach((scheme) => {
+    if (getCredentialKind(scheme) !== 'apiKey' || !scheme.name) return;
+    if (scheme.in === 'query') secretQuery.add(scheme.name);
+    else if (scheme.in !== 'cookie') secretHeaders.add(scheme.name.toLowerCase());
+  });
+
+  const headers = request.headers.map(([name, value]) =>
+    secretHeaders.has(name.toLowerCase()) ? [name, mask ? maskHeaderValue(name, value, mask) : REDACTED_VALUE] : [name, value]
+  );
+  let url = request.url;
+  if (secretQuery.size) {
+    const queryStart = url.indexOf('?');
+    if (queryStart !== -1) {
+      const hashStart = url.indexOf('#', queryStart);
+      const end = hashStart === -1 ? url.length : hashStart;
+      // Rewritten pair by pair: re-serialising through URLSearchParams would re-encode style delimiters.
+      const query = url
+        .slice(queryStart + 1, end)
+        .split('&')
+        .map((pair) => {
+          const [rawName, ...rest] = pair.split('=');
+          if (!secretQuery.has(decodeQueryComponent(rawName))) return pair;
+          return `${rawName}=${mask ? mask(rest.join('=')) : REDACTED_VALUE}`;
+        })
+        .join('&');
+      url = `${url.slice(0, queryStart + 1)}${query}${url.slice(end)}`;
+    }
+  }
+  return { url, headers };
+}
+
+/**
+ * Shorten a credential for display, keeping just enough to tell credentials apart (`sk_…4f2a`).
+ * Short values are replaced whole.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function maskSecret(value) {
+  const text = String(value ?? '');
+  if (text.length < PARTIAL_MASK_MIN_LENGTH) return REDACTED_VALUE;
+  return `${text.slice(0, 3)}…${text.slice(-4)}`;
+}
+
+/**
+ * Build a function that masks every occurrence of the given credential values in a text, for
+ * response headers, bodies and error messages that echo a credential back.
+ *
+ * @param {string[]} secrets Typically the `secrets` of the applied credentials.
+ * @returns {(text: string) => string}
+ */
+export function createSecretScrubber(secrets) {
+  const candidates = (Array.isArray(secrets) ? secrets : []).filter(
+    (value) => typeof value === 'string' && value.length >= SCRUB_MIN_LENGTH
+  );
+  // Longest first, so a raw value doesn't pre-empt its longer encoded form.
+  const values = [...new Set(candidates)].sort((left, right) => right.length - left.length);
+  if (!values.length) return (text) => text;
+  const pattern = new RegExp(values.map(escapeRegExp).join('|'), 'g');
+  return (text) => (typeof text === 'string' ? text.replace(pattern, (match) => maskSecret(match)) : text);
+}
+
+function maskHeaderValue(name, value, mask) {
+  const lower = name.toLowerCase();
+  if (lower === 'authorization' || lower === 'proxy-authorization') {
+    const match = /^(\S+\s+)(\S.*)$/.exec(value);
+    return match ? `${match[1]}${mask(match[2])}` : mask(value);
+  }
+  if (lower === 'cookie') {
+    return value
+      .split(/;\s*/)
+      .map((pair) => {
+        const separator = pair.indexOf('=');
+        return separator === -1 ? pair : `${pair.slice(0, separator)}=${mask(pair.slice(separator + 1))}`;
+      })
+      .join('; ');
+  }
+  return mask(value);
+}
+
+function decodeQueryComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+function buildHttpAuthorizationHeader(value, schemeName) {
+  if (!value) return '';
+  if (schemeName.toLowerCase() === 'bearer') {
+    return /^bearer\s+/i.test(value) ? value : `Bearer ${value}`;
+  }
+  return new RegExp(`^${escapeRegExp(schemeName)}\\s+`, 'i').test(value) ? value : `${schemeName} ${value}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `btoa` only accepts Latin-1, so go through UTF-8 bytes first.
+function encodeBase64(value) {
+  let binary = '';
+  new TextEncoder().encode(value).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
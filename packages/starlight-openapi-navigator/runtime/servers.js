@@ -0,0 +1,352 @@
+/**
+ * Helpers for OpenAPI server URL templates (`https://{region}.api.example.com/{version}`), shared by
+ * the dev proxy table built at config time and the Try it console.
+ */
+
+/** Above this many enum combinations a template is proxied through a wildcard entry instead. */
+export const MAX_SERVER_VARIABLE_COMBINATIONS = 24;
+
+/** Context path prefix of wildcard proxy entries; the target origin follows as `/<scheme>/<host>`. */
+export const WILDCARD_PROXY_PREFIX = '/__openapi/_any';
+
+/**
+ * @typedef {object} ServerVariable
+ * @property {string} [default]
+ * @property {string[]} [enum]
+ * @property {string} [description]
+ */
+
+/**
+ * @param {unknown} url
+ * @returns {boolean}
+ */
+export function hasServerVariables(url) {
+  return typeof url === 'string' && /\{[^}]+\}/.test(url);
+}
+
+/**
+ * Variable definitions of a server, limited to well-formed entries. Enum values are stringified;
+ * a missing default falls back to the first enum value.
+ *
+ * @param {unknown} variables
+ * @returns {Record<string, { default: string, enum: string[], description: string }>}
+ */
+export function normalizeServerVariables(variables) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) return {};
+  /** @type {Record<string, { default: string, enum: string[], description: string }>} */
+  const result = {};
+  Object.entries(variables).forEach(([name, definition]) => {
+    if (!definition || typeof definition !== 'object') return;
+    const values = Array.isArray(definition.enum)
+      ? definition.enum.filter((value) => value !== null && value !== undefined).map(String)
+      : [];
+    const fallback = definition.default !== undefined && definition.default !== null ? String(definition.default) : '';
+    result[name] = {
+      default: fallback || values[0] || '',
+      enum: values,
+      description: typeof definition.description === 'string' ? definition.description : '',
+    };
+  });
+  return result;
+}
+
+/**
+ * Replace `{name}` placeholders with the given values, falling back to each variable's default.
+ * Placeholders without a value are left untouched.
+ *
+ * @param {string} url
+ * @param {Record<string, unknown>} [variables] Server variable definitions.
+ * @param {Record<string, string>} [values]
+ * @returns {string}
+ */
+export function expandServerUrl(url, variables, values = {}) {
+  if (typeof url !== 'string') return '';
+  const definitions = normalizeServerVariables(variables);
+  return url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const value = values[name] !== undefined && values[name] !== '' ? values[name] : definitions[name]?.default;
+    return value ? String(value) : match;
+  });
+}
+
+/**
+ * Every combination of enum values for the variables used in a URL. Variables without an enum
+ * contribute only their default. Returns `null` when there are more than `limit` combinations.
+ *
+ * @param {string} url
+ * @param {Record<string, unknown>} [variables]
+ * @param {number} [limit]
+ * @returns {Array<Record<string, string>> | null}
+ */
+export function listServerVariableCombinations(url, variables, limit = MAX_SERVER_VARIABLE_COMBINATIONS) {
+  const definitions = normalizeServerVariables(variables);
+  /** @type {Array<Record<string, string>>} */
+  let combinations = [{}];
+  for (const name of listUrlVariables(url)) {
+    const definition = definitions[name];
+    const options = definition?.enum.length ? definition.enum : [definition?.default || ''];
+    combinations = combinations.flatMap((combination) =>
+      options.map((value) => ({ ...combination, [name]: value }))
+    );
+    if (combinations.length > limit) return null;
+  }
+  return combinations;
+}
+
+/**
+ * Whether any variable of the URL accepts free-form input (no enum).
+ *
+ * @param {string} url
+ * @param {Record<string, unknown>} [variables]
+ * @returns {boolean}
+ */
+export function hasFreeFormServerVariables(url, variables) {
+  const definitions = normalizeServerVariables(variables);
+  return listUrlVariables(url).some((name) => !definitions[name]?.enum.length);
+}
+
+/**
+ * Regular expression source matching the `scheme://host` origins a URL template can expand to.
+ * Enum variables match their values; other variables match one host label run. Returns `null`
+ * for relative templates.
+ *
+ * @param {string} url
+ * @param {Record<string, unknown>} [variables]
+ * @returns {string | null}
+ */
+export function buildServerOriginPattern(url, variables) {
+  if (typeof url !== 'string') return null;
+  const match = url.trim().match(/^([^:/?#]+:\/\/[^/?#]+)/);
+  if (!match) return null;
+  const definitions = normalizeServerVariables(variables);
+  const parts = match[1].split(/(\{[^}]+\})/);
+  const source = parts
+    .map((part) => {
+      const variable = part.match(/^\{([^}]+)\}$/);
+      if (!variable) return escapeRegExp(part);
+      const values = definitions[variable[1]]?.enum || [];
+      return values.length ? `(?:${values.map(escapeRegExp).join('|')})` : '[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*(?::\\d+)?';
+    })
+    .join('');
+  return `^${source}$`;
+}
+
+/**
+ * Build the dev-server path that sends a request through a wildcard proxy entry.
+ *
+ * @param {string} contextPath
+ * @param {string} resolvedUrl Absolute server URL with every variable substituted.
+ * @returns {string}
+ */
+export function buildWildcardProxyPath(contextPath, resolvedUrl) {
+  const parsed = new URL(resolvedUrl);
+  const pathname = parsed.pathname === '/' ? '' : parsed.pathname.replace(/\/+$/g, '');
+  return `${contextPath}/${parsed.protocol.replace(/:$/, '')}/${parsed.host}${pathname}`;
+}
+
+/**
+ * Split a wildcard proxy request back into the upstream origin and path. Returns `null` when the
+ * origin doesn't match `originPattern`, so the proxy can't be pointed at arbitrary hosts.
+ *
+ * @param {string} contextPath
+ * @param {string} originPattern
+ * @param {string} requestUrl
+ * @returns {{ target: string, path: string } | null}
+ */
+export function matchWildcardProxyRequest(contextPath, originPattern, requestUrl) {
+  if (typeof requestUrl !== 'string' || !requestUrl.startsWith(`${contextPath}/`)) return null;
+  const match = requestUrl.slice(contextPath.length).match(/^\/(https?)\/([^/?#]+)(.*)$/);
+  if (!match) return null;
+  const [, scheme, host, rest] = match;
+  const target = `${scheme}://${host}`;
+  if (!new RegExp(originPattern).test(target)) return null;
+  return { target, path: rest.startsWith('/') ? rest : `/${rest}` };
+}
+
+/**
+ * @typedef {object} NormalizedTryItEnvironment
+ * @property {string} name
+ * @property {string} url May contain `{variable}` placeholders.
+ * @property {Record<string, Record<string, unknown>>} variables Server variable objects.
+ * @property {Record<string, string>} headers Sent with every request against the environment.
+ */
+
+/**
+ * @typedef {object} DevProxyEntry
+ * @property {number} id
+ * @property {string} originalUrl
+ * @property {string} normalizedUrl Origin and path without a trailing slash; `''` for wildcards.
+ * @property {string} target Origin the dev server forwards to.
+ * @property {string} contextPath Dev-server path prefix the entry answers on.
+ * @property {string} rewritePath Upstream base path.
+ * @property {string} [template] Server URL template the entry was expanded from.
+ * @property {boolean} [wildcard] Forwards to any origin matching `originPattern`.
+ * @property {string} [originPattern]
+ */
+
+/**
+ * Normalize the `tryIt.environments` option. Entries without a `name` and `url` are ignored;
+ * `variables` accept plain default values or server variable objects, and only string or number
+ * headers are kept.
+ *
+ * @param {unknown} rawValue
+ * @returns {NormalizedTryItEnvironment[]}
+ * @throws {Error} When two environments share a name.
+ */
+export function normalizeTryItEnvironments(rawValue) {
+  if (!Array.isArray(rawValue)) return [];
+  const seen = new Set();
+  /** @type {NormalizedTryItEnvironment[]} */
+  const environments = [];
+  rawValue.forEach((entry) => {
+    if (!isPlainObject(entry)) return;
+    const name = toNonEmptyString(entry.name);
+    const url = toNonEmptyString(entry.url);
+    if (!name || !url) return;
+    if (seen.has(name)) {
+      throw new Error(`starlight-openapi-navigator: tryIt.environments has more than one entry named "${name}".`);
+    }
+    seen.add(name);
+
+    const variables = {};
+    if (isPlainObject(entry.variables)) {
+      Object.entries(entry.variables).forEach(([key, value]) => {
+        if (typeof value === 'string' || typeof value === 'number') {
+          variables[key] = { default: String(value) };
+        } else if (isPlainObject(value)) {
+          variables[key] = { ...value };
+        }
+      });
+    }
+    const headers = {};
+    if (isPlainObject(entry.headers)) {
+      Object.entries(entry.headers).forEach(([key, value]) => {
+        if (key && (typeof value === 'string' || typeof value === 'number')) headers[key] = String(value);
+      });
+    }
+    environments.push({ name, url, variables, headers });
+  });
+  return environments;
+}
+
+/**
+ * Dev-server proxy entries for every server the Try it console can call: spec-level and
+ * operation-level servers, then the configured environments.
+ *
+ * @param {{ servers?: object[], operations?: Array<{ servers?: object[] }> }} spec Normalized spec.
+ * @param {NormalizedTryItEnvironment[]} [environments]
+ * @returns {DevProxyEntry[]}
+ */
+export function buildDevProxyTable(spec, environments = []) {
+  /** @type {DevProxyEntry[]} */
+  const entries = [];
+  const seen = new Set();
+
+  const enqueue = (url, template) => {
+    const parsed = parseServerUrl(url);
+    if (!parsed || seen.has(parsed.normalizedUrl)) return;
+
+    const contextPath = buildContextPath(parsed, entries.length);
+    const rewritePath = parsed.pathname || '/';
+
+    entries.push({
+      id: entries.length,
+      originalUrl: parsed.originalUrl,
+      normalizedUrl: parsed.normalizedUrl,
+      target: parsed.origin,
+      contextPath,
+      rewritePath,
+      ...(template ? { template } : {}),
+    });
+    seen.add(parsed.normalizedUrl);
+  };
+
+  // Templated servers get one entry per enum combination. When a variable is free-form or there
+  // are too many combinations, a wildcard entry forwards to any origin the template can expand to.
+  const enqueueServer = (server) => {
+    const url = typeof server?.url === 'string' ? server.url.trim() : '';
+    if (!hasServerVariables(url)) {
+      enqueue(url);
+      return;
+    }
+    const combinations = listServerVariableCombinations(url, server.variables);
+    (combinations || []).forEach((values) => enqueue(expandServerUrl(url, server.variables, values), url));
+    if (combinations && !hasFreeFormServerVariables(url, server.variables)) return;
+
+    const originPattern = buildServerOriginPattern(url, server.variables);
+    const fallback = parseServerUrl(expandServerUrl(url, server.variables));
+    if (!originPattern || !fallback || seen.has(`template:${url}`)) return;
+    const hostSegment = url
+      .replace(/^[^:/?#]+:\/\//, '')
+      .split(/[/?#]/)[0]
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    entries.push({
+      id: entries.length,
+      originalUrl: url,
+      normalizedUrl: '',
+      target: fallback.origin,
+      contextPath: `${WILDCARD_PROXY_PREFIX}/${hostSegment || `origin-${entries.length}`}`,
+      rewritePath: '/',
+      template: url,
+      wildcard: true,
+      originPattern,
+    });
+    seen.add(`template:${url}`);
+  };
+
+  (spec.servers || []).forEach(enqueueServer);
+  (spec.operations || []).forEach((operation) => {
+    (operation.servers || []).forEach(enqueueServer);
+  });
+  environments.forEach(enqueueServer);
+
+  return entries;
+}
+
+function parseServerUrl(url) {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  if (!trimmed) return null;
+  try {
+    const parsed = new URL(trimmed);
+    const origin = `${parsed.protocol}//${parsed.host}`;
+    const rawPath = parsed.pathname || '/';
+    const cleanPath = rawPath === '/' ? '' : rawPath.replace(/\/+$/g, '');
+    const normalizedUrl = `${origin}${cleanPath}`;
+    return {
+      originalUrl: trimmed,
+      origin,
+      pathname: cleanPath || '/',
+      normalizedUrl,
+      host: parsed.host,
+      pathSegments: rawPath.split('/').filter(Boolean),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function buildContextPath(parsed, index) {
+  const hostSegment = parsed.host.replace(/[^a-zA-Z0-9]/g, '-');
+  const pathSegments = parsed.pathSegments.map((segment) => segment.replace(/[^a-zA-Z0-9]/g, '-'));
+  const segments = ['__openapi', hostSegment || `origin-${index}`, ...pathSegments];
+  return `/${segments.filter(Boolean).join('/')}`;
+}
+
+function listUrlVariables(url) {
+  if (typeof url !== 'string') return [];
+  return Array.from(new Set(Array.from(url.matchAll(/\{([^}]+)\}/g), (match) => match[1])));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toNonEmptyString(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
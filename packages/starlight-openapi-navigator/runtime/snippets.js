@@ -0,0 +1,384 @@
+/**
+ * Request snippets: render a fully built request as a command or a few lines of code. The Try it
+ * console's "Copy as…" menu and the build-time samples (parser/code-samples.js) both render
+ * through here. Uploaded files can't be embedded, so snippets refer to them by file name.
+ */
+
+/** Snippet formats, in menu order. */
+export const SNIPPET_FORMATS = [
+  { id: 'curl', label: 'curl' },
+  { id: 'fetch', label: 'JavaScript fetch' },
+  { id: 'httpie', label: 'HTTPie' },
+  { id: 'python', label: 'Python requests' },
+  { id: 'powershell', label: 'PowerShell' },
+  { id: 'go', label: 'Go net/http' },
+  { id: 'ruby', label: 'Ruby Net::HTTP' },
+];
+
+/**
+ * @typedef {object} SnippetPart
+ * @property {string} name
+ * @property {string} [value] Inline part content.
+ * @property {string} [fileName] Set for file parts instead of `value`.
+ * @property {string} [contentType]
+ */
+
+/**
+ * @typedef {{ type: 'text', text: string } | { type: 'form-data', parts: SnippetPart[] } | { type: 'file', fileName: string }} SnippetBody
+ */
+
+/**
+ * @typedef {object} SnippetRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {Array<[string, string]>} headers
+ * @property {SnippetBody} [body]
+ */
+
+const RENDERERS = {
+  curl: renderCurl,
+  fetch: renderFetch,
+  httpie: renderHttpie,
+  python: renderPython,
+  powershell: renderPowerShell,
+  go: renderGo,
+  ruby: renderRuby,
+};
+
+/**
+ * @param {string} format One of the {@link SNIPPET_FORMATS} ids.
+ * @param {SnippetRequest} request
+ * @returns {string}
+ */
+export function renderRequestSnippet(format, request) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown snippet format "${format}".`);
+  return render({ ...request, method: request.method.toUpperCase() });
+}
+
+function renderCurl({ method, url, headers, body }) {
+  const command = ['curl'];
+  if (method === 'HEAD') command.push('--head');
+  // curl already sends GET, and POST once there is a body.
+  else if (method !== 'GET' && !(method === 'POST' && body)) command.push('-X', method);
+  command.push(shellQuote(url));
+  const options = headers.map(([name, value]) => ['-H', shellQuote(`${name}: ${value}`)]);
+  if (body?.type === 'text') {
+    options.push(['--data-raw', shellQuote(body.text)]);
+  } else if (body?.type === 'file') {
+    options.push(['--data-binary', shellQuote(`@${body.fileName}`)]);
+  } else if (body?.type === 'form-data') {
+    body.parts.forEach((part) => {
+      const type = part.contentType ? `;type=${part.contentType}` : '';
+      if (part.fileName !== undefined) {
+        options.push(['-F', shellQuote(`${part.name}=@${part.fileName}${type}`)]);
+      } else if (type) {
+        options.push(['-F', shellQuote(`${part.name}=${part.value}${type}`)]);
+      } else {
+        // --form-string keeps a leading @ or < literal.
+        options.push(['--form-string', shellQuote(`${part.name}=${part.value}`)]);
+      }
+    });
+  }
+  return joinShellLines(command, options);
+}
+
+function renderHttpie({ method, url, headers, body }) {
+  const command = ['http'];
+  if (body?.type === 'text') command.push('--raw', shellQuote(body.text));
+  if (body?.type === 'form-data') command.push('--multipart');
+  command.push(method, shellQuote(url));
+  const items = headers.map(([name, value]) => [shellQuote(value ? `${name}:${value}` : `${name};`)]);
+  if (body?.type === 'file') {
+    items.push(['<', shellQuote(body.fileName)]);
+  } else if (body?.type === 'form-data') {
+    body.parts.forEach((part) => {
+      items.push([
+        part.fileName !== undefined
+          ? shellQuote(`${part.name}@${part.fileName}${part.contentType ? `;type=${part.contentType}` : ''}`)
+          : shellQuote(`${part.name}=${part.value}`),
+      ]);
+    });
+  }
+  return joinShellLines(command, items);
+}
+
+function renderFetch({ method, url, headers, body }) {
+  const lines = [];
+  let bodyExpression = '';
+  if (body?.type === 'text') {
+    bodyExpression = JSON.stringify(body.text);
+  } else if (body?.type === 'file') {
+    lines.push(`// \`file\`: the File or Blob to upload (${body.fileName}).`);
+    bodyExpression = 'file';
+  } else if (body?.type === 'form-data') {
+    lines.push('const body = new FormData();');
+    body.parts.forEach((part) => {
+      const name = JSON.stringify(part.name);
+      if (part.fileName !== undefined) {
+        lines.push(`body.append(${name}, file, ${JSON.stringify(part.fileName)}); // \`file\`: the File or Blob to upload`);
+      } else if (part.contentType) {
+        lines.push(
+          `body.append(${name}, new Blob([${JSON.stringify(part.value)}], { type: ${JSON.stringify(part.contentType)} }));`
+        );
+      } else {
+        lines.push(`body.append(${name}, ${JSON.stringify(part.value)});`);
+      }
+    });
+    lines.push('');
+    bodyExpression = 'body';
+  }
+
+  lines.push(`const response = await fetch(${JSON.stringify(url)}, {`);
+  lines.push(`  method: ${JSON.stringify(method)},`);
+  if (headers.length) {
+    lines.push('  headers: {');
+    headers.forEach(([name, value]) => lines.push(`    ${JSON.stringify(name)}: ${JSON.stringify(value)},`));
+    lines.push('  },');
+  }
+  if (bodyExpression) lines.push(`  body: ${bodyExpression},`);
+  lines.push('});');
+  lines.push('console.log(response.status, await response.text());');
+  return lines.join('\n');
+}
+
+function renderPython({ method, url, headers, body }) {
+  const lines = ['import requests', '', 'response = requests.request('];
+  lines.push(`    ${pythonString(method)},`);
+  lines.push(`    ${pythonString(url)},`);
+  if (headers.length) {
+    lines.push('    headers={');
+    headers.forEach(([name, value]) => lines.push(`        ${pythonString(name)}: ${pythonString(value)},`));
+    lines.push('    },');
+  }
+  if (body?.type === 'text') {
+    lines.push(`    data=${pythonString(body.text)}.encode(),`);
+  } else if (body?.type === 'file') {
+    lines.push(`    data=open(${pythonString(body.fileName)}, "rb"),`);
+  } else if (body?.type === 'form-data') {
+    lines.push('    files=[');
+    body.parts.forEach((part) => {
+      const content = part.fileName !== undefined
+        ? [pythonString(part.fileName), `open(${pythonString(part.fileName)}, "rb")`]
+        : ['None', pythonString(part.value)];
+      if (part.contentType) content.push(pythonString(part.contentType));
+      lines.push(`        (${pythonString(part.name)}, (${content.join(', ')})),`);
+    });
+    lines.push('    ],');
+  }
+  lines.push(')');
+  lines.push('print(response.status_code, response.text)');
+  return lines.join('\n');
+}
+
+function renderPowerShell({ method, url, headers, body }) {
+  const lines = [];
+  // Invoke-RestMethod takes the body's type as -ContentType rather than as a header.
+  const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+  const otherHeaders = headers.filter(([name]) => name.toLowerCase() !== 'content-type');
+  if (otherHeaders.length) {
+    lines.push('$headers = @{');
+    otherHeaders.forEach(([name, value]) => lines.push(`    ${powerShellString(name)} = ${powerShellString(value)}`));
+    lines.push('}');
+  }
+  if (body?.type === 'form-data') {
+    // Repeated parts become arrays; -Form needs PowerShell 7.
+    const grouped = new Map();
+    body.parts.forEach((part) => {
+      const value = part.fileName !== undefined
+        ? `(Get-Item -LiteralPath ${powerShellString(part.fileName)})`
+        : powerShellString(part.value);
+      grouped.set(part.name, [...(grouped.get(part.name) || []), value]);
+    });
+    lines.push('$form = @{');
+    grouped.forEach((values, name) => {
+      lines.push(`    ${powerShellString(name)} = ${values.length === 1 ? values[0] : `@(${values.join(', ')})`}`);
+    });
+    lines.push('}');
+  }
+
+  const args = [`Invoke-RestMethod -Method ${method} -Uri ${powerShellString(url)}`];
+  if (otherHeaders.length) args.push('-Headers $headers');
+  if (contentType) args.push(`-ContentType ${powerShellString(contentType)}`);
+  if (body?.type === 'text') args.push(`-Body ${powerShellString(body.text)}`);
+  if (body?.type === 'file') args.push(`-InFile ${powerShellString(body.fileName)}`);
+  if (body?.type === 'form-data') args.push('-Form $form');
+  lines.push(args.join(' `\n    '));
+  return lines.join('\n');
+}
+
+function renderGo({ method, url, headers, body }) {
+  const imports = new Set(['fmt', 'io', 'net/http']);
+  const setup = [];
+  let bodyArg = 'nil';
+  const openFile = (variable, fileName, indent) => {
+    imports.add('os');
+    setup.push(
+      `${indent}${variable}, err := os.Open(${JSON.stringify(fileName)})`,
+      `${indent}if err != nil {`,
+      `${indent}\tpanic(err)`,
+      `${indent}}`
+    );
+  };
+
+  if (body?.type === 'text') {
+    imports.add('strings');
+    setup.push(`\tpayload := strings.NewReader(${goString(body.text)})`, '');
+    bodyArg = 'payload';
+  } else if (body?.type === 'file') {
+    openFile('payload', body.fileName, '\t');
+    setup.push('\tdefer payload.Close()', '');
+    bodyArg = 'payload';
+  } else if (body?.type === 'form-data') {
+    imports.add('bytes');
+    imports.add('mime/multipart');
+    setup.push('\tvar payload bytes.Buffer', '\tform := multipart.NewWriter(&payload)');
+    body.parts.forEach((part) => {
+      if (part.fileName === undefined && !part.contentType) {
+        setup.push(`\tform.WriteField(${JSON.stringify(part.name)}, ${goString(part.value)})`);
+        return;
+      }
+      // Each part gets its own block so `part` and `file` can be declared again.
+      setup.push('\t{');
+      if (part.contentType) {
+        imports.add('net/textproto');
+        const fileName = part.fileName !== undefined ? `; filename=${JSON.stringify(part.fileName)}` : '';
+        setup.push(
+          '\t\theader := textproto.MIMEHeader{}',
+          `\t\theader.Set("Content-Disposition", ${goString(`form-data; name=${JSON.stringify(part.name)}${fileName}`)})`,
+          `\t\theader.Set("Content-Type", ${JSON.stringify(part.contentType)})`,
+          '\t\tpart, _ := form.CreatePart(header)'
+        );
+      } else {
+        setup.push(`\t\tpart, _ := form.CreateFormFile(${JSON.stringify(part.name)}, ${JSON.stringify(part.fileName)})`);
+      }
+      if (part.fileName !== undefined) {
+        openFile('file', part.fileName, '\t\t');
+        setup.push('\t\tio.Copy(part, file)', '\t\tfile.Close()');
+      } else {
+        setup.push(`\t\tio.WriteString(part, ${goString(part.value)})`);
+      }
+      setup.push('\t}');
+    });
+    setup.push('\tform.Close()', '');
+    bodyArg = '&payload';
+  }
+
+  const lines = [
+    'package main',
+    '',
+    'import (',
+    ...Array.from(imports).sort().map((name) => `\t${JSON.stringify(name)}`),
+    ')',
+    '',
+    'func main() {',
+    ...setup,
+    `\treq, err := http.NewRequest(${JSON.stringify(method)}, ${JSON.stringify(url)}, ${bodyArg})`,
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    ...headers.map(([name, value]) => `\treq.Header.Set(${JSON.stringify(name)}, ${JSON.stringify(value)})`),
+  ];
+  if (body?.type === 'form-data') {
+    lines.push('\treq.Header.Set("Content-Type", form.FormDataContentType())');
+  }
+  lines.push(
+    '',
+    '\tres, err := http.DefaultClient.Do(req)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\tdefer res.Body.Close()',
+    '',
+    '\tdata, _ := io.ReadAll(res.Body)',
+    '\tfmt.Println(res.Status, string(data))',
+    '}'
+  );
+  return lines.join('\n');
+}
+
+const RUBY_REQUEST_CLASSES = {
+  GET: 'Get',
+  POST: 'Post',
+  PUT: 'Put',
+  PATCH: 'Patch',
+  DELETE: 'Delete',
+  HEAD: 'Head',
+  OPTIONS: 'Options',
+  TRACE: 'Trace',
+};
+
+function renderRuby({ method, url, headers, body }) {
+  const lines = ['require "net/http"', '', `uri = URI(${rubyString(url)})`];
+  // Net::HTTPGenericRequest covers methods without a class of their own.
+  lines.push(
+    RUBY_REQUEST_CLASSES[method]
+      ? `request = Net::HTTP::${RUBY_REQUEST_CLASSES[method]}.new(uri)`
+      : `request = Net::HTTPGenericRequest.new(${rubyString(method)}, ${body ? 'true' : 'false'}, true, uri)`
+  );
+  headers.forEach(([name, value]) => lines.push(`request[${rubyString(name)}] = ${rubyString(value)}`));
+  if (body?.type === 'text') {
+    if (body.text.includes('\n')) {
+      // A single-quoted heredoc keeps JSON readable and skips `#{}` interpolation.
+      lines.push("request.body = <<~'BODY'", ...body.text.split('\n').map((line) => `  ${line}`), 'BODY');
+    } else {
+      lines.push(`request.body = ${rubyString(body.text)}`);
+    }
+  } else if (body?.type === 'file') {
+    lines.push(`request.body = File.binread(${rubyString(body.fileName)})`);
+  } else if (body?.type === 'form-data') {
+    lines.push('request.set_form([');
+    body.parts.forEach((part) => {
+      const entry = [rubyString(part.name)];
+      const options = [];
+      if (part.fileName !== undefined) {
+        entry.push(`File.open(${rubyString(part.fileName)})`);
+        options.push(`filename: ${rubyString(part.fileName)}`);
+      } else {
+        entry.push(rubyString(part.value));
+      }
+      if (part.contentType) options.push(`content_type: ${rubyString(part.contentType)}`);
+      if (options.length) entry.push(`{ ${options.join(', ')} }`);
+      lines.push(`  [${entry.join(', ')}],`);
+    });
+    lines.push('], "multipart/form-data")');
+  }
+  lines.push(
+    '',
+    'response = Net::HTTP.start(uri.hostname, uri.port, use_ssl: uri.scheme == "https") do |http|',
+    '  http.request(request)',
+    'end',
+    'puts response.code, response.body'
+  );
+  return lines.join('\n');
+}
+
+// One option per continued line so long requests stay readable.
+function joinShellLines(command, lines) {
+  return [command, ...lines].map((words) => words.join(' ')).join(' \\\n  ');
+}
+
+function shellQuote(value) {
+  if (/^[\w@%+=:,./-]+$/.test(value)) return value;
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// JSON string literals are valid Python string literals.
+function pythonString(value) {
+  return JSON.stringify(value);
+}
+
+// Raw strings read better for multi-line bodies, but can't contain a backtick.
+function goString(value) {
+  return value.includes('`') ? JSON.stringify(value) : `\`${value}\``;
+}
+
+// Double-quoted Ruby strings interpolate `#{…}`, so the `#` is escaped.
+function rubyString(value) {
+  return JSON.stringify(value).replace(/#\{/g, '\\#{');
+}
+
+// PowerShell also treats typographic single quotes as quote marks; each is escaped by doubling.
+function powerShellString(value) {
+  return `'${value.replace(/['‘’‚‛]/g, '$&$&')}'`;
+}
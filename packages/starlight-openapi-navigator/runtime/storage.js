@@ -0,0 +1,209 @@
+/**
+ * Namespaced `localStorage` for everything the docs remember in the browser: credentials, OAuth
+ * tokens, servers, Try it history and collections, panel and language preferences. Keys read
+ * `starlight-openapi-navigator:<version>:<baseSlug>:<instanceId>:<name>`, so several API instances
+ * on one site keep their state apart and the whole namespace can be forgotten at once.
+ */
+
+import { DEFAULT_BASE_SLUG } from './config.js';
+import { getCredentialKind } from './security.js';
+
+const STORAGE_ROOT = 'starlight-openapi-navigator';
+/** Bumped when stored values change shape in a way older readers can't handle. */
+export const STORAGE_VERSION = 'v1';
+
+// Global keys of earlier versions, moved into a namespace by migrateLegacyStorage.
+const LEGACY_PREFIX = 'starlight-openapi-navigator-';
+const LEGACY_API_KEY = 'starlight-openapi-navigator-api-key';
+const LEGACY_PANEL_PREFIX = 'starlight-openapi-panel:';
+const LEGACY_LANGUAGE_KEY = 'starlight-preferred-lang';
+
+/**
+ * @typedef {object} StorageNamespace
+ * @property {string} prefix Prepended to every name.
+ * @property {Storage | null} storage The backing store; `null` when the browser denies access.
+ * @property {(name: string) => string | null} get
+ * @property {(name: string, value: string) => boolean} set Whether the browser accepted the write.
+ * @property {(name: string) => void} remove
+ * @property {(name: string) => any} getJson `null` when the entry is missing or unreadable.
+ * @property {(name: string, value: unknown) => boolean} setJson `null` and `undefined` remove the entry.
+ * @property {() => string[]} names Names of the entries in the namespace.
+ * @property {() => number} clear Remove every entry of the namespace and return how many there were.
+ */
+
+/**
+ * @param {string | undefined} baseSlug
+ * @param {string | undefined} instanceId
+ * @returns {string}
+ */
+export function buildStoragePrefix(baseSlug, instanceId) {
+  const slug = typeof baseSlug === 'string' && baseSlug.trim() ? baseSlug.trim() : DEFAULT_BASE_SLUG;
+  const id = typeof instanceId === 'string' && instanceId.trim() ? instanceId.trim() : 'default';
+  return `${STORAGE_ROOT}:${STORAGE_VERSION}:${slug}:${id}:`;
+}
+
+/**
+ * @param {{ baseSlug?: string, instanceId?: string }} config The instance's generated config.
+ * @param {Storage | null} [storage] Defaults to `localStorage` when the browser allows it.
+ * @returns {StorageNamespace}
+ */
+export function createStorageNamespace(config, storage = localStorageOrNull()) {
+  const prefix = buildStoragePrefix(config?.baseSlug, config?.instanceId);
+
+  const get = (name) => {
+    try {
+      return storage?.getItem(`${prefix}${name}`) ?? null;
+    } catch {
+      return null;
+    }
+  };
+  const set = (name, value) => {
+    if (!storage) return false;
+    try {
+      storage.setItem(`${prefix}${name}`, value);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const remove = (name) => {
+    try {
+      storage?.removeItem(`${prefix}${name}`);
+    } catch {
+      /* ignore */
+    }
+  };
+  const names = () => {
+    const found = [];
+    try {
+      for (let index = 0; index < (storage?.length ?? 0); index += 1) {
+        const key = storage.key(index);
+        if (key?.startsWith(prefix)) found.push(key.slice(prefix.length));
+      }
+    } catch {
+      /* ignore */
+    }
+    return found;
+  };
+
+  return {
+    prefix,
+    storage,
+    get,
+    set,
+    remove,
+    getJson(name) {
+      try {
+        const raw = get(name);
+        return raw ? JSON.parse(raw) : null;
+      } catch {
+        return null;
+      }
+    },
+    setJson(name, value) {
+      if (value === undefined || value === null) {
+        remove(name);
+        return true;
+      }
+      return set(name, JSON.stringify(value));
+    },
+    names,
+    clear() {
+      const stored = names();
+      stored.forEach(remove);
+      return stored.length;
+    },
+  };
+}
+
+/**
+ * Move state saved under the global keys of earlier versions into `store`. The first instance to
+ * load claims a global key and removes it, so the value can't leak into another instance or come
+ * back after the namespace is cleared. Values already in the namespace are kept.
+ *
+ * @param {StorageNamespace} store
+ * @param {{ baseSlug?: string, schemes?: Array<{ key: string, type?: string, scheme?: string }> }} options
+ *   `schemes` are the instance's security schemes; their credentials and tokens are moved.
+ * @returns {number} How many values were moved.
+ */
+export function migrateLegacyStorage(store, { baseSlug, schemes = [] } = {}) {
+  const storage = store.storage;
+  if (!storage) return 0;
+  let moved = 0;
+  const read = (key) => {
+    try {
+      return storage.getItem(key);
+    } catch {
+      return null;
+    }
+  };
+  const move = (legacyKey, name) => {
+    const value = read(legacyKey);
+    if (value === null) return;
+    if (store.get(name) === null) {
+      if (!store.set(name, value)) return;
+      moved += 1;
+    }
+    try {
+      storage.removeItem(legacyKey);
+    } catch {
+      /* ignore */
+    }
+  };
+
+  const slug = typeof baseSlug === 'string' && baseSlug.trim() ? baseSlug.trim() : DEFAULT_BASE_SLUG;
+  move(`${LEGACY_PREFIX}server`, 'server');
+  move(`${LEGACY_PREFIX}custom-servers`, 'custom-servers');
+  move(`${LEGACY_PREFIX}history:${slug}`, 'history');
+  move(`${LEGACY_PREFIX}collections:${slug}`, 'collections');
+  move(LEGACY_LANGUAGE_KEY, 'language');
+  listKeys(storage)
+    .filter((key) => key.startsWith(LEGACY_PANEL_PREFIX))
+    .forEach((key) => move(key, `panel:${key.slice(LEGACY_PANEL_PREFIX.length)}`));
+
+  const legacyApiKey = read(LEGACY_API_KEY);
+  let claimedApiKey = false;
+  schemes.forEach((scheme) => {
+    if (!scheme?.key) return;
+    move(`${LEGACY_PREFIX}credentials:${scheme.key}`, `credentials:${scheme.key}`);
+    move(`${LEGACY_PREFIX}oauth:${scheme.key}`, `oauth-token:${scheme.key}`);
+    move(`${LEGACY_PREFIX}oauth-client:${scheme.key}`, `oauth-client:${scheme.key}`);
+    // Before credentials were kept per scheme, one key served every API key and bearer token.
+    const kind = getCredentialKind(scheme);
+    if (!legacyApiKey || (kind !== 'apiKey' && kind !== 'http')) return;
+    claimedApiKey = true;
+    if (store.get(`credentials:${scheme.key}`) !== null) return;
+    if (store.setJson(`credentials:${scheme.key}`, kind === 'apiKey' ? { value: legacyApiKey } : { token: legacyApiKey })) {
+      moved += 1;
+    }
+  });
+  if (claimedApiKey) {
+    try {
+      storage.removeItem(LEGACY_API_KEY);
+    } catch {
+      /* ignore */
+    }
+  }
+  return moved;
+}
+
+function listKeys(storage) {
+  const keys = [];
+  try {
+    for (let index = 0; index < storage.length; index += 1) {
+      const key = storage.key(index);
+      if (key) keys.push(key);
+    }
+  } catch {
+    /* ignore */
+  }
+  return keys;
+}
+
+function localStorageOrNull() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * DOM side of the Try it stream timeline; the event and line parsers live in `streaming.js`.
+ */
+
+import { escapeHtml } from './text.js';
+import { createNdjsonParser, createSseParser } from './streaming.js';
+
+// Older stream entries are dropped from the timeline past this many.
+const STREAM_ENTRY_LIMIT = 500;
+
+/**
+ * Timeline of server-sent events and NDJSON lines, drawn into the `[data-tryit-response-stream]`
+ * block as they arrive. The timeline replaces `rawBody` while it is shown.
+ *
+ * @param {Element | null | undefined} container
+ * @param {Element | null | undefined} rawBody
+ * @param {{ scrub: (text: string) => string }} options `scrub` masks secrets in displayed text.
+ * @returns {{
+ *   start: (kind: 'sse' | 'ndjson', started: number) => { push: (text: string) => void, finish: (stopped: boolean) => void },
+ *   hide: () => void,
+ * }} `start` shows the timeline and returns a parser that takes the decoded body chunk by chunk;
+ *   `started` is the `performance.now()` the request was sent at.
+ */
+export function createStreamTimeline(container, rawBody, { scrub }) {
+  const list = container?.querySelector('[data-tryit-stream-list]');
+  const status = container?.querySelector('[data-tryit-stream-status]');
+
+  const start = (kind, started) => {
+    if (rawBody instanceof HTMLElement) rawBody.hidden = true;
+    if (container instanceof HTMLElement) container.hidden = false;
+    const noun = kind === 'sse' ? 'event' : 'line';
+    let count = 0;
+    const setStatus = (state) => {
+      if (!status) return;
+      const counted = `${count} ${noun}${count === 1 ? '' : 's'}`;
+      const shown = count > STREAM_ENTRY_LIMIT ? ` (showing the latest ${STREAM_ENTRY_LIMIT})` : '';
+      if (state === 'streaming') status.textContent = `Streaming… ${counted} so far${shown}.`;
+      else if (state === 'stopped') status.textContent = `Stopped after ${counted}${shown}.`;
+      else status.textContent = `Stream ended after ${counted}${shown}.`;
+    };
+    const append = (entry) => {
+      count += 1;
+      if (list instanceof HTMLElement) {
+        const following = list.scrollTop + list.clientHeight >= list.scrollHeight - 8;
+        list.insertAdjacentHTML('beforeend', renderStreamEntry(kind, entry, performance.now() - started, scrub));
+        while (list.childElementCount > STREAM_ENTRY_LIMIT) list.firstElementChild?.remove();
+        if (following) list.scrollTop = list.scrollHeight;
+      }
+      setStatus('streaming');
+    };
+    const parser = kind === 'sse' ? createSseParser(append) : createNdjsonParser(append);
+    setStatus('streaming');
+    return {
+      push: parser.push,
+      finish(stopped) {
+        if (!stopped) parser.end();
+        setStatus(stopped ? 'stopped' : 'ended');
+      },
+    };
+  };
+
+  const hide = () => {
+    if (container instanceof HTMLElement) container.hidden = true;
+    if (list) list.innerHTML = '';
+  };
+
+  return { start, hide };
+}
+
+function renderStreamEntry(kind, entry, elapsed, scrub) {
+  const meta = [`<span class="api-tryit__stream-time">+${escapeHtml(String(Math.round(elapsed)))} ms</span>`];
+  let content;
+  if (kind === 'sse') {
+    meta.push(`<code class="api-tryit__stream-name">${escapeHtml(entry.event)}</code>`);
+    if (entry.id) meta.push(`<span>id <code>${escapeHtml(scrub(entry.id))}</code></span>`);
+    if (entry.retry !== undefined) meta.push(`<span>retry ${escapeHtml(String(entry.retry))} ms</span>`);
+    content = entry.json !== undefined ? JSON.stringify(entry.json, null, 2) : entry.data;
+  } else {
+    meta.push(`<span>line ${escapeHtml(String(entry.line))}</span>`);
+    if (entry.error) meta.push(`<span class="api-tryit__stream-invalid">not JSON: ${escapeHtml(entry.error)}</span>`);
+    content = entry.json !== undefined ? JSON.stringify(entry.json, null, 2) : entry.text;
+  }
+  return `
+    <li class="api-tryit__stream-entry">
+      <div class="api-tryit__stream-meta">${meta.join('')}</div>
+      <pre>${escapeHtml(scrub(content))}</pre>
+    </li>
+  `;
+}
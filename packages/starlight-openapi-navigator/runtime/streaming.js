@@ -0,0 +1,220 @@
+/**
+ * Streaming responses for the Try it console: server-sent events (`text/event-stream`) and
+ * newline-delimited JSON are parsed chunk by chunk, so the panel can show each event or line as it
+ * arrives instead of waiting for the stream to end.
+ */
+
+const NDJSON_CONTENT_TYPES = [
+  'application/x-ndjson',
+  'application/ndjson',
+  'application/jsonl',
+  'application/x-jsonlines',
+  'application/jsonlines',
+  'application/stream+json',
+];
+
+/**
+ * @typedef {object} StreamEvent
+ * @property {string} event `message` unless the stream named the event.
+ * @property {string} id The last event ID seen so far, as the spec defines it.
+ * @property {string} data
+ * @property {any} [json] `data` parsed as JSON, when it is JSON.
+ * @property {number} [retry] Reconnection delay the server asked for, in milliseconds.
+ */
+
+/**
+ * @typedef {object} StreamLine
+ * @property {number} line 1-based line number in the stream.
+ * @property {string} text
+ * @property {any} [json] Set when the line parsed.
+ * @property {string} [error] Why the line did not parse.
+ */
+
+/**
+ * @param {string | null | undefined} contentType
+ * @returns {'sse' | 'ndjson' | null} How the response body streams, or `null` for ordinary bodies.
+ */
+export function getStreamKind(contentType) {
+  const normalized = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+  if (normalized === 'text/event-stream') return 'sse';
+  if (NDJSON_CONTENT_TYPES.includes(normalized)) return 'ndjson';
+  return null;
+}
+
+/**
+ * Parse an event stream as the HTML standard describes it: `data` lines are joined with newlines,
+ * `id` persists across events, comments and unknown fields are skipped, and an event is
+ * dispatched at each blank line. Events without data are not dispatched.
+ *
+ * @param {(event: StreamEvent) => void} onEvent
+ * @returns {{ push: (text: string) => void, end: () => void }} Feed decoded text to `push`; `end`
+ *   drops an event the stream did not terminate, as browsers do.
+ */
+export function createSseParser(onEvent) {
+  let buffer = '';
+  let started = false;
+  let lastEventId = '';
+  let eventType = '';
+  let dataLines = [];
+  let retry;
+
+  const dispatch = () => {
+    if (dataLines.length) {
+      const data = dataLines.join('\n');
+      /** @type {StreamEvent} */
+      const event = { event: eventType || 'message', id: lastEventId, data };
+      const json = parseJson(data);
+      if (json !== undefined) event.json = json;
+      if (retry !== undefined) event.retry = retry;
+      onEvent(event);
+    }
+    eventType = '';
+    dataLines = [];
+    retry = undefined;
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) retry = Number(value);
+        break;
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      if (!started && buffer) {
+        started = true;
+        if (buffer.startsWith('\uFEFF')) buffer = buffer.slice(1);
+      }
+      // A trailing \r may be the first half of \r\n, so it waits for the next chunk.
+      const pattern = /\r\n|\r(?=[^\n])|\n/g;
+      let consumed = 0;
+      let match;
+      while ((match = pattern.exec(buffer))) {
+        processLine(buffer.slice(consumed, match.index));
+        consumed = match.index + match[0].length;
+      }
+      buffer = buffer.slice(consumed);
+    },
+    end() {
+      if (buffer.endsWith('\r')) processLine(buffer.slice(0, -1));
+      buffer = '';
+      eventType = '';
+      dataLines = [];
+    },
+  };
+}
+
+/**
+ * Parse newline-delimited JSON. Blank lines are skipped; lines that aren't JSON are still reported,
+ * with an `error`.
+ *
+ * @param {(line: StreamLine) => void} onLine
+ * @returns {{ push: (text: string) => void, end: () => void }} `end` reports a last line the
+ *   stream did not terminate with a newline.
+ */
+export function createNdjsonParser(onLine) {
+  let buffer = '';
+  let lineNumber = 0;
+
+  const processLine = (raw) => {
+    lineNumber += 1;
+    const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    if (!text.trim()) return;
+    /** @type {StreamLine} */
+    const parsed = { line: lineNumber, text };
+    try {
+      parsed.json = JSON.parse(text);
+    } catch (error) {
+      parsed.error = error instanceof Error ? error.message : String(error);
+    }
+    onLine(parsed);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        processLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    },
+    end() {
+      if (buffer) processLine(buffer);
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * Read a response body as it arrives, keeping the raw chunks and, unless `decode` is off, handing
+ * each decoded piece to `onText`. Stopping the request keeps what was received.
+ *
+ * @param {Response} response
+ * @param {(text: string) => void} onText
+ * @param {{ decode?: boolean }} [options]
+ * @returns {Promise<{ text: string, chunks: Uint8Array[], stopped: boolean }>} `stopped` is set
+ *   when the request was aborted mid-body.
+ */
+export async function readResponseBody(response, onText, { decode = true } = {}) {
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  const decoder = new TextDecoder();
+  let text = '';
+  const receive = (value) => {
+    chunks.push(value);
+    if (!decode) return;
+    const piece = decoder.decode(value, { stream: true });
+    text += piece;
+    if (piece) onText(piece);
+  };
+  try {
+    if (!response.body) {
+      receive(new Uint8Array(await response.arrayBuffer()));
+    } else {
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        receive(value);
+      }
+    }
+  } catch (error) {
+    if (error?.name !== 'AbortError') throw error;
+    return { text, chunks, stopped: true };
+  }
+  const rest = decode ? decoder.decode() : '';
+  text += rest;
+  if (rest) onText(rest);
+  return { text, chunks, stopped: false };
+}
+
+function parseJson(text) {
+  if (!text.trim()) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
@@ -2,12 +2,85 @@ import spec, { loadOperation, getOperationPreferredTag } from 'virtual:starlight
 import generatedConfig from 'virtual:starlight-openapi-navigator/config';
 import { escapeHtml, renderMarkdownLinks } from './text.js';
 import { createSchemaFormUtils } from './schema-forms.js';
-
-const API_KEY_STORAGE_KEY = 'starlight-openapi-navigator-api-key';
+import { DEFAULT_BASE_SLUG, buildSpecPath } from './config.js';
+import {
+  buildLinkPrefillEntries,
+  lookupLinkPrefill,
+  readLinkPrefill,
+  selectLinksForStatus,
+} from './links.js';
+import {
+  clearStoredToken,
+  completeAuthorizationCodeFlow,
+  discoverOpenIdConnectFlows,
+  getOAuthFlows,
+  getValidAccessToken,
+  isTokenExpired,
+  readClientId,
+  readStoredToken,
+  requestClientCredentialsToken,
+  startAuthorizationCodeFlow,
+  storeClientId,
+} from './oauth.js';
+import {
+  applySecurityRequirement,
+  buildSecurityRequirements,
+  createSecretScrubber,
+  getCredentialKind,
+  maskSecret,
+  readCredentials,
+  redactRequestSecrets,
+  storeCredentials,
+} from './security.js';
+import {
+  buildWildcardProxyPath,
+  expandServerUrl,
+  hasServerVariables,
+  normalizeServerVariables,
+} from './servers.js';
+import { HISTORY_REQUEST_BODY_LIMIT, HISTORY_RESPONSE_LIMIT, truncateText } from './history.js';
+import { readCollections } from './collections.js';
+import { validateResponse } from './response-validation.js';
+import { renderRequestSnippet, SNIPPET_FORMATS } from './snippets.js';
+import { createStorageNamespace, migrateLegacyStorage } from './storage.js';
+import { getStreamKind, readResponseBody } from './streaming.js';
+import { createJsonViewer } from './json-tree-view.js';
+import { createStreamTimeline } from './stream-timeline-view.js';
+import { createMediaPreview } from './media-preview-view.js';
+import { createHistoryDrawer } from './history-drawer.js';
+import { createCollectionsDrawer } from './collections-drawer.js';
+import { formatByteSize, getResponseFileName, getResponsePreviewKind } from './media.js';
+import { formatValidationError, validateSchemaValue } from './validation.js';
+import {
+  getParameterStyle,
+  serializeFormBody,
+  serializeHeaderParameter,
+  serializePathParameter,
+  serializeQueryParameter,
+} from './parameters.js';
+
+// Everything Try it remembers lives in this instance's storage namespace.
+const STORAGE = createStorageNamespace(generatedConfig);
+migrateLegacyStorage(STORAGE, {
+  baseSlug: generatedConfig?.baseSlug,
+  schemes: Object.entries(spec?.document?.components?.securitySchemes || {}).map(([key, definition]) => ({
+    ...definition,
+    key,
+  })),
+});
+// Query parameter that opens a Try it form with a saved request loaded.
+const SAVED_REQUEST_PARAM = 'saved';
+// Bodies longer than this (in characters) can't be expanded all at once.
+const JSON_EXPAND_ALL_LIMIT = 1_000_000;
 const AUTO_ROOT_SELECTOR = '[data-tryit-root]';
 const AUTO_ROOT_STATE_ATTR = 'data-tryit-mounted';
 const DEFAULT_TRY_IT_ROOT_ID = 'tryit-root';
 const DEFAULT_TRY_IT_METHOD_ID = 'try-it';
+const RAW_BODY_LABELS = {
+  text: 'Raw JSON payload',
+  urlencoded: 'URL-encoded payload',
+  xml: 'XML payload',
+};
 
 let schemaUtilsPromise = null;
 async function getSchemaFormUtils() {
@@ -17,9 +90,26 @@ async function getSchemaFormUtils() {
   return schemaUtilsPromise;
 }
 
+// Several Try it roots can mount on one page; only the first may consume the OAuth callback.
+let oauthCompletionPromise = null;
+function completePendingOAuth() {
+  if (!oauthCompletionPromise) {
+    oauthCompletionPromise = completeAuthorizationCodeFlow(STORAGE, window.location.href).then((result) => {
+      if (result?.returnUrl) {
+        window.history.replaceState(window.history.state, '', result.returnUrl);
+      }
+      return result;
+    });
+  }
+  return oauthCompletionPromise;
+}
+
 const proxyLookup = buildProxyLookup(
   Array.isArray(generatedConfig?.devProxyTable) ? generatedConfig.devProxyTable : []
 );
+const proxyTemplateLookup = buildProxyTemplateLookup(
+  Array.isArray(generatedConfig?.devProxyTable) ? generatedConfig.devProxyTable : []
+);
 
 export async function mountTryIt({ rootId, tagSlug, operationSlug, preferredTag } = {}) {
   const root = document.getElementById(rootId);
@@ -27,6 +117,8 @@ export async function mountTryIt({ rootId, tagSlug, operationSlug, preferredTag
   root.innerHTML = `<p class="tryit-loading">Loading operation details…</p>`;
 
   try {
+    const oauthResult = await completePendingOAuth();
+
     if (!operationSlug || !tagSlug) {
       const params = new URLSearchParams(window.location.search);
       operationSlug = operationSlug || params.get('operation') || '';
@@ -43,16 +135,22 @@ export async function mountTryIt({ rootId, tagSlug, operationSlug, preferredTag
     }
 
     const schemaUtils = await getSchemaFormUtils();
+    const security = buildSecurity(operation);
     const context = {
       operation,
       servers: buildServerOptions(operation),
+      schemaUtils,
       parameters: buildParameterGroups(operation, schemaUtils),
       bodyOptions: buildBodyOptions(operation, schemaUtils),
-      securitySchemes: buildSecuritySchemes(operation),
+      securitySchemes: security.schemes,
+      securityRequirements: security.requirements,
+      oauthMessages: oauthResult?.error ? { [oauthResult.schemeKey]: oauthResult.error } : {},
     };
+    await resolveOpenIdConnectSchemes(context.securitySchemes);
 
     renderTryIt(root, context);
     attachInteractions(root, context);
+    applyLinkPrefill(root, readLinkPrefill(window.location.search));
   } catch (error) {
     console.error('starlight-openapi-navigator: failed to bootstrap Try It', error);
     root.innerHTML = `<p class="tryit-error">Something went wrong loading the playground. Check the console for details.</p>`;
@@ -78,21 +176,36 @@ async function resolveOperation(operationSlug, tagSlug, preferredTag) {
 function buildServerOptions(operation) {
   const opServers = Array.isArray(operation?.servers) ? operation.servers : [];
   const specServers = Array.isArray(spec?.servers) ? spec.servers : [];
-  let servers = opServers.length ? opServers : specServers;
+  const operationServers = opServers.length ? opServers : specServers;
+  const environments = Array.isArray(generatedConfig?.tryIt?.environments) ? generatedConfig.tryIt.environments : [];
 
-  servers = Array.isArray(servers)
-    ? servers
-        .filter((server) => server && typeof server.url === 'string' && server.url.trim().length)
-        .map((server) => ({ ...server }))
-    : [];
+  let servers = [
+    ...(Array.isArray(operationServers) ? operationServers : []).map((server) => ({ ...server, source: 'spec' })),
+    ...environments.map((environment) => ({ ...environment, source: 'environment' })),
+    ...readCustomServers().map((url) => ({ url, source: 'custom' })),
+  ].filter((server) => server && typeof server.url === 'string' && server.url.trim().length);
 
-  if (import.meta.env.DEV && proxyLookup.size) {
+  if (import.meta.env.DEV && (proxyLookup.size || proxyTemplateLookup.size)) {
     const augmented = [];
     servers.forEach((server) => {
+      if (hasServerVariables(server.url)) {
+        // The proxy path depends on the variable values, so it is resolved at submit time.
+        if (proxyTemplateLookup.has(server.url.trim())) {
+          augmented.push({
+            ...server,
+            description: server.description ? `${server.description} (proxied)` : 'Local proxy',
+            originalUrl: server.url,
+            isProxy: true,
+          });
+        }
+        augmented.push(server);
+        return;
+      }
       const normalized = normalizeServerUrl(server.url);
       const proxyEntry = proxyLookup.get(normalized);
       if (proxyEntry) {
         augmented.push({
+          ...server,
           url: proxyEntry.contextPath,
           description: server.description
             ? `${server.description} (proxied)`
@@ -110,29 +223,57 @@ function buildServerOptions(operation) {
   const unique = [];
   servers.forEach((server) => {
     const normalized = normalizeServerUrl(server.url);
-    if (normalized && !seen.has(normalized)) {
+    const key = `${server.isProxy ? 'proxy:' : ''}${normalized}`;
+    if (normalized && !seen.has(key)) {
       unique.push(server);
-      seen.add(normalized);
+      seen.add(key);
     }
   });
 
-  return unique.map((server, index) => ({
-    url: server.url || '',
-    description: server.description || '',
-    originalUrl: server.originalUrl || server.url || '',
-    isProxy: Boolean(server.isProxy),
-    selected: index === 0,
-  }));
+  const options = unique.map((server) => {
+    const originalUrl = server.originalUrl || server.url || '';
+    const identity = server.source === 'environment' ? server.name : originalUrl;
+    return {
+      key: `${server.source}:${server.isProxy ? 'proxy:' : ''}${identity}`,
+      source: server.source,
+      name: server.source === 'environment' ? server.name : '',
+      url: server.url || '',
+      description: server.description || '',
+      originalUrl,
+      isProxy: Boolean(server.isProxy),
+      variables: hasServerVariables(server.url) ? normalizeServerVariables(server.variables) : {},
+      headers: server.source === 'environment' && server.headers ? { ...server.headers } : {},
+      selected: false,
+    };
+  });
+
+  const storedKey = readSelectedServer();
+  const selected = options.find((server) => server.key === storedKey) || options[0];
+  if (selected) selected.selected = true;
+  return options;
 }
 
 function buildParameterGroups(operation, schemaUtils) {
   const parameters = Array.isArray(operation?.parameters) ? operation.parameters : [];
   const enhanced = parameters
     .filter((param) => param && param.name && param.in)
-    .map((param) => ({
-      ...param,
-      exampleValue: schemaUtils.formatExampleValue(getParameterExample(param)),
-    }));
+    .map((param) => {
+      const example = getParameterExample(param);
+      const schema = param.schema ? schemaUtils.resolveSchemaObject(param.schema) : undefined;
+      const schemaType = schemaUtils.inferSchemaType(schema);
+      const kind = schemaType === 'array' || schemaType === 'object' ? schemaType : 'primitive';
+      return {
+        ...param,
+        ...getParameterStyle(param),
+        kind,
+        field: schemaUtils.buildSchemaField(schema || { type: 'string' }, {
+          name: param.name,
+          required: Boolean(param.required),
+        }),
+        example,
+        exampleValue: kind === 'primitive' ? schemaUtils.formatExampleValue(example) : '',
+      };
+    });
   return {
     path: enhanced.filter((param) => param.in === 'path'),
     query: enhanced.filter((param) => param.in === 'query'),
@@ -148,46 +289,39 @@ function buildBodyOptions(operation, schemaUtils) {
   }));
 }
 
-function buildSecuritySchemes(operation) {
-  const specSecuritySchemes = spec?.document?.components?.securitySchemes || {};
+function buildSecurity(operation) {
   const requirementSets = Array.isArray(operation?.security) && operation.security.length
     ? operation.security
-    : Array.isArray(spec?.document?.security) && spec.document.security.length
+    : Array.isArray(spec?.document?.security)
       ? spec.document.security
       : [];
+  return buildSecurityRequirements(requirementSets, spec?.document?.components?.securitySchemes);
+}
 
-  const entries = [];
-  const seen = new Set();
-
-  requirementSets.forEach((set) => {
-    if (!set || typeof set !== 'object') return;
-    Object.entries(set).forEach(([key, value]) => {
-      if (!key || seen.has(key)) return;
-      const scheme = specSecuritySchemes[key];
-      if (!scheme) return;
-      entries.push({
-        key,
-        type: scheme.type,
-        name: scheme.name,
-        in: scheme.in,
-        scheme: scheme.scheme,
-        bearerFormat: scheme.bearerFormat,
-        description: scheme.description,
-        scopes: Array.isArray(value) ? value : [],
-      });
-      seen.add(key);
-    });
-  });
-
-  return entries;
+async function resolveOpenIdConnectSchemes(securitySchemes) {
+  await Promise.all(
+    securitySchemes
+      .filter((scheme) => scheme.type === 'openIdConnect')
+      .map(async (scheme) => {
+        if (typeof scheme.openIdConnectUrl !== 'string' || !scheme.openIdConnectUrl) {
+          scheme.discoveryError = 'The scheme does not declare an openIdConnectUrl.';
+          return;
+        }
+        try {
+          scheme.flows = await discoverOpenIdConnectFlows(scheme.openIdConnectUrl);
+        } catch (error) {
+          console.error(`starlight-openapi-navigator: OpenID Connect discovery failed for ${scheme.key}`, error);
+          scheme.discoveryError = describeError(error);
+        }
+      })
+  );
 }
 
 function renderTryIt(root, context) {
-  const { operation, servers, parameters, bodyOptions, securitySchemes } = context;
+  const { operation, servers, parameters, bodyOptions, securitySchemes, securityRequirements } = context;
   const method = (operation.method || '').toUpperCase();
   const path = operation.path || '';
   const slug = operation.slug || 'operation';
-  const apiKeyFieldId = `tryit-api-key-${slug}`;
   const methodClass = method.toLowerCase();
 
   if (root instanceof HTMLElement) {
@@ -195,50 +329,36 @@ function renderTryIt(root, context) {
     root.style.display = 'block';
   }
 
-  const serverOptions = servers.length
-    ? servers
-        .map((server, index) => {
-          const label = server.isProxy && server.originalUrl
-            ? `${server.originalUrl} (proxy)`
-            : server.url;
-          const description = server.description ? ` — ${server.description}` : '';
-          return `<option value="${escapeHtml(server.url)}"${index === 0 ? ' selected' : ''}>${escapeHtml(label + description)}</option>`;
-        })
-        .join('')
-    : '<option value="">Use current origin</option>';
-
   const renderParams = (collection, type) => {
     if (!collection.length) {
       return `<p class="api-tryit__hint">No ${type} parameters.</p>`;
     }
-  return collection
-    .map((param) => {
-      const inputId = `${slug}-${type}-${param.name}`;
-      const example = param.exampleValue || '';
-      const requiredBadge = param.required ? '<span class="api-tryit__required">*</span>' : '';
-      const descriptionHtml = renderMarkdownLinks(param.description);
-      return `
-          <div class="api-tryit__field">
+    return collection
+      .map((param) => {
+        const inputId = `${slug}-${type}-${param.name}`;
+        const requiredBadge = param.required ? '<span class="api-tryit__required">*</span>' : '';
+        const descriptionHtml = renderMarkdownLinks(param.description);
+        return `
+          <div
+            class="api-tryit__field"
+            data-param
+            data-param-location="${type}"
+            data-param-name="${escapeHtml(param.name || '')}"
+            data-param-kind="${param.kind}"
+          >
             <label class="api-tryit__label" for="${escapeHtml(inputId)}">
               ${escapeHtml(param.name || '')}${requiredBadge}
             </label>
-            <input
-              id="${escapeHtml(inputId)}"
-              class="api-tryit__input"
-              type="text"
-              name="${escapeHtml(param.name || '')}"
-              data-param-location="${type}"
-              data-param-name="${escapeHtml(param.name || '')}"
-              value="${param.required && example ? escapeHtml(example) : ''}"
-              placeholder="${escapeHtml(example)}"
-              ${param.required ? 'required' : ''}
-            />
+            ${renderParamInput(param, inputId)}
+            ${param.kind !== 'primitive' ? `<p class="api-tryit__hint">${describeParameterStyle(param)}</p>` : ''}
             ${descriptionHtml ? `<p class="api-tryit__hint">${descriptionHtml}</p>` : ''}
           </div>
         `;
-    })
-    .join('');
-};
+      })
+      .join('');
+  };
+
+  const rawModeLabel = (option) => (option.bodyKind === 'urlencoded' ? 'Raw' : 'Raw JSON');
 
   const renderBodyModeToggle = (option, index) => {
     if (!option.supportsForm) return '';
@@ -251,7 +371,7 @@ function renderTryIt(root, context) {
         </label>
         <label class="api-tryit__body-mode-choice">
           <input type="radio" name="body-mode-${escapeHtml(`${slug}-${index}`)}" value="raw" data-body-mode-input />
-          Raw JSON
+          ${rawModeLabel(option)}
         </label>
       </div>
     `;
@@ -264,7 +384,7 @@ function renderTryIt(root, context) {
       ? 'Form limitations:'
       : 'Raw input required:';
     const description = isFormMode
-      ? 'Switch to Raw JSON mode to edit unsupported fields.'
+      ? `Switch to ${rawModeLabel(option)} mode to edit unsupported fields.`
       : 'This body schema uses constructs that are not yet supported by the generated form.';
     const items = option.schemaWarnings
       .map((warning) => {
@@ -283,40 +403,88 @@ function renderTryIt(root, context) {
     `;
   };
 
+  const renderBinaryBody = (option, optionId) => {
+    const accept = option.contentType !== 'application/octet-stream'
+      ? ` accept="${escapeHtml(option.contentType)}"`
+      : '';
+    return `
+      <div class="api-tryit__field">
+        <label class="api-tryit__label" for="${escapeHtml(optionId)}">File</label>
+        <input
+          id="${escapeHtml(optionId)}"
+          class="api-tryit__input"
+          type="file"
+          data-tryit-body-file${accept}${option.required ? ' required' : ''}
+        />
+        <p class="api-tryit__hint">The file is sent as the request body, unchanged.</p>
+      </div>
+    `;
+  };
+
   const renderBodyOption = (option, index) => {
     const optionId = `${slug}-body-${index}`;
+    const bodyKind = option.bodyKind || 'text';
     const defaultMode = option.supportsForm ? 'form' : 'raw';
     const requiredLabel = option.required ? 'Required' : 'Optional';
-    const schemaInfo = option.schemaType ? option.schemaType : 'Body';
+    const schemaInfo = bodyKind === 'binary' ? 'file' : option.schemaType ? option.schemaType : 'Body';
+    const heading = `
+      <div class="api-tryit__body-heading">
+        <span class="api-tryit__body-tag">${escapeHtml(option.contentType)}</span>
+        <span class="api-tryit__body-meta">${escapeHtml(requiredLabel)} · ${escapeHtml(schemaInfo || '')}</span>
+      </div>
+    `;
+    const containerAttributes = `
+      class="api-tryit__body-option"
+      data-body-option
+      data-body-kind="${bodyKind}"
+      data-content-type="${escapeHtml(option.contentType)}"
+      data-body-mode="${defaultMode}"
+      ${index === 0 ? '' : ' hidden'}
+      ${option.supportsForm ? ' data-has-schema="true"' : ''}
+      data-required="${option.required ? 'true' : 'false'}"
+    `;
+
+    if (bodyKind === 'binary') {
+      return `<div ${containerAttributes}>${heading}${renderBinaryBody(option, optionId)}</div>`;
+    }
+
+    // Multipart bodies can only be built from the form: there is no raw representation to edit.
+    if (bodyKind === 'multipart') {
+      return `
+        <div ${containerAttributes}>
+          ${heading}
+          ${renderSchemaWarnings(option, 'form')}
+          ${option.supportsForm
+            ? `<div class="api-tryit__schema" data-schema-form>
+                ${renderSchemaForm(option.formFields, optionId, option.exampleValue)}
+              </div>
+              <p class="api-tryit__hint">Sent as <code>multipart/form-data</code>; objects become JSON parts and files are uploaded as-is.</p>`
+            : '<p class="api-tryit__hint api-tryit__hint--warning">This multipart body does not document any parts, so it can’t be built here.</p>'}
+        </div>
+      `;
+    }
+
     const schemaFormHtml = option.supportsForm
       ? `<div class="api-tryit__schema" data-schema-form>
           ${renderSchemaForm(option.formFields, optionId, option.exampleValue)}
         </div>`
       : '';
     const warningsHtml = renderSchemaWarnings(option, option.supportsForm ? 'form' : 'raw');
-    const rawTextareaHint = option.supportsForm
-      ? 'Generated from the form inputs above. Switch to Raw JSON mode to edit directly.'
-      : 'Provide a request payload that matches the documented schema.';
+    const rawLabel = RAW_BODY_LABELS[bodyKind] || RAW_BODY_LABELS.text;
+    const rawTextareaHint = bodyKind === 'xml'
+      ? 'Generated from the schema’s XML mapping. Edit the document before sending.'
+      : option.supportsForm
+        ? `Generated from the form inputs above. Switch to ${rawModeLabel(option)} mode to edit directly.`
+        : 'Provide a request payload that matches the documented schema.';
     return `
-      <div
-        class="api-tryit__body-option"
-        data-body-option
-        data-content-type="${escapeHtml(option.contentType)}"
-        data-body-mode="${defaultMode}"
-        ${index === 0 ? '' : ' hidden'}
-        ${option.supportsForm ? ' data-has-schema="true"' : ''}
-        data-required="${option.required ? 'true' : 'false'}"
-      >
-        <div class="api-tryit__body-heading">
-          <span class="api-tryit__body-tag">${escapeHtml(option.contentType)}</span>
-          <span class="api-tryit__body-meta">${escapeHtml(requiredLabel)} · ${escapeHtml(schemaInfo || '')}</span>
-        </div>
+      <div ${containerAttributes}>
+        ${heading}
         ${option.supportsForm ? renderBodyModeToggle(option, index) : ''}
         ${warningsHtml}
         ${schemaFormHtml}
         <div class="api-tryit__raw" data-schema-raw${option.supportsForm ? ' hidden' : ''}>
           <label class="api-tryit__label" for="${escapeHtml(optionId)}">
-            Raw JSON payload
+            ${escapeHtml(rawLabel)}
           </label>
           <textarea
             id="${escapeHtml(optionId)}"
@@ -324,7 +492,7 @@ function renderTryIt(root, context) {
             data-tryit-body
             rows="${option.supportsForm ? '12' : '8'}"
             data-default-example="${escapeHtml(option.example || '')}"
-            placeholder="${option.schemaType === 'object' ? "{\n\n}\n" : ''}"
+            placeholder="${bodyKind === 'text' && option.schemaType === 'object' ? "{\n\n}\n" : ''}"
           >${escapeHtml(option.example || '')}</textarea>
           <p class="api-tryit__hint">${escapeHtml(rawTextareaHint)}</p>
         </div>
@@ -356,13 +524,166 @@ function renderTryIt(root, context) {
     return `${selector}${bodyOptions.map((option, index) => renderBodyOption(option, index)).join('')}`;
   };
 
-  const securityInfo = securitySchemes.length
-    ? `<div class="api-tryit__schema-warning" data-tryit-security>
-         <strong>Security schemes:</strong>
-         <ul>
-           ${securitySchemes.map((scheme) => `<li>${escapeHtml((scheme.name || scheme.key) ?? '')} (${escapeHtml(scheme.type || '')})</li>`).join('')}
-         </ul>
-       </div>`
+  const renderOAuthScheme = (scheme) => {
+    const flows = getOAuthFlows(scheme);
+    const fieldPrefix = `${slug}-oauth-${scheme.key}`;
+    const isOpenIdConnect = scheme.type === 'openIdConnect';
+    const legend = `${isOpenIdConnect ? 'OpenID Connect' : 'OAuth 2.0'} · ${escapeHtml(scheme.key)}`;
+    if (!flows.length) {
+      const reason = scheme.discoveryError
+        ? `Couldn’t load the OpenID Connect configuration: ${escapeHtml(scheme.discoveryError)}`
+        : `This ${isOpenIdConnect ? 'provider' : 'scheme'} only offers flows the console can’t run. Supported: authorization code (with PKCE) and client credentials.`;
+      return `
+        <fieldset class="api-tryit__fieldset" data-security-scheme="${escapeHtml(scheme.key)}">
+          <legend>${legend}</legend>
+          <p class="api-tryit__hint${scheme.discoveryError ? ' api-tryit__hint--warning' : ''}">${reason}</p>
+        </fieldset>
+      `;
+    }
+    const requiredScopes = new Set(isOpenIdConnect ? ['openid', ...(scheme.scopes || [])] : scheme.scopes || []);
+    const scopeDescriptions = new Map();
+    flows.forEach((flow) => {
+      Object.entries(flow.scopes).forEach(([name, description]) => {
+        if (!scopeDescriptions.has(name)) scopeDescriptions.set(name, description);
+      });
+    });
+    requiredScopes.forEach((name) => {
+      if (!scopeDescriptions.has(name)) scopeDescriptions.set(name, '');
+    });
+    const flowLabels = {
+      authorizationCode: 'Authorization code (PKCE)',
+      clientCredentials: 'Client credentials (development)',
+    };
+    const scopeItems = Array.from(scopeDescriptions.entries())
+      .map(([name, description]) => `
+        <label class="api-tryit__scope">
+          <input type="checkbox" value="${escapeHtml(name)}" data-oauth-scope${requiredScopes.has(name) ? ' checked' : ''} />
+          <code>${escapeHtml(name)}</code>${requiredScopes.has(name) ? '<span class="api-tryit__required">*</span>' : ''}
+          ${description ? `<span class="api-tryit__hint">${escapeHtml(description)}</span>` : ''}
+        </label>
+      `)
+      .join('');
+    return `
+      <fieldset
+        class="api-tryit__fieldset api-tryit__oauth"
+        data-security-scheme="${escapeHtml(scheme.key)}"
+        data-oauth-scheme="${escapeHtml(scheme.key)}"
+      >
+        <legend>${legend}</legend>
+        ${flows.length > 1
+          ? `<label class="api-tryit__label" for="${escapeHtml(fieldPrefix)}-flow">Flow</label>
+             <select id="${escapeHtml(fieldPrefix)}-flow" class="api-tryit__input" data-oauth-flow>
+               ${flows.map((flow) => `<option value="${flow.type}">${escapeHtml(flowLabels[flow.type])}</option>`).join('')}
+             </select>`
+          : `<p class="api-tryit__hint">Flow: ${escapeHtml(flowLabels[flows[0].type])}</p>`}
+        <label class="api-tryit__label" for="${escapeHtml(fieldPrefix)}-client-id">Client ID</label>
+        <input
+          id="${escapeHtml(fieldPrefix)}-client-id"
+          class="api-tryit__input"
+          type="text"
+          autocomplete="off"
+          spellcheck="false"
+          data-oauth-client-id
+        />
+        <div data-oauth-client-secret-field hidden>
+          <label class="api-tryit__label" for="${escapeHtml(fieldPrefix)}-client-secret">Client secret</label>
+          <input
+            id="${escapeHtml(fieldPrefix)}-client-secret"
+            class="api-tryit__input"
+            type="password"
+            autocomplete="off"
+            data-oauth-client-secret
+          />
+          <p class="api-tryit__hint">Only use client credentials against development servers. The secret is sent from your browser and never stored.</p>
+        </div>
+        ${scopeItems ? `<div class="api-tryit__scopes"><span class="api-tryit__label">Scopes</span>${scopeItems}</div>` : ''}
+        <div class="api-tryit__actions">
+          <button type="button" class="api-tryit__submit" data-oauth-authorize>Authorize</button>
+          <button type="button" class="api-tryit__reset" data-oauth-sign-out>Sign out</button>
+        </div>
+        <p class="api-tryit__hint" data-oauth-status></p>
+      </fieldset>
+    `;
+  };
+
+  const renderCredentialInput = (scheme, field, label, { type = 'password', placeholder = '' } = {}) => {
+    const inputId = `${slug}-credential-${scheme.key}-${field}`;
+    return `
+      <label class="api-tryit__label" for="${escapeHtml(inputId)}">${escapeHtml(label)}</label>
+      <input
+        id="${escapeHtml(inputId)}"
+        class="api-tryit__input"
+        type="${type}"
+        placeholder="${escapeHtml(placeholder)}"
+        autocomplete="off"
+        spellcheck="false"
+        data-credential-field="${field}"
+      />
+    `;
+  };
+
+  const renderCredentialScheme = (scheme) => {
+    const kind = getCredentialKind(scheme);
+    if (kind === 'oauth') return renderOAuthScheme(scheme);
+
+    const descriptionHtml = renderMarkdownLinks(scheme.description || '');
+    let legend = escapeHtml(scheme.key);
+    let fields = '';
+    if (kind === 'apiKey') {
+      legend = `API key · ${legend}`;
+      fields = renderCredentialInput(scheme, 'value', `${scheme.name || scheme.key} (${scheme.in || 'header'})`);
+    } else if (kind === 'basic') {
+      legend = `HTTP Basic · ${legend}`;
+      fields = `
+        ${renderCredentialInput(scheme, 'username', 'Username', { type: 'text' })}
+        ${renderCredentialInput(scheme, 'password', 'Password')}
+      `;
+    } else if (kind === 'http') {
+      const schemeName = scheme.scheme || 'Bearer';
+      legend = `HTTP ${escapeHtml(schemeName.charAt(0).toUpperCase() + schemeName.slice(1))} · ${legend}`;
+      fields = renderCredentialInput(scheme, 'token', 'Token', { placeholder: scheme.bearerFormat || '' });
+    } else {
+      fields = `<p class="api-tryit__hint">The console can’t send ${escapeHtml(scheme.type || 'these')} credentials.</p>`;
+    }
+
+    return `
+      <fieldset class="api-tryit__fieldset" data-security-scheme="${escapeHtml(scheme.key)}">
+        <legend>${legend}</legend>
+        ${descriptionHtml ? `<p class="api-tryit__hint">${descriptionHtml}</p>` : ''}
+        ${fields}
+        ${kind === 'unsupported'
+          ? ''
+          : `<div class="api-tryit__actions">
+               <button type="button" class="api-tryit__clear" data-credential-clear>Clear</button>
+             </div>`}
+      </fieldset>
+    `;
+  };
+
+  const requirementSelector = securityRequirements.length > 1
+    ? `
+      <div class="api-tryit__group">
+        <label class="api-tryit__label" for="${escapeHtml(slug)}-security">Authorize with</label>
+        <select id="${escapeHtml(slug)}-security" class="api-tryit__input" data-tryit-security-requirement>
+          ${securityRequirements
+            .map((requirement, index) => `<option value="${index}">${escapeHtml(requirement.label)}</option>`)
+            .join('')}
+        </select>
+        <p class="api-tryit__hint">
+          This operation accepts any one of these options. Schemes joined with + are sent together.
+        </p>
+      </div>
+    `
+    : '';
+
+  const securitySection = securitySchemes.length
+    ? `
+      <section class="api-tryit__auth" data-tryit-security>
+        ${requirementSelector}
+        ${securitySchemes.map((scheme) => renderCredentialScheme(scheme)).join('')}
+        <p class="api-tryit__hint">Credentials are stored locally in your browser. Clear them to remove access from this device.</p>
+      </section>
+    `
     : '';
 
   root.innerHTML = `
@@ -376,24 +697,9 @@ function renderTryIt(root, context) {
         </h2>
       </header>
       <p class="api-tryit__lead">
-        Save your API key once and reuse it across endpoints. Configure the request below and send it directly from the docs.
-      </p>
-      <label class="api-tryit__label" for="${escapeHtml(apiKeyFieldId)}">API key</label>
-      <div class="api-tryit__input-group">
-        <input
-          id="${escapeHtml(apiKeyFieldId)}"
-          class="api-tryit__input"
-          type="password"
-          placeholder="sk_live_..."
-          autocomplete="off"
-          spellcheck="false"
-          data-api-key-input
-        />
-        <button type="button" class="api-tryit__clear" data-api-key-clear>Clear</button>
-      </div>
-      <p class="api-tryit__hint" id="${escapeHtml(apiKeyFieldId)}-hint">
-        Stored locally in your browser. Removing it clears access for this device.
+        Save your credentials once and reuse them across endpoints. Configure the request below and send it directly from the docs.
       </p>
+      ${securitySection}
 
       <form
         class="api-tryit__form"
@@ -404,13 +710,32 @@ function renderTryIt(root, context) {
       >
         <div class="api-tryit__group">
           <label class="api-tryit__label" for="${escapeHtml(slug)}-server">Server</label>
-          <select
-            id="${escapeHtml(slug)}-server"
-            class="api-tryit__input"
-            data-tryit-server
-          >
-            ${serverOptions}
-          </select>
+          <div class="api-tryit__input-group">
+            <select
+              id="${escapeHtml(slug)}-server"
+              class="api-tryit__input"
+              data-tryit-server
+            >
+              ${renderServerOptions(servers)}
+            </select>
+            <button type="button" class="api-tryit__clear" data-tryit-server-add>Add server</button>
+            <button type="button" class="api-tryit__clear" data-tryit-server-remove hidden>Remove</button>
+          </div>
+          <div class="api-tryit__input-group" data-tryit-server-custom hidden>
+            <input
+              type="text"
+              class="api-tryit__input"
+              placeholder="https://preview-123.example.com/v1"
+              aria-label="Custom server URL"
+              spellcheck="false"
+              data-tryit-server-custom-input
+            />
+            <button type="button" class="api-tryit__clear" data-tryit-server-custom-save>Add</button>
+          </div>
+          <p class="api-tryit__hint api-tryit__hint--warning" data-tryit-server-custom-error hidden></p>
+          <div data-tryit-server-variables-container>
+            ${renderServerVariableGroups(servers, slug)}
+          </div>
         </div>
 
         <fieldset class="api-tryit__fieldset">
@@ -433,15 +758,71 @@ function renderTryIt(root, context) {
           ${bodySection()}
         </fieldset>
 
-        ${securityInfo}
-
         <div class="api-tryit__actions">
           <button type="submit" class="api-tryit__submit" data-tryit-submit>
             Send request
           </button>
+          <button type="button" class="api-tryit__reset" data-tryit-stop hidden>
+            Stop
+          </button>
           <button type="button" class="api-tryit__reset" data-tryit-reset>
             Reset
           </button>
+          <button type="button" class="api-tryit__reset" data-tryit-save>
+            Save to collection
+          </button>
+          <details class="api-tryit__copy" data-tryit-copy>
+            <summary class="api-tryit__reset">Copy as…</summary>
+            <div class="api-tryit__copy-menu">
+              ${SNIPPET_FORMATS.map(
+                (format) =>
+                  `<button type="button" class="api-tryit__clear" data-tryit-copy-format="${escapeHtml(format.id)}">${escapeHtml(format.label)}</button>`
+              ).join('')}
+              <label class="api-tryit__scope">
+                <input type="checkbox" data-tryit-copy-mask checked />
+                Mask secrets
+              </label>
+            </div>
+          </details>
+        </div>
+
+        <div class="api-tryit__snippet" data-tryit-snippet hidden>
+          <p class="api-tryit__hint" data-tryit-snippet-status role="status"></p>
+          <pre><code data-tryit-snippet-code></code></pre>
+          <div class="api-tryit__actions">
+            <button type="button" class="api-tryit__clear" data-tryit-snippet-close>Close</button>
+          </div>
+        </div>
+
+        <div class="api-tryit__save" data-tryit-save-panel hidden>
+          <div class="api-tryit__field">
+            <label class="api-tryit__label" for="${escapeHtml(slug)}-save-name">Request name</label>
+            <input
+              id="${escapeHtml(slug)}-save-name"
+              class="api-tryit__input"
+              type="text"
+              placeholder="Create test customer"
+              data-tryit-save-name
+            />
+          </div>
+          <div class="api-tryit__field">
+            <label class="api-tryit__label" for="${escapeHtml(slug)}-save-collection">Collection</label>
+            <input
+              id="${escapeHtml(slug)}-save-collection"
+              class="api-tryit__input"
+              type="text"
+              list="${escapeHtml(slug)}-save-collections"
+              placeholder="Support"
+              data-tryit-save-collection
+            />
+            <datalist id="${escapeHtml(slug)}-save-collections" data-tryit-save-collections></datalist>
+          </div>
+          <p class="api-tryit__hint">Parameters and the body are saved; credentials and uploaded files are not.</p>
+          <p class="api-tryit__hint api-tryit__hint--warning" data-tryit-save-error hidden></p>
+          <div class="api-tryit__actions">
+            <button type="button" class="api-tryit__clear" data-tryit-save-confirm>Save</button>
+            <button type="button" class="api-tryit__clear" data-tryit-save-cancel>Cancel</button>
+          </div>
         </div>
       </form>
 
@@ -453,46 +834,350 @@ function renderTryIt(root, context) {
           <span data-tryit-response-status>—</span>
           <span data-tryit-response-time></span>
         </div>
+        <details class="api-tryit__response-headers" data-tryit-request-sent hidden>
+          <summary>Request sent</summary>
+          <pre data-tryit-request-sent-text></pre>
+          <p class="api-tryit__hint" data-tryit-request-sent-credentials hidden></p>
+        </details>
         <details class="api-tryit__response-headers" data-tryit-response-headers-container hidden>
           <summary>Response headers</summary>
           <pre data-tryit-response-headers></pre>
         </details>
+        <div class="api-tryit__json" data-tryit-response-json hidden>
+          <div class="api-tryit__json-toolbar">
+            <input
+              type="search"
+              class="api-tryit__input api-tryit__json-filter"
+              placeholder="Filter by key or value"
+              aria-label="Filter the response by key or value"
+              data-tryit-json-filter
+            />
+            <button type="button" class="api-tryit__clear" data-tryit-json-action="expand">Expand all</button>
+            <button type="button" class="api-tryit__clear" data-tryit-json-action="collapse">Collapse all</button>
+            <button type="button" class="api-tryit__clear" data-tryit-json-action="raw" aria-pressed="false">Raw</button>
+          </div>
+          <p class="api-tryit__hint" data-tryit-json-status role="status" hidden></p>
+          <div class="api-tryit__json-viewport" data-tryit-json-viewport>
+            <div class="api-tryit__json-spacer" data-tryit-json-spacer></div>
+            <div class="api-tryit__json-rows" role="tree" data-tryit-json-rows></div>
+          </div>
+          <div class="api-tryit__json-selection" data-tryit-json-selection hidden>
+            <code data-tryit-json-selected></code>
+            <button type="button" class="api-tryit__clear" data-tryit-json-copy="pointer">Copy JSON pointer</button>
+            <button type="button" class="api-tryit__clear" data-tryit-json-copy="path">Copy path</button>
+          </div>
+        </div>
         <pre class="api-tryit__response-body" data-tryit-response-body></pre>
+        <div class="api-tryit__stream" data-tryit-response-stream hidden>
+          <p class="api-tryit__hint" data-tryit-stream-status role="status"></p>
+          <ol class="api-tryit__stream-list" data-tryit-stream-list></ol>
+        </div>
+        <div class="api-tryit__media" data-tryit-response-media hidden></div>
+        <button type="button" class="api-tryit__clear api-tryit__response-download" data-tryit-response-download hidden>Download response</button>
+        <div class="api-tryit__validation" data-tryit-response-validation hidden></div>
         <div class="api-tryit__response-error" data-tryit-response-error hidden></div>
+        <div class="api-tryit__links" data-tryit-response-links hidden></div>
+      </div>
+
+      <details class="api-tryit__history" data-tryit-history>
+        <summary>History <span class="api-tryit__history-count" data-tryit-history-count></span></summary>
+        <p class="api-tryit__hint">
+          Requests sent from this panel are kept in this browser. Credentials are stored as <code>***</code>, so replays use the ones entered above.
+        </p>
+        <p class="api-tryit__hint" data-tryit-history-empty>No requests sent yet.</p>
+        <ol class="api-tryit__history-list" data-tryit-history-list></ol>
+        <button type="button" class="api-tryit__clear" data-tryit-history-clear hidden>Clear history</button>
+      </details>
+
+      <details class="api-tryit__history api-tryit__collections" data-tryit-collections>
+        <summary>Collections <span class="api-tryit__history-count" data-tryit-collections-count></span></summary>
+        <p class="api-tryit__hint" data-tryit-collections-empty>
+          No saved requests yet. Use “Save to collection” to keep the current request, or import a collections file.
+        </p>
+        <ul class="api-tryit__history-list" data-tryit-collections-list></ul>
+        <p class="api-tryit__hint" data-tryit-collections-status role="status" hidden></p>
+        <div class="api-tryit__history-actions">
+          <button type="button" class="api-tryit__clear" data-tryit-collections-export hidden>Export all</button>
+          <button type="button" class="api-tryit__clear" data-tryit-collections-import>Import…</button>
+          <input type="file" accept="application/json,.json" hidden data-tryit-collections-import-input />
+        </div>
+      </details>
+
+      <div class="api-tryit__forget">
+        <button type="button" class="api-tryit__clear" data-tryit-forget>Forget everything for this API</button>
       </div>
     </div>
   `;
 }
 
-function attachInteractions(root, context) {
-  const apiKeyInput = root.querySelector('[data-api-key-input]');
-  const apiKeyClear = root.querySelector('[data-api-key-clear]');
+const SERVER_GROUP_LABELS = {
+  spec: 'API servers',
+  environment: 'Environments',
+  custom: 'Custom servers',
+};
+
+function renderServerOptions(servers) {
+  if (!servers.length) return '<option value="">Use current origin</option>';
+  const renderOption = (server) => {
+    const base = server.isProxy && server.originalUrl ? `${server.originalUrl} (proxy)` : server.url;
+    const label = server.name ? `${server.name}: ${base}` : base;
+    const description = server.description ? ` — ${server.description}` : '';
+    return `<option value="${escapeHtml(server.url)}"${server.selected ? ' selected' : ''}>${escapeHtml(label + description)}</option>`;
+  };
+  const sources = Array.from(new Set(servers.map((server) => server.source)));
+  if (sources.length < 2) return servers.map(renderOption).join('');
+  // Options stay in context.servers order, so selectedIndex still maps onto that array.
+  return sources
+    .map((source) => `
+      <optgroup label="${escapeHtml(SERVER_GROUP_LABELS[source] || source)}">
+        ${servers.filter((server) => server.source === source).map(renderOption).join('')}
+      </optgroup>
+    `)
+    .join('');
+}
+
+function renderServerVariableGroups(servers, slug) {
+  return servers
+    .map((server, index) => {
+      const names = Array.from(new Set(Array.from(server.url.matchAll(/\{([^}]+)\}/g), (match) => match[1])));
+      if (!names.length) return '';
+      const fields = names
+        .map((name) => {
+          const variable = server.variables[name] || { default: '', enum: [], description: '' };
+          const fieldId = `${slug}-server-${index}-${name}`;
+          const control = variable.enum.length
+            ? `<select id="${escapeHtml(fieldId)}" class="api-tryit__input" data-server-variable="${escapeHtml(name)}">
+                 ${variable.enum
+                   .map((value) => `<option value="${escapeHtml(value)}"${value === variable.default ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+                   .join('')}
+               </select>`
+            : `<input
+                 id="${escapeHtml(fieldId)}"
+                 class="api-tryit__input"
+                 type="text"
+                 value="${escapeHtml(variable.default)}"
+                 spellcheck="false"
+                 data-server-variable="${escapeHtml(name)}"
+               />`;
+          const descriptionHtml = renderMarkdownLinks(variable.description);
+          return `
+            <div class="api-tryit__field">
+              <label class="api-tryit__label" for="${escapeHtml(fieldId)}"><code>{${escapeHtml(name)}}</code></label>
+              ${control}
+              ${descriptionHtml ? `<p class="api-tryit__hint">${descriptionHtml}</p>` : ''}
+            </div>
+          `;
+        })
+        .join('');
+      return `
+        <div class="api-tryit__server-variables" data-server-variables="${index}"${server.selected ? '' : ' hidden'}>
+          ${fields}
+        </div>
+      `;
+    })
+    .join('');
+}
+
+function renderParamInput(param, inputId) {
+  const { field } = param;
+  const attributes = ' data-param-input';
+
+  if (param.kind === 'object' && field?.kind === 'object' && field.children.length) {
+    const example = isPlainObject(param.example) ? param.example : {};
+    const properties = field.children
+      .map((child, index) => {
+        const key = child.name;
+        const value = param.required && example[key] !== undefined ? formatParameterItem(example[key]) : '';
+        return `
+          <label class="api-tryit__param-property">
+            <code>${escapeHtml(key)}</code>
+            ${renderSchemaControl(
+              { ...child, required: false },
+              {
+                id: index === 0 ? inputId : '',
+                value,
+                attributes: `${attributes} data-param-key="${escapeHtml(key)}"`,
+              }
+            )}
+          </label>
+        `;
+      })
+      .join('');
+    return `<div class="api-tryit__param-properties">${properties}</div>`;
+  }
+
+  if (param.kind === 'object') {
+    const pairs = isPlainObject(param.example)
+      ? Object.entries(param.example).map(([key, value]) => `${key}=${formatParameterItem(value)}`).join('\n')
+      : '';
+    return `
+      <textarea
+        id="${escapeHtml(inputId)}"
+        class="api-tryit__input api-tryit__input--textarea"
+        rows="3"
+        spellcheck="false"
+        data-param-input
+        placeholder="${escapeHtml(pairs)}"
+        ${param.required ? 'required' : ''}
+      >${param.required ? escapeHtml(pairs) : ''}</textarea>
+    `;
+  }
+
+  if (param.kind === 'array') {
+    const items = Array.isArray(param.example) ? param.example.map(formatParameterItem).join('\n') : '';
+    return renderSchemaControl(
+      { ...field, example: Array.isArray(param.example) ? param.example : field?.example },
+      { id: inputId, value: param.required ? items : '', attributes }
+    );
+  }
+
+  const example = param.exampleValue || '';
+  return renderSchemaControl(
+    { ...field, example: example || undefined },
+    { id: inputId, value: param.required ? example : '', attributes: `${attributes} name="${escapeHtml(param.name || '')}"` }
+  );
+}
+
+function describeParameterStyle(param) {
+  const entry =
+    param.kind === 'array'
+      ? 'One value per line.'
+      : param.field?.kind === 'object' && param.field.children.length
+        ? 'Empty properties are left out.'
+        : 'One <code>key=value</code> pair per line.';
+  return `${entry} Sent as <code>${escapeHtml(param.style)}</code>${param.explode ? ', exploded' : ''}.`;
+}
 
-  hydrateApiKey(apiKeyInput);
+/**
+ * Read a parameter field rendered by renderParamInput. `value` is `undefined` when nothing was entered.
+ *
+ * @param {HTMLElement} field
+ * @returns {{ value?: unknown, error?: string }}
+ */
+function readParameterValue(field) {
+  const name = field.dataset.paramName || '';
+  const inputs = Array.from(field.querySelectorAll('[data-param-input]'));
+  if (field.dataset.paramKind === 'object') {
+    const keyed = inputs.filter((input) => input instanceof HTMLElement && input.dataset.paramKey);
+    const entries = [];
+    for (const input of keyed) {
+      const key = input.dataset.paramKey;
+      const parsed = parseSchemaInput(input, `${name}.${key}`);
+      if (parsed?.error) return { error: parsed.error };
+      if (parsed?.include && parsed.value !== '') entries.push([key, parsed.value]);
+    }
+    if (keyed.length) return { value: entries.length ? Object.fromEntries(entries) : undefined };
+
+    const raw = inputs[0] instanceof HTMLTextAreaElement ? inputs[0].value.trim() : '';
+    const pairs = raw
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const separator = line.indexOf('=');
+        return separator === -1 ? [line, ''] : [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+      })
+      .filter(([key]) => key);
+    return { value: pairs.length ? Object.fromEntries(pairs) : undefined };
+  }
+
+  const parsed = inputs[0] ? parseSchemaInput(inputs[0], name) : null;
+  if (parsed?.error) return { error: parsed.error };
+  if (!parsed?.include || parsed.value === '' || (Array.isArray(parsed.value) && !parsed.value.length)) {
+    return { value: undefined };
+  }
+  return { value: parsed.value };
+}
 
-  if (apiKeyInput instanceof HTMLInputElement) {
-    apiKeyInput.addEventListener('input', () => storeApiKey(apiKeyInput.value));
+// Link values for arrays and objects arrive JSON-encoded; a plain string fills an array as a CSV list.
+function writeParameterValue(field, value) {
+  const inputs = Array.from(field.querySelectorAll('[data-param-input]')).filter(
+    (input) =>
+      input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement || input instanceof HTMLSelectElement
+  );
+  const kind = field.dataset.paramKind;
+  if (kind === 'primitive' || !inputs.length) {
+    if (inputs[0]) setControlValue(inputs[0], value);
+    return;
   }
 
-  if (apiKeyClear instanceof HTMLButtonElement) {
-    apiKeyClear.addEventListener('click', () => {
-      storeApiKey('');
-      if (apiKeyInput instanceof HTMLInputElement) apiKeyInput.value = '';
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    parsed = value;
+  }
+  if (kind === 'array') {
+    const items = Array.isArray(parsed) ? parsed : String(value).split(',');
+    inputs[0].value = items.map(formatParameterItem).join('\n');
+    return;
+  }
+  if (!isPlainObject(parsed)) return;
+  if (inputs.some((input) => input.dataset.paramKey)) {
+    inputs.forEach((input) => {
+      const entry = parsed[input.dataset.paramKey || ''];
+      setControlValue(input, entry === undefined ? '' : formatParameterItem(entry));
     });
+    return;
+  }
+  inputs[0].value = Object.entries(parsed)
+    .map(([key, entry]) => `${key}=${formatParameterItem(entry)}`)
+    .join('\n');
+}
+
+function setControlValue(input, value) {
+  input.value = input instanceof HTMLInputElement && input.type === 'datetime-local' ? toDateTimeLocalValue(value) : value;
+}
+
+// Free-form objects and unsupported schemas are entered as plain strings, so their types can't be checked.
+function hasTypedParameterInput(param) {
+  if (!param.field || param.field.kind === 'unsupported') return false;
+  return param.kind !== 'object' || param.field.children?.length > 0;
+}
+
+/**
+ * Show (or, with an empty message, clear) an inline error under a Try it field.
+ *
+ * @param {Element} field `[data-param]` or `[data-schema-field]` container.
+ * @param {string} message
+ */
+function setFieldError(field, message) {
+  let error = field.querySelector(':scope > [data-field-error]');
+  if (!message && !error) return;
+  if (!error) {
+    error = document.createElement('p');
+    error.className = 'api-tryit__hint api-tryit__hint--warning';
+    error.setAttribute('data-field-error', '');
+    error.setAttribute('role', 'alert');
+    field.append(error);
   }
+  error.textContent = message;
+  error.hidden = !message;
+  field.querySelectorAll('input, select, textarea').forEach((control) => {
+    if (message) {
+      control.setAttribute('aria-invalid', 'true');
+    } else {
+      control.removeAttribute('aria-invalid');
+    }
+  });
+}
+
+function formatParameterItem(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function attachInteractions(root, context) {
+  setupCredentialControls(root, context);
+  setupOAuthControls(root, context);
 
   const form = root.querySelector('[data-tryit-form]');
   if (form instanceof HTMLFormElement) {
-    setupTryItForm({
-      root,
-      form,
-      context,
-      apiKeyInput: apiKeyInput instanceof HTMLInputElement ? apiKeyInput : null,
-    });
+    setupTryItForm({ root, form, context });
   }
 }
 
-function setupTryItForm({ root, form, context, apiKeyInput }) {
+function setupTryItForm({ root, form, context }) {
   const responseContainer = root.querySelector('[data-tryit-response]');
   const responseStatus = responseContainer?.querySelector('[data-tryit-response-status]');
   const responseTime = responseContainer?.querySelector('[data-tryit-response-time]');
@@ -501,18 +1186,35 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
   const responseHeaders = responseHeadersContainer?.querySelector('[data-tryit-response-headers]');
   const responseError = responseContainer?.querySelector('[data-tryit-response-error]');
   const responsePlaceholder = responseContainer?.querySelector('[data-tryit-response-placeholder]');
+  const responseLinks = responseContainer?.querySelector('[data-tryit-response-links]');
+  const responseValidation = responseContainer?.querySelector('[data-tryit-response-validation]');
+  const requestSent = responseContainer?.querySelector('[data-tryit-request-sent]');
 
   const serverSelect = form.querySelector('[data-tryit-server]');
   const contentTypeSelect = form.querySelector('[data-tryit-body-content-type]');
   const bodyOptionContainers = Array.from(form.querySelectorAll('[data-body-option]'));
   const submitButton = form.querySelector('[data-tryit-submit]');
+  const stopButton = form.querySelector('[data-tryit-stop]');
   const resetButton = form.querySelector('[data-tryit-reset]');
-  const pathInputs = Array.from(form.querySelectorAll('[data-param-location="path"]'));
-  const queryInputs = Array.from(form.querySelectorAll('[data-param-location="query"]'));
-  const headerInputs = Array.from(form.querySelectorAll('[data-param-location="header"]'));
+  const pathFields = Array.from(form.querySelectorAll('[data-param][data-param-location="path"]'));
+  const queryFields = Array.from(form.querySelectorAll('[data-param][data-param-location="query"]'));
+  const headerFields = Array.from(form.querySelectorAll('[data-param][data-param-location="header"]'));
+  const findParameter = (location, name) =>
+    context.parameters[location]?.find((param) => param.name === name) || { name, in: location };
 
   let activeBodyOption = bodyOptionContainers.find((container) => container instanceof HTMLElement && !container.hidden) || null;
 
+  const jsonViewer = createJsonViewer(responseContainer?.querySelector('[data-tryit-response-json]'), responseBody, {
+    scrub: (text) => scrubSecrets(text),
+  });
+  const streamTimeline = createStreamTimeline(responseContainer?.querySelector('[data-tryit-response-stream]'), responseBody, {
+    scrub: (text) => scrubSecrets(text),
+  });
+  const mediaPreview = createMediaPreview(responseContainer?.querySelector('[data-tryit-response-media]'), responseBody, {
+    downloadButton: responseContainer?.querySelector('[data-tryit-response-download]'),
+    scrub: (text) => scrubSecrets(text),
+  });
+
   const resetResponse = () => {
     if (responsePlaceholder) responsePlaceholder.hidden = false;
     if (responseStatus) {
@@ -520,20 +1222,49 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
       delete responseStatus.dataset.state;
     }
     if (responseTime) responseTime.textContent = '';
-    if (responseBody) responseBody.textContent = '';
+    if (responseBody) {
+      responseBody.textContent = '';
+      responseBody.hidden = false;
+    }
+    streamTimeline.hide();
+    jsonViewer?.hide();
+    if (responseContainer instanceof HTMLElement) delete responseContainer.dataset.state;
+    mediaPreview.hide();
     if (responseHeadersContainer) responseHeadersContainer.hidden = true;
     if (responseError) {
       responseError.textContent = '';
       responseError.hidden = true;
     }
+    if (responseLinks) {
+      responseLinks.innerHTML = '';
+      responseLinks.hidden = true;
+    }
+    if (requestSent) requestSent.hidden = true;
+    hideValidation();
+  };
+
+  // Masks the credentials of the last request wherever a server echoes them back.
+  let scrubSecrets = (text) => text;
+
+  const hideValidation = () => {
+    if (!responseValidation) return;
+    responseValidation.innerHTML = '';
+    responseValidation.hidden = true;
+    delete responseValidation.dataset.state;
   };
 
+  // Aborts the request in flight, including a response body that is still streaming.
+  let activeRequest = null;
+
   const setLoading = (state) => {
+    if (stopButton instanceof HTMLButtonElement) stopButton.hidden = !state;
     if (!(submitButton instanceof HTMLButtonElement)) return;
     submitButton.disabled = state;
     submitButton.textContent = state ? 'Sending…' : 'Send request';
   };
 
+  stopButton?.addEventListener('click', () => activeRequest?.abort());
+
   resetResponse();
 
   const showResponse = () => {
@@ -550,32 +1281,81 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
     if (responseTime) responseTime.textContent = '';
     if (responseBody) responseBody.textContent = '';
     if (responseHeadersContainer) responseHeadersContainer.hidden = true;
+    hideValidation();
     if (responseError) {
-      responseError.textContent = message;
+      responseError.textContent = scrubSecrets(message);
       responseError.hidden = false;
     }
   };
 
+  const showRequestSent = (method, url, headers, appliedCredentials) => {
+    if (!(requestSent instanceof HTMLElement)) return;
+    const shown = redactRequestSecrets(
+      context.securitySchemes,
+      { url: url.toString(), headers: Array.from(headers) },
+      { mask: maskSecret }
+    );
+    const text = requestSent.querySelector('[data-tryit-request-sent-text]');
+    if (text) {
+      text.textContent = [`${method} ${shown.url}`, ...shown.headers.map(([name, value]) => `${name}: ${value}`)].join('\n');
+    }
+    const credentials = requestSent.querySelector('[data-tryit-request-sent-credentials]');
+    if (credentials instanceof HTMLElement) {
+      credentials.innerHTML = describeAppliedCredentials(appliedCredentials);
+      credentials.hidden = !appliedCredentials.length;
+    }
+    requestSent.hidden = false;
+  };
+
+  const showValidation = (status, bodyText, headers) => {
+    if (!(responseValidation instanceof HTMLElement)) return;
+    const responses = context.operation.responses;
+    if (!isPlainObject(responses) || !Object.keys(responses).length) {
+      hideValidation();
+      return;
+    }
+    const result = validateResponse(
+      responses,
+      { statusCode: status, contentType: headers?.get?.('content-type'), bodyText },
+      { resolve: context.schemaUtils?.resolveSchemaObject, components: spec?.document?.components }
+    );
+    responseValidation.innerHTML = renderResponseValidation(result, status);
+    responseValidation.dataset.state = result.matchedStatus && result.body !== 'invalid' ? 'valid' : 'invalid';
+    responseValidation.hidden = false;
+  };
+
   const showSuccess = (status, statusText, elapsed, bodyText, headers) => {
+    showResponseHead(status, statusText, elapsed, headers);
+    if (responseBody) responseBody.textContent = scrubSecrets(bodyText);
+    const json = parseJsonBody(bodyText, headers?.get?.('content-type'));
+    if (json) {
+      // Error bodies are usually small and read whole, so they open fully expanded.
+      const canExpandAll = bodyText.length <= JSON_EXPAND_ALL_LIMIT;
+      jsonViewer?.show(json.value, { expandAll: status >= 400 && canExpandAll, canExpandAll });
+    } else {
+      jsonViewer?.hide();
+    }
+    showValidation(status, bodyText, headers);
+  };
+
+  // Status, timing and headers, which arrive before the body.
+  const showResponseHead = (status, statusText, elapsed, headers) => {
     showResponse();
     if (responseError) responseError.hidden = true;
     if (responseStatus) {
       responseStatus.textContent = `${status} ${statusText || ''}`.trim();
       responseStatus.dataset.state = status >= 200 && status < 300 ? 'success' : 'error';
     }
-    if (responseTime) responseTime.textContent = `${Math.round(elapsed)} ms`;
-    if (responseBody) {
-      if (headers && typeof headers.get === 'function') {
-        responseBody.textContent = prettifyBody(bodyText, headers.get('content-type'));
-      } else {
-        responseBody.textContent = bodyText;
-      }
+    if (responseContainer instanceof HTMLElement) {
+      if (status >= 400) responseContainer.dataset.state = 'error';
+      else delete responseContainer.dataset.state;
     }
+    if (responseTime) responseTime.textContent = `${Math.round(elapsed)} ms`;
     if (responseHeaders && responseHeadersContainer) {
       const lines = [];
       if (headers && typeof headers.forEach === 'function') {
         headers.forEach((value, key) => {
-          lines.push(`${key}: ${value}`);
+          lines.push(`${key}: ${scrubSecrets(value)}`);
         });
       }
       if (lines.length) {
@@ -587,6 +1367,32 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
     }
   };
 
+  const showLinks = (exchange) => {
+    if (!(responseLinks instanceof HTMLElement)) return;
+    const links = selectLinksForStatus(context.operation.links, exchange.statusCode);
+    const items = links
+      .map((link) => {
+        const href = buildLinkTargetHref(link, exchange);
+        if (!href) return '';
+        const target = `${link.target.method.toUpperCase()} ${link.target.path}`;
+        const descriptionHtml = renderMarkdownLinks(link.description);
+        return `
+          <li class="api-tryit__link">
+            <a class="api-tryit__link-action" href="${escapeHtml(href)}">Use in next request</a>
+            <span><strong>${escapeHtml(link.name)}</strong> → <code>${escapeHtml(target)}</code></span>
+            ${descriptionHtml ? `<p class="api-tryit__hint">${descriptionHtml}</p>` : ''}
+          </li>
+        `;
+      })
+      .filter(Boolean);
+    if (!items.length) return;
+    responseLinks.innerHTML = `
+      <strong>Links</strong>
+      <ul class="api-tryit__link-list">${items.join('')}</ul>
+    `;
+    responseLinks.hidden = false;
+  };
+
   const updateBodyMode = (container, mode) => {
     if (!container) return;
     container.setAttribute('data-body-mode', mode);
@@ -673,105 +1479,486 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
     }
   };
 
+  const serverAddButton = form.querySelector('[data-tryit-server-add]');
+  const serverRemoveButton = form.querySelector('[data-tryit-server-remove]');
+  const customServerContainer = form.querySelector('[data-tryit-server-custom]');
+  const customServerInput = form.querySelector('[data-tryit-server-custom-input]');
+  const customServerSave = form.querySelector('[data-tryit-server-custom-save]');
+  const customServerError = form.querySelector('[data-tryit-server-custom-error]');
+  const serverVariablesContainer = form.querySelector('[data-tryit-server-variables-container]');
+
+  const currentServer = () =>
+    serverSelect instanceof HTMLSelectElement ? context.servers[serverSelect.selectedIndex] : undefined;
+
+  const syncServerVariables = () => {
+    const selectedIndex = serverSelect instanceof HTMLSelectElement ? String(serverSelect.selectedIndex) : '0';
+    form.querySelectorAll('[data-server-variables]').forEach((group) => {
+      if (group instanceof HTMLElement) group.hidden = group.dataset.serverVariables !== selectedIndex;
+    });
+    if (serverRemoveButton instanceof HTMLButtonElement) {
+      serverRemoveButton.hidden = currentServer()?.source !== 'custom';
+    }
+  };
+
+  const refreshServers = () => {
+    context.servers = buildServerOptions(context.operation);
+    if (serverSelect instanceof HTMLSelectElement) {
+      serverSelect.innerHTML = renderServerOptions(context.servers);
+    }
+    if (serverVariablesContainer instanceof HTMLElement) {
+      serverVariablesContainer.innerHTML = renderServerVariableGroups(
+        context.servers,
+        form.dataset.operationSlug || 'operation'
+      );
+    }
+    syncServerVariables();
+  };
+
+  const showCustomServerError = (message) => {
+    if (!(customServerError instanceof HTMLElement)) return;
+    customServerError.textContent = message;
+    customServerError.hidden = !message;
+  };
+
+  const saveCustomServer = () => {
+    if (!(customServerInput instanceof HTMLInputElement)) return;
+    const url = customServerInput.value.trim().replace(/\/+$/, '');
+    if (!isValidCustomServerUrl(url)) {
+      showCustomServerError('Enter an absolute http(s) URL, or a path starting with / for the current origin.');
+      return;
+    }
+    storeCustomServers([...readCustomServers().filter((entry) => entry !== url), url]);
+    storeSelectedServer(`custom:${url}`);
+    customServerInput.value = '';
+    showCustomServerError('');
+    if (customServerContainer instanceof HTMLElement) customServerContainer.hidden = true;
+    refreshServers();
+  };
+
+  if (serverSelect instanceof HTMLSelectElement) {
+    serverSelect.addEventListener('change', () => {
+      storeSelectedServer(currentServer()?.key || '');
+      syncServerVariables();
+    });
+  }
+
+  if (serverAddButton instanceof HTMLButtonElement && customServerContainer instanceof HTMLElement) {
+    serverAddButton.addEventListener('click', () => {
+      customServerContainer.hidden = !customServerContainer.hidden;
+      showCustomServerError('');
+      if (!customServerContainer.hidden && customServerInput instanceof HTMLInputElement) customServerInput.focus();
+    });
+  }
+
+  if (customServerSave instanceof HTMLButtonElement) {
+    customServerSave.addEventListener('click', saveCustomServer);
+  }
+
+  if (customServerInput instanceof HTMLInputElement) {
+    customServerInput.addEventListener('keydown', (event) => {
+      // Enter would otherwise submit the request form.
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      saveCustomServer();
+    });
+  }
+
+  if (serverRemoveButton instanceof HTMLButtonElement) {
+    serverRemoveButton.addEventListener('click', () => {
+      const server = currentServer();
+      if (server?.source !== 'custom') return;
+      storeCustomServers(readCustomServers().filter((entry) => entry !== server.originalUrl));
+      storeSelectedServer('');
+      refreshServers();
+    });
+  }
+
+  syncServerVariables();
+
   if (resetButton instanceof HTMLButtonElement) {
     resetButton.addEventListener('click', () => {
       form.reset();
+      form.querySelectorAll('[data-param], [data-schema-field]').forEach((field) => setFieldError(field, ''));
+      syncServerVariables();
       resetBodyOptions();
       resetResponse();
     });
   }
 
-  form.addEventListener('submit', async (event) => {
-    event.preventDefault();
+  // In form mode the textarea still holds what is sent: write the form into it first.
+  const syncBodyFieldFromForm = () => {
+    const bodyField = activeBodyOption?.querySelector('[data-tryit-body]');
+    if (!(bodyField instanceof HTMLTextAreaElement)) return '';
+    if (activeBodyOption.getAttribute('data-body-mode') !== 'form' || !activeBodyOption.hasAttribute('data-has-schema')) {
+      return '';
+    }
+    const serialised = serializeSchemaForm(activeBodyOption.querySelector('[data-schema-form]'));
+    if (serialised?.error) return serialised.error;
+    if (activeBodyOption.getAttribute('data-body-kind') === 'urlencoded') {
+      const option = context.bodyOptions?.[bodyOptionContainers.indexOf(activeBodyOption)];
+      bodyField.value = serialised?.hasContent
+        ? serializeFormBody(JSON.parse(serialised.json), option?.encoding)
+        : '';
+    } else if (serialised?.hasContent) {
+      bodyField.value = serialised.json;
+    } else {
+      bodyField.value = activeBodyOption.getAttribute('data-required') === 'true' ? '{}' : '';
+    }
+    return '';
+  };
+
+  const operationSlug = form.dataset.operationSlug || '';
+
+  // Put a past or saved request back into the form. Bodies built from files can't be restored.
+  const loadRequestSnapshot = ({ server, serverVariables, parameters, contentType, body }) => {
+    form.reset();
+    form.querySelectorAll('[data-param], [data-schema-field]').forEach((field) => setFieldError(field, ''));
+    resetBodyOptions();
+
+    if (serverSelect instanceof HTMLSelectElement && server) {
+      const index = context.servers.findIndex((candidate) => candidate.key === server);
+      if (index !== -1) {
+        serverSelect.selectedIndex = index;
+        storeSelectedServer(server);
+      }
+    }
+    syncServerVariables();
+    const selectedIndex = serverSelect instanceof HTMLSelectElement ? String(serverSelect.selectedIndex) : '0';
+    form.querySelectorAll(`[data-server-variables="${selectedIndex}"] [data-server-variable]`).forEach((input) => {
+      const value = serverVariables?.[input.dataset.serverVariable || ''];
+      if (value !== undefined && (input instanceof HTMLInputElement || input instanceof HTMLSelectElement)) {
+        input.value = value;
+      }
+    });
+
+    parameters.forEach(({ location, name, value }) => {
+      const field = [...pathFields, ...queryFields, ...headerFields].find(
+        (candidate) => candidate.dataset.paramLocation === location && candidate.dataset.paramName === name
+      );
+      if (field instanceof HTMLElement) writeParameterValue(field, value);
+    });
+
+    if (contentType) {
+      if (contentTypeSelect instanceof HTMLSelectElement) contentTypeSelect.value = contentType;
+      setActiveBodyOption(contentType);
+      const textarea = activeBodyOption?.querySelector('[data-tryit-body]');
+      if (typeof body === 'string' && textarea instanceof HTMLTextAreaElement) {
+        updateBodyMode(activeBodyOption, 'raw');
+        textarea.value = body;
+      }
+    }
+  };
+
+  const historyDrawer = createHistoryDrawer(root.querySelector('[data-tryit-history]'), {
+    storage: STORAGE,
+    operationSlug,
+    onLoad: (entry, { replay }) => {
+      loadRequestSnapshot({ ...entry.form, contentType: entry.request.contentType, body: entry.request.body });
+      if (replay) {
+        form.requestSubmit();
+      } else {
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    },
+  });
+  historyDrawer.render();
+
+  const loadSavedRequest = (request) => {
+    loadRequestSnapshot({ ...request, contentType: request.body?.contentType, body: request.body?.text });
+  };
+
+  const collectionsDrawer = createCollectionsDrawer(root.querySelector('[data-tryit-collections]'), {
+    storage: STORAGE,
+    operationSlug,
+    suggestions: form.querySelector('[data-tryit-save-collections]'),
+    exportFileName: generatedConfig?.baseSlug || DEFAULT_BASE_SLUG,
+    hrefForRequest: (request) => buildOperationHref(request.operation, [[SAVED_REQUEST_PARAM, request.id]]),
+    onLoad: (request) => {
+      loadSavedRequest(request);
+      form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+  });
+  collectionsDrawer.render();
+
+  const savePanel = form.querySelector('[data-tryit-save-panel]');
+  const saveNameInput = form.querySelector('[data-tryit-save-name]');
+  const saveCollectionInput = form.querySelector('[data-tryit-save-collection]');
+  const saveError = form.querySelector('[data-tryit-save-error]');
+
+  const showSaveError = (message) => {
+    if (!(saveError instanceof HTMLElement)) return;
+    saveError.textContent = message;
+    saveError.hidden = !message;
+  };
+
+  // Parameters are read without the submit-time checks so half-finished requests can be saved too.
+  const readFormSnapshot = () => {
+    const parameterValues = new Map();
+    for (const field of [...pathFields, ...queryFields, ...headerFields]) {
+      if (!(field instanceof HTMLElement) || !field.dataset.paramName) continue;
+      const { value, error } = readParameterValue(field);
+      if (error) return { error };
+      parameterValues.set(field, value);
+    }
+    const snapshot = {
+      server: currentServer()?.key,
+      serverVariables: readServerVariables(form, serverSelect),
+      parameters: snapshotParameters(parameterValues),
+    };
+    const bodyKind = activeBodyOption?.getAttribute('data-body-kind') || 'text';
+    if (!activeBodyOption || bodyKind === 'multipart' || bodyKind === 'binary') return { snapshot };
+    const syncError = syncBodyFieldFromForm();
+    if (syncError) return { error: syncError };
+    const text = activeBodyOption.querySelector('[data-tryit-body]')?.value.trim() || '';
+    if (text) {
+      snapshot.body = {
+        contentType: form.dataset.bodyContentType || activeBodyOption.getAttribute('data-content-type') || '',
+        text,
+      };
+    }
+    return { snapshot };
+  };
+
+  const saveCurrentRequest = () => {
+    const name = saveNameInput instanceof HTMLInputElement ? saveNameInput.value.trim() : '';
+    const collectionName = saveCollectionInput instanceof HTMLInputElement ? saveCollectionInput.value.trim() : '';
+    if (!name || !collectionName) {
+      showSaveError('Enter a request name and a collection.');
+      return;
+    }
+    const { snapshot, error } = readFormSnapshot();
+    if (error) {
+      showSaveError(error);
+      return;
+    }
+    const saved = collectionsDrawer.save(collectionName, {
+      name,
+      operation: operationSlug,
+      method: form.dataset.method || '',
+      path: form.dataset.path || '',
+      ...snapshot,
+    });
+    if (!saved) return;
+    showSaveError('');
+    if (saveNameInput instanceof HTMLInputElement) saveNameInput.value = '';
+    if (savePanel instanceof HTMLElement) savePanel.hidden = true;
+  };
+
+  form.querySelector('[data-tryit-save]')?.addEventListener('click', () => {
+    if (!(savePanel instanceof HTMLElement)) return;
+    savePanel.hidden = !savePanel.hidden;
+    showSaveError('');
+    if (!savePanel.hidden && saveNameInput instanceof HTMLInputElement) saveNameInput.focus();
+  });
+  form.querySelector('[data-tryit-save-confirm]')?.addEventListener('click', saveCurrentRequest);
+  form.querySelector('[data-tryit-save-cancel]')?.addEventListener('click', () => {
+    if (savePanel instanceof HTMLElement) savePanel.hidden = true;
+  });
+  [saveNameInput, saveCollectionInput].forEach((input) => {
+    input?.addEventListener('keydown', (event) => {
+      // Enter would otherwise submit the request form.
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      saveCurrentRequest();
+    });
+  });
+
+  root.querySelector('[data-tryit-forget]')?.addEventListener('click', () => {
+    const confirmed = window.confirm(
+      'Forget the credentials, tokens, servers, history, collections and preferences this browser keeps for this API?'
+    );
+    if (!confirmed) return;
+    STORAGE.clear();
+    window.location.reload();
+  });
+
+  // Links from other operations' collection entries open this form with the request loaded.
+  const savedRequestId = new URLSearchParams(window.location.search).get(SAVED_REQUEST_PARAM);
+  if (savedRequestId) {
+    const request = readCollections(STORAGE)
+      .flatMap((collection) => collection.requests)
+      .find((entry) => entry.id === savedRequestId && entry.operation === operationSlug);
+    if (request) loadSavedRequest(request);
+  }
+
+  // Show the browser's constraint messages (required, min/max, pattern, length) next to the field
+  // instead of as a tooltip, and focus the first offending control.
+  let focusedInvalidControl = false;
+  form.addEventListener(
+    'invalid',
+    (event) => {
+      const control = event.target;
+      const field = control instanceof HTMLElement ? control.closest('[data-param], [data-schema-field]') : null;
+      if (!field) return;
+      event.preventDefault();
+      setFieldError(field, control.validationMessage);
+      if (!focusedInvalidControl) {
+        focusedInvalidControl = true;
+        control.focus();
+        queueMicrotask(() => {
+          focusedInvalidControl = false;
+        });
+      }
+    },
+    true
+  );
+  const clearFieldError = (event) => {
+    const field = event.target instanceof HTMLElement ? event.target.closest('[data-param], [data-schema-field]') : null;
+    if (field) setFieldError(field, '');
+  };
+  form.addEventListener('input', clearFieldError);
+  form.addEventListener('change', clearFieldError);
+
+  /**
+   * Build the request the form describes, exactly as Try it sends it. `direct` addresses the
+   * server itself instead of the dev proxy, for requests copied out of the browser. Failures,
+   * including values `Headers` refuses (anything outside Latin-1), come back as `{ error }`.
+   */
+  const buildRequest = async (options) => {
+    try {
+      return await assembleRequest(options);
+    } catch (error) {
+      return { error: describeError(error) };
+    }
+  };
+
+  const assembleRequest = async ({ direct = false } = {}) => {
     const method = (form.dataset.method || context.operation.method || 'GET').toUpperCase();
     const pathTemplate = form.dataset.path || context.operation.path || '';
-    const baseUrlRaw = serverSelect instanceof HTMLSelectElement ? serverSelect.value.trim() : '';
+    const selectedServer = serverSelect instanceof HTMLSelectElement
+      ? context.servers[serverSelect.selectedIndex]
+      : undefined;
+    const serverVariables = readServerVariables(form, serverSelect);
+    let baseUrlRaw = serverSelect instanceof HTMLSelectElement ? serverSelect.value.trim() : '';
+    // Outside the browser the dev proxy is of no use: address the server itself.
+    if (direct && selectedServer?.isProxy) baseUrlRaw = selectedServer.originalUrl;
     const originFallback = typeof window !== 'undefined' ? window.location.origin : '';
 
-    setLoading(true);
-    resetResponse();
-    showResponse();
-    if (responseStatus) {
-      responseStatus.textContent = 'Sending…';
-      responseStatus.dataset.state = '';
+    // Read and check every parameter up front so all problems are flagged at once.
+    const parameterValues = new Map();
+    const invalidParameters = [];
+    [...pathFields, ...queryFields, ...headerFields].forEach((field) => {
+      if (!(field instanceof HTMLElement) || !field.dataset.paramName) return;
+      const param = findParameter(field.dataset.paramLocation || '', field.dataset.paramName);
+      const { value, error } = readParameterValue(field);
+      let message = error || '';
+      if (!message && value === undefined && param.required) {
+        message = 'This parameter is required.';
+      } else if (!message && value !== undefined && hasTypedParameterInput(param)) {
+        message = validateSchemaValue(param.schema, value, { resolve: context.schemaUtils?.resolveSchemaObject })
+          .map(formatValidationError)
+          .join('; ');
+      }
+      setFieldError(field, message);
+      if (message) {
+        invalidParameters.push(param.name);
+      } else {
+        parameterValues.set(field, value);
+      }
+    });
+    if (invalidParameters.length) {
+      return { error: `Check the highlighted parameter${invalidParameters.length > 1 ? 's' : ''}: ${invalidParameters.join(', ')}` };
     }
 
     let finalPath = pathTemplate;
-    const missingPath = [];
-    pathInputs.forEach((input) => {
-      if (!(input instanceof HTMLInputElement)) return;
-      const name = input.dataset.paramName || input.name;
-      if (!name) return;
-      const value = input.value.trim();
-      if (!value && input.hasAttribute('required')) {
-        missingPath.push(name);
-      }
-      finalPath = finalPath.replace(`{${name}}`, encodeURIComponent(value));
+    /** @type {Record<string, unknown>} */
+    const pathValues = {};
+    pathFields.forEach((field) => {
+      if (!(field instanceof HTMLElement) || !parameterValues.has(field)) return;
+      const name = field.dataset.paramName;
+      const value = parameterValues.get(field);
+      pathValues[name] = value ?? '';
+      finalPath = finalPath.replace(
+        `{${name}}`,
+        value === undefined ? '' : serializePathParameter(findParameter('path', name), value)
+      );
     });
-    if (missingPath.length) {
-      setLoading(false);
-      showError(`Missing required path parameter${missingPath.length > 1 ? 's' : ''}: ${missingPath.join(', ')}`);
-      return;
+
+    const missingVariables = Object.keys(serverVariables).filter((name) => !serverVariables[name]);
+    if (missingVariables.length) {
+      return { error: `Missing server variable${missingVariables.length > 1 ? 's' : ''}: ${missingVariables.join(', ')}` };
+    }
+    if (selectedServer?.isProxy && !direct && hasServerVariables(selectedServer.url)) {
+      baseUrlRaw = resolveProxiedServerUrl(selectedServer.url, selectedServer.variables, serverVariables);
     }
 
     let url;
     try {
-      url = buildRequestUrl(baseUrlRaw, finalPath, originFallback);
+      url = buildRequestUrl(baseUrlRaw, finalPath, originFallback, serverVariables);
     } catch (error) {
       console.error('Try it buildRequestUrl error', error);
-      setLoading(false);
-      showError('Unable to construct request URL.');
-      return;
+      return { error: 'Unable to construct request URL.' };
     }
 
     const headers = new Headers();
     headers.set('Accept', 'application/json, */*;q=0.8');
+    Object.entries(selectedServer?.headers || {}).forEach(([name, value]) => {
+      headers.set(name, value);
+    });
 
-    queryInputs.forEach((input) => {
-      if (!(input instanceof HTMLInputElement)) return;
-      const name = input.dataset.paramName || input.name;
-      if (!name) return;
-      const value = input.value.trim();
-      if (!value) return;
-      url.searchParams.set(name, value);
+    const queryFragments = [];
+    queryFields.forEach((field) => {
+      if (!(field instanceof HTMLElement) || !parameterValues.has(field)) return;
+      const fragment = serializeQueryParameter(findParameter('query', field.dataset.paramName), parameterValues.get(field));
+      if (fragment) queryFragments.push(fragment);
     });
 
-    headerInputs.forEach((input) => {
-      if (!(input instanceof HTMLInputElement)) return;
-      const name = input.dataset.paramName || input.name;
-      if (!name) return;
-      const value = input.value.trim();
-      if (!value) return;
-      headers.set(name, value);
+    headerFields.forEach((field) => {
+      if (!(field instanceof HTMLElement) || !parameterValues.has(field)) return;
+      const name = field.dataset.paramName;
+      const value = parameterValues.get(field);
+      if (value === undefined) return;
+      headers.set(name, serializeHeaderParameter(findParameter('header', name), value));
     });
 
-    const apiKey = apiKeyInput?.value?.trim?.() || '';
-    applySecuritySchemes({
-      apiKey,
+    const requirement = context.getSecurityRequirement?.();
+    const requirementSchemes = context.securitySchemes.filter((scheme) =>
+      requirement?.schemes.some(({ key }) => key === scheme.key)
+    );
+    const oauthTokens = await resolveOAuthTokens(requirementSchemes, context);
+    context.refreshOAuthStatus?.();
+    // What link expressions ($url, $request.query.*, $request.header.*) may read: the request
+    // without credentials, which would otherwise end up in the "Use in next request" URL.
+    const linkUrl = new URL(url);
+    const linkHeaders = new Headers(headers);
+    const appliedCredentials = applySecurityRequirement({
+      requirement,
+      schemes: context.securitySchemes,
+      credentials: readCredentialInputs(root),
+      oauthTokens,
       headers,
       url,
-      security: context.securitySchemes,
     });
+    // Appended after the query API keys: URLSearchParams would re-encode the style delimiters.
+    if (queryFragments.length) {
+      url.search = [url.search.slice(1), ...queryFragments].filter(Boolean).join('&');
+      linkUrl.search = [linkUrl.search.slice(1), ...queryFragments].filter(Boolean).join('&');
+    }
 
-    const activeMode = activeBodyOption?.getAttribute('data-body-mode') || 'raw';
     const bodyIsRequired = activeBodyOption?.getAttribute('data-required') === 'true';
     const bodyField = activeBodyOption?.querySelector('[data-tryit-body]');
+    const bodyKind = activeBodyOption?.getAttribute('data-body-kind') || 'text';
     let body;
 
-    if (bodyField instanceof HTMLTextAreaElement) {
-      if (activeMode === 'form' && activeBodyOption?.hasAttribute('data-has-schema')) {
-        const schemaForm = activeBodyOption.querySelector('[data-schema-form]');
-        const serialised = serializeSchemaForm(schemaForm);
-        if (serialised?.error) {
-          setLoading(false);
-          showError(serialised.error);
-          return;
-        }
-        if (serialised?.hasContent) {
-          bodyField.value = serialised.json;
-        } else {
-          bodyField.value = bodyIsRequired ? '{}' : '';
-        }
+    if (activeBodyOption && (bodyKind === 'multipart' || bodyKind === 'binary')) {
+      const option = context.bodyOptions?.[bodyOptionContainers.indexOf(activeBodyOption)];
+      const built = bodyKind === 'multipart'
+        ? buildMultipartBody(activeBodyOption, option)
+        : buildBinaryBody(activeBodyOption, option);
+      if (built.error) {
+        return { error: built.error };
+      }
+      if (built.body) {
+        body = built.body;
+        // FormData bodies must not carry a Content-Type: the browser adds it with the boundary.
+        if (built.contentType) headers.set('Content-Type', built.contentType);
+      } else if (bodyIsRequired) {
+        return { error: 'Request body is required.' };
+      }
+    } else if (bodyField instanceof HTMLTextAreaElement) {
+      const syncError = syncBodyFieldFromForm();
+      if (syncError) {
+        return { error: syncError };
       }
 
       const rawValue = bodyField.value.trim();
@@ -784,14 +1971,10 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
         if (contentType) headers.set('Content-Type', contentType);
         body = rawValue;
       } else if (bodyIsRequired || context.bodyOptions?.some((option) => option.required)) {
-        setLoading(false);
-        showError('Request body is required.');
-        return;
+        return { error: 'Request body is required.' };
       }
     } else if ((bodyIsRequired || context.bodyOptions?.some((option) => option.required)) && method !== 'GET' && method !== 'HEAD') {
-      setLoading(false);
-      showError('Request body is required.');
-      return;
+      return { error: 'Request body is required.' };
     }
 
     if (method === 'GET' || method === 'HEAD') {
@@ -799,61 +1982,303 @@ function setupTryItForm({ root, form, context, apiKeyInput }) {
       headers.delete('Content-Type');
     }
 
+    return { method, url, headers, body, parameterValues, pathValues, serverVariables, appliedCredentials, linkUrl, linkHeaders };
+  };
+
+  const copyMenu = form.querySelector('[data-tryit-copy]');
+  const snippetPanel = form.querySelector('[data-tryit-snippet]');
+
+  const showSnippet = (message, code, isError = false) => {
+    if (!(snippetPanel instanceof HTMLElement)) return;
+    const status = snippetPanel.querySelector('[data-tryit-snippet-status]');
+    if (status) {
+      status.textContent = message;
+      status.classList.toggle('api-tryit__hint--warning', isError);
+    }
+    const codeBlock = snippetPanel.querySelector('[data-tryit-snippet-code]');
+    if (codeBlock) codeBlock.textContent = code;
+    const pre = codeBlock?.parentElement;
+    if (pre instanceof HTMLElement) pre.hidden = !code;
+    snippetPanel.hidden = false;
+  };
+
+  copyMenu?.addEventListener('click', async (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-tryit-copy-format]') : null;
+    if (!(button instanceof HTMLButtonElement)) return;
+    if (copyMenu instanceof HTMLDetailsElement) copyMenu.open = false;
+    const format = SNIPPET_FORMATS.find((entry) => entry.id === button.dataset.tryitCopyFormat);
+    if (!format) return;
+
+    const built = await buildRequest({ direct: true });
+    if (built.error) {
+      showSnippet(built.error, '', true);
+      return;
+    }
+    const resolved = { url: built.url.toString(), headers: Array.from(built.headers) };
+    const mask = copyMenu.querySelector('[data-tryit-copy-mask]');
+    const { url, headers } = mask instanceof HTMLInputElement && mask.checked
+      ? redactRequestSecrets(context.securitySchemes, resolved)
+      : resolved;
+    const snippet = renderRequestSnippet(format.id, {
+      method: built.method,
+      url,
+      headers,
+      body: await describeSnippetBody(built.body),
+    });
+    try {
+      await navigator.clipboard.writeText(snippet);
+      showSnippet(`Copied as ${format.label}.`, snippet);
+    } catch {
+      // Clipboard access needs a secure context and permission; leave the snippet to copy by hand.
+      showSnippet(`Copy the ${format.label} snippet below.`, snippet);
+    }
+  });
+  form.querySelector('[data-tryit-snippet-close]')?.addEventListener('click', () => {
+    if (snippetPanel instanceof HTMLElement) snippetPanel.hidden = true;
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    resetResponse();
+    showResponse();
+    if (responseStatus) {
+      responseStatus.textContent = 'Sending…';
+      responseStatus.dataset.state = '';
+    }
+
+    const built = await buildRequest();
+    if (built.error) {
+      setLoading(false);
+      showError(built.error);
+      return;
+    }
+    const { method, url, headers, body, parameterValues, pathValues, serverVariables, appliedCredentials, linkUrl, linkHeaders } =
+      built;
+    scrubSecrets = createSecretScrubber(appliedCredentials.flatMap((credential) => credential.secrets));
+    showRequestSent(method, url, headers, appliedCredentials);
+
+    const recordHistory = (response) => {
+      historyDrawer.record({
+        request: {
+          method,
+          ...redactRequestSecrets(context.securitySchemes, { url: url.toString(), headers: Array.from(headers) }),
+          ...describeHistoryBody(body, form.dataset.bodyContentType),
+        },
+        form: {
+          server: currentServer()?.key,
+          serverVariables,
+          parameters: snapshotParameters(parameterValues),
+        },
+        response,
+      });
+    };
+
+    const controller = new AbortController();
+    activeRequest = controller;
+    const started = performance.now();
     try {
-      const started = performance.now();
       const response = await fetch(url.toString(), {
         method,
         headers,
         body,
+        signal: controller.signal,
       });
       const elapsed = performance.now() - started;
-      const text = await response.text();
-      showSuccess(response.status, response.statusText, elapsed, text, response.headers);
+      const contentType = response.headers.get('content-type') || '';
+      const streamKind = getStreamKind(contentType);
+      const previewKind = streamKind ? 'text' : getResponsePreviewKind(contentType);
+      let timeline = null;
+      if (streamKind) {
+        showResponseHead(response.status, response.statusText, elapsed, response.headers);
+        timeline = streamTimeline.start(streamKind, started);
+      }
+      const { text, chunks, stopped } = await readResponseBody(response, (chunk) => timeline?.push(chunk), {
+        decode: previewKind === 'text' || previewKind === 'csv',
+      });
+      const blob = new Blob(chunks, { type: contentType });
+      if (timeline) {
+        timeline.finish(stopped);
+        showValidation(response.status, text, response.headers);
+      } else {
+        showSuccess(response.status, response.statusText, elapsed, text, response.headers);
+        if (previewKind !== 'text') mediaPreview.show(previewKind, blob, chunks, text, contentType);
+        if (stopped && responseError) {
+          hideValidation();
+          responseError.textContent = 'Stopped before the whole response arrived; the body above is incomplete.';
+          responseError.hidden = false;
+        }
+      }
+      mediaPreview.offerDownload(blob, getResponseFileName(response.headers.get('content-disposition'), contentType));
+      const preview = previewKind === 'image' || previewKind === 'binary'
+        ? { text: `(${contentType.split(';')[0].trim()} response, ${formatByteSize(blob.size)})`, truncated: false }
+        : truncateText(scrubSecrets(text), HISTORY_RESPONSE_LIMIT);
+      recordHistory({
+        status: response.status,
+        statusText: response.statusText,
+        elapsed: Math.round(elapsed),
+        body: preview.text,
+        truncated: preview.truncated || stopped,
+      });
+      showLinks({
+        url: linkUrl.toString(),
+        method,
+        statusCode: response.status,
+        request: {
+          path: pathValues,
+          query: Object.fromEntries(linkUrl.searchParams),
+          header: Object.fromEntries(linkHeaders),
+          body: parseLinkBody(body),
+        },
+        response: {
+          header: Object.fromEntries(response.headers),
+          body: parseLinkBody(text),
+        },
+      });
     } catch (error) {
-      console.error('Try it request failed', error);
-      showError(describeError(error));
+      const message = controller.signal.aborted ? 'Stopped before a response arrived.' : describeError(error);
+      if (!controller.signal.aborted) console.error('Try it request failed', error);
+      showError(message);
+      recordHistory({
+        status: 0,
+        statusText: '',
+        elapsed: Math.round(performance.now() - started),
+        body: '',
+        truncated: false,
+        error: scrubSecrets(message),
+      });
     } finally {
+      activeRequest = null;
       setLoading(false);
     }
   });
 }
 
+function buildLinkTargetHref(link, exchange) {
+  const targetSlug = link?.target?.slug;
+  if (!targetSlug) return '';
+  return buildOperationHref(targetSlug, buildLinkPrefillEntries(link, exchange));
+}
 
-function prettifyBody(text, contentType) {
-  if (!text) return '';
-  if (contentType && contentType.toLowerCase().includes('json')) {
-    try {
-      return JSON.stringify(JSON.parse(text), null, 2);
-    } catch {
-      return text;
-    }
+// The Try it page when it is enabled, otherwise the operation page's Try it section.
+function buildOperationHref(targetSlug, entries) {
+  const targetTag = getOperationPreferredTag(targetSlug);
+  // The target was filtered out of the generated docs.
+  if (!targetTag) return '';
+
+  const baseSlug = typeof generatedConfig?.baseSlug === 'string' && generatedConfig.baseSlug.length
+    ? generatedConfig.baseSlug
+    : DEFAULT_BASE_SLUG;
+  const params = new URLSearchParams(entries);
+  if (generatedConfig?.tryIt?.enabled !== false) {
+    params.set('operation', targetSlug);
+    params.set('tag', targetTag);
+    return `${buildSpecPath(baseSlug, 'try')}?${params.toString()}`;
   }
-  return text;
+  const query = params.toString();
+  return `${buildSpecPath(baseSlug, targetTag, targetSlug)}${query ? `?${query}` : ''}#${targetSlug}-try-it`;
 }
 
-function hydrateApiKey(input) {
-  if (!(input instanceof HTMLInputElement)) return;
-  input.value = readApiKey();
+function applyLinkPrefill(root, prefill) {
+  if (!prefill.size) return;
+  root.querySelectorAll('[data-param]').forEach((field) => {
+    if (!(field instanceof HTMLElement)) return;
+    const value = lookupLinkPrefill(prefill, field.dataset.paramLocation || '', field.dataset.paramName || '');
+    if (value !== undefined) writeParameterValue(field, value);
+  });
 }
 
-function readApiKey() {
+function parseLinkBody(text) {
+  if (typeof text !== 'string' || !text) return undefined;
   try {
-    return window.localStorage?.getItem(API_KEY_STORAGE_KEY) || '';
+    return JSON.parse(text);
   } catch {
-    return '';
+    return text;
   }
 }
 
-function storeApiKey(value) {
+// FormData turns the Blobs that carry JSON and typed parts into files named "blob": inline them again.
+async function describeSnippetBody(body) {
+  if (body === undefined) return undefined;
+  if (typeof body === 'string') return { type: 'text', text: body };
+  if (body instanceof FormData) {
+    const parts = await Promise.all(
+      Array.from(body).map(async ([name, value]) => {
+        if (typeof value === 'string') return { name, value };
+        const contentType = value.type || undefined;
+        if (value.name === 'blob') return { name, value: await value.text(), contentType };
+        return { name, fileName: value.name, contentType };
+      })
+    );
+    return { type: 'form-data', parts };
+  }
+  return { type: 'file', fileName: body.name || 'body.bin' };
+}
+
+function describeAppliedCredentials(appliedCredentials) {
+  const locations = { header: 'header', query: 'query parameter', cookie: 'cookie' };
+  const items = appliedCredentials.map(
+    (credential) =>
+      `<code>${escapeHtml(credential.name)}</code> ${locations[credential.location]} (${escapeHtml(credential.scheme)})`
+  );
+  return `Credentials added: ${items.join(', ')}.`;
+}
+
+function snapshotParameters(parameterValues) {
+  return Array.from(parameterValues)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => ({
+      location: field.dataset.paramLocation || '',
+      name: field.dataset.paramName || '',
+      value: typeof value === 'object' ? JSON.stringify(value) : String(value),
+    }));
+}
+
+// Text bodies are kept so the request can be loaded back; files and multipart bodies are not.
+function describeHistoryBody(body, contentType) {
+  if (body === undefined || body === null) return {};
+  if (typeof body !== 'string') return { contentType, bodyOmitted: true };
+  if (body.length > HISTORY_REQUEST_BODY_LIMIT) return { contentType, bodyOmitted: true };
+  return { contentType, body };
+}
+
+function renderResponseValidation(result, status) {
+  const statusLine = result.matchedStatus
+    ? `<li data-state="valid">Status ${escapeHtml(String(status))} is documented${
+        result.matchedStatus === String(status) ? '' : ` (as <code>${escapeHtml(result.matchedStatus)}</code>)`
+      }.</li>`
+    : `<li data-state="invalid">Status ${escapeHtml(String(status))} is not documented. Expected ${result.declaredStatuses
+        .map((key) => `<code>${escapeHtml(key)}</code>`)
+        .join(', ')}.</li>`;
+  let bodyLine = '';
+  if (result.body === 'valid') {
+    bodyLine = `<li data-state="valid">Body matches the <code>${escapeHtml(result.mediaType || '')}</code> schema.</li>`;
+  } else if (result.body === 'undocumented') {
+    bodyLine = '<li data-state="invalid">The response Content-Type is not documented for this status.</li>';
+  } else if (result.body === 'invalid') {
+    const count = result.errors.length;
+    const items = result.errors
+      .map((error) => `<li><code>${escapeHtml(error.pointer || '(body)')}</code> ${escapeHtml(error.message)}</li>`)
+      .join('');
+    bodyLine = `
+      <li data-state="invalid">
+        Body does not match the <code>${escapeHtml(result.mediaType || '')}</code> schema (${count} violation${count === 1 ? '' : 's'}):
+        <ul class="api-tryit__validation-errors">${items}</ul>
+      </li>
+    `;
+  }
+  return `
+    <strong>Contract check</strong>
+    <ul class="api-tryit__validation-list">${statusLine}${bodyLine}</ul>
+  `;
+}
+
+function parseJsonBody(text, contentType) {
+  if (!text || !contentType || !contentType.toLowerCase().includes('json')) return null;
   try {
-    const trimmed = (value || '').trim();
-    if (trimmed) {
-      window.localStorage?.setItem(API_KEY_STORAGE_KEY, trimmed);
-    } else {
-      window.localStorage?.removeItem(API_KEY_STORAGE_KEY);
-    }
+    return { value: JSON.parse(text) };
   } catch {
-    /* ignore */
+    return null;
   }
 }
 
@@ -879,6 +2304,121 @@ function getParameterExample(param) {
   return undefined;
 }
 
+/**
+ * Input control for a primitive or primitive-array schema node, shared by body forms and
+ * parameters: selects for booleans and enums, number inputs with their bounds, date pickers for
+ * `date` / `date-time`, text inputs carrying `pattern` and length limits, file pickers for binary
+ * strings, and a one-value-per-line textarea for arrays. Other nodes get a plain text input.
+ *
+ * @param {any} field Node from `buildSchemaFormTree` / `buildSchemaField`.
+ * @param {{ id: string, value: string, attributes?: string }} options `attributes` is appended verbatim.
+ * @returns {string}
+ */
+function renderSchemaControl(field, { id, value, attributes = '' }) {
+  const idAttr = id ? ` id="${escapeHtml(id)}"` : '';
+  const requiredAttr = field?.required ? ' required' : '';
+
+  if ((field?.kind === 'primitive' && field.file) || (field?.kind === 'array' && field.itemFile)) {
+    const accept = field.contentType && field.contentType !== 'application/octet-stream'
+      ? ` accept="${escapeHtml(field.contentType.split(',').map((type) => type.trim()).join(','))}"`
+      : '';
+    const multiple = field.kind === 'array' ? ' multiple' : '';
+    return `<input${idAttr} class="api-tryit__input" type="file" data-schema-type="file"${multiple}${accept}${requiredAttr}${attributes} />`;
+  }
+
+  if (field?.kind === 'array') {
+    const itemType = field.itemType ? ` data-schema-item-type="${escapeHtml(field.itemType)}"` : '';
+    const placeholder = field.enum?.length
+      ? field.enum.map((item) => normaliseString(item)).join('\n')
+      : field.example && Array.isArray(field.example)
+        ? field.example.map((item) => normaliseString(item)).join('\n')
+        : '';
+    const placeholderAttr = placeholder ? ` placeholder="${escapeHtml(placeholder)}"` : '';
+    return `
+      <textarea${idAttr}
+        class="api-tryit__input api-tryit__input--textarea"
+        rows="3"
+        data-schema-type="array"${itemType}${requiredAttr}${placeholderAttr}${attributes}
+      >${escapeHtml(value)}</textarea>
+    `;
+  }
+
+  if (field?.kind !== 'primitive') {
+    return `<input${idAttr} class="api-tryit__input" type="text" value="${escapeHtml(value)}"${requiredAttr}${attributes} />`;
+  }
+
+  const typeAttr = ` data-schema-type="${escapeHtml(field.type)}"`;
+
+  if (field.type === 'boolean') {
+    const options = field.required ? ['true', 'false'] : ['', 'true', 'false'];
+    const optionsHtml = options
+      .map((optionValue) => {
+        const isSelected = optionValue === value ? ' selected' : '';
+        const labelText = optionValue === '' ? '— Omit —' : optionValue === 'true' ? 'True' : 'False';
+        return `<option value="${escapeHtml(optionValue)}"${isSelected}>${escapeHtml(labelText)}</option>`;
+      })
+      .join('');
+    return `<select${idAttr} class="api-tryit__input"${typeAttr}${requiredAttr}${attributes}>${optionsHtml}</select>`;
+  }
+
+  if (Array.isArray(field.enum) && field.enum.length) {
+    const options = field.required ? field.enum : [''].concat(field.enum);
+    const optionsHtml = options
+      .map((optionValue) => {
+        const normalised = normaliseString(optionValue);
+        const isSelected = normalised === value ? ' selected' : '';
+        const display = normalised || '— Select —';
+        return `<option value="${escapeHtml(normalised)}"${isSelected}>${escapeHtml(display)}</option>`;
+      })
+      .join('');
+    return `<select${idAttr} class="api-tryit__input"${typeAttr}${requiredAttr}${attributes}>${optionsHtml}</select>`;
+  }
+
+  const isNumeric = field.type === 'integer' || field.type === 'number';
+  const inputType = isNumeric
+    ? 'number'
+    : field.format === 'date'
+      ? 'date'
+      : field.format === 'date-time'
+        ? 'datetime-local'
+        : 'text';
+  const stepAttr = field.type === 'integer' || inputType === 'datetime-local' ? ' step="1"' : isNumeric ? ' step="any"' : '';
+  const formatAttr = field.format ? ` data-schema-format="${escapeHtml(field.format)}"` : '';
+  const controlValue = inputType === 'datetime-local' ? toDateTimeLocalValue(value) : value;
+  const placeholder = field.example !== undefined && inputType !== 'date' && inputType !== 'datetime-local'
+    ? ` placeholder="${escapeHtml(normaliseString(field.example))}"`
+    : '';
+  const patternAttr = field.pattern && inputType === 'text' ? ` pattern="${escapeHtml(field.pattern)}"` : '';
+  const minAttr = field.minimum !== undefined ? ` min="${escapeHtml(String(field.minimum))}"` : '';
+  const maxAttr = field.maximum !== undefined ? ` max="${escapeHtml(String(field.maximum))}"` : '';
+  const minLengthAttr = field.minLength !== undefined ? ` minlength="${escapeHtml(String(field.minLength))}"` : '';
+  const maxLengthAttr = field.maxLength !== undefined ? ` maxlength="${escapeHtml(String(field.maxLength))}"` : '';
+
+  return `
+    <input${idAttr}
+      class="api-tryit__input"
+      type="${inputType}"${stepAttr}
+      value="${escapeHtml(controlValue)}"${placeholder}${typeAttr}${formatAttr}${requiredAttr}${patternAttr}${minAttr}${maxAttr}${minLengthAttr}${maxLengthAttr}${attributes}
+    />
+  `;
+}
+
+function normaliseString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return '';
+}
+
+// `datetime-local` inputs take local wall-clock time without a zone; schema values are RFC 3339.
+function toDateTimeLocalValue(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
 function renderSchemaForm(fields, optionId, initialValue) {
   const rootValue = isPlainObject(initialValue) ? initialValue : {};
 
@@ -896,12 +2436,6 @@ function renderSchemaForm(fields, optionId, initialValue) {
       .replace(/\s+/g, ' ')
       .trim();
   };
-  const normaliseString = (value) => {
-    if (value === null || value === undefined) return '';
-    if (typeof value === 'string') return value;
-    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
-    return '';
-  };
   const valueForPath = (path) => {
     if (!Array.isArray(path) || !path.length) return rootValue;
     return path.reduce((acc, segment) => {
@@ -942,87 +2476,21 @@ function renderSchemaForm(fields, optionId, initialValue) {
   const renderPrimitive = (field) => {
     const id = toFieldId(field.path);
     const label = formatLabel(field.name || field.path.at(-1) || 'Field');
-    const value = primitiveInitialValue(field);
     const pathKey = toPathKey(field.path);
     const descriptionHtml = renderMarkdownLinks(field.description);
     const description = descriptionHtml ? `<p class="api-tryit__hint">${descriptionHtml}</p>` : '';
-    const requiredAttr = field.required ? ' required' : '';
     const requiredBadge = field.required ? '<span class="api-tryit__required">*</span>' : '';
 
-    if (field.type === 'boolean') {
-      const options = field.required ? ['true', 'false'] : ['', 'true', 'false'];
-      const optionsHtml = options
-        .map((optionValue) => {
-          const isSelected = optionValue === value ? ' selected' : '';
-          const labelText = optionValue === '' ? '— Omit —' : optionValue === 'true' ? 'True' : 'False';
-          return `<option value="${escapeHtml(optionValue)}"${isSelected}>${escapeHtml(labelText)}</option>`;
-        })
-        .join('');
-      return `
-        <div class="api-tryit__field" data-schema-field>
-          <label class="api-tryit__label" for="${escapeHtml(id)}">
-            ${escapeHtml(label)}${requiredBadge}
-          </label>
-          <select
-            id="${escapeHtml(id)}"
-            class="api-tryit__input"
-            data-schema-input
-            data-schema-path="${escapeHtml(pathKey)}"
-            data-schema-type="${escapeHtml(field.type)}"${requiredAttr}
-          >${optionsHtml}</select>
-          ${description}
-        </div>
-      `;
-    }
-
-    if (Array.isArray(field.enum) && field.enum.length) {
-      const options = field.required ? field.enum : [''].concat(field.enum);
-      const optionsHtml = options
-        .map((optionValue) => {
-          const normalised = normaliseString(optionValue);
-          const isSelected = normalised === value ? ' selected' : '';
-          const display = normalised || '— Select —';
-          return `<option value="${escapeHtml(normalised)}"${isSelected}>${escapeHtml(display)}</option>`;
-        })
-        .join('');
-      return `
-        <div class="api-tryit__field" data-schema-field>
-          <label class="api-tryit__label" for="${escapeHtml(id)}">
-            ${escapeHtml(label)}${requiredBadge}
-          </label>
-          <select
-            id="${escapeHtml(id)}"
-            class="api-tryit__input"
-            data-schema-input
-            data-schema-path="${escapeHtml(pathKey)}"
-            data-schema-type="${escapeHtml(field.type)}"${requiredAttr}
-          >${optionsHtml}</select>
-          ${description}
-        </div>
-      `;
-    }
-
-    const inputType = field.type === 'integer' || field.type === 'number' ? 'number' : 'text';
-    const stepAttr = field.type === 'integer' ? ' step="1"' : '';
-    const placeholder = field.example ? ` placeholder="${escapeHtml(normaliseString(field.example))}"` : '';
-    const patternAttr = field.pattern ? ` pattern="${escapeHtml(field.pattern)}"` : '';
-    const minAttr = field.minimum !== undefined ? ` min="${escapeHtml(String(field.minimum))}"` : '';
-    const maxAttr = field.maximum !== undefined ? ` max="${escapeHtml(String(field.maximum))}"` : '';
-
     return `
       <div class="api-tryit__field" data-schema-field>
         <label class="api-tryit__label" for="${escapeHtml(id)}">
           ${escapeHtml(label)}${requiredBadge}
         </label>
-        <input
-          id="${escapeHtml(id)}"
-          class="api-tryit__input"
-          type="${inputType}"${stepAttr}
-          value="${escapeHtml(value)}"${placeholder}
-          data-schema-input
-          data-schema-path="${escapeHtml(pathKey)}"
-          data-schema-type="${escapeHtml(field.type)}"${requiredAttr}${patternAttr}${minAttr}${maxAttr}
-        />
+        ${renderSchemaControl(field, {
+          id,
+          value: primitiveInitialValue(field),
+          attributes: ` data-schema-input data-schema-path="${escapeHtml(pathKey)}"`,
+        })}
         ${description}
       </div>
     `;
@@ -1031,34 +2499,24 @@ function renderSchemaForm(fields, optionId, initialValue) {
   const renderArray = (field) => {
     const id = toFieldId(field.path);
     const label = formatLabel(field.name || field.path.at(-1) || 'Items');
-    const values = arrayInitialValue(field).map((item) => normaliseString(item)).join('\n');
     const pathKey = toPathKey(field.path);
-    const requiredAttr = field.required ? ' required' : '';
     const requiredBadge = field.required ? '<span class="api-tryit__required">*</span>' : '';
     const descriptionHtml = renderMarkdownLinks(field.description);
     const description = descriptionHtml ||
-      escapeHtml('Enter one value per line. The payload will be serialised as an array.');
-    const itemType = field.itemType ? ` data-schema-item-type="${escapeHtml(field.itemType)}"` : '';
-    const placeholder = field.enum?.length
-      ? field.enum.map((item) => normaliseString(item)).join('\n')
-      : field.example && Array.isArray(field.example)
-        ? field.example.map((item) => normaliseString(item)).join('\n')
-        : '';
-    const placeholderAttr = placeholder ? ` placeholder="${escapeHtml(placeholder)}"` : '';
+      escapeHtml(field.itemFile
+        ? 'Select one or more files.'
+        : 'Enter one value per line. The payload will be serialised as an array.');
 
     return `
       <div class="api-tryit__field" data-schema-field>
         <label class="api-tryit__label" for="${escapeHtml(id)}">
           ${escapeHtml(label)}${requiredBadge}
         </label>
-        <textarea
-          id="${escapeHtml(id)}"
-          class="api-tryit__input api-tryit__input--textarea"
-          rows="3"
-          data-schema-input
-          data-schema-path="${escapeHtml(pathKey)}"
-          data-schema-type="array"${itemType}${requiredAttr}${placeholderAttr}
-        >${escapeHtml(values)}</textarea>
+        ${renderSchemaControl(field, {
+          id,
+          value: arrayInitialValue(field).map((item) => normaliseString(item)).join('\n'),
+          attributes: ` data-schema-input data-schema-path="${escapeHtml(pathKey)}"`,
+        })}
         <p class="api-tryit__hint">${description}</p>
       </div>
     `;
@@ -1110,6 +2568,76 @@ function renderSchemaForm(fields, optionId, initialValue) {
   return `<div class="api-tryit__schema-fields" data-schema-fields>${schemaHtml}</div>`;
 }
 
+/**
+ * Build a `FormData` body from a multipart option's form. Top-level fields become parts in schema
+ * order: files as uploaded, arrays as repeated parts, objects as JSON. A part whose `encoding`
+ * names a content type is sent as a Blob of that type.
+ *
+ * @param {HTMLElement} container
+ * @param {any} option
+ * @returns {{ body?: FormData, error?: string }}
+ */
+function buildMultipartBody(container, option) {
+  const serialised = serializeSchemaForm(container.querySelector('[data-schema-form]'));
+  if (serialised?.error) return { error: serialised.error };
+  const values = serialised?.hasContent ? JSON.parse(serialised.json) : {};
+  const encoding = option?.encoding || {};
+  const body = new FormData();
+  let hasContent = false;
+
+  (option?.formFields || []).forEach((field) => {
+    const name = field?.name;
+    if (!name) return;
+    const partType = encoding[name]?.contentType;
+    if (field.file || field.itemFile) {
+      const input = Array.from(container.querySelectorAll('input[type="file"][data-schema-input]')).find(
+        (candidate) => candidate.getAttribute('data-schema-path') === name
+      );
+      Array.from(input instanceof HTMLInputElement ? input.files || [] : []).forEach((file) => {
+        body.append(name, withPartType(file, partType));
+        hasContent = true;
+      });
+      return;
+    }
+    if (values[name] === undefined) return;
+    (Array.isArray(values[name]) ? values[name] : [values[name]]).forEach((value) => {
+      if (isPlainObject(value) || Array.isArray(value)) {
+        body.append(name, new Blob([JSON.stringify(value)], { type: partType || 'application/json' }));
+      } else if (partType && !/^text\/plain\b/i.test(partType)) {
+        body.append(name, new Blob([String(value)], { type: partType }));
+      } else {
+        body.append(name, String(value));
+      }
+      hasContent = true;
+    });
+  });
+
+  return hasContent ? { body } : {};
+}
+
+/**
+ * Use the picked file of a binary option as the body. The declared media type wins over the
+ * file's own type unless it is a wildcard such as `image/*`.
+ *
+ * @param {HTMLElement} container
+ * @param {any} option
+ * @returns {{ body?: File, contentType?: string }}
+ */
+function buildBinaryBody(container, option) {
+  const input = container.querySelector('[data-tryit-body-file]');
+  const file = input instanceof HTMLInputElement ? input.files?.[0] : undefined;
+  if (!file) return {};
+  const declared = option?.contentType || 'application/octet-stream';
+  const contentType = declared.includes('*') ? file.type || 'application/octet-stream' : declared;
+  return { body: file, contentType };
+}
+
+// Browsers send a file's own type as the part's Content-Type; fill it in from `encoding` when unknown.
+function withPartType(file, partType) {
+  if (file.type || !partType || partType.includes(',') || partType.includes('*')) return file;
+  return new File([file], file.name, { type: partType });
+}
+
 function setValueAtPath(target, segments, value) {
   if (!Array.isArray(segments) || !segments.length) return;
   let cursor = target;
@@ -1133,91 +2661,22 @@ function serializeSchemaForm(container) {
   let errorMessage = null;
 
   inputs.forEach((input) => {
-    if (!(input instanceof HTMLInputElement) && !(input instanceof HTMLTextAreaElement)) return;
+    if (errorMessage) return;
     const pathAttr = input.getAttribute('data-schema-path');
     if (!pathAttr) return;
-    const type = input.getAttribute('data-schema-type') || 'string';
-    const required = input.hasAttribute('required');
     const segments = pathAttr.split('.').filter(Boolean);
     if (!segments.length) return;
 
-    let include = true;
-    let value;
-    const raw = input.value;
-
-    if (type === 'boolean') {
-      if (raw === 'true' || raw === 'false') {
-        value = raw === 'true';
-      } else {
-        include = false;
-      }
-    } else if (type === 'number' || type === 'integer') {
-      const trimmed = raw.trim();
-      if (!trimmed) {
-        include = false;
-      } else {
-        const parsed = type === 'integer' ? parseInt(trimmed, 10) : parseFloat(trimmed);
-        if (Number.isNaN(parsed)) {
-          errorMessage = `Invalid ${type} value for ${pathAttr}`;
-          return;
-        }
-        value = parsed;
-      }
-    } else if (type === 'array') {
-      const trimmed = raw.trim();
-      const itemType = input.getAttribute('data-schema-item-type') || 'string';
-      if (!trimmed) {
-        include = required;
-        value = [];
-      } else {
-        const lines = trimmed.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
-        if (!lines.length) {
-          include = required;
-          value = [];
-        } else {
-          const parsedItems = [];
-          for (const line of lines) {
-            if (itemType === 'integer' || itemType === 'number') {
-              const numeric = itemType === 'integer' ? parseInt(line, 10) : parseFloat(line);
-              if (Number.isNaN(numeric)) {
-                errorMessage = `Invalid ${itemType} value in ${pathAttr}: ${line}`;
-                break;
-              }
-              parsedItems.push(numeric);
-            } else if (itemType === 'boolean') {
-              if (line.toLowerCase() === 'true' || line.toLowerCase() === 'false') {
-                parsedItems.push(line.toLowerCase() === 'true');
-              } else {
-                errorMessage = `Invalid boolean value in ${pathAttr}: ${line}`;
-                break;
-              }
-            } else {
-              parsedItems.push(line);
-            }
-          }
-          if (errorMessage) return;
-          value = parsedItems;
-          include = parsedItems.length > 0 || required;
-        }
-      }
-    } else {
-      const trimmed = raw.trim();
-      if (!trimmed) {
-        if (required) {
-          value = trimmed;
-        } else {
-          include = false;
-        }
-      } else {
-        value = trimmed;
-      }
+    const parsed = parseSchemaInput(input, pathAttr);
+    if (!parsed) return;
+    if (parsed.error) {
+      errorMessage = parsed.error;
+      return;
     }
-
-    if (errorMessage) return;
-    if (!include) return;
+    if (!parsed.include) return;
 
     hasContent = true;
-    setValueAtPath(payload, segments, value);
+    setValueAtPath(payload, segments, parsed.value);
   });
 
   if (errorMessage) {
@@ -1230,6 +2689,72 @@ function serializeSchemaForm(container) {
   };
 }
 
+/**
+ * Read the typed value of a control rendered by renderSchemaControl.
+ *
+ * @param {Element} input
+ * @param {string} label Used in error messages.
+ * @returns {{ include: boolean, value?: unknown, error?: string } | null} `null` for non-controls.
+ */
+function parseSchemaInput(input, label) {
+  if (
+    !(input instanceof HTMLInputElement) &&
+    !(input instanceof HTMLTextAreaElement) &&
+    !(input instanceof HTMLSelectElement)
+  ) {
+    return null;
+  }
+  const type = input.getAttribute('data-schema-type') || 'string';
+  // Files can't be part of a JSON payload; multipart bodies read them separately.
+  if (type === 'file') return null;
+  const required = input.hasAttribute('required');
+  const raw = input.value;
+
+  if (type === 'boolean') {
+    if (raw === 'true' || raw === 'false') return { include: true, value: raw === 'true' };
+    return { include: false };
+  }
+
+  if (type === 'number' || type === 'integer') {
+    const trimmed = raw.trim();
+    if (!trimmed) return { include: false };
+    const parsed = type === 'integer' ? parseInt(trimmed, 10) : parseFloat(trimmed);
+    if (Number.isNaN(parsed)) return { include: false, error: `Invalid ${type} value for ${label}` };
+    return { include: true, value: parsed };
+  }
+
+  if (type === 'array') {
+    const itemType = input.getAttribute('data-schema-item-type') || 'string';
+    const lines = raw.trim().split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    if (!lines.length) return { include: required, value: [] };
+    const parsedItems = [];
+    for (const line of lines) {
+      if (itemType === 'integer' || itemType === 'number') {
+        const numeric = itemType === 'integer' ? parseInt(line, 10) : parseFloat(line);
+        if (Number.isNaN(numeric)) return { include: false, error: `Invalid ${itemType} value in ${label}: ${line}` };
+        parsedItems.push(numeric);
+      } else if (itemType === 'boolean') {
+        if (line.toLowerCase() !== 'true' && line.toLowerCase() !== 'false') {
+          return { include: false, error: `Invalid boolean value in ${label}: ${line}` };
+        }
+        parsedItems.push(line.toLowerCase() === 'true');
+      } else {
+        parsedItems.push(line);
+      }
+    }
+    return { include: true, value: parsedItems };
+  }
+
+  const trimmed = raw.trim();
+  if (!trimmed) return required ? { include: true, value: trimmed } : { include: false };
+  if (input instanceof HTMLInputElement && input.type === 'datetime-local') {
+    const date = new Date(trimmed);
+    if (Number.isNaN(date.getTime())) return { include: false, error: `Invalid date-time value for ${label}` };
+    return { include: true, value: date.toISOString() };
+  }
+  return { include: true, value: trimmed };
+}
+
 function joinRequestPath(...segments) {
   const parts = [];
   segments.forEach((segment) => {
@@ -1250,8 +2775,10 @@ function isAbsoluteUrl(value) {
   return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
 }
 
-function buildRequestUrl(base, path, originFallback) {
+function buildRequestUrl(base, path, originFallback, serverVariables = {}) {
   const safePath = typeof path === 'string' ? path : '';
+  base = expandServerUrl(base, undefined, serverVariables);
+  if (hasServerVariables(base)) throw new Error(`Unresolved server variables in ${base}`);
   if (isAbsoluteUrl(base)) {
     const parsed = new URL(base);
     const combinedPath = joinRequestPath(parsed.pathname || '/', safePath);
@@ -1267,56 +2794,281 @@ function buildRequestUrl(base, path, originFallback) {
   return url;
 }
 
-function buildHttpAuthorizationHeader(value, schemeName) {
-  if (!value) return '';
-  if (!schemeName) return value;
-  const normalizedScheme = schemeName.toLowerCase();
-  if (normalizedScheme === 'bearer') {
-    return /^bearer\s+/i.test(value) ? value : `Bearer ${value}`;
+function setupCredentialControls(root, context) {
+  const requirementSelect = root.querySelector('[data-tryit-security-requirement]');
+  const requirements = context.securityRequirements;
+
+  root.querySelectorAll('[data-security-scheme]').forEach((container) => {
+    if (!(container instanceof HTMLElement)) return;
+    const schemeKey = container.dataset.securityScheme || '';
+    const inputs = Array.from(container.querySelectorAll('[data-credential-field]')).filter(
+      (input) => input instanceof HTMLInputElement
+    );
+    if (!inputs.length) return;
+
+    const stored = readCredentials(STORAGE, schemeKey);
+    inputs.forEach((input) => {
+      input.value = stored[input.dataset.credentialField] || '';
+      input.addEventListener('input', () => storeCredentials(STORAGE, schemeKey, collectCredentialFields(inputs)));
+    });
+
+    const clearButton = container.querySelector('[data-credential-clear]');
+    if (clearButton instanceof HTMLButtonElement) {
+      clearButton.addEventListener('click', () => {
+        inputs.forEach((input) => {
+          input.value = '';
+        });
+        storeCredentials(STORAGE, schemeKey, {});
+      });
+    }
+  });
+
+  context.getSecurityRequirement = () => {
+    const index = requirementSelect instanceof HTMLSelectElement ? Number(requirementSelect.value) : 0;
+    return requirements[index] || requirements[0];
+  };
+
+  const syncSchemeVisibility = () => {
+    const requirement = context.getSecurityRequirement();
+    root.querySelectorAll('[data-security-scheme]').forEach((container) => {
+      if (!(container instanceof HTMLElement)) return;
+      container.hidden = !requirement?.schemes.some(({ key }) => key === container.dataset.securityScheme);
+    });
+  };
+
+  if (requirementSelect instanceof HTMLSelectElement) {
+    requirementSelect.addEventListener('change', syncSchemeVisibility);
   }
-  if (normalizedScheme === 'basic') {
-    if (/^basic\s+/i.test(value)) return value;
+  syncSchemeVisibility();
+}
+
+function readCredentialInputs(root) {
+  /** @type {Record<string, Record<string, string>>} */
+  const credentials = {};
+  root.querySelectorAll('[data-security-scheme]').forEach((container) => {
+    if (!(container instanceof HTMLElement)) return;
+    const inputs = Array.from(container.querySelectorAll('[data-credential-field]')).filter(
+      (input) => input instanceof HTMLInputElement
+    );
+    if (inputs.length) credentials[container.dataset.securityScheme || ''] = collectCredentialFields(inputs);
+  });
+  return credentials;
+}
+
+function collectCredentialFields(inputs) {
+  return Object.fromEntries(inputs.map((input) => [input.dataset.credentialField, input.value]));
+}
+
+function setupOAuthControls(root, context) {
+  const refreshers = [];
+  const errorReporters = new Map();
+
+  root.querySelectorAll('[data-oauth-scheme]').forEach((container) => {
+    if (!(container instanceof HTMLElement)) return;
+    const schemeKey = container.dataset.oauthScheme || '';
+    const scheme = context.securitySchemes.find((entry) => entry.key === schemeKey);
+    const flows = getOAuthFlows(scheme);
+    const flowSelect = container.querySelector('[data-oauth-flow]');
+    const clientIdInput = container.querySelector('[data-oauth-client-id]');
+    const secretField = container.querySelector('[data-oauth-client-secret-field]');
+    const secretInput = container.querySelector('[data-oauth-client-secret]');
+    const authorizeButton = container.querySelector('[data-oauth-authorize]');
+    const signOutButton = container.querySelector('[data-oauth-sign-out]');
+    const status = container.querySelector('[data-oauth-status]');
+
+    const currentFlow = () =>
+      flows.find((flow) => flowSelect instanceof HTMLSelectElement && flow.type === flowSelect.value) || flows[0];
+    const setStatus = (message, state = '') => {
+      if (!(status instanceof HTMLElement)) return;
+      status.textContent = message;
+      status.dataset.state = state;
+    };
+    const refreshStatus = () => setStatus(describeOAuthToken(readStoredToken(STORAGE, schemeKey)));
+    const syncFlow = () => {
+      const isClientCredentials = currentFlow()?.type === 'clientCredentials';
+      if (secretField instanceof HTMLElement) secretField.hidden = !isClientCredentials;
+      if (authorizeButton instanceof HTMLButtonElement) {
+        authorizeButton.textContent = isClientCredentials ? 'Get token' : 'Authorize';
+      }
+    };
+
+    if (clientIdInput instanceof HTMLInputElement) {
+      clientIdInput.value = readClientId(STORAGE, schemeKey);
+      clientIdInput.addEventListener('input', () => storeClientId(STORAGE, schemeKey, clientIdInput.value));
+    }
+    if (flowSelect instanceof HTMLSelectElement) {
+      flowSelect.addEventListener('change', syncFlow);
+    }
+    syncFlow();
+
+    if (authorizeButton instanceof HTMLButtonElement) {
+      authorizeButton.addEventListener('click', async () => {
+        const flow = currentFlow();
+        const clientId = clientIdInput instanceof HTMLInputElement ? clientIdInput.value.trim() : '';
+        if (!flow) return;
+        if (!clientId) {
+          setStatus('Enter a client ID first.', 'error');
+          return;
+        }
+        const scopes = Array.from(container.querySelectorAll('[data-oauth-scope]'))
+          .filter((input) => input instanceof HTMLInputElement && input.checked)
+          .map((input) => input.value);
+
+        authorizeButton.disabled = true;
+        try {
+          if (flow.type === 'clientCredentials') {
+            setStatus('Requesting token…');
+            await requestClientCredentialsToken({
+              store: STORAGE,
+              schemeKey,
+              flow,
+              clientId,
+              clientSecret: secretInput instanceof HTMLInputElement ? secretInput.value : '',
+              scopes,
+            });
+            refreshStatus();
+          } else {
+            setStatus('Redirecting to the authorization server…');
+            const authorizationUrl = await startAuthorizationCodeFlow({
+              store: STORAGE,
+              schemeKey,
+              flow,
+              clientId,
+              scopes,
+              redirectUri: `${window.location.origin}${window.location.pathname}`,
+              returnUrl: window.location.href,
+            });
+            window.location.assign(authorizationUrl);
+          }
+        } catch (error) {
+          console.error('starlight-openapi-navigator: OAuth authorization failed', error);
+          setStatus(describeError(error), 'error');
+        } finally {
+          authorizeButton.disabled = false;
+        }
+      });
+    }
+
+    if (signOutButton instanceof HTMLButtonElement) {
+      signOutButton.addEventListener('click', () => {
+        clearStoredToken(STORAGE, schemeKey);
+        refreshStatus();
+      });
+    }
+
+    const pendingMessage = context.oauthMessages?.[schemeKey];
+    if (pendingMessage) {
+      setStatus(`Authorization failed: ${pendingMessage}`, 'error');
+    } else {
+      refreshStatus();
+    }
+    refreshers.push(refreshStatus);
+    errorReporters.set(schemeKey, (message) => setStatus(message, 'error'));
+  });
+
+  context.refreshOAuthStatus = () => refreshers.forEach((refresh) => refresh());
+  context.showOAuthError = (schemeKey, message) => errorReporters.get(schemeKey)?.(message);
+}
+
+// A failed refresh stops the request: sent without its token it would only come back as a 401.
+async function resolveOAuthTokens(securitySchemes, context) {
+  /** @type {Record<string, string>} */
+  const tokens = {};
+  for (const scheme of securitySchemes || []) {
+    if (getCredentialKind(scheme) !== 'oauth') continue;
     try {
-      return `Basic ${btoa(value)}`;
-    } catch {
-      return `Basic ${value}`;
+      const token = await getValidAccessToken(STORAGE, scheme.key);
+      if (token) tokens[scheme.key] = token;
+    } catch (error) {
+      context.showOAuthError?.(scheme.key, describeError(error));
+      throw new Error(`${scheme.key}: ${describeError(error)}`);
     }
   }
-  return `${schemeName} ${value}`;
-}
-
-function applySecuritySchemes({ apiKey, headers, url, security }) {
-  if (!apiKey || !Array.isArray(security) || !security.length) return;
-  const keyValue = apiKey.trim();
-  if (!keyValue) return;
-
-  security.forEach((scheme) => {
-    if (!scheme || !scheme.type) return;
-
-    if (scheme.type === 'apiKey') {
-      const location = scheme.in || 'header';
-      const name = scheme.name || 'Authorization';
-      if (location === 'header') {
-        headers.set(name, keyValue);
-      } else if (location === 'query') {
-        url.searchParams.set(name, keyValue);
-      } else if (location === 'cookie') {
-        headers.append('Cookie', `${name}=${encodeURIComponent(keyValue)}`);
-      }
-    } else if (scheme.type === 'http') {
-      const headerValue = buildHttpAuthorizationHeader(keyValue, scheme.scheme || 'Bearer');
-      if (headerValue) {
-        headers.set('Authorization', headerValue);
-      }
+  return tokens;
+}
+
+function describeOAuthToken(token, now = Date.now()) {
+  if (!token) return 'Not authorized.';
+  if (isTokenExpired(token, now)) {
+    return token.refreshToken
+      ? 'Token expired. It will be refreshed with the next request.'
+      : 'Token expired. Authorize again.';
+  }
+  const parts = ['Authorized'];
+  if (typeof token.expiresAt === 'number') {
+    parts.push(`expires in ${Math.max(1, Math.round((token.expiresAt - now) / 60000))} min`);
+  }
+  if (Array.isArray(token.scopes) && token.scopes.length) {
+    parts.push(`scopes: ${token.scopes.join(' ')}`);
+  }
+  return `${parts.join(' · ')}.`;
+}
+
+function isValidCustomServerUrl(url) {
+  if (!url) return false;
+  if (url.startsWith('/')) return !url.startsWith('//');
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function readCustomServers() {
+  const parsed = STORAGE.getJson('custom-servers');
+  return Array.isArray(parsed) ? parsed.filter((entry) => typeof entry === 'string' && entry) : [];
+}
+
+function storeCustomServers(urls) {
+  STORAGE.setJson('custom-servers', urls.length ? urls : null);
+}
+
+function readSelectedServer() {
+  return STORAGE.get('server') || '';
+}
+
+function storeSelectedServer(key) {
+  if (key) {
+    STORAGE.set('server', key);
+  } else {
+    STORAGE.remove('server');
+  }
+}
+
+function readServerVariables(form, serverSelect) {
+  /** @type {Record<string, string>} */
+  const values = {};
+  const selectedIndex = serverSelect instanceof HTMLSelectElement ? String(serverSelect.selectedIndex) : '0';
+  const group = form.querySelector(`[data-server-variables="${selectedIndex}"]`);
+  group?.querySelectorAll('[data-server-variable]').forEach((input) => {
+    if (input instanceof HTMLInputElement || input instanceof HTMLSelectElement) {
+      values[input.dataset.serverVariable || ''] = input.value.trim();
     }
   });
+  return values;
+}
+
+function resolveProxiedServerUrl(template, variables, values) {
+  const resolved = expandServerUrl(template, variables, values);
+  const entry = proxyLookup.get(normalizeServerUrl(resolved));
+  if (entry) return entry.contextPath;
+  const wildcard = proxyTemplateLookup.get(template.trim());
+  if (wildcard) {
+    try {
+      return buildWildcardProxyPath(wildcard.contextPath, resolved);
+    } catch {
+      return resolved;
+    }
+  }
+  return resolved;
 }
 
 function buildProxyLookup(table) {
   const map = new Map();
   if (!Array.isArray(table)) return map;
   table.forEach((entry) => {
-    if (!entry || typeof entry.originalUrl !== 'string') return;
+    if (!entry || typeof entry.originalUrl !== 'string' || entry.wildcard) return;
     const normalizedOriginal = normalizeServerUrl(entry.originalUrl);
     if (normalizedOriginal) {
       map.set(normalizedOriginal, entry);
@@ -1328,6 +3080,21 @@ function buildProxyLookup(table) {
   return map;
 }
 
+// Templated servers that have proxy entries, mapped to their wildcard entry (if any).
+function buildProxyTemplateLookup(table) {
+  const map = new Map();
+  if (!Array.isArray(table)) return map;
+  table.forEach((entry) => {
+    if (!entry || typeof entry.template !== 'string') return;
+    if (entry.wildcard) {
+      map.set(entry.template, entry);
+    } else if (!map.has(entry.template)) {
+      map.set(entry.template, null);
+    }
+  });
+  return map;
+}
+
 function normalizeServerUrl(url) {
   if (typeof url !== 'string') return '';
   const trimmed = url.trim();
@@ -0,0 +1,243 @@
+/**
+ * Schema checks for values in the Try it console. Covers the keywords OpenAPI documents use to
+ * constrain values (types, enums, bounds, lengths, patterns, common formats, array and object
+ * shape, `allOf` / `oneOf` / `anyOf` / `not`); keywords it doesn't know are treated as satisfied.
+ */
+
+const FORMAT_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:?\d{2})$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} pointer JSON pointer to the offending value (`''` for the value itself).
+ * @property {string} message
+ */
+
+/**
+ * Check a value against a schema.
+ *
+ * @param {unknown} schema
+ * @param {unknown} value
+ * @param {{ resolve?: (schema: any) => any }} [options] `resolve` dereferences `$ref`s and merges `allOf`.
+ * @returns {ValidationError[]}
+ */
+export function validateSchemaValue(schema, value, options = {}) {
+  const resolve = typeof options.resolve === 'function' ? options.resolve : (entry) => entry;
+  /** @type {ValidationError[]} */
+  const errors = [];
+  visit(schema, value, '', resolve, errors);
+  return errors;
+}
+
+/**
+ * @param {ValidationError} error
+ * @returns {string}
+ */
+export function formatValidationError(error) {
+  return error.pointer ? `${error.pointer}: ${error.message}` : error.message;
+}
+
+function visit(schemaInput, value, pointer, resolve, errors) {
+  const schema = resolve(schemaInput);
+  if (!isPlainObject(schema)) return;
+  const report = (message, at = pointer) => errors.push({ pointer: at, message });
+
+  const types = Array.isArray(schema.type) ? schema.type : typeof schema.type === 'string' ? [schema.type] : [];
+  if (value === null && (schema.nullable === true || types.includes('null'))) return;
+  if (types.length && !types.some((type) => matchesType(type, value))) {
+    report(`must be ${types.map(describeType).join(' or ')}`);
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((entry) => isEqual(entry, value))) {
+    report(`must be one of: ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    report(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((entry) => visit(entry, value, pointer, resolve, errors));
+  }
+  ['oneOf', 'anyOf'].forEach((keyword) => {
+    if (Array.isArray(schema[keyword])) visitAlternatives(schema, keyword, value, pointer, resolve, errors);
+  });
+  if (schema.not !== undefined && isPlainObject(resolve(schema.not)) && collect(schema.not, value, pointer, resolve).length === 0) {
+    report('must not match the schema in not');
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      report(`must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'} long`);
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} character${schema.maxLength === 1 ? '' : 's'} long`);
+    }
+    const pattern = compilePattern(schema.pattern);
+    if (pattern && !pattern.test(value)) report(`must match the pattern ${schema.pattern}`);
+    const format = FORMAT_PATTERNS[schema.format];
+    if (format && (!format.test(value) || (schema.format.startsWith('date') && Number.isNaN(Date.parse(value))))) {
+      report(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    // OpenAPI 3.0 uses boolean exclusive flags next to minimum/maximum; 3.1 uses numbers.
+    if (typeof schema.minimum === 'number') {
+      if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+        report(`must be ${schema.exclusiveMinimum === true ? 'greater than' : 'at least'} ${schema.minimum}`);
+      }
+    }
+    if (typeof schema.maximum === 'number') {
+      if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+        report(`must be ${schema.exclusiveMaximum === true ? 'less than' : 'at most'} ${schema.maximum}`);
+      }
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      report(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      report(`must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) report(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+    if (schema.uniqueItems === true && new Set(value.map((entry) => JSON.stringify(entry))).size !== value.length) {
+      report('must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((entry, index) => visit(schema.items, entry, `${pointer}/${index}`, resolve, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    (Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+      if (value[key] === undefined) report('is required', `${pointer}/${escapePointer(key)}`);
+    });
+    Object.entries(value).forEach(([key, entry]) => {
+      const at = `${pointer}/${escapePointer(key)}`;
+      if (properties[key]) {
+        visit(properties[key], entry, at, resolve, errors);
+      } else if (schema.additionalProperties === false) {
+        report('is not allowed', at);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        visit(schema.additionalProperties, entry, at, resolve, errors);
+      }
+    });
+  }
+}
+
+function collect(schema, value, pointer, resolve) {
+  /** @type {ValidationError[]} */
+  const errors = [];
+  visit(schema, value, pointer, resolve, errors);
+  return errors;
+}
+
+// A discriminator names the branch to check, so its errors can be reported directly instead of
+// a bare "matches none". Without one, a value has to match exactly one `oneOf` branch or at
+// least one `anyOf` branch.
+function visitAlternatives(schema, keyword, value, pointer, resolve, errors) {
+  const branches = schema[keyword];
+  const selected = selectDiscriminatedBranch(schema, branches, value);
+  if (selected) {
+    visit(selected, value, pointer, resolve, errors);
+    return;
+  }
+  const results = branches.map((branch) => collect(branch, value, pointer, resolve));
+  const matches = results.filter((result) => result.length === 0).length;
+  if (keyword === 'oneOf' && matches > 1) {
+    errors.push({ pointer, message: `must match exactly one schema in oneOf, but matches ${matches}` });
+    return;
+  }
+  if (matches > 0) return;
+  // A single branch can only be this one, so its errors are more useful than the summary.
+  if (results.length === 1) {
+    errors.push(...results[0]);
+    return;
+  }
+  errors.push({ pointer, message: `must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} schema in ${keyword}` });
+}
+
+function selectDiscriminatedBranch(schema, branches, value) {
+  const propertyName = schema.discriminator?.propertyName;
+  if (typeof propertyName !== 'string' || !isPlainObject(value) || typeof value[propertyName] !== 'string') return null;
+  const tag = value[propertyName];
+  const mapping = isPlainObject(schema.discriminator.mapping) ? schema.discriminator.mapping : {};
+  const target = typeof mapping[tag] === 'string' ? mapping[tag] : tag;
+  const ref = target.includes('/') ? target : `#/components/schemas/${target}`;
+  return branches.find((branch) => branch?.$ref === ref) || null;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function describeType(type) {
+  if (type === 'integer' || type === 'array' || type === 'object') return `an ${type}`;
+  if (type === 'null') return 'null';
+  return `a ${type}`;
+}
+
+// Patterns the browser's RegExp can't compile are skipped rather than failing every value.
+const patternCache = new Map();
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return null;
+  if (!patternCache.has(pattern)) {
+    let compiled = null;
+    try {
+      compiled = new RegExp(pattern, 'u');
+    } catch {
+      compiled = null;
+    }
+    patternCache.set(pattern, compiled);
+  }
+  return patternCache.get(pattern);
+}
+
+function isEqual(left, right) {
+  if (left === right) return true;
+  if (typeof left !== 'object' || typeof right !== 'object' || left === null || right === null) return false;
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,115 @@
+/**
+ * XML request bodies for the Try it console. Builds a document from a (resolved) schema following
+ * the OpenAPI `xml` object: `name`, `namespace` / `prefix`, `attribute` and `wrapped`.
+ */
+
+const MAX_DEPTH = 8;
+
+/**
+ * Render an XML document for a schema. Values come from `value` where it has them, then from the
+ * schema's `example`, `default` or first `enum` entry, then from a placeholder for the type.
+ *
+ * @param {any} schema Schema with `$ref`s already resolved.
+ * @param {unknown} [value] Example payload, shaped like the JSON equivalent.
+ * @param {{ name?: string }} [options] `name` is the root element name when the schema has no `xml.name`.
+ * @returns {string}
+ */
+export function buildXmlDocument(schema, value, options = {}) {
+  const rootName = schema?.xml?.name || options.name || 'root';
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  renderElement(lines, rootName, schema || {}, value, 0, true);
+  return lines.join('\n');
+}
+
+function renderElement(lines, name, schema, value, depth, isRoot = false) {
+  const indent = '  '.repeat(depth);
+  const tag = qualifiedName(name, schema.xml);
+  const namespace = namespaceAttribute(schema.xml);
+  const type = inferType(schema);
+
+  if (type === 'array') {
+    const items = isPlainObject(schema.items) ? schema.items : {};
+    const itemName = items.xml?.name || name;
+    const entries = Array.isArray(value) ? value : [pickValue(items, undefined)];
+    if (schema.xml?.wrapped || isRoot) {
+      lines.push(`${indent}<${tag}${namespace}>`);
+      entries.forEach((entry) => renderElement(lines, itemName, items, entry, depth + 1));
+      lines.push(`${indent}</${tag}>`);
+    } else {
+      entries.forEach((entry) => renderElement(lines, itemName, items, entry, depth));
+    }
+    return;
+  }
+
+  if (type === 'object') {
+    const properties = isPlainObject(schema.properties) ? Object.entries(schema.properties) : [];
+    const source = isPlainObject(value) ? value : {};
+    const attributes = properties
+      .filter(([, property]) => property?.xml?.attribute)
+      .map(([key, property]) => {
+        const attributeValue = pickValue(property, source[key]);
+        return ` ${qualifiedName(property.xml.name || key, property.xml)}="${escapeXml(formatScalar(attributeValue))}"`;
+      })
+      .join('');
+    const children = properties.filter(([, property]) => !property?.xml?.attribute);
+    if (!children.length || depth >= MAX_DEPTH) {
+      lines.push(`${indent}<${tag}${namespace}${attributes}/>`);
+      return;
+    }
+    lines.push(`${indent}<${tag}${namespace}${attributes}>`);
+    children.forEach(([key, property]) => {
+      renderElement(lines, property?.xml?.name || key, property || {}, source[key], depth + 1);
+    });
+    lines.push(`${indent}</${tag}>`);
+    return;
+  }
+
+  lines.push(`${indent}<${tag}${namespace}>${escapeXml(formatScalar(pickValue(schema, value)))}</${tag}>`);
+}
+
+function qualifiedName(name, xml) {
+  return xml?.prefix ? `${xml.prefix}:${name}` : name;
+}
+
+function namespaceAttribute(xml) {
+  if (typeof xml?.namespace !== 'string' || !xml.namespace) return '';
+  const attribute = xml.prefix ? `xmlns:${xml.prefix}` : 'xmlns';
+  return ` ${attribute}="${escapeXml(xml.namespace)}"`;
+}
+
+function pickValue(schema, value) {
+  if (value !== undefined && value !== null && typeof value !== 'object') return value;
+  if (schema?.example !== undefined && typeof schema.example !== 'object') return schema.example;
+  if (schema?.default !== undefined && typeof schema.default !== 'object') return schema.default;
+  if (Array.isArray(schema?.enum) && schema.enum.length) return schema.enum[0];
+  const type = inferType(schema);
+  if (type === 'integer' || type === 'number') return 0;
+  if (type === 'boolean') return false;
+  return 'string';
+}
+
+function inferType(schema) {
+  if (!schema || typeof schema !== 'object') return '';
+  if (Array.isArray(schema.type)) return schema.type.find((type) => type !== 'null') || '';
+  if (schema.type) return schema.type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return '';
+}
+
+function formatScalar(value) {
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}